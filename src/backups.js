@@ -0,0 +1,182 @@
+/**
+ * Backups of the package.json file, made before it is updated or restored.
+ *
+ * Each backup is a copy of the package file in the backup directory, which by default is '.readme-fixer/backups'
+ * in the package directory. A backup is named by a key of the package file pathname and the UTC time it was made,
+ * e.g., 'package-1a2b3c4d-20261018T101500123Z.json', and the timestamp is the backup ID, so the IDs sort in the order
+ * the backups were made. The key keeps the backups of each package apart if several packages share a backup directory,
+ * e.g., an absolute directory, so that only the backups of the package are listed, restored, or removed.
+ * Only the most recent backups are kept, up to the retention limit, the older backups are removed.
+ * The backup directory has an .npmignore file that ignores every file, so that the backups are not packed or published,
+ * e.g., by npm pack after the prepack hook backs up the package file. npm applies the .npmignore file of a subdirectory
+ * even if the package.json has a files property.
+ */
+'use strict';
+
+const path   = require( 'path' );
+const fs     = require( 'fs' );
+const crypto = require( 'crypto' );
+
+const DEFAULT_BACKUP_DIR = path.join( '.readme-fixer', 'backups' ); // Relative to the package directory
+const DEFAULT_KEEP       = 10;                                      // The number of backups to keep, 0 to keep all
+const NPM_IGNORE         = { filename: '.npmignore', text: '*\n' };  // Ignores every file in the backup directory
+const RE_BACKUP_FILENAME = /^package-([0-9a-f]{8})-(\d{8}T\d{9}Z)\.json$/; // The capture groups are the package key and the backup ID
+const RE_BACKUP_ID       = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(\d{3})Z$/;
+
+/**
+ * @param {string} packagePathname : pathname to the package.json file;
+ * @param {string} dir             : the backup directory, relative to the package directory, default '.readme-fixer/backups'.
+ * @returns the absolute backup directory pathname.
+ */
+function genBackupDir( packagePathname, dir = DEFAULT_BACKUP_DIR ) {
+  return path.resolve( path.dirname( packagePathname ), dir );
+}
+
+/**
+ * @param {string} packagePathname : pathname to the package.json file.
+ * @returns the key of the backups of the package file, from its absolute pathname, e.g., '1a2b3c4d'.
+ */
+function genPackageKey( packagePathname ) {
+  return crypto.createHash( 'sha256' ).update( path.resolve( packagePathname ) ).digest( 'hex' ).slice( 0, 8 );
+}
+
+/**
+ * @param {Date} date : the time the backup is made.
+ * @returns the backup ID, e.g., '20261018T101500123Z'.
+ */
+function genBackupId( date ) {
+  return date.toISOString().replace( /[-:.]/g, '' );
+}
+
+/**
+ * @param {string} id : a backup ID.
+ * @returns the time the backup was made as an ISO 8601 string, e.g., '2026-10-18T10:15:00.123Z'.
+ */
+function parseBackupId( id ) {
+  const [ , year, month, day, hours, minutes, seconds, millis ] = RE_BACKUP_ID.exec( id );
+  return `${year}-${month}-${day}T${hours}:${minutes}:${seconds}.${millis}Z`;
+}
+
+/**
+ * @param {number} keep : the backup retention limit.
+ * @exception if the limit is not a non-negative integer.
+ */
+function validateKeep( keep ) {
+  if ( ! ( Number.isInteger( keep ) && ( keep >= 0 ) ) ) {
+    throw new Error( `Invalid backup retention limit: ${keep}` );
+  }
+}
+
+/**
+ * @param {string} backupDir       : the absolute backup directory pathname;
+ * @param {string} packagePathname : pathname to the package.json file that was backed up.
+ * @returns array of the backups of the package file, oldest first, each an object with properties:
+ *           - id       : the backup ID;
+ *           - created  : the time the backup was made as an ISO 8601 string;
+ *           - pathname : the backup file pathname.
+ *          The array is empty if the backup directory does not exist.
+ */
+function findBackups( backupDir, packagePathname ) {
+  const packageKey = genPackageKey( packagePathname );
+  const backups    = [];
+
+  if ( fs.existsSync( backupDir ) ) {
+    fs.readdirSync( backupDir ).sort().forEach( filename => {
+      const match = RE_BACKUP_FILENAME.exec( filename );
+      if ( match && ( match[ 1 ] === packageKey ) ) {
+        backups.push( { id: match[ 2 ], created: parseBackupId( match[ 2 ] ), pathname: path.join( backupDir, filename ) } );
+      }
+    } );
+  }
+
+  return backups;
+}
+
+/**
+ * @param {string} backupDir       : the absolute backup directory pathname;
+ * @param {string} packagePathname : pathname to the package.json file that was backed up;
+ * @param {string} id              : the backup ID, or undefined for the most recent backup.
+ * @returns the backup, see findBackups, or null if there is no such backup of the package file.
+ */
+function findBackup( backupDir, packagePathname, id ) {
+  const backups = findBackups( backupDir, packagePathname );
+  const backup  = ( id === undefined ? backups[ backups.length - 1 ] : backups.find( b => ( b.id === id ) ) );
+  return backup ?? null;
+}
+
+/**
+ * @param {string} backupDir       : the absolute backup directory pathname;
+ * @param {string} packagePathname : pathname to the package.json file that was backed up;
+ * @param {number} keep            : the number of backups of the package file to keep, 0 to keep all.
+ * @returns array of the pathnames of the removed backups.
+ */
+function pruneBackups( backupDir, packagePathname, keep ) {
+  const backups = findBackups( backupDir, packagePathname );
+  const removed = ( ( keep > 0 ) && ( backups.length > keep ) ? backups.slice( 0, backups.length - keep ) : [] );
+
+  removed.forEach( ( { pathname } ) => fs.rmSync( pathname, { force: true } ) );
+
+  return removed.map( ( { pathname } ) => pathname );
+}
+
+/**
+ * Create the backup directory, if it does not exist, and its .npmignore file, see above.
+ * @param {string} backupDir : the absolute backup directory pathname.
+ * @exception if the directory or file cannot be created.
+ */
+function createBackupDir( backupDir ) {
+  const ignorePathname = path.join( backupDir, NPM_IGNORE.filename );
+
+  fs.mkdirSync( backupDir, { recursive: true } );
+  if ( ! fs.existsSync( ignorePathname ) ) {
+    fs.writeFileSync( ignorePathname, NPM_IGNORE.text );
+  }
+}
+
+/**
+ * Copy the package file to a new backup, then remove the oldest backups beyond the retention limit.
+ * @param {string} packagePathname : pathname to the package.json file;
+ * @param {Object} options         : object with optional properties:
+ *                                    - dir  : the backup directory, relative to the package directory, default '.readme-fixer/backups';
+ *                                    - keep : the number of backups to keep, 0 to keep all, default 10.
+ * @returns object with properties:
+ *           - id             : the backup ID;
+ *           - backupPathname : the backup file pathname;
+ *           - removedBackups : array of the pathnames of the backups removed by the retention limit.
+ * @exception if an option is invalid or the file cannot be copied.
+ */
+function createBackup( packagePathname, { dir, keep = DEFAULT_KEEP } = {} ) {
+  validateKeep( keep );
+
+  const backupDir  = genBackupDir( packagePathname, dir );
+  const packageKey = genPackageKey( packagePathname );
+  let   time       = Date.now();
+  let   id;
+  let   backupPathname;
+
+  createBackupDir( backupDir );
+  for ( ;; ) {
+    id             = genBackupId( new Date( time ) );
+    backupPathname = path.join( backupDir, `package-${packageKey}-${id}.json` );
+    try {
+      fs.copyFileSync( packagePathname, backupPathname, fs.constants.COPYFILE_EXCL );
+      break;
+    }
+    catch ( err ) {
+      if ( err.code !== 'EEXIST' ) {
+        throw err;
+      }
+      ++time; // Another backup was made in the same millisecond
+    }
+  }
+
+  return { id, backupPathname, removedBackups: pruneBackups( backupDir, packagePathname, keep ) };
+}
+
+module.exports = {
+  genBackupDir,
+  findBackups,
+  findBackup,
+  createBackupDir,
+  createBackup,
+};
@@ -0,0 +1,581 @@
+/**
+ * Command line interface to fix Verdaccio README.md files.
+ * See 'readme-fixer.js' for details.
+ *
+ * The commands are:
+ *   - [readmeFile]   : update the package.json readme property, the default, see 'package-files.js' for the default files;
+ *   - unfix [file]   : change the fixed internal hyperlinks back to fragments, in the markdown file,
+ *                      default the package.json readme property;
+ *   - filter [file]  : output the markdown file, default stdin, with the internal hyperlinks fixed, without updating
+ *                      the package.json file, the warnings are output to stderr;
+ *   - list-backups   : list the package.json backups, see 'backups.js';
+ *   - restore [id]   : restore a package.json backup, default the most recent, except in the postpack script of npm publish,
+ *                      see hooks.isPublishPostpack;
+ *   - install-hooks  : add the prepack, postpack and postpublish scripts to the package.json file, see 'hooks.js'.
+ * With --workspaces, the default command updates every workspace package, see 'workspaces.js', and outputs a summary line
+ * per package. A package that fails does not stop the others unless --fail-fast, and the exit code is that of the first failure.
+ *
+ * The exit code is one of:
+ *   - 0 : success;
+ *   - 1 : any other error;
+ *   - 2 : invalid command line arguments;
+ *   - 3 : the README, package, backup or configuration file was not found;
+ *   - 4 : the package file is not a valid JSON object;
+ *   - 5 : validation failed, i.e., --strict and there are unresolved internal links;
+ *   - 6 : the configuration is invalid, see 'config.js'.
+ *
+ * The options given on the command line override the configuration file.
+ */
+'use strict';
+
+const path          = require( 'path' );
+const { parseArgs } = require( 'util' );
+
+const readmeFixer = require( './readme-fixer' );
+const { loadConfig, mergeOptions, ERR_INVALID_CONFIG } = require( './config' );
+const { findPackagePathname } = require( './package-files' );
+const { isPublishPostpack } = require( './hooks' );
+
+const EXIT_OK                = 0;
+const EXIT_ERROR             = 1;
+const EXIT_USAGE             = 2;
+const EXIT_FILE_NOT_FOUND    = 3;
+const EXIT_INVALID_PACKAGE   = 4;
+const EXIT_VALIDATION_FAILED = 5;
+const EXIT_INVALID_CONFIG    = 6;
+const ERR_USAGE              = 'EUSAGE'; // Error code for invalid command line arguments
+const FORMAT_TEXT            = 'text';
+const FORMAT_JSON            = 'json';
+const FORMATS                = [ FORMAT_TEXT, FORMAT_JSON ];
+const COMMAND_FIX            = 'fix';
+const COMMAND_UNFIX          = 'unfix';
+const COMMAND_FILTER         = 'filter';
+const COMMAND_LIST_BACKUPS   = 'list-backups';
+const COMMAND_RESTORE        = 'restore';
+const COMMAND_INSTALL_HOOKS  = 'install-hooks';
+const COMMANDS               = [ COMMAND_UNFIX, COMMAND_FILTER, COMMAND_LIST_BACKUPS, COMMAND_RESTORE, COMMAND_INSTALL_HOOKS ]; // The commands named by the first argument
+const STDIN_PATHNAME         = '-'; // The filter command file argument for stdin
+const EXIT_CODES             = {
+  [ ERR_USAGE ]:                        EXIT_USAGE,
+  [ readmeFixer.ERR_FILE_NOT_FOUND ]:   EXIT_FILE_NOT_FOUND,
+  [ readmeFixer.ERR_INVALID_PACKAGE ]:  EXIT_INVALID_PACKAGE,
+  [ readmeFixer.ERR_UNRESOLVED_LINKS ]: EXIT_VALIDATION_FAILED,
+  [ ERR_INVALID_CONFIG ]:               EXIT_INVALID_CONFIG,
+};
+const OPTIONS                = {
+  readme:         { type: 'string',  short: 'r' },
+  package:        { type: 'string',  short: 'p' },
+  name:           { type: 'string' },
+  registry:       { type: 'string' },
+  'web-path':     { type: 'string' },
+  'url-template': { type: 'string' },
+  'dry-run':      { type: 'boolean', short: 'n' },
+  format:         { type: 'string',  short: 'f' },
+  strict:         { type: 'boolean' },
+  'backup-dir':   { type: 'string' },
+  'keep-backups': { type: 'string' },
+  output:         { type: 'string',  short: 'o' },
+  config:         { type: 'string',  short: 'c' },
+  workspaces:     { type: 'boolean', short: 'w' },
+  concurrency:    { type: 'string' },
+  'fail-fast':    { type: 'boolean' },
+  help:           { type: 'boolean', short: 'h' },
+};
+
+/**
+ * @returns the usage text.
+ */
+function genUsage() {
+  return [
+    'Usage: verdaccio-readme-fixer [options] [readmeFile]',
+    '       verdaccio-readme-fixer [options] --workspaces',
+    '       verdaccio-readme-fixer [options] unfix [file]',
+    '       verdaccio-readme-fixer [options] filter [file]',
+    '       verdaccio-readme-fixer [options] list-backups',
+    '       verdaccio-readme-fixer [options] restore [id]',
+    '       verdaccio-readme-fixer [options] install-hooks',
+    '',
+    'Update the package.json readme property from the README file, with the internal hyperlinks fixed for Verdaccio,',
+    'or of every workspace package.',
+    'Or change the fixed internal hyperlinks in the file, default the package.json readme, back to fragments.',
+    'Or output the file, default stdin, with the internal hyperlinks fixed, without updating the package.json file.',
+    'Or list the package.json backups, or restore a backup, default the most recent.',
+    'Or add the prepack, postpack and postpublish scripts that update the package.json readme when packing, then restore the package.json.',
+    '',
+    'Options:',
+    '  -r, --readme <file>      the README file, default the package README file, found as npm does, e.g., README.md',
+    '  -p, --package <file>     the package.json file, default the nearest package.json of the README file,',
+    '                           or ./package.json',
+    '      --name <name>        filter: the package name, default the name in the package.json file, which is then optional',
+    '      --registry <url>     the Verdaccio registry URL, default the package.json publishConfig.registry,',
+    '                           then .npmrc @scope:registry and registry, then $npm_config_registry',
+    '      --web-path <path>    the Verdaccio Web UI path to the README pages, default /-/web/detail/',
+    '      --url-template <t>   the README page URL template, e.g., {registry}/{webPath}/{name}#{anchor},',
+    '                           or a preset: verdaccio-5 or verdaccio-6, default verdaccio-5',
+    '  -n, --dry-run            output a diff of the changes without writing any files',
+    '  -f, --format <format>    the output format: text or json, default text',
+    '      --strict             fail if any internal hyperlink is unresolved',
+    '      --backup-dir <dir>   the backup directory, relative to the package directory, default .readme-fixer/backups',
+    '      --keep-backups <n>   the number of backups to keep, 0 to keep all, default 10',
+    '  -o, --output <file>      unfix and filter: the file to write the markdown to, default stdout',
+    '  -c, --config <file>      the configuration file, default .readmefixerrc, .readmefixerrc.json or',
+    '                           .readmefixerrc.js in the package directory, then the package.json readmeFixer property',
+    '  -w, --workspaces         update every workspace package of the root package.json workspaces or pnpm-workspace.yaml,',
+    '                           the root is the current directory, or the --package directory',
+    '      --concurrency <n>    workspaces: the number of packages to update at a time, default 4',
+    '      --fail-fast          workspaces: stop starting packages after a package fails',
+    '  -h, --help               output this usage and exit',
+    '',
+    'Exit codes:',
+    `  ${EXIT_OK}  success`,
+    `  ${EXIT_ERROR}  other error`,
+    `  ${EXIT_USAGE}  invalid arguments`,
+    `  ${EXIT_FILE_NOT_FOUND}  file or backup not found`,
+    `  ${EXIT_INVALID_PACKAGE}  invalid package.json`,
+    `  ${EXIT_VALIDATION_FAILED}  validation failed`,
+    `  ${EXIT_INVALID_CONFIG}  invalid configuration`,
+  ].join( '\n' );
+}
+
+/**
+ * @param {string} message : the error message.
+ * @returns an Error with property code 'EUSAGE'.
+ */
+function genUsageError( message ) {
+  const err = new Error( message );
+  err.code = ERR_USAGE;
+  return err;
+}
+
+/**
+ * @param {Array} args : the command line arguments, excluding the node executable and script.
+ * @returns object with properties:
+ *           - help           : true if the usage was requested;
+ *           - format         : the output format, 'text' or 'json';
+ *           - command        : the command, 'fix', 'unfix', 'filter', 'list-backups', 'restore' or 'install-hooks';
+ *           - workspaces     : true to fix every workspace package;
+ *           - readmePathname : the README pathname, or undefined for the default, which is stdin for the filter command;
+ *           - backupId       : the ID of the backup to restore, or undefined for the most recent backup;
+ *           - configPathname : the configuration file pathname, or undefined to find it in the package directory;
+ *           - options        : the processReadme, unfixReadme, filterReadme, listBackups, restoreBackup or installHooks options,
+ *                              undefined if not on the command line, so that the configuration file applies.
+ * @exception if the arguments are invalid, with property code 'EUSAGE'.
+ */
+function parseCliArgs( args ) {
+  let parsed;
+
+  try {
+    parsed = parseArgs( { args, options: OPTIONS, allowPositionals: true, strict: true } );
+  }
+  catch ( err ) {
+    throw genUsageError( err.message );
+  }
+
+  const { values, positionals } = parsed;
+  const format          = values.format ?? FORMAT_TEXT;
+  const command         = ( COMMANDS.includes( positionals[ 0 ] ) ? positionals.shift() : COMMAND_FIX );
+  const maxArgs         = ( [ COMMAND_LIST_BACKUPS, COMMAND_INSTALL_HOOKS ].includes( command ) ? 0 : 1 );
+  const isReadmeCommand = [ COMMAND_FIX, COMMAND_UNFIX, COMMAND_FILTER ].includes( command );
+  const keepBackups     = values[ 'keep-backups' ];
+  const concurrency     = values.concurrency;
+
+  if ( positionals.length > maxArgs ) {
+    throw genUsageError( `Unexpected arguments: ${positionals.slice( maxArgs ).join( ' ' )}` );
+  }
+  if ( isReadmeCommand && ( positionals.length > 0 ) && ( values.readme !== undefined ) ) {
+    throw genUsageError( 'The README file may be specified by --readme or as an argument, not both' );
+  }
+  if ( ! FORMATS.includes( format ) ) {
+    throw genUsageError( `Invalid format: ${format}, must be one of: ${FORMATS.join( ', ' )}` );
+  }
+  if ( ( keepBackups !== undefined ) && ! /^\d+$/.test( keepBackups ) ) {
+    throw genUsageError( `Invalid number of backups to keep: ${keepBackups}, must be 0 or more` );
+  }
+  if ( ( concurrency !== undefined ) && ! /^[1-9]\d*$/.test( concurrency ) ) {
+    throw genUsageError( `Invalid concurrency: ${concurrency}, must be 1 or more` );
+  }
+  if ( values.workspaces && ( command !== COMMAND_FIX ) ) {
+    throw genUsageError( `The --workspaces option cannot be used with the ${command} command` );
+  }
+  if ( values.workspaces && ( ( positionals.length > 0 ) || ( values.readme !== undefined ) ) ) {
+    throw genUsageError( 'The README file cannot be specified with --workspaces, each package README file is used' );
+  }
+
+  const readmePathname = ( isReadmeCommand ? values.readme ?? positionals[ 0 ] : undefined );
+
+  return {
+    help:           values.help ?? false,
+    format,
+    command,
+    workspaces:     values.workspaces ?? false,
+    readmePathname: ( ( command === COMMAND_FILTER ) && ( readmePathname === STDIN_PATHNAME ) ? undefined : readmePathname ),
+    backupId:       ( command === COMMAND_RESTORE ? positionals[ 0 ] : undefined ),
+    configPathname: values.config,
+    options: {
+      packagePathname: values.package,
+      name:            values.name,
+      registry:        values.registry,
+      webPath:         values[ 'web-path' ],
+      urlTemplate:     values[ 'url-template' ],
+      dryRun:          values[ 'dry-run' ] ?? false,
+      strict:          values.strict,
+      outputPathname:  values.output,
+      concurrency:     ( concurrency === undefined ? undefined : Number( concurrency ) ),
+      failFast:        values[ 'fail-fast' ],
+      backups: {
+        dir:  values[ 'backup-dir' ],
+        keep: ( keepBackups === undefined ? undefined : Number( keepBackups ) ),
+      },
+    },
+  };
+}
+
+/**
+ * @param {Object} err : an error.
+ * @returns the process exit code for the error.
+ */
+function getExitCode( err ) {
+  return EXIT_CODES[ err?.code ] ?? EXIT_ERROR;
+}
+
+/**
+ * @param {Object} registry : the resolved registry, see registry.resolveRegistry.
+ * @returns a description of where the registry URL came from, e.g., 'from @team:registry in /home/me/.npmrc'.
+ */
+function genRegistrySourceText( { source, pathname, key } ) {
+  const SOURCE_TEXTS = {
+    option:        'from --registry',
+    config:        `from ${pathname}`,
+    publishConfig: 'from package.json publishConfig.registry',
+    'npmrc-scope': `from ${key} in ${pathname}`,
+    npmrc:         `from ${key} in ${pathname}`,
+    env:           `from environment variable ${key}`,
+    default:       'default',
+  };
+  return SOURCE_TEXTS[ source ];
+}
+
+/**
+ * @param {Array} unresolvedLinks : the unresolved internal links, see readme-fixer.validateLinks.
+ * @returns array of the warning lines.
+ */
+function genUnresolvedLinksTextOutput( unresolvedLinks ) {
+  return unresolvedLinks.map( ( { destination, line, column } ) => `WARNING: Unresolved internal link: ${destination} (line ${line}, column ${column})` );
+}
+
+/**
+ * @param {Object}  result : the processReadme result;
+ * @param {boolean} dryRun : true if the package file was not updated.
+ * @returns array of the text output lines.
+ */
+function genTextOutput( {
+  packagePathname, readmePathname, backupPackagePathname, diff, registry, unresolvedLinks, unpublishedFileLinks, oversizedReadme,
+}, dryRun ) {
+  const arrLine = genUnresolvedLinksTextOutput( unresolvedLinks );
+
+  unpublishedFileLinks.forEach( ( { destination, line, column } ) => {
+    arrLine.push( `WARNING: Link to a file that is not published: ${destination} (line ${line}, column ${column})` );
+  } );
+  if ( oversizedReadme ) {
+    arrLine.push( `WARNING: The package.json readme is ${oversizedReadme.size} bytes, larger than ${oversizedReadme.maxSize} bytes` );
+  }
+  arrLine.push( `README file: ${readmePathname}` );
+  arrLine.push( `Registry: ${registry.url} (${genRegistrySourceText( registry )})` );
+  if ( dryRun ) {
+    [ diff.readme, diff.package ]
+      .filter( unifiedDiff => ( unifiedDiff !== '' ) )
+      .forEach( unifiedDiff => arrLine.push( unifiedDiff.replace( /\n$/, '' ) ) );
+    arrLine.push( `Dry run, package file not updated: ${packagePathname}` );
+  } else {
+    arrLine.push( `Backup package file created: ${backupPackagePathname}` );
+    arrLine.push( `Package file readme updated: ${packagePathname}` );
+  }
+
+  return arrLine;
+}
+
+/**
+ * @param {Object} result : the listBackups result.
+ * @returns array of the text output lines.
+ */
+function genListBackupsTextOutput( { backupDir, backups } ) {
+  return ( backups.length > 0
+    ? backups.map( ( { id, pathname } ) => `${id}  ${pathname}` )
+    : [ `No backups found: ${backupDir}` ] );
+}
+
+/**
+ * @param {Object} result : the unfixReadme result.
+ * @returns object with properties:
+ *           - lines : array of the text output lines;
+ *           - text  : the markdown if it was not written to a file, output as is, otherwise null.
+ */
+function genUnfixTextOutput( { outputPathname, readmeText } ) {
+  return ( outputPathname
+    ? { lines: [ `Unfixed README file written: ${outputPathname}` ], text: null }
+    : { lines: [], text: readmeText } );
+}
+
+/**
+ * @param {Object} result : the filterReadme result.
+ * @returns object with properties:
+ *           - lines : array of the text output lines;
+ *           - text  : the markdown if it was not written to a file, output as is, otherwise null.
+ */
+function genFilterTextOutput( { outputPathname, readmeText } ) {
+  return ( outputPathname
+    ? { lines: [ `Fixed README file written: ${outputPathname}` ], text: null }
+    : { lines: [], text: readmeText } );
+}
+
+/**
+ * @param {Object} stream : a readable stream, e.g., process.stdin.
+ * @returns the stream contents as UTF-8 text.
+ */
+async function readStream( stream ) {
+  const chunks = [];
+  for await ( const chunk of stream ) {
+    chunks.push( Buffer.from( chunk ) );
+  }
+  return Buffer.concat( chunks ).toString( 'utf-8' );
+}
+
+/**
+ * @param {Object} result : the restoreBackup result.
+ * @returns array of the text output lines.
+ */
+function genRestoreTextOutput( { packagePathname, restoredBackupId, backupPackagePathname } ) {
+  const arrLine = [];
+
+  if ( backupPackagePathname ) {
+    arrLine.push( `Backup package file created: ${backupPackagePathname}` );
+  }
+  arrLine.push( `Package file restored from backup ${restoredBackupId}: ${packagePathname}` );
+
+  return arrLine;
+}
+
+/**
+ * @param {Object} result : the installHooks result.
+ * @returns array of the text output lines.
+ */
+function genInstallHooksTextOutput( { packagePathname, hooks, backupPackagePathname } ) {
+  const arrLine = hooks.map( ( { name, script, status } ) => `Script ${name} ${status}: ${script}` );
+
+  if ( backupPackagePathname ) {
+    arrLine.push( `Backup package file created: ${backupPackagePathname}` );
+    arrLine.push( `Package file scripts updated: ${packagePathname}` );
+  } else {
+    arrLine.push( `Package file scripts already installed: ${packagePathname}` );
+  }
+
+  return arrLine;
+}
+
+/**
+ * @param {Object}  result : the processReadme result;
+ * @param {boolean} dryRun : true if the package file was not updated.
+ * @returns the JSON output, the result without the README text.
+ */
+function genJsonOutput( result, dryRun ) {
+  const output = { dryRun, ...result };
+  delete output.readmeText;
+  return JSON.stringify( output, null, 2 );
+}
+
+/**
+ * The registry option is either from the command line or the configuration file, so the source is corrected to 'config'
+ * when it is not from the command line.
+ * @param {Object} result       : a processReadme result, updated;
+ * @param {Object} cliOptions   : the command line options;
+ * @param {Object} loadedConfig : the loadConfig result.
+ */
+function setConfigRegistrySource( result, cliOptions, loadedConfig ) {
+  if ( ( cliOptions.registry === undefined ) && ( result.registry?.source === 'option' ) ) {
+    result.registry = { url: result.registry.url, source: 'config', pathname: loadedConfig.pathname };
+  }
+}
+
+/**
+ * @param {Object} error : an error.
+ * @returns the error as an object that can be serialized as JSON, with properties code, or null, and message.
+ */
+function genJsonError( error ) {
+  return { code: error.code ?? null, message: error.message };
+}
+
+/**
+ * @param {Object} result : the processWorkspaces result.
+ * @returns array of the text output lines, one for each package, then the totals.
+ */
+function genWorkspacesTextOutput( { rootDir, packages } ) {
+  const STATUS_TEXTS = { ok: 'OK', failed: 'FAILED', skipped: 'SKIPPED' };
+  const counts       = { ok: 0, failed: 0, skipped: 0 };
+  const arrLine      = packages.map( ( { packageDir, name, status, result, error, reason } ) => {
+    const label = name ?? path.relative( rootDir, packageDir );
+    let   detail;
+    ++counts[ status ];
+    if ( status === 'ok' ) {
+      const warningCount = result.unresolvedLinks.length + result.unpublishedFileLinks.length + ( result.oversizedReadme ? 1 : 0 );
+      detail = ( warningCount > 0 ? `: ${warningCount} warning${warningCount > 1 ? 's' : ''}` : '' );
+    } else {
+      detail = `: ${status === 'failed' ? error.message : reason}`;
+    }
+    return `${STATUS_TEXTS[ status ].padEnd( 8 )} ${label}${detail}`;
+  } );
+
+  arrLine.push( `Workspace packages: ${packages.length}, OK: ${counts.ok}, failed: ${counts.failed}, skipped: ${counts.skipped}` );
+  return arrLine;
+}
+
+/**
+ * @param {Object}  result : the processWorkspaces result;
+ * @param {boolean} dryRun : true if the package files were not updated.
+ * @returns the JSON output, with the errors serialized and without the readme texts.
+ */
+function genWorkspacesJsonOutput( { rootDir, packages }, dryRun ) {
+  const outputPackages = packages.map( ( { result, error, ...workspacePackage } ) => {
+    const outputPackage = { ...workspacePackage };
+    if ( result ) {
+      outputPackage.result = { ...result };
+      delete outputPackage.result.readmeText;
+    }
+    if ( error ) {
+      outputPackage.error = genJsonError( error );
+    }
+    return outputPackage;
+  } );
+  return JSON.stringify( { dryRun, rootDir, packages: outputPackages }, null, 2 );
+}
+
+/**
+ * @param {string} readmePathname  : the README pathname from the command line, or undefined;
+ * @param {string} packagePathname : the package.json pathname from the command line, or undefined.
+ * @returns the package directory, which contains the configuration file, the same as the package.json default.
+ */
+function genPackageDir( readmePathname, packagePathname ) {
+  let packageDir;
+
+  if ( packagePathname ) {
+    packageDir = path.resolve( path.dirname( packagePathname ) );
+  } else if ( readmePathname ) {
+    packageDir = path.dirname( findPackagePathname( readmePathname ) );
+  } else {
+    packageDir = process.cwd();
+  }
+
+  return packageDir;
+}
+
+/**
+ * @param {Object} cliArgs : the parsed command line arguments, see parseCliArgs;
+ * @param {Object} stdin   : the readable stream of the filter command input.
+ * @returns object with properties:
+ *           - lines        : array of the text output lines;
+ *           - text         : null, or the text output to write as is, i.e., the unfix and filter markdown, which is
+ *                            not line output, so that its line endings are unchanged;
+ *           - warningLines : array of the text warning lines, output to stderr to keep them out of the filter output;
+ *           - jsonText     : the JSON output;
+ *           - exitCode     : the process exit code.
+ */
+async function runCommand( { command, workspaces, readmePathname, backupId, configPathname, options: cliOptions }, stdin ) {
+  const configDir    = genPackageDir( readmePathname, cliOptions.packagePathname );
+  const loadedConfig = loadConfig( configDir, { configPathname } );
+  const options      = mergeOptions( loadedConfig.config, cliOptions );
+  let   output;
+
+  if ( workspaces ) {
+    const workspacesOptions = { ...cliOptions, rootConfig: loadedConfig, concurrency: options.concurrency, failFast: options.failFast };
+    const result            = await readmeFixer.processWorkspaces( configDir, workspacesOptions ); // Each package has its own package.json and configuration
+    const failedPackage     = result.packages.find( ( { status } ) => ( status === 'failed' ) );
+    output = {
+      lines:    genWorkspacesTextOutput( result ),
+      jsonText: genWorkspacesJsonOutput( result, options.dryRun ),
+      exitCode: ( failedPackage ? getExitCode( failedPackage.error ) : EXIT_OK ),
+    };
+  } else if ( command === COMMAND_UNFIX ) {
+    const result = await readmeFixer.unfixReadme( readmePathname, options );
+    output = { ...genUnfixTextOutput( result ), jsonText: JSON.stringify( result, null, 2 ) };
+  } else if ( command === COMMAND_FILTER ) {
+    const readmeText = ( readmePathname ? undefined : await readStream( stdin ) );
+    const result     = await readmeFixer.filterReadme( readmePathname, { ...options, readmeText } );
+    setConfigRegistrySource( result, cliOptions, loadedConfig );
+    output = {
+      ...genFilterTextOutput( result ),
+      warningLines: genUnresolvedLinksTextOutput( result.unresolvedLinks ),
+      jsonText:     JSON.stringify( result, null, 2 ),
+    };
+  } else if ( command === COMMAND_LIST_BACKUPS ) {
+    const result = readmeFixer.listBackups( options );
+    output = { lines: genListBackupsTextOutput( result ), jsonText: JSON.stringify( result, null, 2 ) };
+  } else if ( ( command === COMMAND_RESTORE ) && isPublishPostpack( process.env ) ) {
+    const result = { restoredBackupId: null, reason: 'Restored by postpublish when publishing' }; // npm publish reads the package file after postpack
+    output = { lines: [ `Package file not restored by postpack: ${result.reason}` ], jsonText: JSON.stringify( result, null, 2 ) };
+  } else if ( command === COMMAND_RESTORE ) {
+    const result = await readmeFixer.restoreBackup( backupId, options );
+    output = { lines: genRestoreTextOutput( result ), jsonText: JSON.stringify( result, null, 2 ) };
+  } else if ( command === COMMAND_INSTALL_HOOKS ) {
+    const result = await readmeFixer.installHooks( options );
+    output = { lines: genInstallHooksTextOutput( result ), jsonText: JSON.stringify( result, null, 2 ) };
+  } else {
+    const result = await readmeFixer.processReadme( readmePathname, options );
+    setConfigRegistrySource( result, cliOptions, loadedConfig );
+    output = { lines: genTextOutput( result, options.dryRun ), jsonText: genJsonOutput( result, options.dryRun ) };
+  }
+
+  return { exitCode: EXIT_OK, warningLines: [], text: null, ...output };
+}
+
+/**
+ * Run the command line interface. Nothing is thrown, errors are output and reflected in the exit code.
+ * @param {Array}  args    : the command line arguments, excluding the node executable and script;
+ * @param {Object} streams : object with optional properties:
+ *                            - stdout : function to output a line of normal output, default console.log;
+ *                            - write  : function to output text as is, default process.stdout.write;
+ *                            - stderr : function to output a line of error output, default console.error;
+ *                            - stdin  : the readable stream of the filter command input, default process.stdin.
+ * @returns the process exit code.
+ */
+async function runCli( args, {
+  stdout = console.log, write = text => process.stdout.write( text ), stderr = console.error, stdin = process.stdin,
+} = {} ) {
+  let format   = FORMAT_TEXT;
+  let exitCode = EXIT_OK;
+
+  try {
+    const cliArgs = parseCliArgs( args );
+    format = cliArgs.format;
+    if ( cliArgs.help ) {
+      stdout( genUsage() );
+    } else {
+      const { lines, text, warningLines, jsonText, exitCode: commandExitCode } = await runCommand( cliArgs, stdin );
+      exitCode = commandExitCode;
+      if ( format === FORMAT_JSON ) {
+        stdout( jsonText );
+      } else {
+        warningLines.forEach( line => stderr( line ) );
+        lines.forEach( line => stdout( line ) );
+        if ( text !== null ) {
+          write( text );
+        }
+      }
+    }
+  }
+  catch ( err ) {
+    exitCode = getExitCode( err );
+    if ( format === FORMAT_JSON ) {
+      stdout( JSON.stringify( { error: genJsonError( err ) }, null, 2 ) );
+    } else {
+      stderr( `ERROR: ${err.message}` );
+      if ( exitCode === EXIT_USAGE ) {
+        stderr( 'Try --help for usage' );
+      }
+    }
+  }
+
+  return exitCode;
+}
+
+module.exports = {
+  runCli,
+};
@@ -0,0 +1,269 @@
+/**
+ * Configuration file support.
+ *
+ * The options may be set in a configuration file, which is the first of these in the package directory:
+ *   - '.readmefixerrc'      : JSON;
+ *   - '.readmefixerrc.json' : JSON;
+ *   - '.readmefixerrc.js'   : a CommonJS module exporting the configuration object;
+ *   - 'package.json'        : the 'readmeFixer' property.
+ *
+ * The configuration properties are the processReadme options that control the behaviour, see CONFIG_SCHEMA,
+ * and are validated before use. Options given on the command line override the configuration file.
+ */
+'use strict';
+
+const path = require( 'path' );
+const fs   = require( 'fs' );
+
+const { parseJson } = require( './json-text' );
+
+const CONFIG_FILENAMES    = [ '.readmefixerrc', '.readmefixerrc.json', '.readmefixerrc.js' ]; // In order of precedence
+const PACKAGE_FILENAME    = 'package.json';
+const PACKAGE_CONFIG_KEY  = 'readmeFixer';     // The package.json property containing the configuration
+const ERR_FILE_NOT_FOUND  = 'EFILENOTFOUND';   // Error code when the configuration file does not exist, as readme-fixer
+const ERR_INVALID_CONFIG  = 'EINVALIDCONFIG';  // Error code when the configuration cannot be loaded or is invalid
+const CONFIG_SCHEMA       = {                  // Each property schema has a type, and optionally a range, values or properties
+  type:       'object',
+  properties: {
+    registry:      { type: 'string' },
+    webPath:       { type: 'string' },
+    urlTemplate:   { type: 'string' },
+    strict:        { type: 'boolean' },
+    maxReadmeSize: { type: 'integer', min: 0 },
+    concurrency:   { type: 'integer', min: 1 },
+    failFast:      { type: 'boolean' },
+    backups:       {
+      type:       'object',
+      properties: {
+        dir:  { type: 'string' },
+        keep: { type: 'integer', min: 0 },
+      },
+    },
+    toc: {
+      type:       'object',
+      properties: {
+        minDepth: { type: 'integer', min: 1, max: 6 },
+        maxDepth: { type: 'integer', min: 1, max: 6 },
+        bullet:   { type: 'string', values: [ '-', '*', '+' ], orArray: true },
+      },
+    },
+    fileLinks: {
+      type:       'object',
+      properties: {
+        strategy:   { type: 'string', values: [ 'none', 'repository', 'tarball' ] },
+        ref:        { type: 'string' },
+        tarballUrl: { type: 'string' },
+        readmeDir:  { type: 'string' },
+      },
+    },
+    images: {
+      type:       'object',
+      properties: {
+        inlineMaxSize: { type: 'integer', min: 0 },
+        baseUrl:       { type: 'string' },
+        readmeDir:     { type: 'string' },
+      },
+    },
+    links: {
+      type:       'object',
+      properties: {
+        definitions: { type: 'boolean' },
+        html:        { type: 'boolean' },
+      },
+    },
+  },
+};
+
+/**
+ * @param {*} value : any value.
+ * @returns true if the value is an object that is not null or an array.
+ */
+function isPlainObject( value ) {
+  return ( value !== null ) && ( typeof value === 'object' ) && ! Array.isArray( value );
+}
+
+/**
+ * @param {Object} schema : a property schema, see CONFIG_SCHEMA.
+ * @returns a description of the valid values, e.g., 'an integer from 1 to 6'.
+ */
+function genSchemaDescription( { type, min, max, values, orArray } ) {
+  let description;
+
+  if ( values ) {
+    description = `one of: ${values.join( ', ' )}`;
+  } else if ( type === 'integer' ) {
+    description = 'an integer' + ( max !== undefined ? ` from ${min} to ${max}` : ( min !== undefined ? ` of ${min} or more` : '' ) );
+  } else {
+    description = ( type === 'object' ? 'an object' : `a ${type}` );
+  }
+
+  return ( orArray ? `${description}, or a non-empty array of them` : description );
+}
+
+/**
+ * @param {*}      value : a value;
+ * @param {Object} schema : the property schema, see CONFIG_SCHEMA.
+ * @returns true if the value is valid for the schema, not including any object properties.
+ */
+function isValidValue( value, { type, min, max, values } ) {
+  let isValid;
+
+  if ( type === 'object' ) {
+    isValid = isPlainObject( value );
+  } else if ( type === 'integer' ) {
+    isValid = Number.isInteger( value ) && ( ( min === undefined ) || ( value >= min ) ) && ( ( max === undefined ) || ( value <= max ) );
+  } else {
+    isValid = ( typeof value === type ) && ( ! values || values.includes( value ) );
+  }
+
+  return isValid;
+}
+
+/**
+ * @param {*}      value   : the value to validate;
+ * @param {Object} schema  : the property schema, see CONFIG_SCHEMA;
+ * @param {string} keyPath : the property path of the value, e.g., 'toc.maxDepth', or '' for the configuration.
+ * @returns array of the error messages, empty if the value is valid.
+ */
+function validateValue( value, schema, keyPath ) {
+  const errors = [];
+
+  if ( schema.orArray && Array.isArray( value ) && ( value.length > 0 ) ) {
+    value.forEach( ( item, i ) => errors.push( ...validateValue( item, { ...schema, orArray: false }, `${keyPath}[${i}]` ) ) );
+  } else if ( ! isValidValue( value, schema ) ) {
+    errors.push( `${keyPath || 'the configuration'} must be ${genSchemaDescription( schema )}` );
+  } else if ( schema.type === 'object' ) {
+    Object.keys( value ).forEach( key => {
+      const propertyPath = ( keyPath ? `${keyPath}.${key}` : key );
+      if ( Object.prototype.hasOwnProperty.call( schema.properties, key ) ) {
+        errors.push( ...validateValue( value[ key ], schema.properties[ key ], propertyPath ) );
+      } else {
+        errors.push( `${propertyPath} is not a known option` );
+      }
+    } );
+  }
+
+  return errors;
+}
+
+/**
+ * @param {Object} config   : the configuration;
+ * @param {string} pathname : the pathname of the file the configuration was loaded from.
+ * @exception if the configuration is invalid, with property code 'EINVALIDCONFIG' and a message listing every error.
+ */
+function validateConfig( config, pathname ) {
+  const errors = validateValue( config, CONFIG_SCHEMA, '' );
+
+  if ( errors.length > 0 ) {
+    const err = new Error( `Invalid configuration in ${pathname}: ${errors.join( '; ' )}` );
+    err.code = ERR_INVALID_CONFIG;
+    throw err;
+  }
+}
+
+/**
+ * @param {string} pathname : the configuration file pathname, '.js' files are loaded as modules, others as JSON.
+ * @returns the configuration, not validated.
+ * @exception if the file cannot be read or parsed, with property code 'EINVALIDCONFIG'.
+ */
+function readConfigFile( pathname ) {
+  try {
+    return ( path.extname( pathname ) === '.js'
+      ? require( pathname )
+      : parseJson( fs.readFileSync( pathname, { encoding: 'utf-8' } ) ) );
+  }
+  catch ( err ) {
+    const configErr = new Error( `Invalid configuration file: ${pathname}: ${err.message}` );
+    configErr.code = ERR_INVALID_CONFIG;
+    throw configErr;
+  }
+}
+
+/**
+ * @param {string} dir : the package directory.
+ * @returns the package.json readmeFixer property, or undefined if there is none or the package file cannot be parsed,
+ *          which is reported when the package is loaded.
+ */
+function readPackageConfig( dir ) {
+  const pathname = path.join( dir, PACKAGE_FILENAME );
+  let   config;
+
+  if ( fs.existsSync( pathname ) ) {
+    try {
+      config = parseJson( fs.readFileSync( pathname, { encoding: 'utf-8' } ) )?.[ PACKAGE_CONFIG_KEY ];
+    }
+    catch {
+      config = undefined;
+    }
+  }
+
+  return config;
+}
+
+/**
+ * Load and validate the configuration.
+ * @param {string} dir     : the package directory, that the configuration file is found in, default '.';
+ * @param {Object} options : object with optional properties:
+ *                            - configPathname : the configuration file, instead of finding it in the package directory.
+ * @returns object with properties:
+ *           - config   : the configuration, empty if there is no configuration file;
+ *           - pathname : the absolute pathname of the configuration file, or null if there is none.
+ * @exception if the configuration file is not found or is invalid, see readConfigFile and validateConfig.
+ */
+function loadConfig( dir = '.', { configPathname } = {} ) {
+  let pathname = null;
+  let config   = {};
+
+  if ( configPathname ) {
+    pathname = path.resolve( configPathname );
+    if ( ! fs.existsSync( pathname ) ) {
+      const err = new Error( `Configuration file not found: ${pathname}` );
+      err.code = ERR_FILE_NOT_FOUND;
+      throw err;
+    }
+    config = readConfigFile( pathname );
+  } else {
+    const filename = CONFIG_FILENAMES.find( name => fs.existsSync( path.resolve( dir, name ) ) );
+    if ( filename ) {
+      pathname = path.resolve( dir, filename );
+      config   = readConfigFile( pathname );
+    } else {
+      const packageConfig = readPackageConfig( dir );
+      if ( packageConfig !== undefined ) {
+        pathname = path.resolve( dir, PACKAGE_FILENAME );
+        config   = packageConfig;
+      }
+    }
+  }
+
+  if ( pathname !== null ) {
+    validateConfig( config, pathname );
+  }
+
+  return { config, pathname };
+}
+
+/**
+ * @param {Object} config  : the configuration, see loadConfig;
+ * @param {Object} options : the options, e.g., from the command line, where an undefined value is not set.
+ * @returns the options merged into the configuration, recursively for object properties, so the options take precedence.
+ */
+function mergeOptions( config, options ) {
+  const merged = { ...config };
+
+  Object.entries( options ).forEach( ( [ key, value ] ) => {
+    if ( isPlainObject( value ) && isPlainObject( merged[ key ] ) ) {
+      merged[ key ] = mergeOptions( merged[ key ], value );
+    } else if ( value !== undefined ) {
+      merged[ key ] = value;
+    }
+  } );
+
+  return merged;
+}
+
+module.exports = {
+  loadConfig,
+  mergeOptions,
+  ERR_INVALID_CONFIG,
+};
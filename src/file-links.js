@@ -0,0 +1,197 @@
+/**
+ * Relative links to other files of the package, e.g., [Guide](./docs/guide.md) or [License](LICENSE).
+ *
+ * The README is served by the Verdaccio Web UI without the other package files, so relative links are dead.
+ * They may be rewritten using one of the strategies:
+ *   - 'none'       : leave the links unchanged, the default;
+ *   - 'repository' : link to the file in the source repository, from the package.json repository or homepage property;
+ *   - 'tarball'    : link to the file in the published package, using an unpkg-style path, e.g., ${tarballUrl}/my-pkg@1.0.0/docs/guide.md.
+ */
+'use strict';
+
+const path          = require( 'path' );
+const hostedGitInfo = require( 'hosted-git-info' );
+const minimatch     = require( 'minimatch' );
+
+const { findLinkTargets, getLineColumn } = require( './markdown-parser' );
+
+const STRATEGY_NONE       = 'none';
+const STRATEGY_REPOSITORY = 'repository';
+const STRATEGY_TARBALL    = 'tarball';
+const STRATEGIES          = [ STRATEGY_NONE, STRATEGY_REPOSITORY, STRATEGY_TARBALL ];
+const DEFAULT_REF         = 'HEAD'; // The default branch of the repository
+const RE_URL_SCHEME       = /^[a-z][a-z0-9+.-]*:/i;
+const RE_ALWAYS_PUBLISHED = /^(?:package\.json|(?:readme|copying|license|licence|notice)(?:\..*)?)$/i; // npm always publishes these from the package root
+
+/**
+ * @param {string} destination : a link destination.
+ * @returns true if the destination is a relative path to a file, i.e., has no URL scheme and is not a fragment or protocol-relative.
+ */
+function isFileLink( destination ) {
+  return ( destination.length > 0 ) &&
+    ! destination.startsWith( '#' ) &&
+    ! destination.startsWith( '?' ) &&
+    ! destination.startsWith( '//' ) &&
+    ! RE_URL_SCHEME.test( destination );
+}
+
+/**
+ * @param {string} destination : a relative link destination, e.g., './docs/guide.md#install';
+ * @param {string} readmeDir   : the directory containing the README, relative to the package root, e.g., '' or 'docs'.
+ * @returns object with properties:
+ *           - file   : the file pathname relative to the package root, e.g., 'docs/guide.md', or null if outside the package;
+ *           - suffix : any query and fragment, e.g., '#install'.
+ */
+function parseFileLink( destination, readmeDir = '' ) {
+  const [ , linkPath, suffix ] = destination.match( /^([^?#]*)(.*)$/ );
+  const rootPath = ( linkPath.startsWith( '/' ) ? linkPath.slice( 1 ) : path.posix.join( readmeDir, linkPath ) );
+  let   file     = path.posix.normalize( rootPath ).replace( /\/$/, '' );
+
+  if ( ( file === '..' ) || file.startsWith( '../' ) ) {
+    file = null;
+  } else if ( file === '.' ) {
+    file = '';
+  }
+
+  return { file, suffix };
+}
+
+/**
+ * @param {string} pattern : a package.json files pattern, e.g., './lib/' or '*.md'.
+ * @returns the pattern relative to the package root without any leading './' or trailing '/'.
+ */
+function normalizeFilesPattern( pattern ) {
+  return path.posix.normalize( pattern ).replace( /^(?:\.\/|\/)+/, '' ).replace( /\/$/, '' );
+}
+
+/**
+ * Use the same rules as npm: if there is no files property all files are published,
+ * otherwise a file is published if it matches a files pattern, or is within a matching directory,
+ * and does not match a later negated pattern.
+ * @param {Object} packageContent : the package.json file as an object;
+ * @param {string} file           : a file pathname relative to the package root, e.g., 'docs/guide.md'.
+ * @returns true if the file is included in the published package.
+ */
+function isPublishedFile( packageContent, file ) {
+  const files = packageContent.files;
+  let   isPublished;
+
+  if ( ! Array.isArray( files ) ) {
+    isPublished = true;
+  } else if ( RE_ALWAYS_PUBLISHED.test( file ) || ( packageContent.main && ( normalizeFilesPattern( packageContent.main ) === file ) ) ) {
+    isPublished = true;
+  } else {
+    isPublished = false;
+    files.forEach( rawPattern => {
+      const isNegated = rawPattern.startsWith( '!' );
+      const pattern   = normalizeFilesPattern( isNegated ? rawPattern.slice( 1 ) : rawPattern );
+      if ( minimatch( file, pattern, { dot: true } ) || minimatch( file, `${pattern}/**`, { dot: true } ) ) {
+        isPublished = ! isNegated;
+      }
+    } );
+  }
+
+  return isPublished;
+}
+
+/**
+ * @param {Object} packageContent : the package.json file as an object;
+ * @param {string} ref            : the branch, tag or commit to link to, unless the repository URL specifies one.
+ * @returns function that takes a file pathname relative to the package root and a raw flag, and returns the URL of the file
+ *          in the repository: if raw, the file content, e.g., for an image, otherwise the repository web page for the file.
+ * @exception if the package has no repository or homepage property.
+ */
+function genRepositoryUrlGenerator( packageContent, ref ) {
+  const repository = packageContent.repository;
+  const repoUrl    = ( typeof repository === 'string' ? repository : repository?.url );
+  const repoDir    = ( typeof repository === 'object' ? repository?.directory || '' : '' );
+  const homepage   = packageContent.homepage?.replace( /#.*$/, '' ); // A homepage fragment, e.g., '#readme', is not a git ref
+  const hostedInfo = ( repoUrl && hostedGitInfo.fromUrl( repoUrl ) ) || ( homepage && hostedGitInfo.fromUrl( homepage ) );
+  let   genUrl;
+
+  if ( hostedInfo ) {
+    const committish = hostedInfo.committish || ref;
+    genUrl = ( file, isRaw ) => hostedInfo[ isRaw ? 'file' : 'browse' ]( path.posix.join( repoDir, file ), { committish } );
+  } else if ( homepage ) {
+    const homepageDir = ( homepage.endsWith( '/' ) ? homepage : `${homepage}/` );
+    genUrl = file => new URL( file, homepageDir ).href;
+  } else {
+    throw new Error( 'Cannot link to files in the repository, package.json has no repository or homepage property' );
+  }
+
+  return genUrl;
+}
+
+/**
+ * @param {Object} packageContent : the package.json file as an object;
+ * @param {Object} options        : object with optional properties:
+ *                                   - strategy   : 'none', 'repository' or 'tarball', see above, default 'none';
+ *                                   - ref        : for the 'repository' strategy, the branch, tag or commit, default 'HEAD';
+ *                                   - tarballUrl : for the 'tarball' strategy, the base URL serving the package files;
+ *                                   - readmeDir  : the directory containing the README, relative to the package root, default ''.
+ * @returns function that takes a link destination, and optionally an object with property isRaw, true to link to the
+ *          file content rather than a web page, e.g., for an image, and returns the rewritten destination,
+ *          or null if the destination is not a relative link to a file in the package or the strategy is 'none'.
+ * @exception if an option is invalid or the package.json does not have the properties required by the strategy.
+ */
+function genFileLinkResolver( packageContent, { strategy = STRATEGY_NONE, ref = DEFAULT_REF, tarballUrl, readmeDir = '' } = {} ) {
+  let genUrl = null;
+
+  if ( ! STRATEGIES.includes( strategy ) ) {
+    throw new Error( `Invalid file link strategy: ${strategy}, must be one of: ${STRATEGIES.join( ', ' )}` );
+  }
+
+  if ( strategy === STRATEGY_REPOSITORY ) {
+    genUrl = genRepositoryUrlGenerator( packageContent, ref );
+  } else if ( strategy === STRATEGY_TARBALL ) {
+    if ( ! ( tarballUrl && packageContent.name && packageContent.version ) ) {
+      throw new Error( 'Cannot link to files in the package, the tarball URL, package name and package version are required' );
+    }
+    const baseUrl = tarballUrl.replace( /\/+$/, '' );
+    genUrl = file => `${baseUrl}/${packageContent.name}@${packageContent.version}/${file}`;
+  }
+
+  return ( destination, { isRaw = false } = {} ) => {
+    let fixedDestination = null;
+    if ( genUrl && isFileLink( destination ) ) {
+      const { file, suffix } = parseFileLink( destination, readmeDir );
+      if ( file ) {
+        fixedDestination = genUrl( file, isRaw ) + suffix;
+      }
+    }
+    return fixedDestination;
+  };
+}
+
+/**
+ * @param {string} rawReadmeText  : the markdown;
+ * @param {Object} packageContent : the package.json file as an object;
+ * @param {string} readmeDir      : the directory containing the README, relative to the package root.
+ * @returns array of the relative file links to files that are not in the published package, each an object with properties:
+ *           - destination : the link destination, e.g., './docs/guide.md';
+ *           - file        : the file pathname relative to the package root, or null if the file is outside the package;
+ *           - line        : the line number of the link destination, starting from 1;
+ *           - column      : the column number of the link destination, starting from 1.
+ */
+function findUnpublishedFileLinks( rawReadmeText, packageContent, readmeDir = '' ) {
+  const unpublishedFileLinks = [];
+
+  findLinkTargets( rawReadmeText )
+    .filter( ( { destination } ) => isFileLink( destination ) )
+    .forEach( ( { destination, start } ) => {
+      const { file } = parseFileLink( destination, readmeDir );
+      if ( ( file === null ) || ( ( file !== '' ) && ! isPublishedFile( packageContent, file ) ) ) {
+        unpublishedFileLinks.push( { destination, file, ...getLineColumn( rawReadmeText, start ) } );
+      }
+    } );
+
+  return unpublishedFileLinks;
+}
+
+module.exports = {
+  isFileLink,
+  parseFileLink,
+  isPublishedFile,
+  genFileLinkResolver,
+  findUnpublishedFileLinks,
+};
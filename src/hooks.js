@@ -0,0 +1,79 @@
+/**
+ * The npm lifecycle scripts that embed the fixed README in the package.json file when the package is packed or published,
+ * and then restore the package.json file, so that the fixed readme is not left in the working tree to be committed.
+ *
+ * The scripts are:
+ *   - prepack     : run by npm pack and npm publish before the tarball is created, fixes the readme, which backs up the package file;
+ *   - postpack    : run after the tarball is created, restores the most recent backup, i.e., the package file before prepack,
+ *                   except when publishing, see isPublishPostpack;
+ *   - postpublish : run by npm publish after the package is published, restores the most recent backup.
+ * npm publish reads the package.json file again after packing, for the readme of the published metadata, so the package
+ * file is restored by postpublish rather than postpack, otherwise the unfixed readme would be published.
+ * prepublishOnly is not used as npm pack does not run it, so the package file would not be restored after packing.
+ * A script that already exists is kept, and the command is appended to it with &&, e.g., after a build in prepack.
+ */
+'use strict';
+
+const HOOK_COMMAND   = 'verdaccio-readme-fixer'; // The package bin, run from the package node_modules/.bin by npm
+const HOOK_SCRIPTS   = {                         // The commands of the lifecycle scripts
+  prepack:     HOOK_COMMAND,
+  postpack:    `${HOOK_COMMAND} restore`,
+  postpublish: `${HOOK_COMMAND} restore`,
+};
+const HOOK_ADDED     = 'added';
+const HOOK_UPDATED   = 'updated';
+const HOOK_UNCHANGED = 'unchanged';
+
+/**
+ * @param {string} script  : a lifecycle script;
+ * @param {string} command : the command of the hook, see HOOK_SCRIPTS.
+ * @returns true if one of the commands of the script is the command, with or without options,
+ *          e.g., 'npm run build && verdaccio-readme-fixer --strict' has the command 'verdaccio-readme-fixer'.
+ */
+function hasHookCommand( script, command ) {
+  return script.split( /&&|\|\||;/ )
+    .map( scriptCommand => scriptCommand.trim() )
+    .some( scriptCommand => ( scriptCommand === command ) || scriptCommand.startsWith( `${command} -` ) );
+}
+
+/**
+ * @param {Object} scripts : the package.json scripts property, or undefined.
+ * @returns array of the hook scripts, each an object with properties:
+ *           - name   : the script name, e.g., 'prepack';
+ *           - script : the script with the hook command;
+ *           - status : 'added' if there was no such script, 'updated' if the command was appended to the script,
+ *                      or 'unchanged' if the script already has the command.
+ */
+function genHookScripts( scripts ) {
+  return Object.entries( HOOK_SCRIPTS ).map( ( [ name, command ] ) => {
+    const script = ( typeof scripts?.[ name ] === 'string' ? scripts[ name ].trim() : '' );
+    let   hook;
+
+    if ( script === '' ) {
+      hook = { name, script: command, status: HOOK_ADDED };
+    } else if ( hasHookCommand( script, command ) ) {
+      hook = { name, script, status: HOOK_UNCHANGED };
+    } else {
+      hook = { name, script: `${script} && ${command}`, status: HOOK_UPDATED };
+    }
+
+    return hook;
+  } );
+}
+
+/**
+ * @param {Object} env : the environment variables, which npm sets for the lifecycle scripts.
+ * @returns true if run by the postpack script of npm publish, when the package file must not be restored yet,
+ *          as the postpublish script restores it, see above.
+ */
+function isPublishPostpack( env ) {
+  return ( env.npm_lifecycle_event === 'postpack' ) && ( env.npm_command === 'publish' );
+}
+
+module.exports = {
+  genHookScripts,
+  isPublishPostpack,
+  HOOK_ADDED,
+  HOOK_UPDATED,
+  HOOK_UNCHANGED,
+};
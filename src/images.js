@@ -0,0 +1,84 @@
+/**
+ * Relative image sources, e.g., ![diagram](./img/arch.png) or <img src="img/logo.png">.
+ *
+ * The README is served by the Verdaccio Web UI without the image files, so the images are broken.
+ * Each relative image source is rewritten, in order of preference, to:
+ *   - a base64 data URI, if inlining is enabled and the image file is no larger than the inline size limit;
+ *   - the image file under an absolute base URL, e.g., ${baseUrl}/img/arch.png;
+ *   - the raw file content URL from the relative file link strategy, see file-links.genFileLinkResolver.
+ */
+'use strict';
+
+const path = require( 'path' );
+const fs   = require( 'fs' );
+
+const { isFileLink, parseFileLink } = require( './file-links' );
+
+const DEFAULT_INLINE_MAX_SIZE = 0; // Images are not inlined unless a limit is specified
+const MIME_TYPES              = {
+  '.apng': 'image/apng',
+  '.avif': 'image/avif',
+  '.bmp':  'image/bmp',
+  '.gif':  'image/gif',
+  '.ico':  'image/x-icon',
+  '.jpeg': 'image/jpeg',
+  '.jpg':  'image/jpeg',
+  '.png':  'image/png',
+  '.svg':  'image/svg+xml',
+  '.webp': 'image/webp',
+};
+
+/**
+ * @param {string} pathname : the image file pathname;
+ * @param {number} maxSize  : the largest file size to inline, in bytes.
+ * @returns the base64 data URI of the image, or null if the file does not exist, is too large or is not a known image type.
+ */
+function genDataUri( pathname, maxSize ) {
+  const mimeType = MIME_TYPES[ path.extname( pathname ).toLowerCase() ];
+  let   dataUri  = null;
+
+  if ( mimeType && fs.existsSync( pathname ) ) {
+    const stats = fs.statSync( pathname );
+    if ( stats.isFile() && ( stats.size <= maxSize ) ) {
+      dataUri = `data:${mimeType};base64,${fs.readFileSync( pathname ).toString( 'base64' )}`;
+    }
+  }
+
+  return dataUri;
+}
+
+/**
+ * @param {string}   packageDir      : the package root directory;
+ * @param {Object}   options         : object with optional properties:
+ *                                      - inlineMaxSize : the largest image file to embed as a data URI, in bytes, 0 to never embed, default 0;
+ *                                      - baseUrl       : the absolute URL that the image pathnames are relative to;
+ *                                      - readmeDir     : the directory containing the README, relative to the package root, default '';
+ * @param {Function} resolveFileLink : optional function used if the image is neither embedded nor has a base URL,
+ *                                     see file-links.genFileLinkResolver.
+ * @returns function that takes an image source and returns the rewritten source,
+ *          or null if the source is not a relative path to a file in the package or is unchanged.
+ * @exception if an option is invalid.
+ */
+function genImageResolver( packageDir, { inlineMaxSize = DEFAULT_INLINE_MAX_SIZE, baseUrl, readmeDir = '' } = {}, resolveFileLink = () => null ) {
+  if ( ! ( Number.isInteger( inlineMaxSize ) && ( inlineMaxSize >= 0 ) ) ) {
+    throw new Error( `Invalid image inline size limit: ${inlineMaxSize}` );
+  }
+
+  return destination => {
+    let fixedDestination = null;
+    if ( isFileLink( destination ) ) {
+      const { file, suffix } = parseFileLink( destination, readmeDir );
+      if ( file ) {
+        fixedDestination = ( inlineMaxSize > 0 ? genDataUri( path.join( packageDir, file ), inlineMaxSize ) : null );
+        if ( fixedDestination === null ) {
+          fixedDestination = ( baseUrl ? `${baseUrl.replace( /\/+$/, '' )}/${file}${suffix}` : resolveFileLink( destination, { isRaw: true } ) );
+        }
+      }
+    }
+    return fixedDestination;
+  };
+}
+
+module.exports = {
+  genImageResolver,
+};
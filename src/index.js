@@ -1,20 +1,13 @@
+#!/usr/bin/env node
 /**
  * Script to fix Verdaccio README.md files.
- * See 'readme-fixer.js' for details.
+ * See 'cli.js' for the command line arguments and exit codes, and 'readme-fixer.js' for details.
  */
 'use strict';
 
-const readmeFixer = require( './readme-fixer' );
+const { runCli } = require( './cli' );
 
-// No point in fancy argument parsing, just check whether the last argument ends in '.md'
-const lastArg        = process.argv[ process.argv.length - 1 ];
-const readmePathname = ( lastArg.match( /\.md$/i ) ? lastArg : undefined );
-
-readmeFixer.processReadme( readmePathname )
-.then( ( { packagePathname, backupPackagePathname } ) => {
-  console.log( `Backup package file created: ${backupPackagePathname}` );
-  console.log( `Package file readme updated: ${packagePathname}` );
-} )
-.catch( err => {
-  console.log( `ERROR: ${err.message}` );
+runCli( process.argv.slice( 2 ) )
+.then( exitCode => {
+  process.exitCode = exitCode;
 } );
@@ -0,0 +1,233 @@
+/**
+ * Editing of JSON text that preserves the formatting.
+ *
+ * Rather than parsing and re-serializing the JSON, which would change the indentation, line endings and
+ * final newline to whatever JSON.stringify produces, the text is scanned for the position of a top-level
+ * property value, and only that value is replaced. A new property is added after the last property,
+ * using the same indentation and separators as the existing properties. A property of a top-level object property,
+ * e.g., scripts.prepack, is set the same way within the object property value.
+ * A leading UTF-8 byte order mark, as saved by some Windows editors, is ignored when parsing and kept when editing.
+ */
+'use strict';
+
+const RE_WHITESPACE  = /[ \t\n\r]/; // JSON insignificant whitespace
+const DEFAULT_INDENT = '  ';        // Used to add a property to an empty object
+const BOM            = '\uFEFF';    // The byte order mark, which JSON.parse rejects
+
+/**
+ * @param {string} text   : the JSON text;
+ * @param {number} offset : an offset into the text.
+ * @returns the offset of the next character that is not whitespace.
+ */
+function skipWhitespace( text, offset ) {
+  let i = offset;
+  while ( ( i < text.length ) && RE_WHITESPACE.test( text[ i ] ) ) {
+    ++i;
+  }
+  return i;
+}
+
+/**
+ * @param {string} text   : the JSON text;
+ * @param {number} offset : the offset of the opening quote of a string.
+ * @returns the offset after the closing quote.
+ */
+function skipString( text, offset ) {
+  let i = offset + 1;
+  while ( text[ i ] !== '"' ) {
+    i += ( text[ i ] === '\\' ? 2 : 1 );
+  }
+  return i + 1;
+}
+
+/**
+ * @param {string} text   : the JSON text;
+ * @param {number} offset : the offset of the first character of a value.
+ * @returns the offset after the last character of the value.
+ */
+function skipValue( text, offset ) {
+  let i     = offset;
+  let depth = 0;
+
+  do {
+    const c = text[ i ];
+    if ( c === '"' ) {
+      i = skipString( text, i );
+    } else if ( ( c === '{' ) || ( c === '[' ) ) {
+      ++depth;
+      ++i;
+    } else if ( ( c === '}' ) || ( c === ']' ) ) {
+      --depth;
+      ++i;
+    } else if ( depth > 0 ) {
+      ++i;
+    } else {
+      while ( ( i < text.length ) && ! RE_WHITESPACE.test( text[ i ] ) && ! ',}]'.includes( text[ i ] ) ) {
+        ++i; // A number, true, false or null
+      }
+    }
+  } while ( depth > 0 );
+
+  return i;
+}
+
+/**
+ * @param {string} jsonText : valid JSON text of an object.
+ * @returns object with properties:
+ *           - properties : array of the top-level properties in order, each an object with properties:
+ *                           - key        : the property name;
+ *                           - keyStart   : offset of the opening quote of the name;
+ *                           - keyEnd     : offset after the closing quote of the name;
+ *                           - valueStart : offset of the first character of the value;
+ *                           - valueEnd   : offset after the last character of the value;
+ *           - end        : offset of the closing brace of the object.
+ */
+function findProperties( jsonText ) {
+  const properties = [];
+  let   i          = skipWhitespace( jsonText, skipWhitespace( jsonText, 0 ) + 1 ); // After the opening brace
+
+  while ( jsonText[ i ] === '"' ) {
+    const keyStart   = i;
+    const keyEnd     = skipString( jsonText, keyStart );
+    const valueStart = skipWhitespace( jsonText, skipWhitespace( jsonText, keyEnd ) + 1 ); // After the colon
+    const valueEnd   = skipValue( jsonText, valueStart );
+    properties.push( { key: JSON.parse( jsonText.slice( keyStart, keyEnd ) ), keyStart, keyEnd, valueStart, valueEnd } );
+    i = skipWhitespace( jsonText, valueEnd );
+    if ( jsonText[ i ] === ',' ) {
+      i = skipWhitespace( jsonText, i + 1 );
+    }
+  }
+
+  return { properties, end: i };
+}
+
+/**
+ * @param {string} jsonText : JSON text, with or without a leading byte order mark.
+ * @returns the parsed JSON text, as JSON.parse.
+ * @exception if the text is not valid JSON.
+ */
+function parseJson( jsonText ) {
+  return JSON.parse( jsonText.startsWith( BOM ) ? jsonText.slice( BOM.length ) : jsonText );
+}
+
+/**
+ * @param {string}   jsonText : JSON text, with or without a leading byte order mark;
+ * @param {Function} edit     : function that takes the JSON text without the byte order mark and returns it edited.
+ * @returns the edited JSON text, with the byte order mark if the JSON text had one.
+ */
+function editWithoutBom( jsonText, edit ) {
+  return ( jsonText.startsWith( BOM ) ? BOM + edit( jsonText.slice( BOM.length ) ) : edit( jsonText ) );
+}
+
+/**
+ * @param {*} value : a parsed JSON value.
+ * @returns true if the value is an object, not null or an array.
+ */
+function isJsonObject( value ) {
+  return ( value !== null ) && ( typeof value === 'object' ) && ! Array.isArray( value );
+}
+
+/**
+ * @param {string} jsonText : JSON text.
+ * @returns the parsed object.
+ * @exception if the text is not a JSON object.
+ */
+function parseJsonObject( jsonText ) {
+  const parsed = parseJson( jsonText );
+  if ( ! isJsonObject( parsed ) ) {
+    throw new Error( 'JSON text is not an object' );
+  }
+  return parsed;
+}
+
+/**
+ * @param {string} jsonText  : JSON text of an object;
+ * @param {string} key       : the property name;
+ * @param {string} valueText : the property value as JSON text.
+ * @returns the JSON text with the property set, see setJsonProperty.
+ */
+function setJsonPropertyText( jsonText, key, valueText ) {
+  const { properties, end } = findProperties( jsonText );
+  const existing            = properties.filter( property => ( property.key === key ) ).pop();
+  const openBrace           = jsonText.indexOf( '{' );
+  const keyText             = JSON.stringify( key );
+  let   newJsonText;
+
+  if ( existing ) {
+    newJsonText = jsonText.slice( 0, existing.valueStart ) + valueText + jsonText.slice( existing.valueEnd );
+  } else if ( properties.length === 0 ) {
+    const eol   = ( jsonText.includes( '\r\n' ) ? '\r\n' : '\n' );
+    newJsonText = jsonText.slice( 0, openBrace + 1 ) + `${eol}${DEFAULT_INDENT}${keyText}: ${valueText}${eol}` + jsonText.slice( end );
+  } else {
+    const first     = properties[ 0 ];
+    const last      = properties[ properties.length - 1 ];
+    const separator = ( properties.length > 1
+      ? jsonText.slice( properties[ properties.length - 2 ].valueEnd, last.keyStart ) // e.g., ',\n\t'
+      : `,${jsonText.slice( openBrace + 1, first.keyStart )}` );
+    const colon     = jsonText.slice( first.keyEnd, first.valueStart ); // e.g., ': '
+    newJsonText     = jsonText.slice( 0, last.valueEnd ) + `${separator}${keyText}${colon}${valueText}` + jsonText.slice( last.valueEnd );
+  }
+
+  return newJsonText;
+}
+
+/**
+ * Set a top-level property of a JSON object, leaving the rest of the text unchanged.
+ * If the property exists its value is replaced, otherwise the property is added after the last property.
+ * If a property name is duplicated, the last one is replaced, as that is the value used by JSON.parse.
+ * e.g., setJsonProperty( '{\n\t"name": "x"\n}\n', 'readme', 'text' ) returns '{\n\t"name": "x",\n\t"readme": "text"\n}\n'.
+ * @param {string} jsonText : JSON text of an object;
+ * @param {string} key      : the property name;
+ * @param {*}      value    : the property value, which must be serializable by JSON.stringify.
+ * @returns the JSON text with the property set.
+ * @exception if the text is not a JSON object.
+ */
+function setJsonProperty( jsonText, key, value ) {
+  return editWithoutBom( jsonText, text => {
+    parseJsonObject( text );
+    return setJsonPropertyText( text, key, JSON.stringify( value ) );
+  } );
+}
+
+/**
+ * Set a property of a top-level object property, leaving the rest of the text unchanged, see setJsonProperty.
+ * If the object property does not exist, is empty or is not an object, it is set to an object of just the property,
+ * indented one level more than the top-level properties, e.g.,
+ * setJsonSubProperty( '{\n  "name": "x"\n}', 'scripts', 'test', 'mocha' ) returns
+ * '{\n  "name": "x",\n  "scripts": {\n    "test": "mocha"\n  }\n}'.
+ * @param {string} jsonText : JSON text of an object;
+ * @param {string} key      : the top-level property name;
+ * @param {string} subKey   : the name of the property of the top-level property;
+ * @param {*}      value    : the property value, which must be serializable by JSON.stringify.
+ * @returns the JSON text with the property set.
+ * @exception if the text is not a JSON object.
+ */
+function setJsonSubProperty( jsonText, key, subKey, value ) {
+  return editWithoutBom( jsonText, text => {
+    const parsed         = parseJsonObject( text );
+    const { properties } = findProperties( text );
+    const existing       = properties.filter( property => ( property.key === key ) ).pop();
+    let   newJsonText;
+
+    if ( existing && isJsonObject( parsed[ key ] ) && ( Object.keys( parsed[ key ] ).length > 0 ) ) {
+      const objectText = setJsonProperty( text.slice( existing.valueStart, existing.valueEnd ), subKey, value );
+      newJsonText      = text.slice( 0, existing.valueStart ) + objectText + text.slice( existing.valueEnd );
+    } else {
+      const lineStart  = ( properties.length > 0 ? text.lastIndexOf( '\n', properties[ 0 ].keyStart ) : -1 );
+      const indent     = ( properties.length > 0 ? text.slice( lineStart + 1, properties[ 0 ].keyStart ) : DEFAULT_INDENT );
+      const eol        = ( text.includes( '\r\n' ) ? '\r\n' : '\n' );
+      const objectText = ( ( lineStart >= 0 ) || ( properties.length === 0 )
+        ? `{${eol}${indent}${indent}${JSON.stringify( subKey )}: ${JSON.stringify( value )}${eol}${indent}}`
+        : JSON.stringify( { [ subKey ]: value } ) ); // All on one line, as the top-level properties
+      newJsonText      = setJsonPropertyText( text, key, objectText );
+    }
+
+    return newJsonText;
+  } );
+}
+
+module.exports = {
+  parseJson,
+  setJsonProperty,
+  setJsonSubProperty,
+};
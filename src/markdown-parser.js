@@ -0,0 +1,405 @@
+/**
+ * Markdown parsing utilities.
+ * Wraps the micromark CommonMark tokenizer, see https://github.com/micromark/micromark.
+ *
+ * micromark produces a flat list of enter/exit events, each referencing a token
+ * with the start and end positions in the source text. The positions allow
+ * the source to be edited in place, leaving everything else byte for byte intact.
+ */
+'use strict';
+
+const parse       = require( 'micromark/lib/parse' );
+const preprocess  = require( 'micromark/lib/preprocess' );
+const postprocess = require( 'micromark/lib/postprocess' );
+const normalizeIdentifier = require( 'micromark/lib/util/normalize-identifier' );
+
+const EVENT_ENTER       = 'enter';
+const RE_VERBATIM_OPEN  = /^<(?:pre|code)(?:\s[^>]*)?>$/i; // Inline HTML elements whose content is treated as code
+const RE_VERBATIM_CLOSE = /^<\/(?:pre|code)\s*>$/i;
+
+// Matches, in order of precedence: comments, CDATA, processing instructions, declarations,
+// raw text elements including their content, and start tags with their name (group 1) and attributes (group 2).
+const RE_HTML_CONSTRUCT = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<\?[\s\S]*?\?>|<![a-zA-Z][^>]*>|<(?:script|style|textarea)\b[\s\S]*?<\/(?:script|style|textarea)\s*>|<([a-zA-Z][a-zA-Z0-9-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*\/?>/g;
+const RE_HTML_COMMENT   = /^<!--((?:(?!-->)[\s\S])*)-->$/;
+// Matches an attribute: name (group 1) and value, double quoted (group 2), single quoted (group 3) or unquoted (group 4).
+const RE_HTML_ATTRIBUTE = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+/**
+ * @param {string} text : the markdown.
+ * @returns array of micromark events, each event being an array: [ 'enter' | 'exit', token, context ].
+ */
+function tokenize( text ) {
+  const chunks = preprocess()( text, 'utf-8', true );
+  const events = postprocess( parse().document().write( chunks ) );
+  return events;
+}
+
+/**
+ * @param {string} text  : the markdown;
+ * @param {Object} token : a micromark token.
+ * @returns the source text of the token.
+ */
+function getTokenText( text, token ) {
+  return text.slice( token.start.offset, token.end.offset );
+}
+
+/**
+ * Inline HTML is tokenized tag by tag, so markdown between <pre> and </pre> within a paragraph is still parsed.
+ * Code blocks, code spans and HTML blocks are never parsed as markdown, so need no special handling.
+ * @param {string} text  : the markdown;
+ * @param {Object} token : a micromark htmlText token.
+ * @returns +1 if the token opens a <pre> or <code> section, -1 if it closes one, otherwise 0.
+ */
+function getVerbatimDelta( text, token ) {
+  const tagText = getTokenText( text, token );
+  let   delta   = 0;
+
+  if ( RE_VERBATIM_OPEN.test( tagText ) ) {
+    delta = 1;
+  } else if ( RE_VERBATIM_CLOSE.test( tagText ) ) {
+    delta = -1;
+  }
+
+  return delta;
+}
+
+/**
+ * @param {string} text  : the markdown;
+ * @param {string} type  : the link target type;
+ * @param {Object} token : a micromark destination string token.
+ * @returns a link target object, see findLinkTargets.
+ */
+function genLinkTarget( text, type, token ) {
+  return {
+    type,
+    start:       token.start.offset,
+    end:         token.end.offset,
+    destination: getTokenText( text, token ),
+  };
+}
+
+/**
+ * @param {string} text   : the text;
+ * @param {number} offset : an offset into the text.
+ * @returns object with properties, both starting from 1:
+ *           - line   : the line number of the offset;
+ *           - column : the column number of the offset.
+ */
+function getLineColumn( text, offset ) {
+  const arrLine = text.slice( 0, offset ).split( /\r\n|\r|\n/ );
+  return { line: arrLine.length, column: arrLine[ arrLine.length - 1 ].length + 1 };
+}
+
+/**
+ * Find the attributes of the start tags in a section of raw HTML, ignoring comments and the content of raw text elements.
+ * @param {string} text  : the markdown;
+ * @param {Object} token : a micromark htmlFlow or htmlText token.
+ * @returns array of objects with properties:
+ *           - tagName : the lowercase tag name, e.g., 'a';
+ *           - name    : the lowercase attribute name, e.g., 'href';
+ *           - value   : the attribute value, excluding any quotes;
+ *           - start   : offset of the first character of the value;
+ *           - end     : offset after the last character of the value.
+ *          Attributes without a value are not included.
+ */
+function findHtmlAttributes( text, token ) {
+  const html       = getTokenText( text, token );
+  const offset     = token.start.offset;
+  const attributes = [];
+
+  for ( const constructMatch of html.matchAll( RE_HTML_CONSTRUCT ) ) {
+    const [ constructText, tagName, attributesText ] = constructMatch;
+    if ( ! attributesText ) {
+      continue;
+    }
+    const attributesOffset = offset + constructMatch.index + constructText.indexOf( attributesText );
+
+    for ( const attributeMatch of attributesText.matchAll( RE_HTML_ATTRIBUTE ) ) {
+      const [ attributeText, name, doubleQuoted, singleQuoted, unquoted ] = attributeMatch;
+      const value = doubleQuoted ?? singleQuoted ?? unquoted;
+      if ( value === undefined ) {
+        continue;
+      }
+      const quoteLength = ( unquoted === undefined ? 1 : 0 );
+      const end         = attributesOffset + attributeMatch.index + attributeText.length - quoteLength;
+      attributes.push( {
+        tagName: tagName.toLowerCase(),
+        name:    name.toLowerCase(),
+        value,
+        start:   end - value.length,
+        end,
+      } );
+    }
+  }
+
+  return attributes;
+}
+
+/**
+ * Find the href attributes of the tags in a section of raw HTML, e.g., <a href="#x"> or <area href='#y'>.
+ * The usemap attribute of <img> is a hash-name reference to a <map> on the same page rather than a link, so is not included.
+ * @param {string} text  : the markdown;
+ * @param {Object} token : a micromark htmlFlow or htmlText token.
+ * @returns array of link targets of type 'html', see findLinkTargets.
+ */
+function findHtmlLinkTargets( text, token ) {
+  return findHtmlAttributes( text, token )
+    .filter( ( { name } ) => ( name === 'href' ) )
+    .map( ( { value, start, end } ) => ( { type: 'html', start, end, destination: value } ) );
+}
+
+/**
+ * @param {string} text : the markdown.
+ * @returns array of link targets in document order, each an object with properties:
+ *           - type        : 'link' for an inline link, 'definition' for a link reference definition, e.g., [ref]: #my-heading,
+ *                           or 'html' for an href attribute in raw HTML;
+ *           - start       : offset of the first character of the destination;
+ *           - end         : offset after the last character of the destination;
+ *           - destination : the destination text, e.g., '#my-heading'.
+ *          Markdown destinations inside code and inline <pre> or <code> sections are ignored.
+ *          Reference links, e.g., [text][ref], are resolved by rewriting the definition, so are not included.
+ */
+function findLinkTargets( text ) {
+  const events        = tokenize( text );
+  const targets       = [];
+  const openLinks     = [];
+  let   verbatimDepth = 0;
+
+  events.forEach( ( [ eventType, token ] ) => {
+    const isEnter = ( eventType === EVENT_ENTER );
+
+    switch ( token.type ) {
+      case 'link':
+      case 'image':
+        if ( isEnter ) {
+          openLinks.push( token.type );
+        } else {
+          openLinks.pop();
+        }
+        break;
+      case 'htmlFlow':
+        if ( isEnter ) {
+          targets.push( ...findHtmlLinkTargets( text, token ) );
+        }
+        break;
+      case 'htmlText':
+        if ( isEnter ) {
+          verbatimDepth = Math.max( 0, verbatimDepth + getVerbatimDelta( text, token ) );
+          targets.push( ...findHtmlLinkTargets( text, token ) );
+        }
+        break;
+      case 'paragraph':
+        verbatimDepth = 0; // An unclosed inline <pre> or <code> does not extend beyond its paragraph
+        break;
+      case 'definitionDestinationString':
+        if ( isEnter ) {
+          targets.push( genLinkTarget( text, 'definition', token ) );
+        }
+        break;
+      case 'resourceDestinationString':
+        if ( isEnter && ( verbatimDepth === 0 ) && ( openLinks[ openLinks.length - 1 ] === 'link' ) ) {
+          targets.push( genLinkTarget( text, 'link', token ) );
+        }
+        break;
+    }
+  } );
+
+  return targets;
+}
+
+/**
+ * @param {string} text : the markdown.
+ * @returns array of image sources in document order, each an object with properties:
+ *           - type        : 'image' for an inline image, e.g., ![diagram](./img/arch.png), 'definition' for the link
+ *                           reference definition of a reference image, e.g., [ref]: ./img/arch.png for ![diagram][ref],
+ *                           or 'html' for an <img> src attribute;
+ *           - start       : offset of the first character of the source;
+ *           - end         : offset after the last character of the source;
+ *           - destination : the source text, e.g., './img/arch.png'.
+ *          Markdown images inside code and inline <pre> or <code> sections are ignored.
+ *          A definition is included once however many reference images use it, and is also a link target, see findLinkTargets.
+ */
+function findImageTargets( text ) {
+  const events          = tokenize( text );
+  const targets         = [];
+  const openLinks       = [];
+  const definitions     = new Map(); // The first definition of each label, which is the one used
+  const imageLabels     = new Set(); // The labels of the definitions used by the reference images
+  let   definitionLabel = null;
+  let   verbatimDepth   = 0;
+
+  events.forEach( ( [ eventType, token ] ) => {
+    const isEnter  = ( eventType === EVENT_ENTER );
+    const openLink = openLinks[ openLinks.length - 1 ];
+
+    switch ( token.type ) {
+      case 'link':
+      case 'image':
+        if ( isEnter ) {
+          openLinks.push( { type: token.type, label: null, reference: null, isResource: false } );
+        } else {
+          if ( ( token.type === 'image' ) && ! openLink.isResource && ( verbatimDepth === 0 ) ) {
+            imageLabels.add( normalizeIdentifier( openLink.reference || openLink.label ) ); // A collapsed or shortcut reference is the label
+          }
+          openLinks.pop();
+        }
+        break;
+      case 'labelText':
+        if ( isEnter && openLink && ( openLink.label === null ) ) {
+          openLink.label = getTokenText( text, token );
+        }
+        break;
+      case 'referenceString':
+        if ( isEnter && openLink ) {
+          openLink.reference = getTokenText( text, token );
+        }
+        break;
+      case 'resource':
+        if ( isEnter && openLink ) {
+          openLink.isResource = true;
+        }
+        break;
+      case 'definitionLabelString':
+        if ( isEnter ) {
+          definitionLabel = normalizeIdentifier( getTokenText( text, token ) );
+        }
+        break;
+      case 'definitionDestinationString':
+        if ( isEnter && ! definitions.has( definitionLabel ) ) {
+          definitions.set( definitionLabel, genLinkTarget( text, 'definition', token ) );
+        }
+        break;
+      case 'htmlFlow':
+      case 'htmlText':
+        if ( isEnter ) {
+          if ( token.type === 'htmlText' ) {
+            verbatimDepth = Math.max( 0, verbatimDepth + getVerbatimDelta( text, token ) );
+          }
+          findHtmlAttributes( text, token )
+            .filter( ( { tagName, name } ) => ( tagName === 'img' ) && ( name === 'src' ) )
+            .forEach( ( { value, start, end } ) => targets.push( { type: 'html', start, end, destination: value } ) );
+        }
+        break;
+      case 'paragraph':
+        verbatimDepth = 0;
+        break;
+      case 'resourceDestinationString':
+        if ( isEnter && ( verbatimDepth === 0 ) && ( openLink?.type === 'image' ) ) {
+          targets.push( genLinkTarget( text, 'image', token ) );
+        }
+        break;
+    }
+  } );
+  imageLabels.forEach( label => {
+    if ( definitions.has( label ) ) {
+      targets.push( definitions.get( label ) );
+    }
+  } );
+
+  return targets.sort( ( a, b ) => a.start - b.start );
+}
+
+/**
+ * @param {string} text : the markdown.
+ * @returns array of the headings in document order, each an object with properties:
+ *           - depth : the heading level, 1 to 6;
+ *           - text  : the source text of the heading content, e.g., 'My *Heading*';
+ *           - start : offset of the start of the heading;
+ *           - end   : offset after the end of the heading.
+ */
+function findHeadings( text ) {
+  const events   = tokenize( text );
+  const headings = [];
+  let   heading  = null;
+
+  events.forEach( ( [ eventType, token ] ) => {
+    const isEnter = ( eventType === EVENT_ENTER );
+
+    switch ( token.type ) {
+      case 'atxHeading':
+      case 'setextHeading':
+        if ( isEnter ) {
+          heading = { depth: 0, text: '', start: token.start.offset, end: token.end.offset };
+          headings.push( heading );
+        }
+        break;
+      case 'atxHeadingSequence':
+        if ( isEnter && ( heading.depth === 0 ) ) {
+          heading.depth = token.end.offset - token.start.offset;
+        }
+        break;
+      case 'setextHeadingLineSequence':
+        if ( isEnter ) {
+          heading.depth = ( text[ token.start.offset ] === '=' ? 1 : 2 );
+        }
+        break;
+      case 'atxHeadingText':
+      case 'setextHeadingText':
+        if ( isEnter ) {
+          heading.text = getTokenText( text, token );
+        }
+        break;
+    }
+  } );
+
+  return headings;
+}
+
+/**
+ * @param {string} text : the markdown.
+ * @returns array of the explicit anchors defined in raw HTML, i.e., id attributes and <a name="..."> attributes,
+ *          each an object with properties:
+ *           - anchor : the anchor name;
+ *           - start  : offset of the first character of the anchor name;
+ *           - end    : offset after the last character of the anchor name.
+ */
+function findHtmlAnchors( text ) {
+  const events  = tokenize( text );
+  const anchors = [];
+
+  events.forEach( ( [ eventType, token ] ) => {
+    if ( ( eventType === EVENT_ENTER ) && ( ( token.type === 'htmlFlow' ) || ( token.type === 'htmlText' ) ) ) {
+      findHtmlAttributes( text, token )
+        .filter( ( { tagName, name } ) => ( name === 'id' ) || ( ( name === 'name' ) && ( tagName === 'a' ) ) )
+        .forEach( ( { value, start, end } ) => anchors.push( { anchor: value, start, end } ) );
+    }
+  } );
+
+  return anchors;
+}
+
+/**
+ * @param {string} text : the markdown.
+ * @returns array of the HTML comments that are a complete HTML block or inline HTML, e.g., <!-- toc -->,
+ *          in document order, each an object with properties:
+ *           - comment : the trimmed comment text, e.g., 'toc';
+ *           - start   : offset of the start of the comment;
+ *           - end     : offset after the end of the comment.
+ *          Comments inside code are not included.
+ */
+function findHtmlComments( text ) {
+  const events   = tokenize( text );
+  const comments = [];
+
+  events.forEach( ( [ eventType, token ] ) => {
+    if ( ( eventType === EVENT_ENTER ) && ( ( token.type === 'htmlFlow' ) || ( token.type === 'htmlText' ) ) ) {
+      const commentMatch = getTokenText( text, token ).trim().match( RE_HTML_COMMENT );
+      if ( commentMatch ) {
+        comments.push( { comment: commentMatch[ 1 ].trim(), start: token.start.offset, end: token.end.offset } );
+      }
+    }
+  } );
+
+  return comments;
+}
+
+module.exports = {
+  tokenize,
+  getTokenText,
+  getLineColumn,
+  findLinkTargets,
+  findImageTargets,
+  findHeadings,
+  findHtmlAnchors,
+  findHtmlComments,
+};
@@ -0,0 +1,100 @@
+/**
+ * Finding the package.json file of a README file, and the README file of a package.
+ *
+ * The package.json file is the nearest one in the README directory or its parent directories, so the README may be
+ * in a subdirectory of the package, e.g., docs/README.md.
+ *
+ * The README file is found in the package directory as npm does when it publishes the package:
+ *   - the package.json readmeFilename property, if it names an existing file;
+ *   - otherwise, a file named README, or README.<ext>, in any letter case, except backup files ending with ~ or $;
+ *   - of several, the first, in alphabetical order, with a markdown extension, e.g., .md or .markdown,
+ *     then the last named exactly README, then the first.
+ */
+'use strict';
+
+const path = require( 'path' );
+const fs   = require( 'fs' );
+
+const PACKAGE_FILENAME   = 'package.json';
+const RE_README_FILENAME = /^readme(?:\..*[^~$])?$/i; // As npm, README or README.*, but not editor backups, e.g., README.md~
+const RE_MARKDOWN_EXT    = /\.m?a?r?k?d?o?w?n?$/i;    // As npm, e.g., .md, .mkd or .markdown
+
+/**
+ * @param {string} pathname : a pathname.
+ * @returns true if the pathname is an existing file, or a link to one.
+ */
+function isFile( pathname ) {
+  return fs.statSync( pathname, { throwIfNoEntry: false } )?.isFile() ?? false;
+}
+
+/**
+ * @param {string} startDir : the directory to start from.
+ * @returns the absolute pathname of the nearest package.json file in the directory or its parent directories,
+ *          or null if there is none.
+ */
+function findNearestPackagePathname( startDir ) {
+  let dir = path.resolve( startDir );
+
+  while ( ! isFile( path.join( dir, PACKAGE_FILENAME ) ) && ( path.dirname( dir ) !== dir ) ) {
+    dir = path.dirname( dir ); // Up to the root directory
+  }
+
+  const packagePathname = path.join( dir, PACKAGE_FILENAME );
+  return ( isFile( packagePathname ) ? packagePathname : null );
+}
+
+/**
+ * @param {string} readmePathname : the README file pathname.
+ * @returns the absolute pathname of the nearest package.json file in the README directory or its parent directories,
+ *          or if there is none, of the package.json file in the README directory, which does not exist.
+ */
+function findPackagePathname( readmePathname ) {
+  const readmeDir = path.dirname( path.resolve( readmePathname ) );
+  return findNearestPackagePathname( readmeDir ) ?? path.join( readmeDir, PACKAGE_FILENAME );
+}
+
+/**
+ * @param {Array} filenames : the README filenames, in alphabetical order.
+ * @returns the index of the preferred README filename, as npm.
+ */
+function findPreferredReadme( filenames ) {
+  const markdownIndex = filenames.findIndex( filename => RE_MARKDOWN_EXT.test( filename ) );
+  let   plainIndex    = 0;
+
+  for ( let i = 0; i < filenames.length; i++ ) { // The last plain README, without findLastIndex, which needs Node 18
+    if ( /README$/.test( filenames[ i ] ) ) {
+      plainIndex = i;
+    }
+  }
+
+  return ( markdownIndex >= 0 ? markdownIndex : plainIndex );
+}
+
+/**
+ * @param {string} packageDir     : the package directory;
+ * @param {string} readmeFilename : the package.json readmeFilename property, or undefined.
+ * @returns the absolute pathname of the package README file, see above, or null if there is none.
+ */
+function findReadmePathname( packageDir, readmeFilename ) {
+  const absPackageDir = path.resolve( packageDir );
+  let   readmePathname = null;
+
+  if ( ( typeof readmeFilename === 'string' ) && readmeFilename && isFile( path.resolve( absPackageDir, readmeFilename ) ) ) {
+    readmePathname = path.resolve( absPackageDir, readmeFilename );
+  } else if ( fs.existsSync( absPackageDir ) ) {
+    const filenames = fs.readdirSync( absPackageDir )
+      .filter( filename => RE_README_FILENAME.test( filename ) && isFile( path.join( absPackageDir, filename ) ) )
+      .sort( ( a, b ) => a.localeCompare( b, 'en' ) );
+    if ( filenames.length > 0 ) {
+      readmePathname = path.join( absPackageDir, filenames[ findPreferredReadme( filenames ) ] );
+    }
+  }
+
+  return readmePathname;
+}
+
+module.exports = {
+  findNearestPackagePathname,
+  findPackagePathname,
+  findReadmePathname,
+};
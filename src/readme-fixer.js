@@ -16,37 +16,89 @@ const path = require( 'path' );
 const fs   = require( 'fs' );
 const fsp  = require( 'fs/promises' );
 
-const DEFAULT_README_PATHNAME = './README.md';           // Use this if no pathname specified on the command line
-const DEFAULT_REGISTRY        = 'http://localhost:4873'; // Use this if the package.json does not contain a publishConfig.registry.
+const { createTwoFilesPatch } = require( 'diff' );
+
+const { findLinkTargets, findImageTargets, findHeadings, findHtmlAnchors, getLineColumn } = require( './markdown-parser' );
+const { genSlugger } = require( './slugger' );
+const { updateToc, maskToc } = require( './toc' );
+const { genFileLinkResolver, findUnpublishedFileLinks } = require( './file-links' );
+const { genImageResolver } = require( './images' );
+const { parseJson, setJsonProperty, setJsonSubProperty } = require( './json-text' );
+const { genBackupDir, findBackups, findBackup, createBackupDir, createBackup } = require( './backups' );
+const { resolveRegistry, DEFAULT_REGISTRY } = require( './registry' );
+const { loadConfig, mergeOptions } = require( './config' );
+const { findWorkspacePackages, runConcurrently, STATUS_OK, STATUS_SKIPPED } = require( './workspaces' );
+const { findNearestPackagePathname, findPackagePathname, findReadmePathname } = require( './package-files' );
+const { genHookScripts, HOOK_UNCHANGED } = require( './hooks' );
+
 const REL_WEB_PATH            = '/-/web/detail/';        // The Verdaccio Web UI path to the README pages
+const URL_TEMPLATE_PRESETS    = {                        // The README page URL templates of the Verdaccio Web UI versions
+  'verdaccio-5': '{registry}/{webPath}/{name}?#{anchor}', // The default, as fixed by earlier versions of this utility
+  'verdaccio-6': '{registry}/{webPath}/{name}#{anchor}',
+};
+const DEFAULT_URL_TEMPLATE    = 'verdaccio-5';
+const URL_TEMPLATE_TOKENS     = [ 'registry', 'webPath', 'name', 'rawName', 'anchor' ];
+const RE_FRAGMENT_SAFE        = /[A-Za-z0-9\-._~!$&'*+,;=:@/?]|%[0-9A-Fa-f]{2}/y; // RFC 3986 fragment characters, less parentheses
+const URL_TEMPLATE_ANCHOR     = '#{anchor}';             // Every template ends with this, the fixed link fragment
+const LINK_TYPE_OPTIONS       = { definition: 'definitions', html: 'html' }; // The links option of each link type that may be left unchanged
 const PACKAGE_FILENAME        = 'package.json';
-const BACKUP_DIR              = ( process.platform === 'win32' ? 'C:\\Temp' : '/tmp' );
+const ERR_FILE_NOT_FOUND      = 'EFILENOTFOUND';         // Error code when the README or package file does not exist
+const ERR_INVALID_PACKAGE     = 'EINVALIDPACKAGE';       // Error code when the package file is not a JSON object
+const ERR_UNRESOLVED_LINKS    = 'EUNRESOLVEDLINKS';      // Error code when strict validation fails
+const DEFAULT_MAX_README_SIZE = 64 * 1024;               // The readme is in the package metadata fetched by every install, so warn if it is larger
 
 /**
  * @param {string} pathname : a file pathname
- * @returns a unique absolute pathname to backup the file to.
+ * @returns a unique pathname in the same directory as the file, to write the new contents to before renaming it into place.
+ *          Being in the same directory means being on the same file system, so that the rename is atomic.
  */
-function genBackupPathname( pathname ) {
-  const pid            = process.pid.toString();
-  const backupFilename = 'tmp-' + pathname.replace( /[\\/.:]/g, '-' ) + '.' + pid; // Convert slashes, backslashes, dots and colons to dashes
-  const backupPathname = path.join( BACKUP_DIR, backupFilename );
-  return backupPathname;
+function genTempPathname( pathname ) {
+  const tempFilename = `.${path.basename( pathname )}.${process.pid}.tmp`;
+  return path.join( path.dirname( pathname ), tempFilename );
 }
 
 /**
- * @param {string} readmePathname : the readme file pathname that is in the same directory as the package.json
- * @returns the package.json pathhame.
+ * @param {string} readmePathname : the README file pathname, or undefined.
+ * @returns the package.json pathname, the nearest package.json of the README file, see package-files.findPackagePathname,
+ *          or package.json in the current directory if there is no README file pathname.
  */
 function genPackagePathname( readmePathname ) {
-  let dirname = path.dirname( readmePathname );
-  const outputPathname = path.resolve( dirname, PACKAGE_FILENAME );
-  return outputPathname;
+  return ( readmePathname ? findPackagePathname( readmePathname ) : path.resolve( PACKAGE_FILENAME ) );
+}
+
+/**
+ * @param {string} packagePathname : the package.json pathname;
+ * @param {Object} packageContent  : the package.json file as an object.
+ * @returns the absolute pathname of the package README file, see package-files.findReadmePathname.
+ * @exception if the package has no README file, with property code 'EFILENOTFOUND'.
+ */
+function findPackageReadme( packagePathname, packageContent ) {
+  const packageDir     = path.dirname( packagePathname );
+  const readmePathname = findReadmePathname( packageDir, packageContent.readmeFilename );
+
+  if ( readmePathname === null ) {
+    const err = new Error( `No README file found in ${packageDir}` );
+    err.code = ERR_FILE_NOT_FOUND;
+    throw err;
+  }
+
+  return readmePathname;
+}
+
+/**
+ * @param {string} packagePathname : the package.json pathname;
+ * @param {string} readmePathname  : the README file pathname.
+ * @returns the package.json readmeFilename property value, the README pathname relative to the package directory,
+ *          in POSIX form, e.g., 'README.md' or 'docs/README.md'.
+ */
+function genReadmeFilename( packagePathname, readmePathname ) {
+  return path.relative( path.dirname( packagePathname ), path.resolve( readmePathname ) ).split( path.sep ).join( '/' );
 }
 
 /**
  * @param {string} pathname : a file pathname
  * @returns the file contents.
- * @exception if the file cannot be read.
+ * @exception if the file cannot be read, with property code 'EFILENOTFOUND' if the file does not exist.
  */
 function readFile( pathname ) {
   let fileContent = null;
@@ -58,166 +110,525 @@ function readFile( pathname ) {
   if ( fs.existsSync( pathname ) ) {
     fileContent = fs.readFileSync( pathname, { encoding: 'utf-8' } );
   } else {
-    throw new Error( `File not found: ${pathname}` );
+    const err = new Error( `File not found: ${pathname}` );
+    err.code = ERR_FILE_NOT_FOUND;
+    throw err;
   }
 
   return fileContent;
 }
 
 /**
- * Delete a file, making a backup of it first.
- * @param {string} pathname : a file pathname.
- * @exception of the file cannot be deleted.
- * @return object with property: backupPathname - a backup of the deleted file.
- */
-async function deleteFile( pathname ) {
-  const backupPathname = genBackupPathname( pathname );
-  fs.copyFileSync( pathname, backupPathname );
-  await fsp.unlink( pathname );
-  return { backupPathname };
-}
-
-/**
+ * Replace the file contents atomically: the contents are written to a temporary file in the same directory,
+ * flushed to disk, then renamed over the file. If anything fails, the temporary file is removed and the
+ * original file is unchanged, so the file is never missing or partly written.
+ * The mode of an existing file is preserved.
  * @param {string} pathname : file pathname to write to;
  * @param {string} content  : text to write to the file as UTF-8.
  * @exception if the file creation fails.
  */
-function writeFile( pathname, content ) {
-  fs.writeFileSync( pathname, content, { encoding: 'utf-8' } );
+async function writeFileAtomic( pathname, content ) {
+  const tempPathname = genTempPathname( pathname );
+  const mode         = ( fs.existsSync( pathname ) ? fs.statSync( pathname ).mode & 0o7777 : undefined );
+  let   fileHandle   = null;
+
+  try {
+    fileHandle = await fsp.open( tempPathname, 'wx', mode );
+    await fileHandle.writeFile( content, { encoding: 'utf-8' } );
+    if ( mode !== undefined ) {
+      await fileHandle.chmod( mode ); // The open mode is restricted by the umask
+    }
+    await fileHandle.sync();
+    await fileHandle.close();
+    fileHandle = null;
+    await fsp.rename( tempPathname, pathname );
+  }
+  catch ( err ) {
+    if ( fileHandle ) {
+      await fileHandle.close().catch( () => {} );
+    }
+    await fsp.rm( tempPathname, { force: true } );
+    throw err;
+  }
 }
 
 /**
- * @param {string} pathname   : file pathname to create;
- * @param {Object} rawContent : object to be stringified and written to the file.
+ * @param {string} packagePathname : pathname to the package.json file, for the error message;
+ * @param {string} packageText     : the contents of the package file.
+ * @returns the contents of the package file as an object.
+ * @exception if the package file is not a JSON object, with property code 'EINVALIDPACKAGE'.
  */
-function writeFileJSON( pathname, rawContent ) {
-  const cookedContent = JSON.stringify( rawContent, null, 2 );
-  writeFile( pathname, cookedContent );
+function parsePackage( packagePathname, packageText ) {
+  let packageContent = null;
+
+  try {
+    packageContent = parseJson( packageText ); // As require, which ignores a byte order mark
+  }
+  catch ( parseErr ) {
+    const err = new Error( `Invalid package file: ${packagePathname}: ${parseErr.message}` );
+    err.code = ERR_INVALID_PACKAGE;
+    throw err;
+  }
+  if ( ( packageContent === null ) || ( typeof packageContent !== 'object' ) || Array.isArray( packageContent ) ) {
+    const err = new Error( `Invalid package file: ${packagePathname}: not a JSON object` );
+    err.code = ERR_INVALID_PACKAGE;
+    throw err;
+  }
+
+  return packageContent;
 }
 
 /**
+ * The package file is read each time rather than required, so that it is not cached between updates.
  * @param {string} packagePathname : pathname to the package.json file.
  * @returns the contents of the package file as an object.
- * @exception if the the package file cannot be loaded.
+ * @exception if the the package file cannot be loaded, with property code 'EFILENOTFOUND' if the file does not exist,
+ *            or 'EINVALIDPACKAGE' if the file is not a JSON object.
  */
 function loadPackage( packagePathname ) {
-  const packageContent = require( packagePathname );
-  return packageContent;
+  return parsePackage( packagePathname, readFile( packagePathname ) );
 }
 
 /**
+ * @param {string} packageText    : the package.json file contents;
+ * @param {string} readmeText     : the README markdown as a string;
+ * @param {string} readmeFilename : the readmeFilename property value, or undefined to leave it unchanged.
+ * @returns the package.json file contents with the readme and readmeFilename property values set.
+ */
+function genPackageText( packageText, readmeText, readmeFilename ) {
+  const readmePackageText = setJsonProperty( packageText, 'readme', readmeText );
+  return ( readmeFilename === undefined ? readmePackageText : setJsonProperty( readmePackageText, 'readmeFilename', readmeFilename ) );
+}
+
+/**
+ * Only the readme and readmeFilename property values are changed, the indentation, key order, line endings and final
+ * newline of the package file are preserved, see json-text.setJsonProperty.
  * @param {Object} with properties:
  *          - packagePathname : pathname to the package.json file;
- *          - readmeText      : the README markdown as a string.
+ *          - readmeText      : the README markdown as a string;
+ *          - readmeFilename  : the readmeFilename property value, see genReadmeFilename, or undefined to leave it unchanged;
+ *          - backups         : the backup options, see backups.createBackup.
  * @return object with property: backupPackagePathname - a backup of the original package file.
  */
-async function updatePackage( { packagePathname, readmeText } ) {
-  const packageObj  = loadPackage( packagePathname );
-  packageObj.readme = readmeText;
-  const { backupPathname: backupPackagePathname } = await deleteFile( packagePathname );
-  writeFileJSON( packagePathname, packageObj );
+async function updatePackage( { packagePathname, readmeText, readmeFilename, backups = {} } ) {
+  const oldPackageText = readFile( packagePathname );
+  parsePackage( packagePathname, oldPackageText );
+  const newPackageText = genPackageText( oldPackageText, readmeText, readmeFilename );
+  const { backupPathname: backupPackagePathname } = createBackup( packagePathname, backups );
+  await writeFileAtomic( packagePathname, newPackageText );
   return { backupPackagePathname };
 }
 
 /**
- * @param {string} rawContent : the markdown;
- * @param {RegExp} regex      : regex to search for, must have the global option set;
- * @param {string} tagPrefix  : use this text in the tag name.
- * @returns object with properties:
- *           - tags         : object with properties being the tag names and values being the tag replacements;
- *           - cookedContent: the markdown with all regexes replaced with tags.
- */
-function encodeTags( rawContent, regex, tagPrefix ) {
-  let   cookedContent = rawContent;
-  const matchResult   = rawContent.match( regex );
-  const tags          = {};
-  for ( let i = 0; i < matchResult?.length; ++i ) {
-    const tag       = '!TAG!' + tagPrefix + String(i).padStart( 2, '0' );
-    const strSearch = matchResult[ i ];
-    tags[ tag ]     = strSearch;
-    cookedContent   = cookedContent.replaceAll( strSearch, tag );
+ * @param {string} name    : the name of the text in the diff headers, e.g., 'readme';
+ * @param {string} oldText : the current text;
+ * @param {string} newText : the updated text.
+ * @returns the unified diff from the current text to the updated text, or an empty string if they are the same.
+ */
+function genUnifiedDiff( name, oldText, newText ) {
+  let unifiedDiff = '';
+
+  if ( oldText !== newText ) {
+    unifiedDiff = createTwoFilesPatch( `a/${name}`, `b/${name}`, oldText, newText )
+      .replace( /^=+\n/, '' ); // The separator line is not part of the unified diff format
   }
-  return { tags, cookedContent };
+
+  return unifiedDiff;
 }
 
 /**
- * @param {string} rawContent : the markdown;
- * @returns object with properties:
- *       - tags          : object with properties being the tags and values being the associated text;
- *       - cookedContent : the markdown with any preformatted sections replaced with tags.
+ * The same changes as updatePackage, without writing anything.
+ * @param {Object} with properties:
+ *          - packagePathname : pathname to the package.json file;
+ *          - packageContent  : the package.json file as an object;
+ *          - readmeText      : the README markdown as a string;
+ *          - readmeFilename  : the readmeFilename property value, or undefined.
+ * @returns object with properties, each an empty string if there is no change:
+ *           - readme  : the unified diff of the package.json readme property value;
+ *           - package : the unified diff of the package.json file.
  */
-function encodeTagsPreformatted( rawContent ) {
-  const re        = new RegExp( '<pre>.*?</pre>', 'ig' );
-  const tagPrefix = 'PREF';
-  return encodeTags( rawContent, re, tagPrefix );
+function genDryRunDiff( { packagePathname, packageContent, readmeText, readmeFilename } ) {
+  const oldReadmeText = ( typeof packageContent.readme === 'string' ? packageContent.readme : '' );
+  const oldPackageText = readFile( packagePathname );
+  const newPackageText = genPackageText( oldPackageText, readmeText, readmeFilename );
+
+  return {
+    readme:  genUnifiedDiff( 'readme', oldReadmeText, readmeText ),
+    package: genUnifiedDiff( path.basename( packagePathname ), oldPackageText, newPackageText ),
+  };
 }
 
 /**
- * @param {string} rawContent : the markdown;
- * @returns object with properties:
- *       - tags          : object with properties being the tags and values being the associated text;
- *       - cookedContent : the markdown with any internal hyperlinks replaced with tags.
+ * @param {string} destination : a link destination, e.g., '#my-heading'.
+ * @returns true if the destination is an internal hyperlink to a fragment of the same page.
  */
-function encodeTagsLinks( rawContent ) {
-  const re        = new RegExp( '\\[[^\\]\n\r]+\\]\\(#[^)\n\r]+\\)', 'g' ); // eslint-disable-line no-control-regex
-  const tagPrefix = 'LINK';
-  return encodeTags( rawContent, re, tagPrefix );
+function isInternalLink( destination ) {
+  return destination.startsWith( '#' ) && ( destination.length > 1 );
 }
 
 /**
- * @param {string} encodedContent : the markdown encoded with tags;
- * @param {Object} tags           : object with properties being the tags and values being the associated text;
- * @returns the markdown with the tags replaced with the associated text.
+ * @param {string} url : a URL or URL path.
+ * @returns the URL with each run of slashes in the path replaced by a single slash, so that the parts of a URL template
+ *          may or may not have leading and trailing slashes, e.g., 'https://host/npm//-/web/detail/' becomes
+ *          'https://host/npm/-/web/detail/'.
  */
-function decodeTags( encodedContent, tags ) {
-  let decodedContent = encodedContent;
+function collapseSlashes( url ) {
+  return url.replace( /(^|[^:/])\/{2,}/g, '$1/' );
+}
 
-  Object.entries( tags ).forEach( ( [ strSearch, strReplace ] ) => {
-    decodedContent = decodedContent.replaceAll( strSearch, strReplace );
-  } );
+/**
+ * @param {string} text : a literal text.
+ * @returns the text with the regular expression special characters escaped, e.g., '/a?' becomes '/a\\?'.
+ */
+function escapeRegExp( text ) {
+  return text.replace( /[.*+?^${}()|[\]\\]/g, '\\$&' );
+}
+
+/**
+ * @param {string} template    : a URL template, see genUrlTemplate;
+ * @param {string} packageName : the package name;
+ * @param {Object} options     : object with properties:
+ *                                - registry : the registry URL;
+ *                                - webPath  : the Verdaccio Web UI path to the README pages.
+ * @returns a regular expression matching the fixed links made with the template, for any registry, with the fragment
+ *          captured, e.g., /^https?:\/\/[^?#\s]*\/-\/web\/detail\/(?:my-pkg)\?(#.+)$/.
+ *          If nothing but slashes separates the registry from the package name, e.g., with the web path '/', any link
+ *          ending with the package name would match, so the registry must be the given registry.
+ */
+function genFixedLinkRegExp( template, packageName, { registry, webPath } ) {
+  const pageTemplate  = collapseSlashes( template.slice( 0, -URL_TEMPLATE_ANCHOR.length ).replace( /\{webPath\}/g, webPath ) );
+  const registryPath  = pageTemplate.split( /\{(?:name|rawName)\}/ )[ 0 ].split( '{registry}' )[ 1 ];
+  const registryText  = ( ( registryPath !== undefined ) && ! /[^/]/.test( registryPath ) ? escapeRegExp( registry.replace( /\/+$/, '' ) ) : 'https?://[^?#\\s]*' );
+  const names         = new Set( [ encodePackageName( packageName ), encodeURIComponent( packageName ), packageName ] ); // As encoded by the registry, any encoder, or the Web UI
+  const nameText      = `(?:${[ ...names ].map( escapeRegExp ).join( '|' )})`;
+  const values        = { registry: registryText, name: nameText, rawName: nameText };
+  const pageText      = pageTemplate.split( /(\{(?:registry|name|rawName)\})/ ).map( ( part, i ) => ( i % 2 ? values[ part.slice( 1, -1 ) ] : escapeRegExp( part ) ) ).join( '' );
+  return new RegExp( `^${pageText}(#.+)$` );
+}
+
+/**
+ * Recognise an internal hyperlink fixed by an earlier run, so that it can be fixed again for the current base href.
+ * The fixed links are absolute links to the package's own page followed by a fragment, made with either:
+ *   - the URL template and web path, for any registry, e.g., http://localhost:4873/-/web/detail/my-pkg?#usage;
+ *   - a preset URL template and the web path, or the default web path for the default template, as fixed by earlier runs
+ *     with other options, e.g., http://localhost:4873/-/web/detail/my-pkg#usage.
+ * Any other link, e.g., https://example.com/docs?#intro for a package named docs, is not the package's page.
+ * @param {string} destination : a link destination;
+ * @param {string} packageName : the package name;
+ * @param {Object} options     : object with optional properties:
+ *                                - registry    : the registry URL, the only registry recognised when the URL template has
+ *                                                nothing but slashes before the package name, see genFixedLinkRegExp;
+ *                                - webPath     : the Verdaccio Web UI path to the README pages, default '/-/web/detail/';
+ *                                - urlTemplate : the README page URL template or preset name, see genUrlTemplate.
+ * @returns the internal hyperlink destination, e.g., #usage, or null if the destination is not a fixed internal hyperlink.
+ */
+function parseFixedLink( destination, packageName, { registry = DEFAULT_REGISTRY, webPath = REL_WEB_PATH, urlTemplate } = {} ) {
+  const pageTemplates = [
+    [ genUrlTemplate( urlTemplate ), webPath ],
+    ...Object.values( URL_TEMPLATE_PRESETS ).map( template => [ template, webPath ] ),
+    [ URL_TEMPLATE_PRESETS[ DEFAULT_URL_TEMPLATE ], REL_WEB_PATH ],
+  ];
+  const url           = destination.replace( /^https?:/i, scheme => scheme.toLowerCase() );
+  let   rawLink       = null;
+
+  if ( packageName ) {
+    const match = pageTemplates
+      .map( ( [ template, pageWebPath ] ) => genFixedLinkRegExp( template, packageName, { registry, webPath: pageWebPath } ).exec( url ) )
+      .find( Boolean );
+    rawLink = ( match ? match[ 1 ] : null );
+  }
+
+  return ( rawLink && isInternalLink( rawLink ) ? rawLink : null );
+}
+
+/**
+ * @param {string} destination : a markdown link destination.
+ * @returns the destination with the backslash escapes of ASCII punctuation removed, e.g., '#a\(b' becomes '#a(b'.
+ */
+function unescapeDestination( destination ) {
+  return destination.replace( /\\([!-/:-@[-`{-~])/g, '$1' );
+}
+
+/**
+ * Percent-encode the characters that are not allowed in a URL fragment, e.g., spaces and non-ASCII characters.
+ * Parentheses are also encoded, as an unbalanced parenthesis ends a markdown link destination.
+ * Existing percent-encoded sequences are kept, so encoding an encoded fragment leaves it unchanged.
+ * @param {string} fragment : a link fragment, excluding the '#'.
+ * @returns the percent-encoded fragment, e.g., 'café (1)' becomes 'caf%C3%A9%20%281%29'.
+ */
+function encodeFragment( fragment ) {
+  const arrPart = [];
+
+  for ( let i = 0; i < fragment.length; ) {
+    RE_FRAGMENT_SAFE.lastIndex = i;
+    const match = RE_FRAGMENT_SAFE.exec( fragment );
+    if ( match ) {
+      arrPart.push( match[ 0 ] );
+      i += match[ 0 ].length;
+    } else {
+      const codePoint = String.fromCodePoint( fragment.codePointAt( i ) );
+      arrPart.push( encodeURIComponent( codePoint ).replace( /[()]/g, c => `%${c.charCodeAt( 0 ).toString( 16 ).toUpperCase()}` ) );
+      i += codePoint.length;
+    }
+  }
 
-  return decodedContent;
+  return arrPart.join( '' );
 }
 
 /**
- * @param {string} rawLink  : an internal hyperlink, e.g., [My Link](#to-the-link);
+ * @param {string} rawLink  : an internal hyperlink destination, e.g., #to-the-link;
  * @param {string} baseHref : absolute HTTP address to the Verdaccio README page of this module.
- * @returns the internal hyperlink modified to reference the absolute HTTP address in Verdaccio.
+ * @returns the internal hyperlink modified to reference the absolute HTTP address in Verdaccio, with the fragment encoded.
  */
 function genFixedLink( rawLink, baseHref ) {
-  return rawLink.replace( '(#', `(${baseHref}#` );
+  return `${baseHref}#${encodeFragment( rawLink.slice( 1 ) )}`;
 }
 
 /**
- * @param {string} rawReadmeText : the markdown;
- * @param {string} baseHref      : absolute HTTP address to the Verdaccio README page of this module.
+ * @param {string} rawContent : the text to edit;
+ * @param {Array}  edits      : array of non-overlapping edits, each an object with properties:
+ *                                - start : offset of the first character to replace;
+ *                                - end   : offset after the last character to replace;
+ *                                - text  : the replacement text.
+ * @returns the text with the edits applied, text outside the edits is unchanged.
+ */
+function applyEdits( rawContent, edits ) {
+  const sortedEdits = [ ...edits ].sort( ( a, b ) => a.start - b.start );
+  const arrPart     = [];
+  let   offset      = 0;
+
+  sortedEdits.forEach( ( { start, end, text } ) => {
+    arrPart.push( rawContent.slice( offset, start ), text );
+    offset = end;
+  } );
+  arrPart.push( rawContent.slice( offset ) );
+
+  return arrPart.join( '' );
+}
+
+/**
+ * @param {string}   rawReadmeText   : the markdown;
+ * @param {string}   baseHref        : absolute HTTP address to the Verdaccio README page of this module;
+ * @param {Function} resolveFileLink : optional function that takes a relative file link destination and returns the
+ *                                     rewritten destination or null, see file-links.genFileLinkResolver;
+ * @param {Function} resolveImage    : optional function that takes an image source and returns the
+ *                                     rewritten source or null, see images.genImageResolver;
+ * @param {string}   packageName     : optional package name, to recognise the internal hyperlinks fixed by an earlier run,
+ *                                     which are fixed again for the base href, see parseFixedLink;
+ * @param {Object}   pageOptions     : optional registry, webPath and urlTemplate of the README page, see parseFixedLink;
+ * @param {Object}   links           : optional object with properties, each true by default:
+ *                                      - definitions : if false, the link reference definitions are unchanged, e.g., [ref]: #my-heading;
+ *                                      - html        : if false, the href attributes in raw HTML are unchanged.
+ *                                     Inline links are always rewritten, and images are rewritten as set by resolveImage.
  * @returns the markdown with the internal hyperlinks updated to refer to the Verdaccio Web UI page for the module.
  */
-function fixLinks( rawReadmeText, baseHref ) {
-  const { tags: tagsPreformatted, cookedContent: cookedContentPreformatted } = encodeTagsPreformatted( rawReadmeText );
-  const { tags: tagsLinks,        cookedContent: cookedContentLinks }        = encodeTagsLinks( cookedContentPreformatted );
-  let cookedContent = cookedContentLinks;
+function fixLinks( rawReadmeText, baseHref, resolveFileLink = () => null, resolveImage = () => null, packageName, pageOptions, links = {} ) {
+  const edits           = [];
+  const isLinkRewritten = ( { type } ) => ( ! LINK_TYPE_OPTIONS[ type ] || ( links[ LINK_TYPE_OPTIONS[ type ] ] !== false ) );
 
-  Object.entries( tagsLinks ).forEach( ( [ tag, rawLink ] ) => { 
-    tagsLinks[ tag ] = genFixedLink( rawLink, baseHref );
+  findImageTargets( rawReadmeText ).forEach( ( { start, end, destination } ) => {
+    const text = resolveImage( destination );
+    if ( text !== null ) {
+      edits.push( { start, end, text } );
+    }
+  } );
+  const imageStarts = new Set( edits.map( ( { start } ) => start ) ); // The definitions of reference images, already rewritten as images
+  findLinkTargets( rawReadmeText ).filter( target => ! imageStarts.has( target.start ) && isLinkRewritten( target ) ).forEach( ( { type, start, end, destination } ) => {
+    const rawLink = ( isInternalLink( destination ) ? destination : parseFixedLink( destination, packageName, pageOptions ) );
+    const link    = ( ( rawLink !== null ) && ( type !== 'html' ) ? unescapeDestination( rawLink ) : rawLink );
+    const text    = ( link !== null ? genFixedLink( link, baseHref ) : resolveFileLink( destination ) );
+    if ( text !== null ) {
+      edits.push( { start, end, text } );
+    }
   } );
 
-  cookedContent = decodeTags( cookedContent, tagsLinks );
-  cookedContent = decodeTags( cookedContent, tagsPreformatted );
+  return applyEdits( rawReadmeText, edits );
+}
+
+/**
+ * @param {string} text : a decoded fragment.
+ * @returns true if the parentheses of the text are balanced, so are allowed in a markdown link destination.
+ */
+function hasBalancedParentheses( text ) {
+  let depth = 0;
+
+  for ( const c of text.replace( /[^()]/g, '' ) ) {
+    depth += ( c === '(' ? 1 : -1 );
+    if ( depth < 0 ) {
+      break;
+    }
+  }
+
+  return ( depth === 0 );
+}
+
+/**
+ * The reverse of encodeFragment, so that the unfixed fragment is as portable as the original, e.g., '#café'.
+ * The characters that cannot be in the destination are escaped again: '%', whitespace and control characters
+ * stay percent-encoded, and so do quotes, '<', '>' and '&' in an HTML attribute; in markdown '\', '<' and '>'
+ * are backslash escaped, and so are the parentheses unless they are balanced.
+ * @param {string} fragment : a fixed link fragment, excluding the '#', which is percent-encoded, see encodeFragment;
+ * @param {string} type     : the type of the link target, see markdown-parser.findLinkTargets.
+ * @returns the decoded fragment, e.g., 'caf%C3%A9%20(1)' becomes 'café%20(1)'.
+ */
+function decodeFixedFragment( fragment, type ) {
+  const isHtml         = ( type === 'html' );
+  const reEscaped      = ( isHtml ? /["'<>&]/ : /[\\<>]/ );
+  const toPercent      = c => `%${c.charCodeAt( 0 ).toString( 16 ).toUpperCase().padStart( 2, '0' )}`;
+  const decodeRun      = run => Array.from( decodeFragment( run ), c => {
+    let text = c;
+    if ( ( c === '%' ) || /[\s\p{Cc}]/u.test( c ) ) {
+      text = encodeURIComponent( c );
+    } else if ( reEscaped.test( c ) ) {
+      text = ( isHtml ? toPercent( c ) : `\\${c}` );
+    }
+    return text;
+  } ).join( '' );
+  const decoded        = fragment.replace( /(?:%[0-9A-Fa-f]{2})+/g, run => ( decodeFragment( run ) === run ? run : decodeRun( run ) ) ); // A malformed run is kept
+
+  return ( isHtml || hasBalancedParentheses( decoded ) ? decoded : decoded.replace( /[()]/g, '\\$&' ) );
+}
+
+/**
+ * The reverse of fixLinks for the internal hyperlinks, for any registry.
+ * @param {string} rawReadmeText : the markdown;
+ * @param {string} packageName   : the package name;
+ * @param {Object} pageOptions   : optional registry, webPath and urlTemplate of the README page, see parseFixedLink.
+ * @returns the markdown with the fixed internal hyperlinks changed back to fragments, see parseFixedLink.
+ */
+function unfixLinks( rawReadmeText, packageName, pageOptions ) {
+  const edits = [];
+
+  findLinkTargets( rawReadmeText ).forEach( ( { type, start, end, destination } ) => {
+    const rawLink = parseFixedLink( destination, packageName, pageOptions );
+    if ( rawLink !== null ) {
+      edits.push( { start, end, text: `#${decodeFixedFragment( rawLink.slice( 1 ), type )}` } );
+    }
+  } );
+
+  return applyEdits( rawReadmeText, edits );
+}
+
+/**
+ * @param {string} rawReadmeText : the markdown.
+ * @returns Set of the anchor names that will exist on the rendered page, from the headings and HTML id and name attributes.
+ */
+function genAnchors( rawReadmeText ) {
+  const slug    = genSlugger();
+  const anchors = new Set();
+
+  findHeadings( rawReadmeText ).forEach( ( { text } ) => anchors.add( slug( text ) ) );
+  findHtmlAnchors( rawReadmeText ).forEach( ( { anchor } ) => anchors.add( anchor ) );
+
+  return anchors;
+}
+
+/**
+ * @param {string} fragment : a link fragment, excluding the '#'.
+ * @returns the percent-decoded fragment, or the fragment unchanged if it cannot be decoded.
+ */
+function decodeFragment( fragment ) {
+  let decodedFragment = fragment;
+
+  try {
+    decodedFragment = decodeURIComponent( fragment );
+  }
+  catch {
+    // Malformed escape sequence, browsers match the raw fragment
+  }
+
+  return decodedFragment;
+}
+
+/**
+ * @param {string} rawReadmeText : the markdown.
+ * @returns array of the internal hyperlinks that do not refer to an anchor on the page, each an object with properties:
+ *           - destination : the link destination, e.g., '#instal';
+ *           - line        : the line number of the link destination, starting from 1;
+ *           - column      : the column number of the link destination, starting from 1.
+ */
+function validateLinks( rawReadmeText ) {
+  const anchors = genAnchors( rawReadmeText );
+
+  return findLinkTargets( rawReadmeText )
+    .filter( ( { destination } ) => isInternalLink( destination ) )
+    .filter( ( { destination } ) => {
+      const fragment = destination.slice( 1 );
+      return ! ( anchors.has( fragment ) || anchors.has( decodeFragment( fragment ) ) );
+    } )
+    .map( ( { destination, start } ) => ( { destination, ...getLineColumn( rawReadmeText, start ) } ) );
+}
 
-  return cookedContent;
+/**
+ * @param {Array} unresolvedLinks : the unresolved links, see validateLinks.
+ * @returns an Error listing the unresolved links, with properties:
+ *           - code            : 'EUNRESOLVEDLINKS';
+ *           - unresolvedLinks : the unresolved links.
+ */
+function genUnresolvedLinksError( unresolvedLinks ) {
+  const linksText = unresolvedLinks
+    .map( ( { destination, line, column } ) => `${destination} (line ${line}, column ${column})` )
+    .join( ', ' );
+  const err = new Error( `Unresolved internal links: ${linksText}` );
+  err.code            = ERR_UNRESOLVED_LINKS;
+  err.unresolvedLinks = unresolvedLinks;
+  return err;
 }
 
 /**
  * @param {Object} packageContent : the package.json file as an object;
+ * @param {string} registry       : optional registry URL, overriding the package.json.
+ * @returns the Verdaccio registry URL.
+ */
+function genRegistry( packageContent, registry ) {
+  return registry || packageContent?.publishConfig?.registry || DEFAULT_REGISTRY;
+}
+
+/**
+ * @param {string} packageName : the package name.
+ * @returns the package name encoded as a single URL path segment, in the same form as the npm registry,
+ *          e.g., '@scope/my-pkg' becomes '@scope%2Fmy-pkg'.
+ */
+function encodePackageName( packageName ) {
+  return encodeURIComponent( packageName ).replace( /^%40/, '@' );
+}
+
+/**
+ * @param {string} urlTemplate : a URL template preset name, see URL_TEMPLATE_PRESETS, or a URL template,
+ *                               e.g., '{registry}/{webPath}/{name}#{anchor}', default 'verdaccio-5'.
+ *                               The {name} token is the encoded package name, see encodePackageName, and {rawName} is unencoded.
+ * @returns the URL template.
+ * @exception if the template has an unknown token, has no {name} or {rawName} token, or does not end with #{anchor}.
+ */
+function genUrlTemplate( urlTemplate = DEFAULT_URL_TEMPLATE ) {
+  const template      = ( Object.prototype.hasOwnProperty.call( URL_TEMPLATE_PRESETS, urlTemplate ) ? URL_TEMPLATE_PRESETS[ urlTemplate ] : urlTemplate );
+  const unknownTokens = [ ...template.matchAll( /\{([^{}]*)\}/g ) ].map( match => match[ 1 ] ).filter( token => ! URL_TEMPLATE_TOKENS.includes( token ) );
+
+  if ( unknownTokens.length > 0 ) {
+    throw new Error( `Invalid URL template: ${urlTemplate}, unknown tokens: ${unknownTokens.join( ', ' )}` );
+  }
+  if ( ! /\{(?:name|rawName)\}/.test( template ) || ! template.endsWith( URL_TEMPLATE_ANCHOR ) || template.slice( 0, -URL_TEMPLATE_ANCHOR.length ).includes( '{anchor}' ) ) {
+    throw new Error( `Invalid URL template: ${urlTemplate}, must contain {name} or {rawName} and end with ${URL_TEMPLATE_ANCHOR}, or be one of: ${Object.keys( URL_TEMPLATE_PRESETS ).join( ', ' )}` );
+  }
+
+  return template;
+}
+
+/**
+ * @param {Object} packageContent : the package.json file as an object;
+ * @param {Object} options        : object with optional properties:
+ *                                   - registry    : the registry URL, overriding the package.json;
+ *                                   - webPath     : the Verdaccio Web UI path to the README pages, default '/-/web/detail/';
+ *                                   - urlTemplate : the README page URL template or preset name, see genUrlTemplate.
  * @returns object with properties:
- *           - baseHref     : absolute HTTP address to the Verdaccio README page of the module;
+ *           - baseHref     : absolute HTTP address to the Verdaccio README page of the module, the fixed link without the fragment;
  *           - baseHrefText : the base HTML tag containing the baseHref, e.g., <base href="https://verdaccio....">
  */
-function genBaseHref( packageContent ) {
-  const registry     = packageContent?.publishConfig?.registry || DEFAULT_REGISTRY;
+function genBaseHref( packageContent, { registry, webPath = REL_WEB_PATH, urlTemplate } = {} ) {
   const packageName  = packageContent.name;
-  const baseHref     = `${registry}${REL_WEB_PATH}${packageName}?`;
+  const values       = { registry: genRegistry( packageContent, registry ), webPath, name: encodePackageName( packageName ), rawName: packageName };
+  const template     = genUrlTemplate( urlTemplate ).slice( 0, -URL_TEMPLATE_ANCHOR.length );
+  const baseHref     = collapseSlashes( template.replace( /\{(\w+)\}/g, ( token, key ) => values[ key ] ) ); // Allow for a registry sub-path
   const baseHrefText = `<base href="${baseHref}">`;
   return { baseHref, baseHrefText };
 }
@@ -226,31 +637,396 @@ function genBaseHref( packageContent ) {
  * @param {Object} object with properties:
  *          - packageContent : contents of the package.json file;
  *          - rawReadmeText  : the markdown;
+ *          - fileLinks      : optional relative file link options, see file-links.genFileLinkResolver,
+ *                             the tarball URL defaults to the registry;
+ *          - images         : optional relative image options, see images.genImageResolver;
+ *          - links          : optional link type options, see fixLinks;
+ *          - packageDir     : the package root directory, that relative image pathnames are resolved from, default '.';
+ *          - registry       : optional registry URL, overriding the package.json;
+ *          - webPath        : optional Verdaccio Web UI path to the README pages;
+ *          - urlTemplate    : optional README page URL template or preset name, see genUrlTemplate.
  * @returns the markdown with the internal hyperlinks fixed.
  */
-function fixReadmeText( { packageContent, rawReadmeText } ) {
-  const { baseHref } = genBaseHref( packageContent );
-  return fixLinks( rawReadmeText, baseHref );
+function fixReadmeText( { packageContent, rawReadmeText, fileLinks = {}, images = {}, links = {}, packageDir = '.', registry, webPath, urlTemplate } ) {
+  const { baseHref }    = genBaseHref( packageContent, { registry, webPath, urlTemplate } );
+  const pageRegistry    = genRegistry( packageContent, registry );
+  const resolveFileLink = genFileLinkResolver( packageContent, { tarballUrl: pageRegistry, ...fileLinks } );
+  const resolveImage    = genImageResolver( packageDir, images, resolveFileLink );
+  return fixLinks( rawReadmeText, baseHref, resolveFileLink, resolveImage, packageContent.name, { registry: pageRegistry, webPath, urlTemplate }, links );
 }
 
 /**
- * Update the package.json file with the contents of the README.md file.
- * @param {Object} readmePathname : pathname to the README.md file to process.
+ * @param {Object} object with properties:
+ *          - packageContent : contents of the package.json file;
+ *          - rawReadmeText  : the markdown with fixed internal hyperlinks;
+ *          - registry       : optional registry URL, overriding the package.json;
+ *          - webPath        : optional Verdaccio Web UI path to the README pages;
+ *          - urlTemplate    : optional README page URL template or preset name, see genUrlTemplate.
+ * @returns the markdown with the internal hyperlinks changed back to fragments, so it is portable, e.g., to npmjs.org.
+ */
+function unfixReadmeText( { packageContent, rawReadmeText, registry, webPath, urlTemplate } ) {
+  return unfixLinks( rawReadmeText, packageContent.name, { registry: genRegistry( packageContent, registry ), webPath, urlTemplate } );
+}
+
+/**
+ * @param {string} readmeText    : the fixed markdown;
+ * @param {number} maxReadmeSize : the largest readme size without a warning, in bytes.
+ * @returns null if the readme is no larger than the limit, otherwise an object with properties:
+ *           - size    : the readme size in bytes, as UTF-8;
+ *           - maxSize : the limit.
+ */
+function checkReadmeSize( readmeText, maxReadmeSize ) {
+  const size = Buffer.byteLength( readmeText, 'utf-8' );
+  return ( size > maxReadmeSize ? { size, maxSize: maxReadmeSize } : null );
+}
+
+/**
+ * Update the package.json file with the contents of the README file.
+ * @param {Object} readmePathname : pathname to the README file to process, default the package README file,
+ *                                  see package-files.findReadmePathname;
+ * @param {Object} options        : object with optional properties:
+ *                                   - packagePathname : pathname to the package.json file, default the nearest package.json
+ *                                                       of the README file, or package.json in the current directory;
+ *                                   - registry        : the registry URL, overriding the package.json and .npmrc files, see registry.resolveRegistry;
+ *                                   - rootDir         : the workspace root directory of a workspace package, whose .npmrc
+ *                                                       file is read after the package .npmrc file, see registry.resolveRegistry;
+ *                                   - webPath         : the Verdaccio Web UI path to the README pages, default '/-/web/detail/';
+ *                                   - urlTemplate     : the README page URL template or preset name, see genUrlTemplate;
+ *                                   - dryRun          : if true, do not write any files, and return the diff instead;
+ *                                   - strict          : if true, fail if any internal hyperlink does not refer to an anchor on the page;
+ *                                   - toc             : the table of contents options, see toc.genTocOptions;
+ *                                   - fileLinks       : the relative file link options, see file-links.genFileLinkResolver;
+ *                                   - images          : the relative image options, see images.genImageResolver;
+ *                                   - links           : the link types to rewrite, see fixLinks;
+ *                                   - maxReadmeSize   : the largest fixed readme without a warning, in bytes, default 64 KiB;
+ *                                   - backups         : the backup options, see backups.createBackup.
  * @return object with properties:
  *          - packagePathname       : the pathname of the package file that has been updated; 
- *          - backupPackagePathname : a backup of the original package file.
- * @exception if an error occurred.
- */
-async function processReadme( readmePathname = DEFAULT_README_PATHNAME ) {
-  const rawReadmeText    = readFile( readmePathname );
-  const packagePathname  = genPackagePathname( readmePathname );
-  const packageContent   = loadPackage( packagePathname );
-  const readmeText       = fixReadmeText( { rawReadmeText, packageContent } );
-  const result           = await updatePackage( { packagePathname, readmeText } );
-  result.packagePathname = packagePathname;
+ *          - readmePathname        : the pathname of the README file, which is also set as the package.json readmeFilename;
+ *          - backupPackagePathname : a backup of the original package file, unless a dry run;
+ *          - diff                  : only if a dry run, the changes that would be made, see genDryRunDiff;
+ *          - registry              : the registry URL and where it came from, see registry.resolveRegistry;
+ *          - readmeText            : the fixed markdown;
+ *          - unresolvedLinks       : the internal hyperlinks that do not refer to an anchor on the page, see validateLinks;
+ *          - unpublishedFileLinks  : unless the file link strategy is 'none', the relative file links to files
+ *                                    that are not in the published package, see file-links.findUnpublishedFileLinks;
+ *          - oversizedReadme       : null, or if the fixed readme is larger than maxReadmeSize, see checkReadmeSize.
+ * @exception if an error occurred, or if strict and there are unresolved links, see genUnresolvedLinksError.
+ */
+async function processReadme( optReadmePathname, {
+  packagePathname: optPackagePathname, registry, rootDir, webPath, urlTemplate, dryRun = false, strict = false,
+  toc = {}, fileLinks = {}, images = {}, links = {}, maxReadmeSize = DEFAULT_MAX_README_SIZE, backups = {},
+} = {} ) {
+  const packagePathname = ( optPackagePathname ? path.resolve( optPackagePathname ) : genPackagePathname( optReadmePathname ) );
+  const packageContent  = loadPackage( packagePathname );
+  const readmePathname  = optReadmePathname ?? findPackageReadme( packagePathname, packageContent );
+  const readmeFilename  = genReadmeFilename( packagePathname, readmePathname );
+  const fileReadmeText  = readFile( readmePathname );
+  const rawReadmeText   = updateToc( fileReadmeText, toc );
+  const checkReadmeText = maskToc( fileReadmeText ); // The links are checked at their positions in the README file
+  const unresolvedLinks = validateLinks( checkReadmeText );
+  if ( strict && ( unresolvedLinks.length > 0 ) ) {
+    throw genUnresolvedLinksError( unresolvedLinks );
+  }
+  const packageDir           = path.dirname( packagePathname );
+  const readmeDir            = path.posix.dirname( readmeFilename ); // Relative links are from the README directory, unless the readmeDir option
+  const readmeFileLinks      = { readmeDir, ...fileLinks };
+  const readmeImages         = { readmeDir, ...images };
+  const resolvedRegistry     = resolveRegistry( packageContent, { registry, packageDir, rootDir } );
+  const readmeText           = fixReadmeText( { rawReadmeText, packageContent, fileLinks: readmeFileLinks, images: readmeImages, links, packageDir, registry: resolvedRegistry.url, webPath, urlTemplate } );
+  const isFileLinksFixed     = ( ( fileLinks.strategy ?? 'none' ) !== 'none' );
+  const unpublishedFileLinks = ( isFileLinksFixed ? findUnpublishedFileLinks( checkReadmeText, packageContent, readmeFileLinks.readmeDir ) : [] );
+  const result               = ( dryRun
+    ? { diff: genDryRunDiff( { packagePathname, packageContent, readmeText, readmeFilename } ) }
+    : await updatePackage( { packagePathname, readmeText, readmeFilename, backups } ) );
+  result.packagePathname      = packagePathname;
+  result.readmePathname       = path.resolve( readmePathname );
+  result.registry             = resolvedRegistry;
+  result.readmeText           = readmeText;
+  result.unresolvedLinks      = unresolvedLinks;
+  result.unpublishedFileLinks = unpublishedFileLinks;
+  result.oversizedReadme      = checkReadmeSize( readmeText, maxReadmeSize );
   return result;
 }
 
+/**
+ * Change the fixed internal hyperlinks back to fragments, e.g., to copy the package.json readme back to the README.md file.
+ * @param {string} readmePathname : pathname to the markdown file, or undefined for the package.json readme property;
+ * @param {Object} options        : object with optional properties:
+ *                                   - packagePathname : pathname to the package.json file, which has the package name,
+ *                                                       default the nearest package.json of the markdown file, or
+ *                                                       package.json in the current directory;
+ *                                   - registry        : the registry URL, overriding the package.json;
+ *                                   - webPath         : the Verdaccio Web UI path to the README pages, default '/-/web/detail/';
+ *                                   - urlTemplate     : the README page URL template or preset name, see genUrlTemplate;
+ *                                   - outputPathname  : pathname to write the markdown to, default none.
+ * @return object with properties:
+ *          - packagePathname : the pathname of the package file;
+ *          - outputPathname  : the pathname the markdown was written to, or null;
+ *          - readmeText      : the markdown with the internal hyperlinks changed back to fragments.
+ * @exception if an error occurred, or if the package file has no readme property and no markdown file is specified.
+ */
+async function unfixReadme( readmePathname, { packagePathname: optPackagePathname, registry, webPath, urlTemplate, outputPathname } = {} ) {
+  const packagePathname = ( optPackagePathname ? path.resolve( optPackagePathname ) : genPackagePathname( readmePathname ) );
+  const packageContent  = loadPackage( packagePathname );
+  const rawReadmeText   = ( readmePathname ? readFile( readmePathname ) : packageContent.readme );
+  if ( typeof rawReadmeText !== 'string' ) {
+    throw new Error( `No readme property in package file: ${packagePathname}` );
+  }
+
+  const readmeText = unfixReadmeText( { packageContent, rawReadmeText, registry, webPath, urlTemplate } );
+  if ( outputPathname ) {
+    await writeFileAtomic( outputPathname, readmeText );
+  }
+
+  return { packagePathname, outputPathname: outputPathname ?? null, readmeText };
+}
+
+/**
+ * @param {string} readmePathname     : pathname to the markdown file, or undefined;
+ * @param {string} optPackagePathname : the package.json pathname option, or undefined;
+ * @param {string} name               : the package name option, or undefined.
+ * @returns object with properties:
+ *           - packagePathname : the pathname of the package file, or null if there is none and the name is given;
+ *           - packageContent  : the package.json file as an object, with the name replaced by the name option;
+ *           - packageDir      : the package directory, or if there is no package file, the markdown file or current directory.
+ * @exception if there is no package file and no name, with property code 'EFILENOTFOUND'.
+ */
+function loadFilterPackage( readmePathname, optPackagePathname, name ) {
+  const startDir        = ( readmePathname ? path.dirname( path.resolve( readmePathname ) ) : process.cwd() );
+  const packagePathname = ( optPackagePathname ? path.resolve( optPackagePathname ) : findNearestPackagePathname( startDir ) );
+
+  if ( ( packagePathname === null ) && ! name ) {
+    const err = new Error( `No package file found in ${startDir} or its parent directories, and no package name given` );
+    err.code = ERR_FILE_NOT_FOUND;
+    throw err;
+  }
+
+  const packageContent = ( packagePathname === null ? {} : loadPackage( packagePathname ) );
+  return {
+    packagePathname,
+    packageContent: ( name ? { ...packageContent, name } : packageContent ),
+    packageDir:     ( packagePathname === null ? startDir : path.dirname( packagePathname ) ),
+  };
+}
+
+/**
+ * Fix the internal hyperlinks of markdown without updating the package.json file, e.g., to use in a pipeline.
+ * @param {string} readmePathname : pathname to the markdown file, or undefined if the readmeText option is given;
+ * @param {Object} options        : object with optional properties:
+ *                                   - readmeText      : the markdown, e.g., from stdin, instead of the markdown file;
+ *                                   - packagePathname : pathname to the package.json file, for the package name and registry,
+ *                                                       default the nearest package.json of the markdown file, or of the
+ *                                                       current directory, if any;
+ *                                   - name            : the package name, overriding the package.json file, which is then optional;
+ *                                   - outputPathname  : pathname to write the fixed markdown to, default none;
+ *                                   - registry, webPath, urlTemplate, strict, toc, fileLinks, images, links : see processReadme.
+ * @return object with properties:
+ *          - packagePathname : the pathname of the package file, or null if there is none;
+ *          - outputPathname  : the pathname the markdown was written to, or null;
+ *          - registry        : the registry URL and where it came from, see registry.resolveRegistry;
+ *          - readmeText      : the fixed markdown;
+ *          - unresolvedLinks : the internal hyperlinks that do not refer to an anchor on the page, see validateLinks.
+ * @exception if an error occurred, or if strict and there are unresolved links, see genUnresolvedLinksError.
+ */
+async function filterReadme( readmePathname, {
+  readmeText: inputReadmeText, packagePathname: optPackagePathname, name, outputPathname, registry, webPath, urlTemplate,
+  strict = false, toc = {}, fileLinks = {}, images = {}, links = {},
+} = {} ) {
+  const fileReadmeText  = inputReadmeText ?? readFile( readmePathname );
+  const rawReadmeText   = updateToc( fileReadmeText, toc );
+  const unresolvedLinks = validateLinks( maskToc( fileReadmeText ) ); // At their positions in the input markdown
+  if ( strict && ( unresolvedLinks.length > 0 ) ) {
+    throw genUnresolvedLinksError( unresolvedLinks );
+  }
+  const { packagePathname, packageContent, packageDir } = loadFilterPackage( readmePathname, optPackagePathname, name );
+  const resolvedRegistry = resolveRegistry( packageContent, { registry, packageDir } );
+  const readmeText       = fixReadmeText( { rawReadmeText, packageContent, fileLinks, images, links, packageDir, registry: resolvedRegistry.url, webPath, urlTemplate } );
+  if ( outputPathname ) {
+    await writeFileAtomic( outputPathname, readmeText );
+  }
+
+  return { packagePathname, outputPathname: outputPathname ?? null, registry: resolvedRegistry, readmeText, unresolvedLinks };
+}
+
+/**
+ * @param {Object} options : object with optional properties:
+ *                            - packagePathname : pathname to the package.json file, default package.json in the current directory;
+ *                            - backups         : the backup options, see backups.createBackup.
+ * @return object with properties:
+ *          - packagePathname : the pathname of the package file;
+ *          - backupDir       : the backup directory pathname;
+ *          - backups         : the backups of the package file, oldest first, see backups.findBackups.
+ */
+function listBackups( { packagePathname: optPackagePathname, backups = {} } = {} ) {
+  const packagePathname = path.resolve( optPackagePathname ?? PACKAGE_FILENAME );
+  const backupDir       = genBackupDir( packagePathname, backups.dir );
+  return { packagePathname, backupDir, backups: findBackups( backupDir, packagePathname ) };
+}
+
+/**
+ * Replace the package.json file with a backup. The package file is itself backed up first, if it exists,
+ * so a restore can be undone by restoring the new backup.
+ * @param {string} id      : the ID of the backup to restore, see backups.findBackups, or undefined for the most recent backup;
+ * @param {Object} options : object with optional properties:
+ *                            - packagePathname : pathname to the package.json file, default package.json in the current directory;
+ *                            - backups         : the backup options, see backups.createBackup.
+ * @return object with properties:
+ *          - packagePathname       : the pathname of the package file that has been restored;
+ *          - restoredBackupId      : the ID of the restored backup;
+ *          - backupPackagePathname : a backup of the package file before it was restored, or null if it did not exist.
+ * @exception if the restore fails, with property code 'EFILENOTFOUND' if there is no such backup,
+ *            or 'EINVALIDPACKAGE' if the backup is not a JSON object.
+ */
+async function restoreBackup( id, { packagePathname: optPackagePathname, backups = {} } = {} ) {
+  const packagePathname = path.resolve( optPackagePathname ?? PACKAGE_FILENAME );
+  const backupDir       = genBackupDir( packagePathname, backups.dir );
+  const backup          = findBackup( backupDir, packagePathname, id );
+  if ( ! backup ) {
+    const err = new Error( ( id === undefined ? `No backups found: ${backupDir}` : `Backup not found: ${id}` ) );
+    err.code = ERR_FILE_NOT_FOUND;
+    throw err;
+  }
+
+  const backupText = readFile( backup.pathname );
+  parsePackage( backup.pathname, backupText );
+  const { backupPathname: backupPackagePathname } = ( fs.existsSync( packagePathname )
+    ? createBackup( packagePathname, backups )
+    : { backupPathname: null } );
+  await writeFileAtomic( packagePathname, backupText );
+
+  return { packagePathname, restoredBackupId: backup.id, backupPackagePathname };
+}
+
+/**
+ * Add the prepack, postpack and postpublish scripts to the package.json file, see hooks.js. As with the readme, only the scripts
+ * are changed, and the package file is backed up first, unless the scripts are already installed.
+ * The backup directory is created either way, with the .npmignore file that keeps the prepack backups out of the package,
+ * see backups.createBackupDir.
+ * @param {Object} options : object with optional properties:
+ *                            - packagePathname : pathname to the package.json file, default package.json in the current directory;
+ *                            - backups         : the backup options, see backups.createBackup.
+ * @return object with properties:
+ *          - packagePathname       : the pathname of the package file;
+ *          - hooks                 : the hook scripts, see hooks.genHookScripts;
+ *          - backupPackagePathname : a backup of the original package file, or null if it was not changed.
+ * @exception if the package file cannot be loaded, see loadPackage.
+ */
+async function installHooks( { packagePathname: optPackagePathname, backups = {} } = {} ) {
+  const packagePathname = path.resolve( optPackagePathname ?? PACKAGE_FILENAME );
+  const oldPackageText  = readFile( packagePathname );
+  const packageContent  = parsePackage( packagePathname, oldPackageText );
+  const hooks           = genHookScripts( packageContent.scripts );
+  const isChanged       = hooks.some( ( { status } ) => ( status !== HOOK_UNCHANGED ) );
+  createBackupDir( genBackupDir( packagePathname, backups.dir ) );
+  const { backupPathname: backupPackagePathname } = ( isChanged
+    ? createBackup( packagePathname, backups )
+    : { backupPathname: null } );
+  if ( isChanged ) {
+    const newPackageText = hooks.reduce( ( packageText, { name, script } ) => setJsonSubProperty( packageText, 'scripts', name, script ), oldPackageText );
+    await writeFileAtomic( packagePathname, newPackageText );
+  }
+
+  return { packagePathname, hooks, backupPackagePathname };
+}
+
+/**
+ * @param {string} packagePathname : pathname to the package.json file.
+ * @returns the contents of the package file as an object, or null if the package file cannot be loaded.
+ */
+function readPackageContent( packagePathname ) {
+  try {
+    return loadPackage( packagePathname );
+  }
+  catch {
+    return null; // Reported when the package is processed
+  }
+}
+
+/**
+ * The registry option of a workspace package is either from the options or a configuration file, so the source is
+ * corrected to 'config', with the configuration file pathname, when it is not from the options.
+ * @param {Object} result        : a processReadme result, updated;
+ * @param {Object} options       : the options that take precedence over the configuration files, e.g., from the command line;
+ * @param {Object} rootConfig    : the workspace root loadConfig result;
+ * @param {Object} packageConfig : the package loadConfig result.
+ */
+function setConfigRegistrySource( result, options, rootConfig, packageConfig ) {
+  if ( ( options.registry === undefined ) && ( result.registry?.source === 'option' ) ) {
+    const pathname = ( packageConfig.config.registry !== undefined ? packageConfig.pathname : rootConfig.pathname );
+    result.registry = { url: result.registry.url, source: 'config', pathname };
+  }
+}
+
+/**
+ * Update the package.json file of every workspace package with its README file, see workspaces.findWorkspacePackages.
+ * Each package has the options of its own configuration file, over those of the workspace root configuration file,
+ * see config.loadConfig. A package that fails does not stop the others, unless failFast.
+ * @param {string} rootDir : the workspace root directory, default '.';
+ * @param {Object} options : the processReadme options for every package, except packagePathname and rootDir, which take
+ *                           precedence over the configuration files, e.g., from the command line, and optional properties:
+ *                            - rootConfig  : the workspace root loadConfig result, default none;
+ *                            - concurrency : the largest number of packages processed at a time, default 4;
+ *                            - failFast    : if true, do not start any more packages after a package fails.
+ * @return object with properties:
+ *          - rootDir  : the absolute pathname of the workspace root directory;
+ *          - packages : array of the packages, in order of the package directory, each an object with properties:
+ *                        - packageDir : the package directory;
+ *                        - name       : the package name, or null if the package file cannot be loaded;
+ *                        - status     : 'ok', 'failed', or 'skipped' if the package has no README file or was not started;
+ *                        - result     : if ok, the processReadme result, with the registry source 'config' if the
+ *                                       registry option is from a configuration file;
+ *                        - error      : if failed, the error;
+ *                        - reason     : if skipped, the reason.
+ * @exception if the workspaces are not defined.
+ */
+async function processWorkspaces( rootDir = '.', { rootConfig = { config: {}, pathname: null }, concurrency, failFast = false, ...options } = {} ) {
+  const packageDirs = findWorkspacePackages( rootDir );
+  const outcomes    = await runConcurrently( packageDirs, async packageDir => {
+    const packagePathname = path.join( packageDir, PACKAGE_FILENAME );
+    const packageContent  = readPackageContent( packagePathname );
+    const hasReadme       = ( ! packageContent || ( findReadmePathname( packageDir, packageContent.readmeFilename ) !== null ) );
+    let   result          = null;
+    if ( hasReadme ) { // An invalid package or configuration fails
+      const packageConfig  = loadConfig( packageDir );
+      const packageOptions = mergeOptions( mergeOptions( rootConfig.config, packageConfig.config ), options );
+      result = await processReadme( undefined, { ...packageOptions, packagePathname, rootDir: path.resolve( rootDir ) } );
+      setConfigRegistrySource( result, options, rootConfig, packageConfig );
+    }
+    return result;
+  }, { concurrency, failFast } );
+
+  const packages = packageDirs.map( ( packageDir, i ) => {
+    const { status, value, error } = outcomes[ i ];
+    const packageName              = readPackageContent( path.join( packageDir, PACKAGE_FILENAME ) )?.name ?? null;
+    const workspacePackage         = { packageDir, name: packageName, status };
+    if ( ( status === STATUS_OK ) && ( value === null ) ) {
+      workspacePackage.status = STATUS_SKIPPED;
+      workspacePackage.reason = 'No README file';
+    } else if ( status === STATUS_OK ) {
+      workspacePackage.result = value;
+    } else if ( status === STATUS_SKIPPED ) {
+      workspacePackage.reason = 'Not started after a failure';
+    } else {
+      workspacePackage.error = error;
+    }
+    return workspacePackage;
+  } );
+
+  return { rootDir: path.resolve( rootDir ), packages };
+}
+
 module.exports = {
   processReadme,
+  processWorkspaces,
+  unfixReadme,
+  filterReadme,
+  listBackups,
+  restoreBackup,
+  installHooks,
+  fixReadmeText,
+  genSlugger,
+  ERR_FILE_NOT_FOUND,
+  ERR_INVALID_PACKAGE,
+  ERR_UNRESOLVED_LINKS,
 };
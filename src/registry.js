@@ -0,0 +1,134 @@
+/**
+ * The Verdaccio registry URL, resolved from the first of these sources that has a value:
+ *   - 'option'        : the registry option, e.g., the --registry command line option;
+ *   - 'publishConfig' : the package.json publishConfig.registry property;
+ *   - 'npmrc-scope'   : for a scoped package, the @scope:registry entry of the project .npmrc, then the user .npmrc;
+ *   - 'npmrc'         : the registry entry of the project .npmrc, then the user .npmrc;
+ *   - 'env'           : the npm_config_registry environment variable, which npm sets for scripts;
+ *   - 'default'       : http://localhost:4873.
+ *
+ * The project .npmrc is in the package directory, then for a workspace package in the workspace root directory, as npm
+ * reads it, and the user .npmrc is the npm_config_userconfig environment variable, default ~/.npmrc. Environment variable references in .npmrc values, e.g., ${REGISTRY_HOST}, are replaced.
+ */
+'use strict';
+
+const path = require( 'path' );
+const fs   = require( 'fs' );
+const os   = require( 'os' );
+
+const DEFAULT_REGISTRY = 'http://localhost:4873'; // Use this if no other source has a registry
+const NPMRC_FILENAME   = '.npmrc';
+
+/**
+ * @param {string} value : an .npmrc value;
+ * @param {Object} env   : the environment variables.
+ * @returns the value with any quotes removed and the ${NAME} environment variable references replaced,
+ *          references to undefined variables are unchanged.
+ */
+function genNpmrcValue( value, env ) {
+  let unquotedValue = value;
+
+  if ( /^"[^]*"$/.test( value ) ) {
+    try {
+      unquotedValue = JSON.parse( value );
+    }
+    catch {
+      unquotedValue = value.slice( 1, -1 );
+    }
+  } else if ( /^'[^]*'$/.test( value ) ) {
+    unquotedValue = value.slice( 1, -1 );
+  }
+
+  return unquotedValue.replace( /\$\{([^}]+)\}/g, ( ref, name ) => env[ name ] ?? ref );
+}
+
+/**
+ * @param {string} npmrcText : the .npmrc file contents, in ini format;
+ * @param {Object} env       : the environment variables.
+ * @returns object of the .npmrc entries, the last value of a duplicated key is used.
+ */
+function parseNpmrc( npmrcText, env ) {
+  const entries = {};
+
+  npmrcText.split( /\r?\n/ ).forEach( rawLine => {
+    const line       = rawLine.trim();
+    const equalIndex = line.indexOf( '=' );
+    if ( line && ! /^[;#[]/.test( line ) && ( equalIndex > 0 ) ) {
+      entries[ line.slice( 0, equalIndex ).trim() ] = genNpmrcValue( line.slice( equalIndex + 1 ).trim(), env );
+    }
+  } );
+
+  return entries;
+}
+
+/**
+ * @param {string} packageDir : the package directory;
+ * @param {string} rootDir    : the workspace root directory, or undefined;
+ * @param {Object} env        : the environment variables.
+ * @returns array of the .npmrc pathnames in order of precedence, the project .npmrc, the workspace root .npmrc, if any,
+ *          then the user .npmrc.
+ */
+function genNpmrcPathnames( packageDir, rootDir, env ) {
+  const userConfig = env.npm_config_userconfig || env.NPM_CONFIG_USERCONFIG || path.join( os.homedir(), NPMRC_FILENAME );
+  const pathnames  = [ packageDir, rootDir ].filter( dir => dir !== undefined ).map( dir => path.resolve( dir, NPMRC_FILENAME ) );
+  return [ ...new Set( [ ...pathnames, path.resolve( userConfig ) ] ) ];
+}
+
+/**
+ * @param {string} pathname : the .npmrc pathname;
+ * @param {Object} env      : the environment variables.
+ * @returns object of the .npmrc entries, empty if the file does not exist.
+ */
+function loadNpmrc( pathname, env ) {
+  return ( fs.existsSync( pathname ) ? parseNpmrc( fs.readFileSync( pathname, { encoding: 'utf-8' } ), env ) : {} );
+}
+
+/**
+ * @param {Object} packageContent : the package.json file as an object;
+ * @param {Object} options        : object with optional properties:
+ *                                   - registry   : the registry URL, overriding all other sources;
+ *                                   - packageDir : the package directory, containing the project .npmrc, default '.';
+ *                                   - rootDir    : the workspace root directory of a workspace package, containing the
+ *                                                  .npmrc read after the project .npmrc;
+ *                                   - env        : the environment variables, default process.env.
+ * @returns object with properties:
+ *           - url      : the registry URL, without any trailing slash;
+ *           - source   : the source of the URL, see above;
+ *           - pathname : for the .npmrc sources, the .npmrc pathname;
+ *           - key      : for the .npmrc and env sources, the entry or environment variable name.
+ */
+function resolveRegistry( packageContent, { registry, packageDir = '.', rootDir, env = process.env } = {} ) {
+  let resolved = null;
+
+  if ( registry ) {
+    resolved = { url: registry, source: 'option' };
+  } else if ( packageContent?.publishConfig?.registry ) {
+    resolved = { url: packageContent.publishConfig.registry, source: 'publishConfig' };
+  } else {
+    const scope       = /^(@[^/]+)\//.exec( packageContent?.name ?? '' )?.[ 1 ];
+    const arrNpmrcKey = ( scope ? [ `${scope}:registry`, 'registry' ] : [ 'registry' ] );
+    const arrNpmrc    = genNpmrcPathnames( packageDir, rootDir, env ).map( pathname => ( { pathname, entries: loadNpmrc( pathname, env ) } ) );
+    const envKey      = [ 'npm_config_registry', 'NPM_CONFIG_REGISTRY' ].find( key => env[ key ] );
+
+    arrNpmrcKey.some( key => arrNpmrc.some( ( { pathname, entries } ) => {
+      if ( entries[ key ] ) {
+        resolved = { url: entries[ key ], source: ( key === 'registry' ? 'npmrc' : 'npmrc-scope' ), pathname, key };
+      }
+      return ( resolved !== null );
+    } ) );
+    if ( ( resolved === null ) && envKey ) {
+      resolved = { url: env[ envKey ], source: 'env', key: envKey };
+    }
+  }
+  if ( resolved === null ) {
+    resolved = { url: DEFAULT_REGISTRY, source: 'default' };
+  }
+
+  resolved.url = resolved.url.replace( /\/+$/, '' ); // The web path starts with a slash
+  return resolved;
+}
+
+module.exports = {
+  resolveRegistry,
+  DEFAULT_REGISTRY,
+};
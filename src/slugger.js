@@ -0,0 +1,105 @@
+/**
+ * Heading anchor name (slug) generation.
+ *
+ * The Verdaccio Web UI renders the README with marked, see https://marked.js.org.
+ * marked generates the heading id attributes from the plain text of the heading:
+ *   - lowercased and trimmed;
+ *   - HTML tags removed;
+ *   - ASCII punctuation and the Unicode general and supplemental punctuation blocks removed,
+ *     other characters, such as accented letters, CJK characters and emoji, are kept;
+ *   - each whitespace character replaced by a dash, so consecutive spaces produce consecutive dashes;
+ *   - duplicate slugs on the same page are numbered, e.g., 'usage', 'usage-1', 'usage-2'.
+ * e.g., "README.md file" becomes 'readmemd-file'.
+ */
+'use strict';
+
+const parseEntities = require( 'parse-entities' );
+
+const { tokenize, getTokenText } = require( './markdown-parser' );
+
+const EVENT_ENTER    = 'enter';
+const RE_HTML_TAG    = /<[!/a-z].*?>/ig;
+const RE_PUNCTUATION = /[\u2000-\u206F\u2E00-\u2E7F\\'!"#$%&()*+,./:;<=>?@[\]^`{|}~]/g;
+const RE_WHITESPACE  = /\s/g;
+const SKIPPED_TOKENS = [ 'resource', 'reference', 'htmlText' ]; // Link destinations and titles, reference labels and raw HTML
+const TEXT_TOKENS    = [ 'data', 'codeTextData', 'characterEscapeValue', 'autolinkProtocol', 'autolinkEmail', 'lineEnding' ];
+
+/**
+ * Convert the markdown content of a heading to the plain text that is displayed.
+ * e.g., 'Using `fixLinks` with [*links*](#links) &amp; images' becomes 'Using fixLinks with links & images'.
+ * @param {string} headingText : the markdown source of the heading content, excluding the '#' markers.
+ * @returns the plain text.
+ */
+function genPlainText( headingText ) {
+  const events    = tokenize( headingText );
+  const arrText   = [];
+  let   skipDepth = 0;
+
+  events.forEach( ( [ eventType, token ] ) => {
+    const isEnter = ( eventType === EVENT_ENTER );
+
+    if ( SKIPPED_TOKENS.includes( token.type ) ) {
+      skipDepth += ( isEnter ? 1 : -1 );
+    } else if ( isEnter && ( skipDepth === 0 ) ) {
+      if ( TEXT_TOKENS.includes( token.type ) ) {
+        arrText.push( getTokenText( headingText, token ) );
+      } else if ( token.type === 'characterReference' ) {
+        arrText.push( parseEntities( getTokenText( headingText, token ) ) );
+      }
+    }
+  } );
+
+  return arrText.join( '' );
+}
+
+/**
+ * @param {string} plainText : the plain text of a heading.
+ * @returns the slug for the text, without any numbering of duplicates.
+ */
+function serializeSlug( plainText ) {
+  return plainText.toLowerCase().trim()
+    .replace( RE_HTML_TAG, '' )
+    .replace( RE_PUNCTUATION, '' )
+    .replace( RE_WHITESPACE, '-' );
+}
+
+/**
+ * @param {string} originalSlug : a slug;
+ * @param {Object} seen         : object with properties being the slugs already generated, updated by this function.
+ * @returns the slug, with a numeric suffix if the slug has already been used, e.g., 'my-heading-1'.
+ */
+function genUniqueSlug( originalSlug, seen ) {
+  let slug  = originalSlug;
+  let count = 0;
+
+  if ( Object.prototype.hasOwnProperty.call( seen, slug ) ) {
+    count = seen[ originalSlug ];
+    do {
+      ++count;
+      slug = `${originalSlug}-${count}`;
+    } while ( Object.prototype.hasOwnProperty.call( seen, slug ) );
+  }
+  seen[ originalSlug ] = count;
+  seen[ slug ]         = 0;
+
+  return slug;
+}
+
+/**
+ * Generate a slugger for a single page, the slugger numbers any duplicate headings on the page.
+ * e.g.,
+ *   const slug = genSlugger();
+ *   slug( 'Usage' );        // 'usage'
+ *   slug( '*Usage*' );      // 'usage-1'
+ * @returns function that takes the markdown source of a heading and returns the anchor name for the heading.
+ */
+function genSlugger() {
+  const seen = {};
+  return headingText => genUniqueSlug( serializeSlug( genPlainText( headingText ) ), seen );
+}
+
+module.exports = {
+  genPlainText,
+  serializeSlug,
+  genSlugger,
+};
@@ -0,0 +1,161 @@
+/**
+ * Table of contents generation.
+ *
+ * Any content between the marker comments <!-- toc --> and <!-- tocstop --> is replaced
+ * with a nested list of links to the headings of the page, e.g.,
+ *
+ *   <!-- toc -->
+ *
+ *   - [Overview](#overview)
+ *     - [Usage](#usage)
+ *
+ *   <!-- tocstop -->
+ */
+'use strict';
+
+const { findHeadings, findHtmlComments } = require( './markdown-parser' );
+const { genSlugger, genPlainText }       = require( './slugger' );
+
+const TOC_START_COMMENT   = 'toc';
+const TOC_STOP_COMMENT    = 'tocstop';
+const DEFAULT_MIN_DEPTH   = 1;
+const DEFAULT_MAX_DEPTH   = 6;
+const DEFAULT_BULLET      = '-';
+const VALID_BULLETS       = [ '-', '*', '+' ];
+const INDENT              = '  ';
+const RE_MARKDOWN_SPECIAL = /[\\`*_[\]<>&]/g;
+
+/**
+ * @param {Object} options : object with optional properties:
+ *                            - minDepth : the lowest heading level to include, 1 to 6, default 1;
+ *                            - maxDepth : the highest heading level to include, 1 to 6, default 6;
+ *                            - bullet   : the list bullet, '-', '*' or '+', or an array of bullets to use for successive
+ *                                         nesting levels, repeating the last if there are more levels, default '-'.
+ * @returns the options with the defaults applied.
+ * @exception if an option is invalid.
+ */
+function genTocOptions( { minDepth = DEFAULT_MIN_DEPTH, maxDepth = DEFAULT_MAX_DEPTH, bullet = DEFAULT_BULLET } = {} ) {
+  const arrBullet = ( Array.isArray( bullet ) ? bullet : [ bullet ] );
+
+  [ minDepth, maxDepth ].forEach( depth => {
+    if ( ! ( Number.isInteger( depth ) && ( depth >= 1 ) && ( depth <= 6 ) ) ) {
+      throw new Error( `Invalid TOC heading depth: ${depth}` );
+    }
+  } );
+  if ( minDepth > maxDepth ) {
+    throw new Error( `Invalid TOC heading depth range: ${minDepth} to ${maxDepth}` );
+  }
+  if ( ( arrBullet.length === 0 ) || ! arrBullet.every( b => VALID_BULLETS.includes( b ) ) ) {
+    throw new Error( `Invalid TOC bullet: ${JSON.stringify( bullet )}` );
+  }
+
+  return { minDepth, maxDepth, arrBullet };
+}
+
+/**
+ * @param {string} plainText : plain text.
+ * @returns the text with markdown special characters escaped, so that it is displayed unchanged as link text.
+ */
+function escapeLinkText( plainText ) {
+  return plainText.replace( /\s+/g, ' ' ).replace( RE_MARKDOWN_SPECIAL, '\\$&' );
+}
+
+/**
+ * @param {Array}  headings : the headings of the page, see markdown-parser.findHeadings;
+ * @param {Object} options  : the TOC options, see genTocOptions.
+ * @returns the markdown list of links to the headings, without a trailing line ending, or an empty string if there are no headings.
+ */
+function genToc( headings, options ) {
+  const { minDepth, maxDepth, arrBullet } = genTocOptions( options );
+  const slug       = genSlugger();
+  const arrLine    = [];
+  const openDepths = []; // Depths of the headings enclosing the current heading
+
+  headings.forEach( ( { depth, text } ) => {
+    const anchor = slug( text ); // Every heading is slugged so that duplicates are numbered as on the page
+    if ( ( depth < minDepth ) || ( depth > maxDepth ) ) {
+      return;
+    }
+    while ( ( openDepths.length > 0 ) && ( openDepths[ openDepths.length - 1 ] >= depth ) ) {
+      openDepths.pop();
+    }
+    const level  = openDepths.length;
+    const bullet = arrBullet[ Math.min( level, arrBullet.length - 1 ) ];
+    arrLine.push( `${INDENT.repeat( level )}${bullet} [${escapeLinkText( genPlainText( text ) )}](#${anchor})` );
+    openDepths.push( depth );
+  } );
+
+  return arrLine.join( '\n' );
+}
+
+/**
+ * @param {string} rawReadmeText : the markdown.
+ * @returns array of the tables of contents, each an object with properties start and end, the offsets of the content
+ *          between a <!-- toc --> comment and the following <!-- tocstop --> comment.
+ */
+function findTocs( rawReadmeText ) {
+  const tocs     = [];
+  let   tocStart = null;
+
+  findHtmlComments( rawReadmeText ).forEach( ( { comment, start, end } ) => {
+    if ( comment === TOC_START_COMMENT ) {
+      tocStart = end;
+    } else if ( ( comment === TOC_STOP_COMMENT ) && ( tocStart !== null ) ) {
+      tocs.push( { start: tocStart, end: start } );
+      tocStart = null;
+    }
+  } );
+
+  return tocs;
+}
+
+/**
+ * Replace the content between each pair of <!-- toc --> and <!-- tocstop --> comments with a generated table of contents.
+ * A <!-- toc --> comment without a following <!-- tocstop --> comment is left unchanged.
+ * The generated lines use CRLF line endings if the markdown does.
+ * @param {string} rawReadmeText : the markdown;
+ * @param {Object} options       : the TOC options, see genTocOptions.
+ * @returns the markdown with the table of contents updated.
+ * @exception if an option is invalid.
+ */
+function updateToc( rawReadmeText, options = {} ) {
+  const eol     = ( rawReadmeText.includes( '\r\n' ) ? '\r\n' : '\n' );
+  const arrPart = [];
+  let   offset  = 0;
+  let   toc     = null;
+
+  findTocs( rawReadmeText ).forEach( ( { start, end } ) => {
+    toc = toc ?? genToc( findHeadings( rawReadmeText ), options ).replace( /\n/g, eol );
+    arrPart.push( rawReadmeText.slice( offset, start ), ( toc ? `${eol}${eol}${toc}${eol}${eol}` : `${eol}${eol}` ) );
+    offset = end;
+  } );
+  arrPart.push( rawReadmeText.slice( offset ) );
+
+  return arrPart.join( '' );
+}
+
+/**
+ * Blank out the content of the tables of contents, keeping the line endings, so that the rest of the markdown is at the
+ * same line and column as in the README file, e.g., to report the position of a link, unlike the updated markdown.
+ * The table of contents links are not needed, as they are generated from the headings.
+ * @param {string} rawReadmeText : the markdown.
+ * @returns the markdown with the content between each pair of <!-- toc --> and <!-- tocstop --> comments replaced by spaces.
+ */
+function maskToc( rawReadmeText ) {
+  const arrPart = [];
+  let   offset  = 0;
+
+  findTocs( rawReadmeText ).forEach( ( { start, end } ) => {
+    arrPart.push( rawReadmeText.slice( offset, start ), rawReadmeText.slice( start, end ).replace( /[^\r\n]/g, ' ' ) );
+    offset = end;
+  } );
+  arrPart.push( rawReadmeText.slice( offset ) );
+
+  return arrPart.join( '' );
+}
+
+module.exports = {
+  genToc,
+  updateToc,
+  maskToc,
+};
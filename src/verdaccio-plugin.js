@@ -0,0 +1,168 @@
+/**
+ * A Verdaccio filter plugin that fixes the internal hyperlinks of the package READMEs on the registry side,
+ * so that a package does not need to be published with a fixed readme, see readme-fixer.fixReadmeText.
+ *
+ * Verdaccio calls filter_metadata with the metadata of a package, i.e., the packument, before it is served.
+ * The readme property of the packument is fixed, from the package name and the latest version for the relative file links.
+ * It is the readme shown by the Verdaccio Web UI, so the readmes of the versions are not fixed. A fixed link is absolute
+ * rather than a fragment, so a readme that was already fixed, e.g., by the command line, is unchanged.
+ *
+ * Fixing a large readme takes a while, and blocks the event loop, so the fixed readmes of the most recently served
+ * packages are cached, by package name, with a hash of the readme and the latest version, which change on publish.
+ *
+ * The plugin configuration is from the filters section of the Verdaccio configuration file, e.g.,
+ *   filters:
+ *     readme-fixer:
+ *       urlTemplate: verdaccio-6
+ * with the optional properties:
+ *   - registry    : the registry URL, default the Verdaccio url_prefix if it is a URL, otherwise the VERDACCIO_PUBLIC_URL
+ *                   environment variable, or http://localhost:4873, followed by the url_prefix path;
+ *   - webPath     : the Verdaccio Web UI path to the README pages, default /-/web/detail/;
+ *   - urlTemplate : the README page URL template or preset name, see readme-fixer.genUrlTemplate;
+ *   - fileLinks   : the relative file link options, see file-links.genFileLinkResolver;
+ *   - links       : the link types to rewrite, see readme-fixer.fixLinks.
+ * Images are not inlined, as the package files are not available to the plugin.
+ */
+'use strict';
+
+const crypto = require( 'crypto' );
+
+const { fixReadmeText } = require( './readme-fixer' );
+const { DEFAULT_REGISTRY } = require( './registry' );
+
+const PLUGIN_NAME    = 'readme-fixer';
+const PUBLIC_URL_ENV = 'VERDACCIO_PUBLIC_URL'; // The environment variable of the Verdaccio public URL, behind a proxy
+const RE_URL         = /^https?:\/\//i;
+const CACHE_SIZE     = 100; // The number of packages with a cached readme, the least recently served are removed
+
+/**
+ * @param {Object} verdaccioConfig : the Verdaccio configuration.
+ * @returns the registry URL from the Verdaccio configuration, see above.
+ */
+function genVerdaccioRegistry( verdaccioConfig ) {
+  const urlPrefix = verdaccioConfig?.url_prefix ?? '';
+  let   registry;
+
+  if ( RE_URL.test( urlPrefix ) ) {
+    registry = urlPrefix;
+  } else {
+    const publicUrl = process.env[ PUBLIC_URL_ENV ] || DEFAULT_REGISTRY;
+    registry = `${publicUrl.replace( /\/+$/, '' )}/${urlPrefix.replace( /^\/+/, '' )}`;
+  }
+
+  return registry.replace( /\/+$/, '' );
+}
+
+/**
+ * @param {Object} packageContent : the package.json contents of the readme, i.e., a version of the packument;
+ * @param {string} readme         : the readme markdown;
+ * @param {Object} options        : the plugin options, with the registry.
+ * @returns the readme markdown with the internal hyperlinks fixed.
+ */
+function fixReadme( packageContent, readme, { registry, webPath, urlTemplate, fileLinks, links } ) {
+  return fixReadmeText( { packageContent, rawReadmeText: readme, fileLinks, links, registry, webPath, urlTemplate } );
+}
+
+/**
+ * @param {Object} packument : the package metadata, with properties name, readme, dist-tags and versions;
+ * @param {Object} options   : the plugin options, with the registry.
+ * @returns the packument readme with the internal hyperlinks fixed.
+ */
+function fixPackumentReadme( packument, options ) {
+  const latest = packument.versions?.[ packument[ 'dist-tags' ]?.latest ] ?? {};
+  return fixReadme( { ...latest, name: packument.name }, packument.readme, options );
+}
+
+/**
+ * @param {Object} packument : the package metadata, with a readme.
+ * @returns the hash of the readme and the latest version, which identifies the fixed readme of the package.
+ */
+function genReadmeHash( packument ) {
+  return crypto.createHash( 'sha256' )
+    .update( `${packument[ 'dist-tags' ]?.latest}\n` )
+    .update( packument.readme )
+    .digest( 'hex' );
+}
+
+/**
+ * @param {Map}    cache : the cached readmes by package name, least recently served first;
+ * @param {string} name  : the package name;
+ * @param {string} hash  : the readme hash, see genReadmeHash.
+ * @returns the cached readme, see setCachedReadme, which becomes the most recently served,
+ *          or null if it is not cached or the readme has changed.
+ */
+function getCachedReadme( cache, name, hash ) {
+  const cached = cache.get( name );
+  let   found  = null;
+
+  if ( cached?.hash === hash ) {
+    cache.delete( name );
+    cache.set( name, cached );
+    found = cached;
+  }
+
+  return found;
+}
+
+/**
+ * @param {Map}    cache  : the cached readmes by package name, least recently served first;
+ * @param {string} name   : the package name;
+ * @param {Object} cached : object with properties:
+ *                           - hash   : the readme hash, see genReadmeHash;
+ *                           - readme : the fixed readme, or null if it could not be fixed.
+ */
+function setCachedReadme( cache, name, cached ) {
+  cache.delete( name );
+  cache.set( name, cached );
+  if ( cache.size > CACHE_SIZE ) {
+    cache.delete( cache.keys().next().value );
+  }
+}
+
+/**
+ * The plugin factory called by Verdaccio when it loads the plugin.
+ * @param {Object} pluginConfig : the plugin configuration, see above;
+ * @param {Object} params       : object with properties:
+ *                                 - config : the Verdaccio configuration;
+ *                                 - logger : the Verdaccio logger.
+ * @returns the filter plugin, with the method filter_metadata, which takes a packument and returns a promise of a copy
+ *          of the packument with the readme fixed. If the readme cannot be fixed, a warning is logged when it is first
+ *          served and the packument is returned unchanged, so that the package is still served.
+ * @exception if the registry, webPath or urlTemplate option is invalid, the file link options need a package so are
+ *            checked by filter_metadata.
+ */
+function genReadmeFilter( pluginConfig, { config, logger } = {} ) {
+  const options = {
+    registry:    pluginConfig?.registry || genVerdaccioRegistry( config ),
+    webPath:     pluginConfig?.webPath,
+    urlTemplate: pluginConfig?.urlTemplate,
+    fileLinks:   pluginConfig?.fileLinks,
+    links:       pluginConfig?.links,
+  };
+  const cache = new Map();
+  fixReadme( { name: PLUGIN_NAME }, '', { ...options, fileLinks: {} } ); // Throws when loaded if a URL option is invalid, e.g., an unknown URL template
+
+  return {
+    filter_metadata: async packument => {
+      let filtered = packument;
+      if ( typeof packument?.readme === 'string' ) {
+        const hash   = genReadmeHash( packument );
+        let   cached = getCachedReadme( cache, packument.name, hash );
+        if ( ! cached ) {
+          cached = { hash, readme: null };
+          try {
+            cached.readme = fixPackumentReadme( packument, options );
+          }
+          catch ( err ) {
+            logger?.warn( { name: packument.name, err: err.message }, `${PLUGIN_NAME}: README of @{name} not fixed: @{err}` );
+          }
+          setCachedReadme( cache, packument.name, cached );
+        }
+        filtered = ( cached.readme === null ? packument : { ...packument, readme: cached.readme } );
+      }
+      return filtered;
+    },
+  };
+}
+
+module.exports = genReadmeFilter;
@@ -0,0 +1,187 @@
+/**
+ * Workspaces, i.e., a monorepo of packages, and running a task for each package.
+ *
+ * The workspace packages are the directories containing a package.json file that match the patterns of either:
+ *   - the 'workspaces' property of the root package.json, an array of patterns, or an object with a 'packages' array, as yarn;
+ *   - the 'packages' list of the root 'pnpm-workspace.yaml' file.
+ * A pattern starting with '!' excludes the matching directories. The node_modules and hidden directories are never searched.
+ */
+'use strict';
+
+const path      = require( 'path' );
+const fs        = require( 'fs' );
+const minimatch = require( 'minimatch' );
+
+const { parseJson } = require( './json-text' );
+
+const PACKAGE_FILENAME      = 'package.json';
+const PNPM_WORKSPACE_FILE   = 'pnpm-workspace.yaml';
+const DEFAULT_CONCURRENCY   = 4;
+const STATUS_OK             = 'ok';
+const STATUS_FAILED         = 'failed';
+const STATUS_SKIPPED        = 'skipped';
+const RE_GLOB_SEGMENT       = /[*?[\]{}()!+@]/;       // A path segment that is a glob rather than a literal name
+const RE_EXCLUDED_DIRECTORY = /^(?:node_modules|\..*)$/;
+
+/**
+ * Only the block and flow sequence forms of the 'packages' list are supported, e.g.,
+ *   packages:
+ *     - 'packages/*'
+ * or packages: [ 'packages/*', 'tools/*' ].
+ * @param {string} yamlText : the pnpm-workspace.yaml file contents.
+ * @returns array of the package patterns.
+ */
+function parsePnpmWorkspace( yamlText ) {
+  const arrLine  = yamlText.split( /\r?\n/ );
+  const keyIndex = arrLine.findIndex( line => /^packages\s*:/.test( line ) );
+  const unquote  = value => value.trim().replace( /^(['"])(.*)\1$/, '$2' );
+  const patterns = [];
+
+  if ( keyIndex >= 0 ) {
+    const flowMatch = /^packages\s*:\s*\[(.*)\]\s*(?:#.*)?$/.exec( arrLine[ keyIndex ] );
+    if ( flowMatch ) {
+      patterns.push( ...flowMatch[ 1 ].split( ',' ).map( unquote ).filter( pattern => pattern ) );
+    } else {
+      for ( const line of arrLine.slice( keyIndex + 1 ) ) {
+        const itemMatch = /^\s+-\s*(.*?)\s*(?:\s#.*)?$/.exec( line );
+        if ( itemMatch ) {
+          patterns.push( unquote( itemMatch[ 1 ] ) );
+        } else if ( ! /^\s*(?:#.*)?$/.test( line ) ) {
+          break; // The end of the list
+        }
+      }
+    }
+  }
+
+  return patterns;
+}
+
+/**
+ * @param {string} rootDir : the workspace root directory.
+ * @returns array of the workspace package patterns.
+ * @exception if neither the root package.json nor pnpm-workspace.yaml defines the workspaces.
+ */
+function readWorkspacePatterns( rootDir ) {
+  const packagePathname = path.join( rootDir, PACKAGE_FILENAME );
+  const pnpmPathname    = path.join( rootDir, PNPM_WORKSPACE_FILE );
+  const workspaces      = ( fs.existsSync( packagePathname )
+    ? parseJson( fs.readFileSync( packagePathname, { encoding: 'utf-8' } ) )?.workspaces
+    : undefined );
+  let   patterns        = ( Array.isArray( workspaces ) ? workspaces : workspaces?.packages );
+
+  if ( ! Array.isArray( patterns ) && fs.existsSync( pnpmPathname ) ) {
+    patterns = parsePnpmWorkspace( fs.readFileSync( pnpmPathname, { encoding: 'utf-8' } ) );
+  }
+  if ( ! Array.isArray( patterns ) ) {
+    throw new Error( `No workspaces defined in ${packagePathname} or ${pnpmPathname}` );
+  }
+
+  return patterns;
+}
+
+/**
+ * @param {string} rootDir  : the workspace root directory;
+ * @param {string} relDir   : the directory to search, relative to the root, in POSIX form, '' for the root;
+ * @param {number} maxDepth : the number of directory levels to search below the directory, Infinity for all.
+ * @returns array of the directory and its subdirectories, relative to the root, in POSIX form.
+ */
+function findDirs( rootDir, relDir, maxDepth ) {
+  const arrDir = [ relDir ];
+
+  if ( maxDepth > 0 ) {
+    fs.readdirSync( path.join( rootDir, relDir ), { withFileTypes: true } )
+      .filter( dirent => dirent.isDirectory() && ! RE_EXCLUDED_DIRECTORY.test( dirent.name ) )
+      .forEach( dirent => arrDir.push( ...findDirs( rootDir, path.posix.join( relDir, dirent.name ), maxDepth - 1 ) ) );
+  }
+
+  return arrDir;
+}
+
+/**
+ * @param {string} rootDir  : the workspace root directory;
+ * @param {Array}  patterns : the workspace package patterns, relative to the root.
+ * @returns array of the absolute pathnames of the package directories, sorted.
+ */
+function expandWorkspacePatterns( rootDir, patterns ) {
+  const normalize    = pattern => pattern.replace( /^!/, '' ).replace( /^\.\//, '' ).replace( /\/+$/, '' );
+  const includes     = patterns.filter( pattern => ! pattern.startsWith( '!' ) ).map( normalize );
+  const excludes     = patterns.filter( pattern => pattern.startsWith( '!' ) ).map( normalize );
+  const matchedDirs  = new Set();
+
+  includes.forEach( pattern => {
+    const segments  = pattern.split( '/' );
+    const globIndex = segments.findIndex( segment => RE_GLOB_SEGMENT.test( segment ) );
+    const baseDir   = ( globIndex < 0 ? pattern : segments.slice( 0, globIndex ).join( '/' ) );
+    const maxDepth  = ( segments.includes( '**' ) ? Infinity : segments.length - ( globIndex < 0 ? segments.length : globIndex ) );
+
+    if ( fs.existsSync( path.join( rootDir, baseDir ) ) ) {
+      findDirs( rootDir, baseDir, maxDepth )
+        .filter( relDir => ( relDir !== '' ) && minimatch( relDir, pattern ) && ! excludes.some( exclude => minimatch( relDir, exclude ) ) )
+        .filter( relDir => fs.existsSync( path.join( rootDir, relDir, PACKAGE_FILENAME ) ) )
+        .forEach( relDir => matchedDirs.add( path.resolve( rootDir, relDir ) ) );
+    }
+  } );
+
+  return [ ...matchedDirs ].sort();
+}
+
+/**
+ * @param {string} rootDir : the workspace root directory, default '.'.
+ * @returns array of the absolute pathnames of the workspace package directories, sorted.
+ * @exception if the workspaces are not defined.
+ */
+function findWorkspacePackages( rootDir = '.' ) {
+  return expandWorkspacePatterns( path.resolve( rootDir ), readWorkspacePatterns( rootDir ) );
+}
+
+/**
+ * Run an async task for each item, with at most the concurrency limit of tasks running at a time.
+ * @param {Array}    items   : the items;
+ * @param {Function} task    : async function that takes an item;
+ * @param {Object}   options : object with optional properties:
+ *                              - concurrency : the largest number of tasks running at a time, default 4;
+ *                              - failFast    : if true, do not start any more tasks after a task fails.
+ * @returns array of the outcomes in the same order as the items, each an object with properties:
+ *           - status : 'ok', 'failed', or 'skipped' if fail fast and not started;
+ *           - value  : if ok, the value of the task;
+ *           - error  : if failed, the error thrown by the task.
+ * @exception if the concurrency is not a positive integer.
+ */
+async function runConcurrently( items, task, { concurrency = DEFAULT_CONCURRENCY, failFast = false } = {} ) {
+  if ( ! ( Number.isInteger( concurrency ) && ( concurrency > 0 ) ) ) {
+    throw new Error( `Invalid concurrency: ${concurrency}` );
+  }
+
+  const outcomes  = new Array( items.length );
+  let   nextIndex = 0;
+  let   hasFailed = false;
+
+  async function runNext() {
+    while ( nextIndex < items.length ) {
+      const i = nextIndex++;
+      if ( failFast && hasFailed ) {
+        outcomes[ i ] = { status: STATUS_SKIPPED };
+        continue;
+      }
+      try {
+        outcomes[ i ] = { status: STATUS_OK, value: await task( items[ i ] ) };
+      }
+      catch ( error ) {
+        hasFailed     = true;
+        outcomes[ i ] = { status: STATUS_FAILED, error };
+      }
+    }
+  }
+
+  await Promise.all( Array.from( { length: Math.min( concurrency, items.length ) }, runNext ) );
+
+  return outcomes;
+}
+
+module.exports = {
+  findWorkspacePackages,
+  runConcurrently,
+  STATUS_OK,
+  STATUS_FAILED,
+  STATUS_SKIPPED,
+};
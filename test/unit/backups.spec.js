@@ -0,0 +1,283 @@
+/**
+ * DESCRIPTION:
+ * Unit Tests for the backups module.
+ */
+'use strict';
+
+const sinon      = require( 'sinon' );
+const { expect } = require( 'chai' );
+const rewire     = require( 'rewire' );
+const path       = require( 'path' );
+const fs         = require( 'fs' );
+const os         = require( 'os' );
+
+const REL_SRC_PATH  = '../../src/';
+const MODULE_NAME   = 'backups';
+const TEST_MODULE   = REL_SRC_PATH + MODULE_NAME;
+
+let sandbox;
+
+/**
+ * Modules load other modules, so to force a module reload need to delete
+ * the test module and all child modules from the require cache.
+ */
+function unrequireModules() {
+  const arrKey = [ require.resolve(TEST_MODULE),
+                 ];
+  for (let i in arrKey) {
+    let key = arrKey[i];
+    delete require.cache[key];
+  }
+}
+
+function commonBeforeEach() {
+  unrequireModules();
+  sandbox = sinon.createSandbox();
+}
+
+function commonAfterEach() {
+  sandbox.restore();
+  unrequireModules();
+}
+
+function createTestModule() {
+  const testModule = rewire( TEST_MODULE );
+  return testModule;
+}
+
+function createTestModuleAndGetProps( arrProp = [] ) {
+  const testModule = createTestModule();
+  const testProps  = {};
+  arrProp.forEach( m => { 
+    testProps[ m ] = testModule.__get__( m );
+  } );
+  const result = { testModule, testProps };
+  return result;
+}
+
+
+describe(MODULE_NAME + ':module can be loaded', () => {
+
+  beforeEach( () => {
+    commonBeforeEach();
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+  });
+
+  it ('module initialises OK', () => {
+    createTestModule();
+  });
+});
+
+describe(MODULE_NAME + ':genBackupDir', () => {
+  let testFnName = 'genBackupDir';
+  let testFn;
+  let testProps;
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn          = testProps[ testFnName ];
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+  });
+
+  it ('Default', () => {
+    expect( testFn( path.join( 'pkg', 'package.json' ) ) ).to.equal( path.resolve( 'pkg', '.readme-fixer', 'backups' ) );
+  });
+
+  it ('Relative and absolute directories', () => {
+    expect( testFn( path.join( 'pkg', 'package.json' ), 'backups' ) ).to.equal( path.resolve( 'pkg', 'backups' ) );
+    expect( testFn( path.join( 'pkg', 'package.json' ), path.resolve( 'other' ) ) ).to.equal( path.resolve( 'other' ) );
+  });
+});
+
+describe(MODULE_NAME + ':genBackupId and parseBackupId', () => {
+  let testProps;
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testProps } = createTestModuleAndGetProps( [ 'genBackupId', 'parseBackupId' ] ) );
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+  });
+
+  it ('OK', () => {
+    const id = testProps.genBackupId( new Date( '2026-10-18T10:15:00.123Z' ) );
+    expect( id ).to.equal( '20261018T101500123Z' );
+    expect( testProps.parseBackupId( id ) ).to.equal( '2026-10-18T10:15:00.123Z' );
+  });
+});
+
+describe(MODULE_NAME + ':validateKeep', () => {
+  let testFnName = 'validateKeep';
+  let testFn;
+  let testProps;
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn          = testProps[ testFnName ];
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+  });
+
+  it ('Valid', () => {
+    [ 0, 1, 10 ].forEach( keep => testFn( keep ) );
+  });
+
+  it ('Invalid', () => {
+    [ -1, 1.5, '3', null ].forEach( keep => {
+      expect( () => testFn( keep ) ).to.throw( `Invalid backup retention limit: ${keep}` );
+    } );
+  });
+});
+
+describe(MODULE_NAME + ':findBackups and findBackup', () => {
+  let testProps;
+  let testDir;
+  let testPathname;
+  let testKey;
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testProps } = createTestModuleAndGetProps( [ 'findBackups', 'findBackup', 'genPackageKey' ] ) );
+    testDir      = fs.mkdtempSync( path.join( os.tmpdir(), 'backups-test-' ) );
+    testPathname = path.join( testDir, 'package.json' );
+    testKey      = testProps.genPackageKey( testPathname );
+    [
+      `package-${testKey}-20261018T101600123Z.json`, `package-${testKey}-20261018T101500123Z.json`, 'package.json', 'package-x.json',
+      `package-${testProps.genPackageKey( path.join( testDir, 'b', 'package.json' ) )}-20261018T101700123Z.json`,
+      'package-20261018T101800123Z.json', `.package-${testKey}-20261018T101900123Z.json.1.tmp`,
+    ].forEach( filename => fs.writeFileSync( path.join( testDir, filename ), '{}' ) );
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+    fs.rmSync( testDir, { recursive: true, force: true } );
+  });
+
+  it ('Backups of the package oldest first, other files ignored', () => {
+    expect( testProps.findBackups( testDir, testPathname ) ).to.deep.equal( [
+      { id: '20261018T101500123Z', created: '2026-10-18T10:15:00.123Z', pathname: path.join( testDir, `package-${testKey}-20261018T101500123Z.json` ) },
+      { id: '20261018T101600123Z', created: '2026-10-18T10:16:00.123Z', pathname: path.join( testDir, `package-${testKey}-20261018T101600123Z.json` ) },
+    ] );
+  });
+
+  it ('Directory does not exist', () => {
+    expect( testProps.findBackups( path.join( testDir, 'missing' ), testPathname ) ).to.deep.equal( [] );
+    expect( testProps.findBackup( path.join( testDir, 'missing' ), testPathname ) ).to.equal( null );
+  });
+
+  it ('Find by ID, or the most recent, of the package', () => {
+    expect( testProps.findBackup( testDir, testPathname, '20261018T101500123Z' ).id ).to.equal( '20261018T101500123Z' );
+    expect( testProps.findBackup( testDir, testPathname ).id ).to.equal( '20261018T101600123Z' );
+    expect( testProps.findBackup( testDir, testPathname, '20261018T101700123Z' ) ).to.equal( null );
+    expect( testProps.findBackup( testDir, path.join( testDir, 'b', 'package.json' ) ).id ).to.equal( '20261018T101700123Z' );
+  });
+
+  it ('Package key from the absolute pathname', () => {
+    expect( testKey ).to.match( /^[0-9a-f]{8}$/ );
+    expect( testProps.genPackageKey( path.relative( process.cwd(), testPathname ) ) ).to.equal( testKey );
+    expect( testProps.genPackageKey( path.join( testDir, 'b', 'package.json' ) ) ).to.not.equal( testKey );
+  });
+});
+
+describe(MODULE_NAME + ':createBackup', () => {
+  let testFnName = 'createBackup';
+  let testFn;
+  let testProps;
+  let testDir;
+  let testBackupDir;
+  let testPathname;
+  let testKey;
+
+  beforeEach( () => {
+    commonBeforeEach();
+    sandbox.useFakeTimers( new Date( '2026-10-18T10:15:00.123Z' ).getTime() ); // Before the module is loaded, as rewire copies the globals
+    ( { testProps } = createTestModuleAndGetProps( [ testFnName, 'genPackageKey' ] ) );
+    testFn        = testProps[ testFnName ];
+    testDir       = fs.mkdtempSync( path.join( os.tmpdir(), 'backups-test-' ) );
+    testBackupDir = path.join( testDir, '.readme-fixer', 'backups' );
+    testPathname  = path.join( testDir, 'package.json' );
+    testKey       = testProps.genPackageKey( testPathname );
+    fs.writeFileSync( testPathname, '{ "name": "x" }' );
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+    fs.rmSync( testDir, { recursive: true, force: true } );
+  });
+
+  it ('OK', () => {
+    const actualResult = testFn( testPathname );
+    expect( actualResult ).to.deep.equal( {
+      id:             '20261018T101500123Z',
+      backupPathname: path.join( testBackupDir, `package-${testKey}-20261018T101500123Z.json` ),
+      removedBackups: [],
+    } );
+    expect( fs.readFileSync( actualResult.backupPathname, 'utf-8' ) ).to.equal( '{ "name": "x" }' );
+    expect( fs.readFileSync( path.join( testBackupDir, '.npmignore' ), 'utf-8' ) ).to.equal( '*\n' );
+  });
+
+  it ('Existing .npmignore file kept', () => {
+    fs.mkdirSync( testBackupDir, { recursive: true } );
+    fs.writeFileSync( path.join( testBackupDir, '.npmignore' ), 'package-*.json\n' );
+    testFn( testPathname );
+    expect( fs.readFileSync( path.join( testBackupDir, '.npmignore' ), 'utf-8' ) ).to.equal( 'package-*.json\n' );
+  });
+
+  it ('Same millisecond', () => {
+    expect( testFn( testPathname ).id ).to.equal( '20261018T101500123Z' );
+    expect( testFn( testPathname ).id ).to.equal( '20261018T101500124Z' );
+    expect( fs.readdirSync( testBackupDir ) ).to.have.lengthOf( 3 );
+  });
+
+  it ('Retention limit', () => {
+    const arrBackupPathname = [ 1, 2, 3 ].map( () => testFn( testPathname, { keep: 2 } ) );
+    expect( arrBackupPathname.map( ( { removedBackups } ) => removedBackups ) ).to.deep.equal( [
+      [],
+      [],
+      [ arrBackupPathname[ 0 ].backupPathname ],
+    ] );
+    expect( fs.readdirSync( testBackupDir ).sort() ).to.deep.equal( [ '.npmignore', `package-${testKey}-20261018T101500124Z.json`, `package-${testKey}-20261018T101500125Z.json` ] );
+  });
+
+  it ('Retention limit of each package in a shared directory', () => {
+    const testOtherPathname = path.join( testDir, 'b', 'package.json' );
+    fs.mkdirSync( path.dirname( testOtherPathname ) );
+    fs.writeFileSync( testOtherPathname, '{ "name": "b" }' );
+    const testOtherBackup = testFn( testOtherPathname, { dir: testBackupDir, keep: 1 } );
+    [ 1, 2 ].forEach( () => testFn( testPathname, { dir: testBackupDir, keep: 1 } ) );
+    expect( fs.existsSync( testOtherBackup.backupPathname ) ).to.equal( true );
+    expect( fs.readdirSync( testBackupDir ) ).to.have.lengthOf( 3 );
+  });
+
+  it ('Keep all', () => {
+    [ 1, 2, 3 ].forEach( () => testFn( testPathname, { keep: 0 } ) );
+    expect( fs.readdirSync( testBackupDir ) ).to.have.lengthOf( 4 );
+  });
+
+  it ('Backup directory option', () => {
+    expect( testFn( testPathname, { dir: 'backups' } ).backupPathname ).to.equal( path.join( testDir, 'backups', `package-${testKey}-20261018T101500123Z.json` ) );
+    expect( fs.existsSync( path.join( testDir, 'backups', '.npmignore' ) ) ).to.equal( true );
+  });
+
+  it ('Invalid retention limit', () => {
+    expect( () => testFn( testPathname, { keep: -1 } ) ).to.throw( 'Invalid backup retention limit: -1' );
+    expect( fs.existsSync( testBackupDir ) ).to.equal( false );
+  });
+
+  it ('Package file does not exist', () => {
+    fs.rmSync( testPathname );
+    expect( () => testFn( testPathname ) ).to.throw().with.property( 'code', 'ENOENT' );
+  });
+});
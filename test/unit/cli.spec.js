@@ -0,0 +1,815 @@
+/**
+ * DESCRIPTION:
+ * Unit Tests for the cli module.
+ */
+'use strict';
+
+const sinon      = require( 'sinon' );
+const { expect } = require( 'chai' );
+const rewire     = require( 'rewire' );
+const path       = require( 'path' );
+const { Readable } = require( 'stream' );
+
+const REL_SRC_PATH  = '../../src/';
+const MODULE_NAME   = 'cli';
+const TEST_MODULE   = REL_SRC_PATH + MODULE_NAME;
+
+let sandbox;
+
+/**
+ * Modules load other modules, so to force a module reload need to delete
+ * the test module and all child modules from the require cache.
+ */
+function unrequireModules() {
+  const arrKey = [ require.resolve(TEST_MODULE),
+                 ];
+  for (let i in arrKey) {
+    let key = arrKey[i];
+    delete require.cache[key];
+  }
+}
+
+function commonBeforeEach() {
+  unrequireModules();
+  sandbox = sinon.createSandbox();
+}
+
+function commonAfterEach() {
+  sandbox.restore();
+  unrequireModules();
+}
+
+function createTestModule() {
+  const testModule = rewire( TEST_MODULE );
+  return testModule;
+}
+
+function createTestModuleAndGetProps( arrProp = [] ) {
+  const testModule = createTestModule();
+  const testProps  = {};
+  arrProp.forEach( m => { 
+    testProps[ m ] = testModule.__get__( m );
+  } );
+  const result = { testModule, testProps };
+  return result;
+}
+
+describe(MODULE_NAME + ':module can be loaded', () => {
+
+  beforeEach( () => {
+    commonBeforeEach();
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+  });
+
+  it ('module initialises OK', () => {
+    createTestModule();
+  });
+});
+
+describe(MODULE_NAME + ':parseCliArgs', () => {
+  let testFnName = 'parseCliArgs';
+  let testFn;
+  let testProps;
+  let expectedResult;
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn         = testProps[ testFnName ];
+    expectedResult = {
+      help:           false,
+      format:         'text',
+      command:        'fix',
+      workspaces:     false,
+      readmePathname: undefined,
+      backupId:       undefined,
+      configPathname: undefined,
+      options: {
+        packagePathname: undefined,
+        name:            undefined,
+        registry:        undefined,
+        webPath:         undefined,
+        urlTemplate:     undefined,
+        dryRun:          false,
+        strict:          undefined,
+        outputPathname:  undefined,
+        concurrency:     undefined,
+        failFast:        undefined,
+        backups:         { dir: undefined, keep: undefined },
+      },
+    };
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+  });
+
+  it ( 'No arguments', () => {
+    expect( testFn( [] ) ).to.deep.equal( expectedResult );
+  });
+
+  it ( 'README as an argument', () => {
+    expectedResult.readmePathname = 'docs/README.md';
+    expect( testFn( [ 'docs/README.md' ] ) ).to.deep.equal( expectedResult );
+  });
+
+  it ( 'All options', () => {
+    expectedResult = {
+      help:           true,
+      format:         'json',
+      command:        'fix',
+      workspaces:     false,
+      readmePathname: 'docs/README.md',
+      backupId:       undefined,
+      configPathname: 'rc.json',
+      options: {
+        packagePathname: 'package.json',
+        name:            '@team/pkg',
+        registry:        'https://registry.example.com',
+        webPath:         '/#/detail/',
+        urlTemplate:     'verdaccio-6',
+        dryRun:          true,
+        strict:          true,
+        outputPathname:  'out.md',
+        concurrency:     2,
+        failFast:        true,
+        backups:         { dir: 'backups', keep: 0 },
+      },
+    };
+    expect( testFn( [
+      '--readme', 'docs/README.md', '--package', 'package.json', '--registry', 'https://registry.example.com',
+      '--web-path', '/#/detail/', '--url-template', 'verdaccio-6', '--dry-run', '--format', 'json', '--strict', '--backup-dir', 'backups', '--keep-backups', '0', '--output', 'out.md', '--config', 'rc.json',
+      '--concurrency', '2', '--fail-fast', '--name', '@team/pkg', '--help',
+    ] ) ).to.deep.equal( expectedResult );
+  });
+
+  it ( 'Short options', () => {
+    expectedResult.help                    = true;
+    expectedResult.format                  = 'json';
+    expectedResult.readmePathname          = 'a.md';
+    expectedResult.options.packagePathname = 'b.json';
+    expectedResult.options.dryRun          = true;
+    expectedResult.configPathname          = 'c.json';
+    expect( testFn( [ '-r', 'a.md', '-p', 'b.json', '-n', '-f', 'json', '-c', 'c.json', '-h' ] ) ).to.deep.equal( expectedResult );
+  });
+
+  it ( 'Unknown option', () => {
+    expect( () => testFn( [ '--bogus' ] ) ).to.throw( "Unknown option '--bogus'" ).with.property( 'code', 'EUSAGE' );
+  });
+
+  it ( 'Missing option value', () => {
+    expect( () => testFn( [ '--package' ] ) ).to.throw().with.property( 'code', 'EUSAGE' );
+  });
+
+  it ( 'Too many arguments', () => {
+    expect( () => testFn( [ 'a.md', 'b.md', 'c.md' ] ) ).to.throw( 'Unexpected arguments: b.md c.md' ).with.property( 'code', 'EUSAGE' );
+  });
+
+  it ( 'README as an option and an argument', () => {
+    expect( () => testFn( [ '-r', 'a.md', 'b.md' ] ) ).to.throw( 'not both' ).with.property( 'code', 'EUSAGE' );
+  });
+
+  it ( 'Invalid format', () => {
+    expect( () => testFn( [ '-f', 'xml' ] ) ).to.throw( 'Invalid format: xml, must be one of: text, json' ).with.property( 'code', 'EUSAGE' );
+  });
+
+  it ( 'Invalid number of backups to keep', () => {
+    [ '-1', '1.5', 'all' ].forEach( keep => {
+      expect( () => testFn( [ `--keep-backups=${keep}` ] ) ).to.throw( `Invalid number of backups to keep: ${keep}, must be 0 or more` )
+        .with.property( 'code', 'EUSAGE' );
+    } );
+  });
+
+  it ( 'Workspaces', () => {
+    expectedResult.workspaces              = true;
+    expectedResult.options.packagePathname = 'repo/package.json';
+    expectedResult.options.concurrency     = 8;
+    expect( testFn( [ '-w', '-p', 'repo/package.json', '--concurrency', '8' ] ) ).to.deep.equal( expectedResult );
+    expectedResult.options.failFast        = true;
+    expect( testFn( [ '--workspaces', '-p', 'repo/package.json', '--concurrency=8', '--fail-fast' ] ) ).to.deep.equal( expectedResult );
+  });
+
+  it ( 'Workspaces with a README file', () => {
+    [ [ '-w', 'README.md' ], [ '-w', '-r', 'README.md' ] ].forEach( args => {
+      expect( () => testFn( args ) ).to.throw( 'The README file cannot be specified with --workspaces' ).with.property( 'code', 'EUSAGE' );
+    } );
+  });
+
+  it ( 'Workspaces with another command', () => {
+    expect( () => testFn( [ 'unfix', '-w' ] ) ).to.throw( 'The --workspaces option cannot be used with the unfix command' )
+      .with.property( 'code', 'EUSAGE' );
+  });
+
+  it ( 'Invalid concurrency', () => {
+    [ '0', '-1', '1.5', 'all' ].forEach( concurrency => {
+      expect( () => testFn( [ `--concurrency=${concurrency}` ] ) ).to.throw( `Invalid concurrency: ${concurrency}, must be 1 or more` )
+        .with.property( 'code', 'EUSAGE' );
+    } );
+  });
+
+  it ( 'Unfix', () => {
+    expectedResult.command = 'unfix';
+    expect( testFn( [ 'unfix' ] ) ).to.deep.equal( expectedResult );
+    expectedResult.readmePathname         = 'README.md';
+    expectedResult.options.outputPathname = 'out.md';
+    expect( testFn( [ 'unfix', 'README.md', '-o', 'out.md' ] ) ).to.deep.equal( expectedResult );
+    expect( testFn( [ 'unfix', '-r', 'README.md', '-o', 'out.md' ] ) ).to.deep.equal( expectedResult );
+    expect( () => testFn( [ 'unfix', '-r', 'a.md', 'b.md' ] ) ).to.throw( 'not both' ).with.property( 'code', 'EUSAGE' );
+  });
+
+  it ( 'Filter', () => {
+    expectedResult.command = 'filter';
+    expect( testFn( [ 'filter' ] ) ).to.deep.equal( expectedResult );
+    expect( testFn( [ 'filter', '-' ] ) ).to.deep.equal( expectedResult );
+    expectedResult.readmePathname         = 'README.md';
+    expectedResult.options.name           = 'pkg';
+    expectedResult.options.outputPathname = 'out.md';
+    expect( testFn( [ 'filter', 'README.md', '--name', 'pkg', '-o', 'out.md' ] ) ).to.deep.equal( expectedResult );
+    expect( () => testFn( [ 'filter', '-w' ] ) ).to.throw( 'The --workspaces option cannot be used with the filter command' )
+      .with.property( 'code', 'EUSAGE' );
+  });
+
+  it ( 'List backups', () => {
+    expectedResult.command                 = 'list-backups';
+    expectedResult.options.packagePathname = 'pkg/package.json';
+    expect( testFn( [ 'list-backups', '-p', 'pkg/package.json' ] ) ).to.deep.equal( expectedResult );
+    expect( () => testFn( [ 'list-backups', 'x' ] ) ).to.throw( 'Unexpected arguments: x' ).with.property( 'code', 'EUSAGE' );
+  });
+
+  it ( 'Install hooks', () => {
+    expectedResult.command = 'install-hooks';
+    expect( testFn( [ 'install-hooks' ] ) ).to.deep.equal( expectedResult );
+    expect( () => testFn( [ 'install-hooks', 'x' ] ) ).to.throw( 'Unexpected arguments: x' ).with.property( 'code', 'EUSAGE' );
+  });
+
+  it ( 'Restore', () => {
+    expectedResult.command = 'restore';
+    expect( testFn( [ 'restore' ] ) ).to.deep.equal( expectedResult );
+    expectedResult.backupId = '20261018T101500123Z';
+    expect( testFn( [ 'restore', '20261018T101500123Z' ] ) ).to.deep.equal( expectedResult );
+    expect( () => testFn( [ 'restore', 'a', 'b' ] ) ).to.throw( 'Unexpected arguments: b' ).with.property( 'code', 'EUSAGE' );
+  });
+});
+
+describe(MODULE_NAME + ':genRegistrySourceText', () => {
+  let testFnName = 'genRegistrySourceText';
+  let testFn;
+  let testProps;
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn          = testProps[ testFnName ];
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+  });
+
+  it ( 'OK', () => {
+    expect( testFn( { source: 'option' } ) ).to.equal( 'from --registry' );
+    expect( testFn( { source: 'config', pathname: '/pkg/.readmefixerrc' } ) ).to.equal( 'from /pkg/.readmefixerrc' );
+    expect( testFn( { source: 'publishConfig' } ) ).to.equal( 'from package.json publishConfig.registry' );
+    expect( testFn( { source: 'npmrc-scope', pathname: '/pkg/.npmrc', key: '@team:registry' } ) ).to.equal( 'from @team:registry in /pkg/.npmrc' );
+    expect( testFn( { source: 'npmrc', pathname: '/home/me/.npmrc', key: 'registry' } ) ).to.equal( 'from registry in /home/me/.npmrc' );
+    expect( testFn( { source: 'env', key: 'npm_config_registry' } ) ).to.equal( 'from environment variable npm_config_registry' );
+    expect( testFn( { source: 'default' } ) ).to.equal( 'default' );
+  });
+});
+
+describe(MODULE_NAME + ':getExitCode', () => {
+  let testFnName = 'getExitCode';
+  let testFn;
+  let testProps;
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn          = testProps[ testFnName ];
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+  });
+
+  it ( 'Known error codes', () => {
+    expect( testFn( { code: 'EUSAGE' } ) ).to.equal( 2 );
+    expect( testFn( { code: 'EFILENOTFOUND' } ) ).to.equal( 3 );
+    expect( testFn( { code: 'EINVALIDPACKAGE' } ) ).to.equal( 4 );
+    expect( testFn( { code: 'EUNRESOLVEDLINKS' } ) ).to.equal( 5 );
+    expect( testFn( { code: 'EINVALIDCONFIG' } ) ).to.equal( 6 );
+  });
+
+  it ( 'Other errors', () => {
+    expect( testFn( new Error( 'test error' ) ) ).to.equal( 1 );
+    expect( testFn( { code: 'EACCES' } ) ).to.equal( 1 );
+    expect( testFn( undefined ) ).to.equal( 1 );
+  });
+});
+
+describe(MODULE_NAME + ':runCli', () => {
+  let testFnName = 'runCli';
+  let testFn;
+  let testModule;
+  let testProps;
+  let testReadmeFixer;
+  let processReadmeStub;
+  let processReadmeRet;
+  let processReadmeErr;
+  let loadConfigStub;
+  let loadConfigRet;
+  let stdoutStub;
+  let writeStub;
+  let stderrStub;
+  let testStreams;
+  let actualResult;
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testModule, testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn          = testProps[ testFnName ];
+    testReadmeFixer = {
+      processReadme:     () => {},
+      processWorkspaces: () => {},
+      unfixReadme:       () => {},
+      filterReadme:      () => {},
+      listBackups:       () => {},
+      restoreBackup:     () => {},
+      installHooks:      () => {},
+    };
+    testModule.__set__( 'readmeFixer', testReadmeFixer );
+    processReadmeStub = sandbox.stub( testReadmeFixer, 'processReadme' ).callsFake( async () => {
+      if ( processReadmeErr ) {
+        throw processReadmeErr;
+      }
+      return processReadmeRet;
+    } );
+    processReadmeRet = {
+      packagePathname:       '/pkg/package.json',
+      readmePathname:        '/pkg/README.md',
+      backupPackagePathname: '/tmp/backup',
+      registry:              { url: 'https://registry.example.com', source: 'npmrc-scope', pathname: '/home/me/.npmrc', key: '@team:registry' },
+      readmeText:            'test readme text',
+      unresolvedLinks:       [ { destination: '#instal', line: 3, column: 5 } ],
+      unpublishedFileLinks:  [ { destination: 'docs/guide.md', file: 'docs/guide.md', line: 4, column: 6 } ],
+      oversizedReadme:       { size: 2000, maxSize: 1000 },
+    };
+    processReadmeErr = null;
+    loadConfigStub   = sandbox.stub().callsFake( () => loadConfigRet );
+    loadConfigRet    = { config: {}, pathname: null };
+    testModule.__set__( 'loadConfig', loadConfigStub );
+    stdoutStub       = sandbox.stub();
+    writeStub        = sandbox.stub();
+    stderrStub       = sandbox.stub();
+    testStreams      = { stdout: stdoutStub, write: writeStub, stderr: stderrStub };
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+    testModule = null;
+  });
+
+  it ( 'OK, text', async () => {
+    actualResult = await testFn( [ 'docs/README.md', '--strict' ], testStreams );
+    sinon.assert.calledWithExactly( processReadmeStub, 'docs/README.md', sinon.match( { strict: true, dryRun: false } ) );
+    expect( stdoutStub.args.map( args => args[ 0 ] ) ).to.deep.equal( [
+      'WARNING: Unresolved internal link: #instal (line 3, column 5)',
+      'WARNING: Link to a file that is not published: docs/guide.md (line 4, column 6)',
+      'WARNING: The package.json readme is 2000 bytes, larger than 1000 bytes',
+      'README file: /pkg/README.md',
+      'Registry: https://registry.example.com (from @team:registry in /home/me/.npmrc)',
+      'Backup package file created: /tmp/backup',
+      'Package file readme updated: /pkg/package.json',
+    ] );
+    sinon.assert.notCalled( stderrStub );
+    expect( actualResult ).to.equal( 0 );
+  });
+
+  it ( 'OK, dry run', async () => {
+    processReadmeRet = {
+      packagePathname:      '/pkg/package.json',
+      readmePathname:       '/pkg/README.md',
+      registry:             { url: 'http://localhost:4873', source: 'default' },
+      readmeText:           'x',
+      diff:                 { readme: '--- a/readme\n+++ b/readme\n', package: '--- a/package.json\n+++ b/package.json\n' },
+      unresolvedLinks:      [],
+      unpublishedFileLinks: [],
+      oversizedReadme:      null,
+    };
+    actualResult = await testFn( [ '--dry-run' ], testStreams );
+    sinon.assert.calledWithExactly( processReadmeStub, undefined, sinon.match( { dryRun: true } ) );
+    expect( stdoutStub.args.map( args => args[ 0 ] ) ).to.deep.equal( [
+      'README file: /pkg/README.md',
+      'Registry: http://localhost:4873 (default)',
+      '--- a/readme\n+++ b/readme',
+      '--- a/package.json\n+++ b/package.json',
+      'Dry run, package file not updated: /pkg/package.json',
+    ] );
+    expect( actualResult ).to.equal( 0 );
+  });
+
+  it ( 'OK, dry run, no changes', async () => {
+    processReadmeRet = {
+      packagePathname:      '/pkg/package.json',
+      readmePathname:       '/pkg/README.md',
+      registry:             { url: 'http://localhost:4873', source: 'default' },
+      readmeText:           'x',
+      diff:                 { readme: '', package: '' },
+      unresolvedLinks:      [],
+      unpublishedFileLinks: [],
+      oversizedReadme:      null,
+    };
+    actualResult = await testFn( [ '-n', '-f', 'json' ], testStreams );
+    expect( JSON.parse( stdoutStub.args[ 0 ][ 0 ] ) ).to.deep.equal( {
+      dryRun:               true,
+      packagePathname:      '/pkg/package.json',
+      readmePathname:       '/pkg/README.md',
+      registry:             { url: 'http://localhost:4873', source: 'default' },
+      diff:                 { readme: '', package: '' },
+      unresolvedLinks:      [],
+      unpublishedFileLinks: [],
+      oversizedReadme:      null,
+    } );
+    expect( actualResult ).to.equal( 0 );
+  });
+
+  it ( 'OK, JSON', async () => {
+    actualResult = await testFn( [ '--format', 'json' ], testStreams );
+    sinon.assert.calledOnce( stdoutStub );
+    const output = JSON.parse( stdoutStub.args[ 0 ][ 0 ] );
+    expect( output ).to.deep.equal( {
+      dryRun:                false,
+      packagePathname:       '/pkg/package.json',
+      readmePathname:        '/pkg/README.md',
+      backupPackagePathname: '/tmp/backup',
+      registry:              processReadmeRet.registry,
+      unresolvedLinks:       processReadmeRet.unresolvedLinks,
+      unpublishedFileLinks:  processReadmeRet.unpublishedFileLinks,
+      oversizedReadme:       processReadmeRet.oversizedReadme,
+    } );
+    expect( actualResult ).to.equal( 0 );
+  });
+
+  it ( 'Help', async () => {
+    actualResult = await testFn( [ '--help' ], testStreams );
+    sinon.assert.notCalled( processReadmeStub );
+    sinon.assert.calledOnce( stdoutStub );
+    expect( stdoutStub.args[ 0 ][ 0 ] ).to.match( /^Usage: verdaccio-readme-fixer / );
+    expect( actualResult ).to.equal( 0 );
+  });
+
+  it ( 'Usage error', async () => {
+    actualResult = await testFn( [ '--bogus' ], testStreams );
+    sinon.assert.notCalled( processReadmeStub );
+    sinon.assert.calledTwice( stderrStub );
+    expect( stderrStub.args[ 0 ][ 0 ] ).to.match( /^ERROR: Unknown option '--bogus'/ );
+    expect( stderrStub.args[ 1 ][ 0 ] ).to.equal( 'Try --help for usage' );
+    expect( actualResult ).to.equal( 2 );
+  });
+
+  it ( 'File not found, text', async () => {
+    processReadmeErr      = new Error( 'File not found: README.md' );
+    processReadmeErr.code = 'EFILENOTFOUND';
+    actualResult = await testFn( [], testStreams );
+    sinon.assert.calledOnceWithExactly( stderrStub, 'ERROR: File not found: README.md' );
+    sinon.assert.notCalled( stdoutStub );
+    expect( actualResult ).to.equal( 3 );
+  });
+
+  it ( 'Invalid package, JSON', async () => {
+    processReadmeErr      = new Error( 'Invalid package file: package.json: not a JSON object' );
+    processReadmeErr.code = 'EINVALIDPACKAGE';
+    actualResult = await testFn( [ '-f', 'json' ], testStreams );
+    sinon.assert.notCalled( stderrStub );
+    expect( JSON.parse( stdoutStub.args[ 0 ][ 0 ] ) ).to.deep.equal( {
+      error: { code: 'EINVALIDPACKAGE', message: 'Invalid package file: package.json: not a JSON object' },
+    } );
+    expect( actualResult ).to.equal( 4 );
+  });
+
+  it ( 'Validation failed', async () => {
+    processReadmeErr      = new Error( 'Unresolved internal links: #instal (line 3, column 5)' );
+    processReadmeErr.code = 'EUNRESOLVEDLINKS';
+    actualResult = await testFn( [ '--strict' ], testStreams );
+    sinon.assert.calledOnceWithExactly( stderrStub, 'ERROR: Unresolved internal links: #instal (line 3, column 5)' );
+    expect( actualResult ).to.equal( 5 );
+  });
+
+  it ( 'Other error', async () => {
+    processReadmeErr = new Error( 'Invalid TOC heading depth: 7' );
+    actualResult = await testFn( [], testStreams );
+    sinon.assert.calledOnceWithExactly( stderrStub, 'ERROR: Invalid TOC heading depth: 7' );
+    expect( actualResult ).to.equal( 1 );
+  });
+
+  it ( 'Unfix to stdout', async () => {
+    const unfixReadmeStub = sandbox.stub( testReadmeFixer, 'unfixReadme' ).callsFake( async () => ( {
+      packagePathname: '/pkg/package.json',
+      outputPathname:  null,
+      readmeText:      '# Title\r\n\r\n[Usage](#usage)\r\n',
+    } ) );
+    actualResult = await testFn( [ 'unfix' ], testStreams );
+    sinon.assert.calledOnceWithExactly( unfixReadmeStub, undefined, sinon.match( { outputPathname: undefined } ) );
+    sinon.assert.notCalled( processReadmeStub );
+    sinon.assert.calledOnceWithExactly( writeStub, '# Title\r\n\r\n[Usage](#usage)\r\n' );
+    sinon.assert.notCalled( stdoutStub );
+    expect( actualResult ).to.equal( 0 );
+  });
+
+  it ( 'Unfix to a file', async () => {
+    const testResult      = { packagePathname: '/pkg/package.json', outputPathname: 'README.md', readmeText: '[Usage](#usage)' };
+    const unfixReadmeStub = sandbox.stub( testReadmeFixer, 'unfixReadme' ).callsFake( async () => testResult );
+    actualResult = await testFn( [ 'unfix', 'docs/README.md', '-o', 'README.md' ], testStreams );
+    sinon.assert.calledOnceWithExactly( unfixReadmeStub, 'docs/README.md', sinon.match( { outputPathname: 'README.md' } ) );
+    sinon.assert.calledOnceWithExactly( stdoutStub, 'Unfixed README file written: README.md' );
+    sinon.assert.notCalled( writeStub );
+    stdoutStub.resetHistory();
+    actualResult = await testFn( [ 'unfix', '-o', 'README.md', '-f', 'json' ], testStreams );
+    expect( JSON.parse( stdoutStub.args[ 0 ][ 0 ] ) ).to.deep.equal( testResult );
+    expect( actualResult ).to.equal( 0 );
+  });
+
+  it ( 'Filter stdin to stdout', async () => {
+    const filterReadmeStub = sandbox.stub( testReadmeFixer, 'filterReadme' ).callsFake( async () => ( {
+      packagePathname: null,
+      outputPathname:  null,
+      registry:        { url: 'https://registry.example.com', source: 'option' },
+      readmeText:      '[Usage](https://registry.example.com/-/web/detail/pkg#usage)\n',
+      unresolvedLinks: [ { destination: '#instal', line: 3, column: 5 } ],
+    } ) );
+    testStreams.stdin = Readable.from( [ Buffer.from( '[Usage](#usage)' ), Buffer.from( '\n' ) ] );
+    actualResult = await testFn( [ 'filter', '--name', 'pkg' ], testStreams );
+    sinon.assert.calledOnceWithExactly( filterReadmeStub, undefined, sinon.match( { readmeText: '[Usage](#usage)\n', name: 'pkg' } ) );
+    sinon.assert.notCalled( processReadmeStub );
+    sinon.assert.calledOnceWithExactly( writeStub, '[Usage](https://registry.example.com/-/web/detail/pkg#usage)\n' );
+    sinon.assert.notCalled( stdoutStub );
+    sinon.assert.calledOnceWithExactly( stderrStub, 'WARNING: Unresolved internal link: #instal (line 3, column 5)' );
+    expect( actualResult ).to.equal( 0 );
+  });
+
+  it ( 'Filter a file to a file, JSON', async () => {
+    const testResult       = {
+      packagePathname: '/pkg/package.json',
+      outputPathname:  'out.md',
+      registry:        { url: 'https://registry.example.com', source: 'publishConfig' },
+      readmeText:      '[Usage](https://registry.example.com/-/web/detail/pkg#usage)\n',
+      unresolvedLinks: [],
+    };
+    const filterReadmeStub = sandbox.stub( testReadmeFixer, 'filterReadme' ).callsFake( async () => testResult );
+    testStreams.stdin = Readable.from( [] );
+    actualResult = await testFn( [ 'filter', 'docs/README.md', '-o', 'out.md' ], testStreams );
+    sinon.assert.calledOnceWithExactly( filterReadmeStub, 'docs/README.md', sinon.match( { readmeText: undefined, outputPathname: 'out.md' } ) );
+    sinon.assert.calledOnceWithExactly( stdoutStub, 'Fixed README file written: out.md' );
+    sinon.assert.notCalled( writeStub );
+    sinon.assert.notCalled( stderrStub );
+    stdoutStub.resetHistory();
+    actualResult = await testFn( [ 'filter', 'docs/README.md', '-o', 'out.md', '-f', 'json' ], testStreams );
+    expect( JSON.parse( stdoutStub.args[ 0 ][ 0 ] ) ).to.deep.equal( testResult );
+    expect( actualResult ).to.equal( 0 );
+  });
+
+  it ( 'List backups, text', async () => {
+    const listBackupsStub = sandbox.stub( testReadmeFixer, 'listBackups' ).returns( {
+      packagePathname: '/pkg/package.json',
+      backupDir:       '/pkg/backups',
+      backups:         [
+        { id: '20261018T101500123Z', created: '2026-10-18T10:15:00.123Z', pathname: '/pkg/backups/package-20261018T101500123Z.json' },
+        { id: '20261018T101600123Z', created: '2026-10-18T10:16:00.123Z', pathname: '/pkg/backups/package-20261018T101600123Z.json' },
+      ],
+    } );
+    actualResult = await testFn( [ 'list-backups', '--backup-dir', 'backups' ], testStreams );
+    sinon.assert.calledOnceWithExactly( listBackupsStub, sinon.match( { backups: { dir: 'backups', keep: undefined } } ) );
+    sinon.assert.notCalled( processReadmeStub );
+    expect( stdoutStub.args.map( args => args[ 0 ] ) ).to.deep.equal( [
+      '20261018T101500123Z  /pkg/backups/package-20261018T101500123Z.json',
+      '20261018T101600123Z  /pkg/backups/package-20261018T101600123Z.json',
+    ] );
+    expect( actualResult ).to.equal( 0 );
+  });
+
+  it ( 'List backups, none, JSON', async () => {
+    const testResult = { packagePathname: '/pkg/package.json', backupDir: '/pkg/backups', backups: [] };
+    sandbox.stub( testReadmeFixer, 'listBackups' ).returns( testResult );
+    actualResult = await testFn( [ 'list-backups' ], testStreams );
+    sinon.assert.calledOnceWithExactly( stdoutStub, 'No backups found: /pkg/backups' );
+    stdoutStub.resetHistory();
+    actualResult = await testFn( [ 'list-backups', '-f', 'json' ], testStreams );
+    expect( JSON.parse( stdoutStub.args[ 0 ][ 0 ] ) ).to.deep.equal( testResult );
+    expect( actualResult ).to.equal( 0 );
+  });
+
+  it ( 'Restore, text', async () => {
+    const restoreBackupStub = sandbox.stub( testReadmeFixer, 'restoreBackup' ).callsFake( async () => ( {
+      packagePathname:       '/pkg/package.json',
+      restoredBackupId:      '20261018T101500123Z',
+      backupPackagePathname: '/pkg/backups/package-20261018T101600123Z.json',
+    } ) );
+    actualResult = await testFn( [ 'restore', '20261018T101500123Z' ], testStreams );
+    sinon.assert.calledOnceWithExactly( restoreBackupStub, '20261018T101500123Z', sinon.match.object );
+    expect( stdoutStub.args.map( args => args[ 0 ] ) ).to.deep.equal( [
+      'Backup package file created: /pkg/backups/package-20261018T101600123Z.json',
+      'Package file restored from backup 20261018T101500123Z: /pkg/package.json',
+    ] );
+    expect( actualResult ).to.equal( 0 );
+  });
+
+  it ( 'Restore in the postpack script of npm publish, not restored', async () => {
+    const restoreBackupStub = sandbox.stub( testReadmeFixer, 'restoreBackup' );
+    sandbox.stub( process, 'env' ).value( { npm_lifecycle_event: 'postpack', npm_command: 'publish' } );
+    actualResult = await testFn( [ 'restore' ], testStreams );
+    sinon.assert.notCalled( restoreBackupStub );
+    sinon.assert.calledOnceWithExactly( stdoutStub, 'Package file not restored by postpack: Restored by postpublish when publishing' );
+    expect( actualResult ).to.equal( 0 );
+    await testFn( [ 'restore', '-f', 'json' ], testStreams );
+    expect( JSON.parse( stdoutStub.args[ 1 ][ 0 ] ) ).to.deep.equal( { restoredBackupId: null, reason: 'Restored by postpublish when publishing' } );
+  });
+
+  it ( 'Restore in the postpack script of npm pack, or the postpublish script', async () => {
+    const restoreBackupStub = sandbox.stub( testReadmeFixer, 'restoreBackup' ).callsFake( async () => ( {
+      packagePathname:       '/pkg/package.json',
+      restoredBackupId:      '20261018T101500123Z',
+      backupPackagePathname: null,
+    } ) );
+    sandbox.stub( process, 'env' ).value( { npm_lifecycle_event: 'postpack', npm_command: 'pack' } );
+    await testFn( [ 'restore' ], testStreams );
+    process.env.npm_lifecycle_event = 'postpublish';
+    process.env.npm_command         = 'publish';
+    await testFn( [ 'restore' ], testStreams );
+    sinon.assert.calledTwice( restoreBackupStub );
+  });
+
+  it ( 'Install hooks, text', async () => {
+    const installHooksStub = sandbox.stub( testReadmeFixer, 'installHooks' ).callsFake( async () => ( {
+      packagePathname:       '/pkg/package.json',
+      hooks:                 [
+        { name: 'prepack',  script: 'npm run build && verdaccio-readme-fixer', status: 'updated' },
+        { name: 'postpack', script: 'verdaccio-readme-fixer restore',          status: 'added' },
+      ],
+      backupPackagePathname: '/pkg/backups/package-20261018T101600123Z.json',
+    } ) );
+    actualResult = await testFn( [ 'install-hooks', '-p', '/pkg/package.json' ], testStreams );
+    sinon.assert.calledOnceWithExactly( installHooksStub, sinon.match( { packagePathname: '/pkg/package.json' } ) );
+    expect( stdoutStub.args.map( args => args[ 0 ] ) ).to.deep.equal( [
+      'Script prepack updated: npm run build && verdaccio-readme-fixer',
+      'Script postpack added: verdaccio-readme-fixer restore',
+      'Backup package file created: /pkg/backups/package-20261018T101600123Z.json',
+      'Package file scripts updated: /pkg/package.json',
+    ] );
+    expect( actualResult ).to.equal( 0 );
+  });
+
+  it ( 'Install hooks, already installed', async () => {
+    sandbox.stub( testReadmeFixer, 'installHooks' ).callsFake( async () => ( {
+      packagePathname:       '/pkg/package.json',
+      hooks:                 [ { name: 'prepack', script: 'verdaccio-readme-fixer', status: 'unchanged' } ],
+      backupPackagePathname: null,
+    } ) );
+    actualResult = await testFn( [ 'install-hooks' ], testStreams );
+    expect( stdoutStub.args.map( args => args[ 0 ] ) ).to.deep.equal( [
+      'Script prepack unchanged: verdaccio-readme-fixer',
+      'Package file scripts already installed: /pkg/package.json',
+    ] );
+    expect( actualResult ).to.equal( 0 );
+  });
+
+  it ( 'Restore, backup not found', async () => {
+    const testErr = new Error( 'Backup not found: 20261018T101500123Z' );
+    testErr.code  = 'EFILENOTFOUND';
+    sandbox.stub( testReadmeFixer, 'restoreBackup' ).rejects( testErr );
+    actualResult = await testFn( [ 'restore', '20261018T101500123Z' ], testStreams );
+    sinon.assert.calledOnceWithExactly( stderrStub, 'ERROR: Backup not found: 20261018T101500123Z' );
+    expect( actualResult ).to.equal( 3 );
+  });
+
+  it ( 'Configuration file in the package directory', async () => {
+    await testFn( [], testStreams );
+    sinon.assert.calledWithExactly( loadConfigStub, process.cwd(), { configPathname: undefined } );
+    await testFn( [ 'test/unit/data/README.md' ], testStreams );
+    sinon.assert.calledWithExactly( loadConfigStub, path.resolve( 'test/unit/data' ), { configPathname: undefined } );
+    await testFn( [ 'docs/README.md' ], testStreams ); // The nearest package.json is in the current directory
+    sinon.assert.calledWithExactly( loadConfigStub, process.cwd(), { configPathname: undefined } );
+    await testFn( [ 'docs/README.md', '-p', 'pkg/package.json', '-c', 'rc.json' ], testStreams );
+    sinon.assert.calledWithExactly( loadConfigStub, path.resolve( 'pkg' ), { configPathname: 'rc.json' } );
+  });
+
+  it ( 'Configuration merged with the command line options', async () => {
+    loadConfigRet = {
+      config:   { strict: true, webPath: '/npm/-/web/detail/', backups: { dir: 'bak', keep: 3 }, toc: { maxDepth: 3 } },
+      pathname: '/pkg/.readmefixerrc',
+    };
+    await testFn( [ '--keep-backups', '5' ], testStreams );
+    sinon.assert.calledOnceWithExactly( processReadmeStub, undefined, sinon.match( {
+      strict:  true,
+      webPath: '/npm/-/web/detail/',
+      backups: { dir: 'bak', keep: 5 },
+      toc:     { maxDepth: 3 },
+      dryRun:  false,
+    } ) );
+  });
+
+  it ( 'Registry from the configuration file', async () => {
+    loadConfigRet                 = { config: { registry: 'https://registry.example.com' }, pathname: '/pkg/.readmefixerrc' };
+    processReadmeRet.registry     = { url: 'https://registry.example.com', source: 'option' };
+    await testFn( [], testStreams );
+    expect( stdoutStub.args.map( args => args[ 0 ] ) ).to.include( 'Registry: https://registry.example.com (from /pkg/.readmefixerrc)' );
+    stdoutStub.resetHistory();
+    processReadmeRet.registry     = { url: 'https://other.example.com', source: 'option' };
+    await testFn( [ '--registry', 'https://other.example.com' ], testStreams );
+    expect( stdoutStub.args.map( args => args[ 0 ] ) ).to.include( 'Registry: https://other.example.com (from --registry)' );
+  });
+
+  it ( 'Invalid configuration', async () => {
+    const testErr = new Error( 'Invalid configuration in /pkg/.readmefixerrc: strict must be a boolean' );
+    testErr.code  = 'EINVALIDCONFIG';
+    loadConfigStub.throws( testErr );
+    actualResult = await testFn( [], testStreams );
+    sinon.assert.notCalled( processReadmeStub );
+    sinon.assert.calledOnceWithExactly( stderrStub, 'ERROR: Invalid configuration in /pkg/.readmefixerrc: strict must be a boolean' );
+    expect( actualResult ).to.equal( 6 );
+  });
+
+  describe( 'Workspaces', () => {
+    let processWorkspacesStub;
+    let testErr;
+
+    beforeEach( () => {
+      testErr      = new Error( 'Invalid package file: /repo/packages/c/package.json: not a JSON object' );
+      testErr.code = 'EINVALIDPACKAGE';
+      processWorkspacesStub = sandbox.stub( testReadmeFixer, 'processWorkspaces' ).callsFake( async () => ( {
+        rootDir:  '/repo',
+        packages: [
+          { packageDir: '/repo/packages/a', name: '@team/a', status: 'ok', result: processReadmeRet },
+          { packageDir: '/repo/packages/b', name: 'b', status: 'ok', result: { ...processReadmeRet, unresolvedLinks: [], unpublishedFileLinks: [], oversizedReadme: null } },
+          { packageDir: '/repo/packages/c', name: null, status: 'failed', error: testErr },
+          { packageDir: '/repo/packages/d', name: 'd', status: 'skipped', reason: 'No README file' },
+        ],
+      } ) );
+    });
+
+    it ( 'Summary, text', async () => {
+      loadConfigRet = { config: { concurrency: 2 }, pathname: '/repo/.readmefixerrc' };
+      actualResult  = await testFn( [ '-w', '-p', 'repo/package.json', '--fail-fast' ], testStreams );
+      sinon.assert.calledOnceWithExactly( loadConfigStub, path.resolve( 'repo' ), { configPathname: undefined } );
+      sinon.assert.calledOnceWithExactly( processWorkspacesStub, path.resolve( 'repo' ), sinon.match( { concurrency: 2, failFast: true } ) );
+      sinon.assert.notCalled( processReadmeStub );
+      expect( stdoutStub.args.map( args => args[ 0 ] ) ).to.deep.equal( [
+        'OK       @team/a: 3 warnings',
+        'OK       b',
+        'FAILED   packages/c: Invalid package file: /repo/packages/c/package.json: not a JSON object',
+        'SKIPPED  d: No README file',
+        'Workspace packages: 4, OK: 2, failed: 1, skipped: 1',
+      ] );
+      expect( actualResult ).to.equal( 4 );
+    });
+
+    it ( 'Summary, JSON', async () => {
+      actualResult = await testFn( [ '-w', '-n', '-f', 'json' ], testStreams );
+      const output = JSON.parse( stdoutStub.args[ 0 ][ 0 ] );
+      expect( output.dryRun ).to.equal( true );
+      expect( output.rootDir ).to.equal( '/repo' );
+      expect( output.packages[ 0 ].result ).to.not.have.property( 'readmeText' );
+      expect( output.packages[ 0 ].result.registry ).to.deep.equal( processReadmeRet.registry );
+      expect( output.packages[ 1 ].result.registry ).to.deep.equal( processReadmeRet.registry );
+      expect( output.packages[ 2 ] ).to.deep.equal( {
+        packageDir: '/repo/packages/c',
+        name:       null,
+        status:     'failed',
+        error:      { code: 'EINVALIDPACKAGE', message: testErr.message },
+      } );
+      expect( output.packages[ 3 ] ).to.deep.equal( { packageDir: '/repo/packages/d', name: 'd', status: 'skipped', reason: 'No README file' } );
+      sinon.assert.notCalled( stderrStub );
+      expect( actualResult ).to.equal( 4 );
+    });
+
+    it ( 'Root configuration passed for each package, under the command line options', async () => {
+      loadConfigRet = { config: { registry: 'https://registry.example.com', webPath: '/ui/', concurrency: 3 }, pathname: '/repo/.readmefixerrc' };
+      await testFn( [ '-w', '--web-path', '/web/' ], testStreams );
+      sinon.assert.calledOnceWithExactly( processWorkspacesStub, process.cwd(), sinon.match( { rootConfig: loadConfigRet, webPath: '/web/', concurrency: 3 } ) );
+      expect( processWorkspacesStub.args[ 0 ][ 1 ].registry ).to.equal( undefined );
+    });
+
+    it ( 'All OK', async () => {
+      processWorkspacesStub.callsFake( async () => ( {
+        rootDir:  '/repo',
+        packages: [ { packageDir: '/repo/packages/a', name: 'a', status: 'ok', result: processReadmeRet } ],
+      } ) );
+      actualResult = await testFn( [ '-w' ], testStreams );
+      sinon.assert.calledOnceWithExactly( processWorkspacesStub, process.cwd(), sinon.match.object );
+      expect( stdoutStub.args.map( args => args[ 0 ] ) ).to.deep.equal( [
+        'OK       a: 3 warnings',
+        'Workspace packages: 1, OK: 1, failed: 0, skipped: 0',
+      ] );
+      expect( actualResult ).to.equal( 0 );
+    });
+
+    it ( 'No workspaces', async () => {
+      processWorkspacesStub.rejects( new Error( 'No workspaces defined in /repo/package.json or /repo/pnpm-workspace.yaml' ) );
+      actualResult = await testFn( [ '-w' ], testStreams );
+      sinon.assert.calledOnceWithExactly( stderrStub, 'ERROR: No workspaces defined in /repo/package.json or /repo/pnpm-workspace.yaml' );
+      expect( actualResult ).to.equal( 1 );
+    });
+  });
+});
@@ -0,0 +1,263 @@
+/**
+ * DESCRIPTION:
+ * Unit Tests for the config module.
+ */
+'use strict';
+
+const sinon      = require( 'sinon' );
+const { expect } = require( 'chai' );
+const rewire     = require( 'rewire' );
+const path       = require( 'path' );
+const fs         = require( 'fs' );
+const os         = require( 'os' );
+
+const REL_SRC_PATH  = '../../src/';
+const MODULE_NAME   = 'config';
+const TEST_MODULE   = REL_SRC_PATH + MODULE_NAME;
+
+let sandbox;
+
+/**
+ * Modules load other modules, so to force a module reload need to delete
+ * the test module and all child modules from the require cache.
+ */
+function unrequireModules() {
+  const arrKey = [ require.resolve(TEST_MODULE),
+                 ];
+  for (let i in arrKey) {
+    let key = arrKey[i];
+    delete require.cache[key];
+  }
+}
+
+function commonBeforeEach() {
+  unrequireModules();
+  sandbox = sinon.createSandbox();
+}
+
+function commonAfterEach() {
+  sandbox.restore();
+  unrequireModules();
+}
+
+function createTestModule() {
+  const testModule = rewire( TEST_MODULE );
+  return testModule;
+}
+
+function createTestModuleAndGetProps( arrProp = [] ) {
+  const testModule = createTestModule();
+  const testProps  = {};
+  arrProp.forEach( m => { 
+    testProps[ m ] = testModule.__get__( m );
+  } );
+  const result = { testModule, testProps };
+  return result;
+}
+
+
+describe(MODULE_NAME + ':module can be loaded', () => {
+
+  beforeEach( () => {
+    commonBeforeEach();
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+  });
+
+  it ('module initialises OK', () => {
+    createTestModule();
+  });
+});
+
+describe(MODULE_NAME + ':validateConfig', () => {
+  let testFnName = 'validateConfig';
+  let testFn;
+  let testProps;
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn          = testProps[ testFnName ];
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+  });
+
+  it ( 'Valid', () => {
+    expect( () => testFn( {}, '/pkg/.readmefixerrc' ) ).to.not.throw();
+    expect( () => testFn( {
+      registry:      'https://npm.example.com/npm',
+      webPath:       '/-/web/detail/',
+      urlTemplate:   'verdaccio-6',
+      strict:        true,
+      maxReadmeSize: 0,
+      concurrency:   2,
+      failFast:      true,
+      backups:       { dir: 'bak', keep: 0 },
+      toc:           { minDepth: 2, maxDepth: 6, bullet: [ '-', '*' ] },
+      fileLinks:     { strategy: 'tarball', ref: 'main', tarballUrl: 'https://unpkg.com' },
+      images:        { inlineMaxSize: 4096, baseUrl: 'https://cdn.example.com' },
+      links:         { definitions: false, html: true },
+    }, '/pkg/.readmefixerrc' ) ).to.not.throw();
+    expect( () => testFn( { toc: { bullet: '+' } }, '/pkg/.readmefixerrc' ) ).to.not.throw();
+  });
+
+  it ( 'Not an object', () => {
+    expect( () => testFn( [], '/pkg/.readmefixerrc' ) ).to.throw( 'Invalid configuration in /pkg/.readmefixerrc: the configuration must be an object' )
+    .with.property( 'code', 'EINVALIDCONFIG' );
+    expect( () => testFn( null, '/pkg/package.json' ) ).to.throw( 'Invalid configuration in /pkg/package.json: the configuration must be an object' );
+  });
+
+  it ( 'Every error is reported', () => {
+    expect( () => testFn( {
+      strict:    'yes',
+      webpath:   '/x/',
+      backups:   { keep: -1 },
+      toc:       { maxDepth: 7, bullet: [ '-', 'o' ] },
+      fileLinks: { strategy: 'github' },
+      images:    'none',
+      links:     { html: 'no', inline: false },
+    }, '/pkg/.readmefixerrc' ) ).to.throw( 'Invalid configuration in /pkg/.readmefixerrc: ' + [
+      'strict must be a boolean',
+      'webpath is not a known option',
+      'backups.keep must be an integer of 0 or more',
+      'toc.maxDepth must be an integer from 1 to 6',
+      'toc.bullet[1] must be one of: -, *, +',
+      'fileLinks.strategy must be one of: none, repository, tarball',
+      'images must be an object',
+      'links.html must be a boolean',
+      'links.inline is not a known option',
+    ].join( '; ' ) );
+  });
+
+  it ( 'Empty bullet array', () => {
+    expect( () => testFn( { toc: { bullet: [] } }, 'rc' ) ).to.throw( 'toc.bullet must be one of: -, *, +, or a non-empty array of them' );
+  });
+
+  it ( 'Integers', () => {
+    expect( () => testFn( { maxReadmeSize: 1.5 }, 'rc' ) ).to.throw( 'maxReadmeSize must be an integer of 0 or more' );
+    expect( () => testFn( { backups: { keep: '3' } }, 'rc' ) ).to.throw( 'backups.keep must be an integer of 0 or more' );
+    expect( () => testFn( { concurrency: 0 }, 'rc' ) ).to.throw( 'concurrency must be an integer of 1 or more' );
+  });
+});
+
+describe(MODULE_NAME + ':loadConfig', () => {
+  let testFnName = 'loadConfig';
+  let testFn;
+  let testProps;
+  let testDir;
+
+  function writeTestFile( filename, content ) {
+    fs.writeFileSync( path.join( testDir, filename ), content );
+  }
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn          = testProps[ testFnName ];
+    testDir         = fs.mkdtempSync( path.join( os.tmpdir(), 'config-test-' ) );
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+    fs.rmSync( testDir, { recursive: true, force: true } );
+  });
+
+  it ( 'No configuration', () => {
+    expect( testFn( testDir ) ).to.deep.equal( { config: {}, pathname: null } );
+    writeTestFile( 'package.json', '{ "name": "my-pkg" }' );
+    expect( testFn( testDir ) ).to.deep.equal( { config: {}, pathname: null } );
+  });
+
+  it ( '.readmefixerrc', () => {
+    writeTestFile( '.readmefixerrc', '{ "strict": true }' );
+    writeTestFile( '.readmefixerrc.json', '{ "strict": false }' );
+    writeTestFile( 'package.json', '{ "readmeFixer": { "webPath": "/x/" } }' );
+    expect( testFn( testDir ) ).to.deep.equal( { config: { strict: true }, pathname: path.join( testDir, '.readmefixerrc' ) } );
+  });
+
+  it ( '.readmefixerrc.json', () => {
+    writeTestFile( '.readmefixerrc.json', '{ "backups": { "keep": 3 } }' );
+    expect( testFn( testDir ) ).to.deep.equal( { config: { backups: { keep: 3 } }, pathname: path.join( testDir, '.readmefixerrc.json' ) } );
+  });
+
+  it ( '.readmefixerrc.js', () => {
+    writeTestFile( '.readmefixerrc.js', 'module.exports = { toc: { maxDepth: 2 } };\n' );
+    expect( testFn( testDir ) ).to.deep.equal( { config: { toc: { maxDepth: 2 } }, pathname: path.join( testDir, '.readmefixerrc.js' ) } );
+  });
+
+  it ( 'package.json readmeFixer property', () => {
+    writeTestFile( 'package.json', '{ "name": "my-pkg", "readmeFixer": { "registry": "https://npm.example.com" } }' );
+    expect( testFn( testDir ) ).to.deep.equal( { config: { registry: 'https://npm.example.com' }, pathname: path.join( testDir, 'package.json' ) } );
+  });
+
+  it ( 'package.json with a byte order mark', () => {
+    writeTestFile( 'package.json', '\uFEFF{ "name": "my-pkg", "readmeFixer": { "strict": true } }' );
+    expect( testFn( testDir ) ).to.deep.equal( { config: { strict: true }, pathname: path.join( testDir, 'package.json' ) } );
+  });
+
+  it ( 'Invalid package.json is ignored', () => {
+    writeTestFile( 'package.json', '{ "name": ' );
+    expect( testFn( testDir ) ).to.deep.equal( { config: {}, pathname: null } );
+  });
+
+  it ( 'Configuration file option', () => {
+    writeTestFile( '.readmefixerrc', '{ "strict": true }' );
+    writeTestFile( 'other.json', '{ "strict": false }' );
+    expect( testFn( testDir, { configPathname: path.join( testDir, 'other.json' ) } ) )
+    .to.deep.equal( { config: { strict: false }, pathname: path.join( testDir, 'other.json' ) } );
+  });
+
+  it ( 'Configuration file not found', () => {
+    expect( () => testFn( testDir, { configPathname: path.join( testDir, 'missing.json' ) } ) )
+    .to.throw( 'Configuration file not found: ' ).with.property( 'code', 'EFILENOTFOUND' );
+  });
+
+  it ( 'Invalid JSON', () => {
+    writeTestFile( '.readmefixerrc', '{ strict: true }' );
+    expect( () => testFn( testDir ) ).to.throw( `Invalid configuration file: ${path.join( testDir, '.readmefixerrc' )}: ` )
+    .with.property( 'code', 'EINVALIDCONFIG' );
+  });
+
+  it ( 'Invalid configuration', () => {
+    writeTestFile( 'package.json', '{ "readmeFixer": { "strict": 1 } }' );
+    expect( () => testFn( testDir ) ).to.throw( `Invalid configuration in ${path.join( testDir, 'package.json' )}: strict must be a boolean` )
+    .with.property( 'code', 'EINVALIDCONFIG' );
+  });
+});
+
+describe(MODULE_NAME + ':mergeOptions', () => {
+  let testFnName = 'mergeOptions';
+  let testFn;
+  let testProps;
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn          = testProps[ testFnName ];
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+  });
+
+  it ( 'Options override the configuration', () => {
+    const testConfig  = { registry: 'https://config.example.com', strict: true, backups: { dir: 'bak', keep: 3 }, toc: { maxDepth: 3 } };
+    const testOptions = { registry: 'https://cli.example.com', strict: undefined, dryRun: false, backups: { dir: undefined, keep: 5 } };
+    expect( testFn( testConfig, testOptions ) ).to.deep.equal( {
+      registry: 'https://cli.example.com',
+      strict:   true,
+      dryRun:   false,
+      backups:  { dir: 'bak', keep: 5 },
+      toc:      { maxDepth: 3 },
+    } );
+    expect( testConfig.backups ).to.deep.equal( { dir: 'bak', keep: 3 } );
+  });
+
+  it ( 'No configuration', () => {
+    expect( testFn( {}, { webPath: '/x/', backups: { dir: undefined } } ) ).to.deep.equal( { webPath: '/x/', backups: { dir: undefined } } );
+  });
+});
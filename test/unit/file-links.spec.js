@@ -0,0 +1,289 @@
+/**
+ * DESCRIPTION:
+ * Unit Tests for the file-links module.
+ */
+'use strict';
+
+const sinon      = require( 'sinon' );
+const { expect } = require( 'chai' );
+const rewire     = require( 'rewire' );
+
+const REL_SRC_PATH  = '../../src/';
+const MODULE_NAME   = 'file-links';
+const TEST_MODULE   = REL_SRC_PATH + MODULE_NAME;
+
+let sandbox;
+
+/**
+ * Modules load other modules, so to force a module reload need to delete
+ * the test module and all child modules from the require cache.
+ */
+function unrequireModules() {
+  const arrKey = [ require.resolve(TEST_MODULE),
+                 ];
+  for (let i in arrKey) {
+    let key = arrKey[i];
+    delete require.cache[key];
+  }
+}
+
+function commonBeforeEach() {
+  unrequireModules();
+  sandbox = sinon.createSandbox();
+}
+
+function commonAfterEach() {
+  sandbox.restore();
+  unrequireModules();
+}
+
+function createTestModule() {
+  const testModule = rewire( TEST_MODULE );
+  return testModule;
+}
+
+function createTestModuleAndGetProps( arrProp = [] ) {
+  const testModule = createTestModule();
+  const testProps  = {};
+  arrProp.forEach( m => { 
+    testProps[ m ] = testModule.__get__( m );
+  } );
+  const result = { testModule, testProps };
+  return result;
+}
+
+describe(MODULE_NAME + ':module can be loaded', () => {
+
+  beforeEach( () => {
+    commonBeforeEach();
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+  });
+
+  it ('module initialises OK', () => {
+    createTestModule();
+  });
+});
+
+describe(MODULE_NAME + ':isFileLink', () => {
+  let testFnName = 'isFileLink';
+  let testFn;
+  let testProps;
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn          = testProps[ testFnName ];
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+  });
+
+  it ( 'Relative paths', () => {
+    [ 'LICENSE', './docs/guide.md', '../other.md', '/docs/guide.md', 'docs/guide.md#install' ].forEach( destination => {
+      expect( testFn( destination ) ).to.equal( true );
+    } );
+  });
+
+  it ( 'Not relative paths', () => {
+    [ '', '#install', '?tab=readme', '//cdn.example.com/x.js', 'https://example.com', 'mailto:me@example.com', 'data:image/png;base64,AA' ].forEach( destination => {
+      expect( testFn( destination ) ).to.equal( false );
+    } );
+  });
+});
+
+describe(MODULE_NAME + ':parseFileLink', () => {
+  let testFnName = 'parseFileLink';
+  let testFn;
+  let testProps;
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn          = testProps[ testFnName ];
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+  });
+
+  it ( 'Relative to the README', () => {
+    expect( testFn( './docs/guide.md#install' ) ).to.deep.equal( { file: 'docs/guide.md', suffix: '#install' } );
+    expect( testFn( 'guide.md?plain=1', 'docs' ) ).to.deep.equal( { file: 'docs/guide.md', suffix: '?plain=1' } );
+    expect( testFn( '../LICENSE', 'docs' ) ).to.deep.equal( { file: 'LICENSE', suffix: '' } );
+  });
+
+  it ( 'Relative to the package root', () => {
+    expect( testFn( '/lib/', 'docs' ) ).to.deep.equal( { file: 'lib', suffix: '' } );
+  });
+
+  it ( 'The package root', () => {
+    expect( testFn( './' ) ).to.deep.equal( { file: '', suffix: '' } );
+  });
+
+  it ( 'Outside the package', () => {
+    expect( testFn( '../other/README.md' ) ).to.deep.equal( { file: null, suffix: '' } );
+    expect( testFn( '../..', 'docs' ) ).to.deep.equal( { file: null, suffix: '' } );
+  });
+});
+
+describe(MODULE_NAME + ':isPublishedFile', () => {
+  let testFnName = 'isPublishedFile';
+  let testFn;
+  let testProps;
+  let testPackageContent;
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn             = testProps[ testFnName ];
+    testPackageContent = { main: './index.js', files: [ './lib/', '*.md', '!lib/secret.js', 'docs/**/*.png' ] };
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+  });
+
+  it ( 'No files property', () => {
+    expect( testFn( {}, 'test/unit/x.spec.js' ) ).to.equal( true );
+  });
+
+  it ( 'Matching patterns and directories', () => {
+    [ 'lib/x.js', 'lib/sub/y.js', 'CHANGELOG.md', 'docs/img/a.png' ].forEach( file => {
+      expect( testFn( testPackageContent, file ) ).to.equal( true );
+    } );
+  });
+
+  it ( 'Always published', () => {
+    [ 'package.json', 'README', 'LICENSE.txt', 'licence', 'NOTICE', 'index.js' ].forEach( file => {
+      expect( testFn( testPackageContent, file ) ).to.equal( true );
+    } );
+  });
+
+  it ( 'Not published', () => {
+    [ 'lib/secret.js', 'docs/guide.md', 'test/x.js', 'docs/img/a.jpg' ].forEach( file => {
+      expect( testFn( testPackageContent, file ) ).to.equal( false );
+    } );
+  });
+});
+
+describe(MODULE_NAME + ':genFileLinkResolver', () => {
+  let testFnName = 'genFileLinkResolver';
+  let testFn;
+  let testProps;
+  let testPackageContent;
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn             = testProps[ testFnName ];
+    testPackageContent = {
+      name:       'my-pkg',
+      version:    '1.2.3',
+      homepage:   'https://github.com/me/my-pkg#readme',
+      repository: { type: 'git', url: 'git+https://github.com/me/my-pkg.git' },
+    };
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+  });
+
+  it ( 'Default strategy none', () => {
+    const resolve = testFn( testPackageContent );
+    expect( resolve( './docs/guide.md' ) ).to.equal( null );
+  });
+
+  it ( 'Repository', () => {
+    const resolve = testFn( testPackageContent, { strategy: 'repository' } );
+    expect( resolve( './docs/guide.md#install' ) ).to.equal( 'https://github.com/me/my-pkg/tree/HEAD/docs/guide.md#install' );
+    expect( resolve( 'LICENSE' ) ).to.equal( 'https://github.com/me/my-pkg/tree/HEAD/LICENSE' );
+    expect( resolve( '#install' ) ).to.equal( null );
+    expect( resolve( 'https://example.com' ) ).to.equal( null );
+    expect( resolve( '../other.md' ) ).to.equal( null );
+  });
+
+  it ( 'Repository, raw file content', () => {
+    const resolve = testFn( testPackageContent, { strategy: 'repository', ref: 'v1.2.3' } );
+    expect( resolve( './img/arch.png', { isRaw: true } ) ).to.equal( 'https://raw.githubusercontent.com/me/my-pkg/v1.2.3/img/arch.png' );
+  });
+
+  it ( 'Repository, ref and directory', () => {
+    testPackageContent.repository.directory = 'packages/my-pkg';
+    const resolve = testFn( testPackageContent, { strategy: 'repository', ref: 'v1.2.3' } );
+    expect( resolve( 'docs/guide.md' ) ).to.equal( 'https://github.com/me/my-pkg/tree/v1.2.3/packages/my-pkg/docs/guide.md' );
+  });
+
+  it ( 'Repository, string property', () => {
+    testPackageContent.repository = 'github:me/my-pkg';
+    const resolve = testFn( testPackageContent, { strategy: 'repository' } );
+    expect( resolve( 'docs/guide.md' ) ).to.equal( 'https://github.com/me/my-pkg/tree/HEAD/docs/guide.md' );
+  });
+
+  it ( 'Repository, README in a subdirectory', () => {
+    const resolve = testFn( testPackageContent, { strategy: 'repository', readmeDir: 'docs' } );
+    expect( resolve( 'guide.md' ) ).to.equal( 'https://github.com/me/my-pkg/tree/HEAD/docs/guide.md' );
+    expect( resolve( '../LICENSE' ) ).to.equal( 'https://github.com/me/my-pkg/tree/HEAD/LICENSE' );
+  });
+
+  it ( 'Repository, homepage only', () => {
+    const resolve = testFn( { homepage: 'https://example.com/my-pkg#readme' }, { strategy: 'repository' } );
+    expect( resolve( 'docs/guide.md' ) ).to.equal( 'https://example.com/my-pkg/docs/guide.md' );
+  });
+
+  it ( 'Repository, no repository or homepage', () => {
+    expect( () => testFn( { name: 'my-pkg' }, { strategy: 'repository' } ) ).to.throw( 'no repository or homepage property' );
+  });
+
+  it ( 'Tarball', () => {
+    const resolve = testFn( testPackageContent, { strategy: 'tarball', tarballUrl: 'https://unpkg.com/' } );
+    expect( resolve( './lib/index.js?raw#L10' ) ).to.equal( 'https://unpkg.com/my-pkg@1.2.3/lib/index.js?raw#L10' );
+    expect( resolve( 'img/arch.png', { isRaw: true } ) ).to.equal( 'https://unpkg.com/my-pkg@1.2.3/img/arch.png' );
+  });
+
+  it ( 'Tarball, missing properties', () => {
+    expect( () => testFn( testPackageContent, { strategy: 'tarball' } ) ).to.throw( 'tarball URL, package name and package version are required' );
+    delete testPackageContent.version;
+    expect( () => testFn( testPackageContent, { strategy: 'tarball', tarballUrl: 'https://unpkg.com' } ) ).to.throw( 'are required' );
+  });
+
+  it ( 'Invalid strategy', () => {
+    expect( () => testFn( testPackageContent, { strategy: 'git' } ) ).to.throw( 'Invalid file link strategy: git, must be one of: none, repository, tarball' );
+  });
+});
+
+describe(MODULE_NAME + ':findUnpublishedFileLinks', () => {
+  let testFnName = 'findUnpublishedFileLinks';
+  let testFn;
+  let testProps;
+  let testPackageContent;
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn             = testProps[ testFnName ];
+    testPackageContent = { files: [ 'lib/', '!lib/secret.js' ] };
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+  });
+
+  it ( 'OK', () => {
+    const testRawText = '[a](lib/x.js) [b](lib/secret.js)\n[c](docs/g.md) [d](../up.md) [e](README.md) [f](./) [g](#g)';
+    expect( testFn( testRawText, testPackageContent ) ).to.deep.equal( [
+      { destination: 'lib/secret.js', file: 'lib/secret.js', line: 1, column: 19 },
+      { destination: 'docs/g.md',     file: 'docs/g.md',     line: 2, column: 5 },
+      { destination: '../up.md',      file: null,            line: 2, column: 20 },
+    ] );
+  });
+
+  it ( 'No files property', () => {
+    expect( testFn( '[a](docs/g.md) [b](../up.md)', {} ) ).to.deep.equal( [
+      { destination: '../up.md', file: null, line: 1, column: 20 },
+    ] );
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * DESCRIPTION:
+ * Unit Tests for the hooks module.
+ */
+'use strict';
+
+const sinon      = require( 'sinon' );
+const { expect } = require( 'chai' );
+const rewire     = require( 'rewire' );
+
+const REL_SRC_PATH  = '../../src/';
+const MODULE_NAME   = 'hooks';
+const TEST_MODULE   = REL_SRC_PATH + MODULE_NAME;
+
+let sandbox;
+
+/**
+ * Modules load other modules, so to force a module reload need to delete
+ * the test module and all child modules from the require cache.
+ */
+function unrequireModules() {
+  const arrKey = [ require.resolve(TEST_MODULE),
+                 ];
+  for (let i in arrKey) {
+    let key = arrKey[i];
+    delete require.cache[key];
+  }
+}
+
+function commonBeforeEach() {
+  unrequireModules();
+  sandbox = sinon.createSandbox();
+}
+
+function commonAfterEach() {
+  sandbox.restore();
+  unrequireModules();
+}
+
+function createTestModule() {
+  const testModule = rewire( TEST_MODULE );
+  return testModule;
+}
+
+function createTestModuleAndGetProps( arrProp = [] ) {
+  const testModule = createTestModule();
+  const testProps  = {};
+  arrProp.forEach( m => { 
+    testProps[ m ] = testModule.__get__( m );
+  } );
+  const result = { testModule, testProps };
+  return result;
+}
+
+
+describe(MODULE_NAME + ':module can be loaded', () => {
+
+  beforeEach( () => {
+    commonBeforeEach();
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+  });
+
+  it ('module initialises OK', () => {
+    createTestModule();
+  });
+});
+
+describe(MODULE_NAME + ':hasHookCommand', () => {
+  let testFnName = 'hasHookCommand';
+  let testFn;
+  let testProps;
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn          = testProps[ testFnName ];
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+  });
+
+  it ( 'Has the command', () => {
+    expect( testFn( 'verdaccio-readme-fixer', 'verdaccio-readme-fixer' ) ).to.equal( true );
+    expect( testFn( 'npm run build && verdaccio-readme-fixer --strict', 'verdaccio-readme-fixer' ) ).to.equal( true );
+    expect( testFn( 'verdaccio-readme-fixer restore; echo done', 'verdaccio-readme-fixer restore' ) ).to.equal( true );
+  });
+
+  it ( 'Does not have the command', () => {
+    expect( testFn( 'npm run build', 'verdaccio-readme-fixer' ) ).to.equal( false );
+    expect( testFn( 'verdaccio-readme-fixer restore', 'verdaccio-readme-fixer' ) ).to.equal( false );
+    expect( testFn( 'verdaccio-readme-fixer', 'verdaccio-readme-fixer restore' ) ).to.equal( false );
+  });
+});
+
+describe(MODULE_NAME + ':genHookScripts', () => {
+  let testFnName = 'genHookScripts';
+  let testFn;
+  let testProps;
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn          = testProps[ testFnName ];
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+  });
+
+  it ( 'No scripts', () => {
+    const expectedResult = [
+      { name: 'prepack',     script: 'verdaccio-readme-fixer',         status: 'added' },
+      { name: 'postpack',    script: 'verdaccio-readme-fixer restore', status: 'added' },
+      { name: 'postpublish', script: 'verdaccio-readme-fixer restore', status: 'added' },
+    ];
+    expect( testFn( undefined ) ).to.deep.equal( expectedResult );
+    expect( testFn( { test: 'mocha', prepack: ' ' } ) ).to.deep.equal( expectedResult );
+  });
+
+  it ( 'Existing scripts', () => {
+    expect( testFn( { prepack: 'npm run build', postpack: 'verdaccio-readme-fixer restore', postpublish: 'node notify.js' } ) ).to.deep.equal( [
+      { name: 'prepack',     script: 'npm run build && verdaccio-readme-fixer',          status: 'updated' },
+      { name: 'postpack',    script: 'verdaccio-readme-fixer restore',                   status: 'unchanged' },
+      { name: 'postpublish', script: 'node notify.js && verdaccio-readme-fixer restore', status: 'updated' },
+    ] );
+  });
+});
+
+describe(MODULE_NAME + ':isPublishPostpack', () => {
+  let testFnName = 'isPublishPostpack';
+  let testFn;
+  let testProps;
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn          = testProps[ testFnName ];
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+  });
+
+  it ( 'Postpack of npm publish', () => {
+    expect( testFn( { npm_lifecycle_event: 'postpack', npm_command: 'publish' } ) ).to.equal( true );
+  });
+
+  it ( 'Postpack of npm pack, postpublish, or not run by npm', () => {
+    expect( testFn( { npm_lifecycle_event: 'postpack', npm_command: 'pack' } ) ).to.equal( false );
+    expect( testFn( { npm_lifecycle_event: 'postpublish', npm_command: 'publish' } ) ).to.equal( false );
+    expect( testFn( {} ) ).to.equal( false );
+  });
+});
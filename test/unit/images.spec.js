@@ -0,0 +1,224 @@
+/**
+ * DESCRIPTION:
+ * Unit Tests for the images module.
+ */
+'use strict';
+
+const sinon      = require( 'sinon' );
+const { expect } = require( 'chai' );
+const rewire     = require( 'rewire' );
+const path       = require( 'path' );
+
+const REL_SRC_PATH  = '../../src/';
+const MODULE_NAME   = 'images';
+const TEST_MODULE   = REL_SRC_PATH + MODULE_NAME;
+
+let sandbox;
+
+/**
+ * Modules load other modules, so to force a module reload need to delete
+ * the test module and all child modules from the require cache.
+ */
+function unrequireModules() {
+  const arrKey = [ require.resolve(TEST_MODULE),
+                 ];
+  for (let i in arrKey) {
+    let key = arrKey[i];
+    delete require.cache[key];
+  }
+}
+
+function commonBeforeEach() {
+  unrequireModules();
+  sandbox = sinon.createSandbox();
+}
+
+function commonAfterEach() {
+  sandbox.restore();
+  unrequireModules();
+}
+
+function createTestModule() {
+  const testModule = rewire( TEST_MODULE );
+  return testModule;
+}
+
+function createTestModuleAndGetProps( arrProp = [] ) {
+  const testModule = createTestModule();
+  const testProps  = {};
+  arrProp.forEach( m => { 
+    testProps[ m ] = testModule.__get__( m );
+  } );
+  const result = { testModule, testProps };
+  return result;
+}
+
+describe(MODULE_NAME + ':module can be loaded', () => {
+
+  beforeEach( () => {
+    commonBeforeEach();
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+  });
+
+  it ('module initialises OK', () => {
+    createTestModule();
+  });
+});
+
+describe(MODULE_NAME + ':genDataUri', () => {
+  let testFnName = 'genDataUri';
+  let testFn;
+  let testModule;
+  let testProps;
+  let testFS;
+  let existsSyncStub;
+  let existsSyncRet;
+  let statSyncStub;
+  let statSyncRet;
+  let readFileSyncStub;
+  let readFileSyncRet;
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testModule, testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn = testProps[ testFnName ];
+    testFS = {
+      existsSync:   () => {},
+      statSync:     () => {},
+      readFileSync: () => {},
+    };
+    testModule.__set__( 'fs', testFS );
+    existsSyncStub = sandbox.stub( testFS, 'existsSync' ).callsFake( () => {
+      return existsSyncRet;
+    } );
+    existsSyncRet = true;
+    statSyncStub  = sandbox.stub( testFS, 'statSync' ).callsFake( () => {
+      return statSyncRet;
+    } );
+    statSyncRet      = { isFile: () => true, size: 3 };
+    readFileSyncStub = sandbox.stub( testFS, 'readFileSync' ).callsFake( () => {
+      return readFileSyncRet;
+    } );
+    readFileSyncRet = Buffer.from( 'abc' );
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+    testModule = null;
+  });
+
+  it ( 'OK', () => {
+    expect( testFn( 'img/dot.PNG', 3 ) ).to.equal( 'data:image/png;base64,YWJj' );
+    sinon.assert.calledWithExactly( existsSyncStub, 'img/dot.PNG' );
+    sinon.assert.calledWithExactly( statSyncStub, 'img/dot.PNG' );
+    sinon.assert.calledWithExactly( readFileSyncStub, 'img/dot.PNG' );
+  });
+
+  it ( 'SVG', () => {
+    expect( testFn( 'logo.svg', 10 ) ).to.equal( 'data:image/svg+xml;base64,YWJj' );
+  });
+
+  it ( 'Too large', () => {
+    expect( testFn( 'img/dot.png', 2 ) ).to.equal( null );
+    sinon.assert.notCalled( readFileSyncStub );
+  });
+
+  it ( 'Not found', () => {
+    existsSyncRet = false;
+    expect( testFn( 'img/dot.png', 3 ) ).to.equal( null );
+    sinon.assert.notCalled( statSyncStub );
+  });
+
+  it ( 'Not a file', () => {
+    statSyncRet = { isFile: () => false, size: 0 };
+    expect( testFn( 'img', 3 ) ).to.equal( null );
+    sinon.assert.notCalled( readFileSyncStub );
+  });
+
+  it ( 'Not an image type', () => {
+    expect( testFn( 'docs/guide.md', 3 ) ).to.equal( null );
+    sinon.assert.notCalled( existsSyncStub );
+  });
+});
+
+describe(MODULE_NAME + ':genImageResolver', () => {
+  let testFnName = 'genImageResolver';
+  let testFn;
+  let testModule;
+  let testProps;
+  let genDataUriStub;
+  let genDataUriRet;
+  let resolveFileLinkStub;
+  let resolveFileLinkRet;
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testModule, testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn         = testProps[ testFnName ];
+    genDataUriStub = sandbox.stub().callsFake( () => {
+      return genDataUriRet;
+    } );
+    testModule.__set__( 'genDataUri', genDataUriStub );
+    genDataUriRet       = 'data:image/png;base64,AA';
+    resolveFileLinkStub = sandbox.stub().callsFake( () => {
+      return resolveFileLinkRet;
+    } );
+    resolveFileLinkRet = 'https://github.com/me/my-pkg/tree/HEAD/img/arch.png';
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+    testModule = null;
+  });
+
+  it ( 'Defaults, unchanged', () => {
+    const resolve = testFn( '/pkg' );
+    expect( resolve( './img/arch.png' ) ).to.equal( null );
+    sinon.assert.notCalled( genDataUriStub );
+  });
+
+  it ( 'Inline', () => {
+    const resolve = testFn( '/pkg', { inlineMaxSize: 1024 }, resolveFileLinkStub );
+    expect( resolve( './img/arch.png' ) ).to.equal( genDataUriRet );
+    sinon.assert.calledWithExactly( genDataUriStub, path.join( '/pkg', 'img/arch.png' ), 1024 );
+    sinon.assert.notCalled( resolveFileLinkStub );
+  });
+
+  it ( 'Inline, README in a subdirectory', () => {
+    const resolve = testFn( '/pkg', { inlineMaxSize: 1024, readmeDir: 'docs' } );
+    expect( resolve( '../img/arch.png' ) ).to.equal( genDataUriRet );
+    sinon.assert.calledWithExactly( genDataUriStub, path.join( '/pkg', 'img/arch.png' ), 1024 );
+  });
+
+  it ( 'Not inlined, base URL', () => {
+    genDataUriRet = null;
+    const resolve = testFn( '/pkg', { inlineMaxSize: 1024, baseUrl: 'https://cdn.example.com/my-pkg/' }, resolveFileLinkStub );
+    expect( resolve( 'img/arch.png?v=2' ) ).to.equal( 'https://cdn.example.com/my-pkg/img/arch.png?v=2' );
+    sinon.assert.notCalled( resolveFileLinkStub );
+  });
+
+  it ( 'Not inlined, file link resolver', () => {
+    genDataUriRet = null;
+    const resolve = testFn( '/pkg', { inlineMaxSize: 1024 }, resolveFileLinkStub );
+    expect( resolve( './img/arch.png' ) ).to.equal( resolveFileLinkRet );
+    sinon.assert.calledWithExactly( resolveFileLinkStub, './img/arch.png', { isRaw: true } );
+  });
+
+  it ( 'Absolute URLs, data URIs and paths outside the package are unchanged', () => {
+    const resolve = testFn( '/pkg', { inlineMaxSize: 1024, baseUrl: 'https://cdn.example.com' }, resolveFileLinkStub );
+    [ 'https://example.com/a.png', 'data:image/png;base64,AA', '../a.png', './' ].forEach( destination => {
+      expect( resolve( destination ) ).to.equal( null );
+    } );
+    sinon.assert.notCalled( genDataUriStub );
+    sinon.assert.notCalled( resolveFileLinkStub );
+  });
+
+  it ( 'Invalid inline size limit', () => {
+    [ -1, 1.5, '1024' ].forEach( inlineMaxSize => {
+      expect( () => testFn( '/pkg', { inlineMaxSize } ) ).to.throw( `Invalid image inline size limit: ${inlineMaxSize}` );
+    } );
+  });
+});
@@ -0,0 +1,247 @@
+/**
+ * DESCRIPTION:
+ * Unit Tests for the json-text module.
+ */
+'use strict';
+
+const sinon      = require( 'sinon' );
+const { expect } = require( 'chai' );
+const rewire     = require( 'rewire' );
+
+const REL_SRC_PATH  = '../../src/';
+const MODULE_NAME   = 'json-text';
+const TEST_MODULE   = REL_SRC_PATH + MODULE_NAME;
+
+let sandbox;
+
+/**
+ * Modules load other modules, so to force a module reload need to delete
+ * the test module and all child modules from the require cache.
+ */
+function unrequireModules() {
+  const arrKey = [ require.resolve(TEST_MODULE),
+                 ];
+  for (let i in arrKey) {
+    let key = arrKey[i];
+    delete require.cache[key];
+  }
+}
+
+function commonBeforeEach() {
+  unrequireModules();
+  sandbox = sinon.createSandbox();
+}
+
+function commonAfterEach() {
+  sandbox.restore();
+  unrequireModules();
+}
+
+function createTestModule() {
+  const testModule = rewire( TEST_MODULE );
+  return testModule;
+}
+
+function createTestModuleAndGetProps( arrProp = [] ) {
+  const testModule = createTestModule();
+  const testProps  = {};
+  arrProp.forEach( m => { 
+    testProps[ m ] = testModule.__get__( m );
+  } );
+  const result = { testModule, testProps };
+  return result;
+}
+
+
+describe(MODULE_NAME + ':module can be loaded', () => {
+
+  beforeEach( () => {
+    commonBeforeEach();
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+  });
+
+  it ('module initialises OK', () => {
+    createTestModule();
+  });
+});
+
+describe(MODULE_NAME + ':findProperties', () => {
+  let testFnName = 'findProperties';
+  let testFn;
+  let testProps;
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn          = testProps[ testFnName ];
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+  });
+
+  it ('Top-level properties only', () => {
+    const testText = ' { "a": { "readme": "}" }, "b\\"": [ 1, "]" ], "c": -1.5e3 , "d": null }';
+    const actualResult = testFn( testText );
+    expect( actualResult.properties.map( ( { key } ) => key ) ).to.deep.equal( [ 'a', 'b"', 'c', 'd' ] );
+    expect( actualResult.properties.map( ( { valueStart, valueEnd } ) => testText.slice( valueStart, valueEnd ) ) )
+      .to.deep.equal( [ '{ "readme": "}" }', '[ 1, "]" ]', '-1.5e3', 'null' ] );
+    expect( actualResult.properties.map( ( { keyStart, keyEnd } ) => testText.slice( keyStart, keyEnd ) ) )
+      .to.deep.equal( [ '"a"', '"b\\""', '"c"', '"d"' ] );
+    expect( testText[ actualResult.end ] ).to.equal( '}' );
+  });
+
+  it ('Empty object', () => {
+    expect( testFn( '{ }' ) ).to.deep.equal( { properties: [], end: 2 } );
+  });
+});
+
+describe(MODULE_NAME + ':parseJson', () => {
+  let testFnName = 'parseJson';
+  let testFn;
+  let testProps;
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn          = testProps[ testFnName ];
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+  });
+
+  it ('With and without a byte order mark', () => {
+    expect( testFn( '{ "name": "x" }' ) ).to.deep.equal( { name: 'x' } );
+    expect( testFn( '\uFEFF{ "name": "x" }' ) ).to.deep.equal( { name: 'x' } );
+  });
+
+  it ('Invalid JSON', () => {
+    expect( () => testFn( '\uFEFF{' ) ).to.throw( SyntaxError );
+  });
+});
+
+describe(MODULE_NAME + ':setJsonProperty', () => {
+  let testFnName = 'setJsonProperty';
+  let testFn;
+  let testProps;
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn          = testProps[ testFnName ];
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+  });
+
+  it ('Replace with tab indentation and final newline', () => {
+    expect( testFn( '{\n\t"name": "x",\n\t"readme": "old",\n\t"version": "1.0.0"\n}\n', 'readme', 'new' ) )
+      .to.equal( '{\n\t"name": "x",\n\t"readme": "new",\n\t"version": "1.0.0"\n}\n' );
+  });
+
+  it ('Replace with escaped value', () => {
+    expect( testFn( '{"readme":"old"}', 'readme', '# Title\n\n"quoted" \\ text' ) )
+      .to.equal( '{"readme":"# Title\\n\\n\\"quoted\\" \\\\ text"}' );
+  });
+
+  it ('Replace non-string value', () => {
+    expect( testFn( '{ "readme": { "a": [ 1 ] }, "b": 2 }', 'readme', 'new' ) ).to.equal( '{ "readme": "new", "b": 2 }' );
+  });
+
+  it ('Replace the last duplicate', () => {
+    expect( testFn( '{ "readme": "1", "readme": "2" }', 'readme', 'new' ) ).to.equal( '{ "readme": "1", "readme": "new" }' );
+  });
+
+  it ('Nested property ignored', () => {
+    expect( testFn( '{\n  "a": { "readme": "old" }\n}', 'readme', 'new' ) )
+      .to.equal( '{\n  "a": { "readme": "old" },\n  "readme": "new"\n}' );
+  });
+
+  it ('Add with 4 space indentation and CRLF line endings', () => {
+    expect( testFn( '{\r\n    "name": "x",\r\n    "version": "1.0.0"\r\n}\r\n', 'readme', 'new' ) )
+      .to.equal( '{\r\n    "name": "x",\r\n    "version": "1.0.0",\r\n    "readme": "new"\r\n}\r\n' );
+  });
+
+  it ('Add to a single property', () => {
+    expect( testFn( '{\n\t"name": "x"\n}', 'readme', 'new' ) ).to.equal( '{\n\t"name": "x",\n\t"readme": "new"\n}' );
+    expect( testFn( '{ "name" : "x" }', 'readme', 'new' ) ).to.equal( '{ "name" : "x", "readme" : "new" }' );
+  });
+
+  it ('Add to a minified object', () => {
+    expect( testFn( '{"name":"x","version":"1.0.0"}', 'readme', 'new' ) ).to.equal( '{"name":"x","version":"1.0.0","readme":"new"}' );
+  });
+
+  it ('Add to an empty object', () => {
+    expect( testFn( '{}\n', 'readme', 'new' ) ).to.equal( '{\n  "readme": "new"\n}\n' );
+    expect( testFn( '{\r\n}\r\n', 'readme', 'new' ) ).to.equal( '{\r\n  "readme": "new"\r\n}\r\n' );
+  });
+
+  it ('Invalid JSON', () => {
+    expect( () => testFn( '{ "name": "x", }', 'readme', 'new' ) ).to.throw( SyntaxError );
+  });
+
+  it ('Byte order mark kept', () => {
+    expect( testFn( '\uFEFF{\n  "name": "x"\n}\n', 'readme', 'new' ) ).to.equal( '\uFEFF{\n  "name": "x",\n  "readme": "new"\n}\n' );
+  });
+
+  it ('Not an object', () => {
+    [ 'null', '[ { "readme": "old" } ]', '"readme"', '1' ].forEach( text => {
+      expect( () => testFn( text, 'readme', 'new' ) ).to.throw( 'JSON text is not an object' );
+    } );
+  });
+});
+
+describe(MODULE_NAME + ':setJsonSubProperty', () => {
+  let testFnName = 'setJsonSubProperty';
+  let testFn;
+  let testProps;
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn          = testProps[ testFnName ];
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+  });
+
+  it ('Replace and add in an existing object', () => {
+    const testText = '{\n  "name": "x",\n  "scripts": {\n    "test": "mocha"\n  },\n  "version": "1.0.0"\n}\n';
+    expect( testFn( testText, 'scripts', 'test', 'npm run lint && mocha' ) )
+      .to.equal( '{\n  "name": "x",\n  "scripts": {\n    "test": "npm run lint && mocha"\n  },\n  "version": "1.0.0"\n}\n' );
+    expect( testFn( testText, 'scripts', 'prepack', 'build' ) )
+      .to.equal( '{\n  "name": "x",\n  "scripts": {\n    "test": "mocha",\n    "prepack": "build"\n  },\n  "version": "1.0.0"\n}\n' );
+  });
+
+  it ('Add the object with tab indentation and CRLF line endings', () => {
+    expect( testFn( '{\r\n\t"name": "x"\r\n}\r\n', 'scripts', 'prepack', 'build' ) )
+      .to.equal( '{\r\n\t"name": "x",\r\n\t"scripts": {\r\n\t\t"prepack": "build"\r\n\t}\r\n}\r\n' );
+  });
+
+  it ('Replace an empty or non-object value', () => {
+    expect( testFn( '{\n  "name": "x",\n  "scripts": {}\n}', 'scripts', 'prepack', 'build' ) )
+      .to.equal( '{\n  "name": "x",\n  "scripts": {\n    "prepack": "build"\n  }\n}' );
+    expect( testFn( '{\n  "scripts": null\n}', 'scripts', 'prepack', 'build' ) )
+      .to.equal( '{\n  "scripts": {\n    "prepack": "build"\n  }\n}' );
+  });
+
+  it ('Add to a minified or empty object', () => {
+    expect( testFn( '{"name":"x"}', 'scripts', 'prepack', 'build' ) ).to.equal( '{"name":"x","scripts":{"prepack":"build"}}' );
+    expect( testFn( '{}\n', 'scripts', 'prepack', 'build' ) ).to.equal( '{\n  "scripts": {\n    "prepack": "build"\n  }\n}\n' );
+  });
+
+  it ('Byte order mark kept', () => {
+    expect( testFn( '\uFEFF{\n  "name": "x"\n}', 'scripts', 'prepack', 'build' ) )
+      .to.equal( '\uFEFF{\n  "name": "x",\n  "scripts": {\n    "prepack": "build"\n  }\n}' );
+  });
+
+  it ('Not an object', () => {
+    expect( () => testFn( '[]', 'scripts', 'prepack', 'build' ) ).to.throw( 'JSON text is not an object' );
+  });
+});
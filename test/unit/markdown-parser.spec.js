@@ -0,0 +1,688 @@
+/**
+ * DESCRIPTION:
+ * Unit Tests for the markdown-parser module.
+ */
+'use strict';
+
+const sinon      = require( 'sinon' );
+const { expect } = require( 'chai' );
+const rewire     = require( 'rewire' );
+
+const REL_SRC_PATH  = '../../src/';
+const MODULE_NAME   = 'markdown-parser';
+const TEST_MODULE   = REL_SRC_PATH + MODULE_NAME;
+
+let sandbox;
+
+/**
+ * Modules load other modules, so to force a module reload need to delete
+ * the test module and all child modules from the require cache.
+ */
+function unrequireModules() {
+  const arrKey = [ require.resolve(TEST_MODULE),
+                 ];
+  for (let i in arrKey) {
+    let key = arrKey[i];
+    delete require.cache[key];
+  }
+}
+
+function commonBeforeEach() {
+  unrequireModules();
+  sandbox = sinon.createSandbox();
+}
+
+function commonAfterEach() {
+  sandbox.restore();
+  unrequireModules();
+}
+
+function createTestModule() {
+  const testModule = rewire( TEST_MODULE );
+  return testModule;
+}
+
+function createTestModuleAndGetProps( arrProp = [] ) {
+  const testModule = createTestModule();
+  const testProps  = {};
+  arrProp.forEach( m => { 
+    testProps[ m ] = testModule.__get__( m );
+  } );
+  const result = { testModule, testProps };
+  return result;
+}
+
+/**
+ * @param {string} text    : the markdown;
+ * @param {Array}  targets : link targets returned by findLinkTargets.
+ * @returns array of the destinations, checking that the positions match the destinations.
+ */
+function getDestinations( text, targets ) {
+  return targets.map( ( { start, end, destination } ) => {
+    expect( text.slice( start, end ) ).to.equal( destination );
+    return destination;
+  } );
+}
+
+describe(MODULE_NAME + ':module can be loaded', () => {
+
+  beforeEach( () => {
+    commonBeforeEach();
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+  });
+
+  it ('module initialises OK', () => {
+    createTestModule();
+  });
+});
+
+describe(MODULE_NAME + ':tokenize', () => {
+  let testFnName = 'tokenize';
+  let testFn;
+  let testProps;
+  let testText;
+  let actualResult;
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn          = testProps[ testFnName ];
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+  });
+
+  it ( 'Positions are offsets into the source text', () => {
+    testText     = 'é😀\t[x](#y)\r\n> [z](#q)';
+    actualResult = testFn( testText )
+      .filter( ( [ eventType, token ] ) => ( eventType === 'enter' ) && ( token.type === 'resourceDestinationString' ) )
+      .map( ( [ , token ] ) => testText.slice( token.start.offset, token.end.offset ) );
+    expect( actualResult ).to.deep.equal( [ '#y', '#q' ] );
+  });
+});
+
+describe(MODULE_NAME + ':getVerbatimDelta', () => {
+  let testFnName = 'getVerbatimDelta';
+  let testFn;
+  let testProps;
+
+  function genToken( text ) {
+    return { start: { offset: 0 }, end: { offset: text.length } };
+  }
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn          = testProps[ testFnName ];
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+  });
+
+  it ( 'Open tag', () => {
+    expect( testFn( '<PRE class="x">', genToken( '<PRE class="x">' ) ) ).to.equal( 1 );
+  });
+
+  it ( 'Close tag', () => {
+    expect( testFn( '</pre >', genToken( '</pre >' ) ) ).to.equal( -1 );
+  });
+
+  it ( 'Code open tag', () => {
+    expect( testFn( '<code>', genToken( '<code>' ) ) ).to.equal( 1 );
+  });
+
+  it ( 'Code close tag', () => {
+    expect( testFn( '</CODE>', genToken( '</CODE>' ) ) ).to.equal( -1 );
+  });
+
+  it ( 'Other tag', () => {
+    expect( testFn( '<prefix>', genToken( '<prefix>' ) ) ).to.equal( 0 );
+  });
+});
+
+describe(MODULE_NAME + ':findHtmlLinkTargets', () => {
+  let testFnName = 'findHtmlLinkTargets';
+  let testFn;
+  let testProps;
+  let testText;
+  let testToken;
+  let actualResult;
+  let expectedResult;
+
+  function genToken( start, end ) {
+    return { start: { offset: start }, end: { offset: end } };
+  }
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn          = testProps[ testFnName ];
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+  });
+
+  it ( 'Quoting styles', () => {
+    testText       = 'xx<a href="#a"><a HREF=\'#b\'><a href=#c><a href = "#d">';
+    testToken      = genToken( 2, testText.length );
+    expectedResult = [
+      { type: 'html', start: 11, end: 13, destination: '#a' },
+      { type: 'html', start: 24, end: 26, destination: '#b' },
+      { type: 'html', start: 36, end: 38, destination: '#c' },
+      { type: 'html', start: 50, end: 52, destination: '#d' },
+    ];
+    actualResult = testFn( testText, testToken );
+    expect( actualResult ).to.deep.equal( expectedResult );
+    getDestinations( testText, actualResult );
+  });
+
+  it ( 'Only the token is searched', () => {
+    testText     = '<a href="#a"><a href="#b"><a href="#c">';
+    testToken    = genToken( 13, 26 );
+    actualResult = getDestinations( testText, testFn( testText, testToken ) );
+    expect( actualResult ).to.deep.equal( [ '#b' ] );
+  });
+
+  it ( 'Other attributes are ignored', () => {
+    testText     = '<a title="href=#x" data-href="#y" name=z disabled href="#a" id=\'href\'>';
+    testToken    = genToken( 0, testText.length );
+    actualResult = getDestinations( testText, testFn( testText, testToken ) );
+    expect( actualResult ).to.deep.equal( [ '#a' ] );
+  });
+
+  it ( 'Area and img usemap', () => {
+    testText     = '<img src="map.png" usemap="#map">\n<map name="map">\n  <area shape="rect" coords="0,0,9,9" href="#install">\n</map>';
+    testToken    = genToken( 0, testText.length );
+    actualResult = getDestinations( testText, testFn( testText, testToken ) );
+    expect( actualResult ).to.deep.equal( [ '#install' ] );
+  });
+
+  it ( 'Tag spanning lines', () => {
+    testText     = '<a\n  class="toc"\n  href="#a"\n>';
+    testToken    = genToken( 0, testText.length );
+    actualResult = getDestinations( testText, testFn( testText, testToken ) );
+    expect( actualResult ).to.deep.equal( [ '#a' ] );
+  });
+
+  it ( 'Comments, CDATA, processing instructions, declarations and raw text are ignored', () => {
+    testText     = '<!-- <a href="#a"> --><![CDATA[<a href="#b">]]><?php <a href="#c"> ?><!DOCTYPE html><script>"<a href=\'#d\'>"</script><textarea><a href="#e"></textarea><a href="#f">';
+    testToken    = genToken( 0, testText.length );
+    actualResult = getDestinations( testText, testFn( testText, testToken ) );
+    expect( actualResult ).to.deep.equal( [ '#f' ] );
+  });
+
+  it ( 'End tags are ignored', () => {
+    testText     = '</a href="#a">';
+    testToken    = genToken( 0, testText.length );
+    actualResult = getDestinations( testText, testFn( testText, testToken ) );
+    expect( actualResult ).to.deep.equal( [] );
+  });
+});
+
+describe(MODULE_NAME + ':findLinkTargets', () => {
+  let testFnName = 'findLinkTargets';
+  let testFn;
+  let testProps;
+  let testText;
+  let actualResult;
+  let expectedResult;
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn          = testProps[ testFnName ];
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+  });
+
+  it ( 'No links', () => {
+    testText       = '# Heading\n\nSome text.\n';
+    expectedResult = [];
+    actualResult   = testFn( testText );
+    expect( actualResult ).to.deep.equal( expectedResult );
+  });
+
+  it ( 'Inline links', () => {
+    testText       = 'A [first](#one) and [second](http://x/y "Title") and [third](<#three>)';
+    expectedResult = [
+      { type: 'link', start: 10, end: 14, destination: '#one' },
+      { type: 'link', start: 29, end: 39, destination: 'http://x/y' },
+      { type: 'link', start: 62, end: 68, destination: '#three' },
+    ];
+    actualResult = testFn( testText );
+    expect( actualResult ).to.deep.equal( expectedResult );
+    getDestinations( testText, actualResult );
+  });
+
+  it ( 'Link text containing brackets and parentheses', () => {
+    testText       = '[My (#link) [text]](#internalLink1)';
+    actualResult   = getDestinations( testText, testFn( testText ) );
+    expect( actualResult ).to.deep.equal( [ '#internalLink1' ] );
+  });
+
+  it ( 'Images are not links', () => {
+    testText       = '![Image](#image) [![Image](img.png)](#link)';
+    actualResult   = getDestinations( testText, testFn( testText ) );
+    expect( actualResult ).to.deep.equal( [ '#link' ] );
+  });
+
+  it ( 'Links inside inline preformatted sections are ignored', () => {
+    testText       = '[a](#a) <pre>[b](#b)</pre> [c](#c)';
+    actualResult   = getDestinations( testText, testFn( testText ) );
+    expect( actualResult ).to.deep.equal( [ '#a', '#c' ] );
+  });
+
+  it ( 'Unclosed inline preformatted section ends with the paragraph', () => {
+    testText       = '<b>x</b> <pre>[a](#a)\n\n[b](#b)';
+    actualResult   = getDestinations( testText, testFn( testText ) );
+    expect( actualResult ).to.deep.equal( [ '#b' ] );
+  });
+});
+
+describe(MODULE_NAME + ':findLinkTargets code is ignored', () => {
+  let testFnName = 'findLinkTargets';
+  let testFn;
+  let testProps;
+  let testText;
+  let actualResult;
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn          = testProps[ testFnName ];
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+  });
+
+  it ( 'Backtick fenced code block', () => {
+    testText     = '[a](#a)\n\n```md\n[b](#b)\n\n[c](#c)\n```\n\n[d](#d)';
+    actualResult = getDestinations( testText, testFn( testText ) );
+    expect( actualResult ).to.deep.equal( [ '#a', '#d' ] );
+  });
+
+  it ( 'Tilde fenced code block', () => {
+    testText     = '[a](#a)\n\n~~~\n[b](#b)\n```\n[c](#c)\n~~~\n[d](#d)';
+    actualResult = getDestinations( testText, testFn( testText ) );
+    expect( actualResult ).to.deep.equal( [ '#a', '#d' ] );
+  });
+
+  it ( 'Unclosed fenced code block continues to the end of the document', () => {
+    testText     = '[a](#a)\n\n````\n[b](#b)\n```\n[c](#c)';
+    actualResult = getDestinations( testText, testFn( testText ) );
+    expect( actualResult ).to.deep.equal( [ '#a' ] );
+  });
+
+  it ( 'Fenced code block in a list and a block quote', () => {
+    testText     = '- item\n\n  ```\n  [a](#a)\n  ```\n\n> ```\n> [b](#b)\n> ```\n\n[c](#c)';
+    actualResult = getDestinations( testText, testFn( testText ) );
+    expect( actualResult ).to.deep.equal( [ '#c' ] );
+  });
+
+  it ( 'Indented code block', () => {
+    testText     = '[a](#a)\n\n    [b](#b)\n\t[c](#c)\n\n[d](#d)';
+    actualResult = getDestinations( testText, testFn( testText ) );
+    expect( actualResult ).to.deep.equal( [ '#a', '#d' ] );
+  });
+
+  it ( 'Indented text continuing a paragraph is not code', () => {
+    testText     = 'Para\n    [a](#a)';
+    actualResult = getDestinations( testText, testFn( testText ) );
+    expect( actualResult ).to.deep.equal( [ '#a' ] );
+  });
+
+  it ( 'Code spans', () => {
+    testText     = '`[a](#a)` ``[b](#b) ` x`` [c](#c) `` `[d](#d)` ``';
+    actualResult = getDestinations( testText, testFn( testText ) );
+    expect( actualResult ).to.deep.equal( [ '#c' ] );
+  });
+
+  it ( 'Code span across lines', () => {
+    testText     = '`[a](#a)\n[b](#b)` [c](#c)';
+    actualResult = getDestinations( testText, testFn( testText ) );
+    expect( actualResult ).to.deep.equal( [ '#c' ] );
+  });
+
+  it ( 'Multi-line <pre> HTML block', () => {
+    testText     = '<pre>\n[a](#a)\n\n[b](#b)\n</pre>\n\n[c](#c)';
+    actualResult = getDestinations( testText, testFn( testText ) );
+    expect( actualResult ).to.deep.equal( [ '#c' ] );
+  });
+
+  it ( 'Multi-line inline <pre>', () => {
+    testText     = 'Text <pre>[a](#a)\n[b](#b)</pre> [c](#c)';
+    actualResult = getDestinations( testText, testFn( testText ) );
+    expect( actualResult ).to.deep.equal( [ '#c' ] );
+  });
+
+  it ( 'Inline <code>', () => {
+    testText     = 'Text <code>[a](#a)</code> [b](#b)';
+    actualResult = getDestinations( testText, testFn( testText ) );
+    expect( actualResult ).to.deep.equal( [ '#b' ] );
+  });
+
+  it ( 'Nested inline <pre> and <code>', () => {
+    testText     = 'Text <pre><code>[a](#a)</code>[b](#b)</pre> [c](#c)';
+    actualResult = getDestinations( testText, testFn( testText ) );
+    expect( actualResult ).to.deep.equal( [ '#c' ] );
+  });
+});
+
+describe(MODULE_NAME + ':findLinkTargets reference links', () => {
+  let testFnName = 'findLinkTargets';
+  let testFn;
+  let testProps;
+  let testText;
+  let actualResult;
+  let expectedResult;
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn          = testProps[ testFnName ];
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+  });
+
+  it ( 'Full, collapsed and shortcut references use a single definition', () => {
+    testText       = '[Text][ref] [ref][] [ref] [Other][REF]\n\n[ref]: #anchor';
+    expectedResult = [
+      { type: 'definition', start: 47, end: 54, destination: '#anchor' },
+    ];
+    actualResult   = testFn( testText );
+    expect( actualResult ).to.deep.equal( expectedResult );
+    getDestinations( testText, actualResult );
+  });
+
+  it ( 'Definitions with titles and angle brackets', () => {
+    testText     = '[a]: #a "Title A"\n[b]: <#b> \'Title B\'\n[c]:\n  #c\n  (Title C)\n[d]: https://example.com/#d';
+    actualResult = getDestinations( testText, testFn( testText ) );
+    expect( actualResult ).to.deep.equal( [ '#a', '#b', '#c', 'https://example.com/#d' ] );
+  });
+
+  it ( 'Definitions and inline links in document order', () => {
+    testText     = '[a](#a) [b]\n\n[b]: #b\n\n> [c]: #c\n\n- [d]: #d\n\n[e](#e)';
+    actualResult = testFn( testText ).map( ( { type, destination } ) => `${type}:${destination}` );
+    expect( actualResult ).to.deep.equal( [ 'link:#a', 'definition:#b', 'definition:#c', 'definition:#d', 'link:#e' ] );
+  });
+
+  it ( 'Definitions inside code are ignored', () => {
+    testText     = '```\n[a]: #a\n```\n\n    [b]: #b\n\n`[c]: #c`';
+    actualResult = getDestinations( testText, testFn( testText ) );
+    expect( actualResult ).to.deep.equal( [] );
+  });
+
+  it ( 'Definitions cannot interrupt a paragraph', () => {
+    testText     = 'Para\n[a]: #a';
+    actualResult = getDestinations( testText, testFn( testText ) );
+    expect( actualResult ).to.deep.equal( [] );
+  });
+});
+
+describe(MODULE_NAME + ':findLinkTargets raw HTML', () => {
+  let testFnName = 'findLinkTargets';
+  let testFn;
+  let testProps;
+  let testText;
+  let actualResult;
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn          = testProps[ testFnName ];
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+  });
+
+  it ( 'HTML block', () => {
+    testText     = '<nav>\n  <a href="#install">Install</a> | <a href="#usage">Usage</a>\n</nav>\n\n[a](#a)';
+    actualResult = testFn( testText ).map( ( { type, destination } ) => `${type}:${destination}` );
+    expect( actualResult ).to.deep.equal( [ 'html:#install', 'html:#usage', 'link:#a' ] );
+  });
+
+  it ( 'Inline HTML', () => {
+    testText     = 'See <a href="#install">Install</a> or [a](#a).';
+    actualResult = testFn( testText ).map( ( { type, destination } ) => `${type}:${destination}` );
+    expect( actualResult ).to.deep.equal( [ 'html:#install', 'link:#a' ] );
+  });
+
+  it ( 'HTML inside code is ignored', () => {
+    testText     = '`<a href="#a">`\n\n```html\n<a href="#b">\n```\n\n    <a href="#c">';
+    actualResult = getDestinations( testText, testFn( testText ) );
+    expect( actualResult ).to.deep.equal( [] );
+  });
+
+  it ( 'HTML escaped as text is ignored', () => {
+    testText     = '&lt;a href="#a"&gt; \\<a href="#b">';
+    actualResult = getDestinations( testText, testFn( testText ) );
+    expect( actualResult ).to.deep.equal( [] );
+  });
+});
+
+describe(MODULE_NAME + ':findImageTargets', () => {
+  let testFnName = 'findImageTargets';
+  let testFn;
+  let testProps;
+  let testText;
+  let actualResult;
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn          = testProps[ testFnName ];
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+  });
+
+  it ( 'Markdown images', () => {
+    testText     = '![diagram](./img/arch.png) and [link](./docs/guide.md)\n\n![logo](<img/my logo.svg> "Logo")';
+    actualResult = getDestinations( testText, testFn( testText ) );
+    expect( actualResult ).to.deep.equal( [ './img/arch.png', 'img/my logo.svg' ] );
+  });
+
+  it ( 'Image inside a link', () => {
+    testText     = '[![badge](img/badge.svg)](https://ci.example.com)';
+    actualResult = testFn( testText ).map( ( { type, destination } ) => `${type}:${destination}` );
+    expect( actualResult ).to.deep.equal( [ 'image:img/badge.svg' ] );
+  });
+
+  it ( 'HTML img src attributes', () => {
+    testText     = '<p align="center">\n  <img src="img/logo.png" width="100">\n</p>\n\nInline <IMG SRC=img/icon.gif> <a href="x.png">x</a>';
+    actualResult = testFn( testText ).map( ( { type, destination } ) => `${type}:${destination}` );
+    expect( actualResult ).to.deep.equal( [ 'html:img/logo.png', 'html:img/icon.gif' ] );
+    getDestinations( testText, testFn( testText ) );
+  });
+
+  it ( 'Reference images, the definitions used', () => {
+    testText     = '![diagram][arch] ![Logo][] ![LOGO] [link][doc] ![i](./i.png)\n\n[arch]: ./img/arch.png\n[logo]: ./logo.png\n[Logo]: ./dup.png\n[doc]: ./doc.md\n[unused]: ./u.png';
+    actualResult = testFn( testText );
+    expect( getDestinations( testText, actualResult ) ).to.deep.equal( [ './i.png', './img/arch.png', './logo.png' ] );
+    expect( actualResult.map( ( { type } ) => type ) ).to.deep.equal( [ 'image', 'definition', 'definition' ] );
+  });
+
+  it ( 'Reference images inside code are ignored', () => {
+    testText     = '`![diagram][arch]`\n\n[arch]: ./img/arch.png';
+    actualResult = getDestinations( testText, testFn( testText ) );
+    expect( actualResult ).to.deep.equal( [] );
+  });
+
+  it ( 'Images inside code are ignored', () => {
+    testText     = '`![a](a.png)`\n\n```\n<img src="b.png">\n```\n\n<code>![c](c.png)</code>';
+    actualResult = getDestinations( testText, testFn( testText ) );
+    expect( actualResult ).to.deep.equal( [] );
+  });
+});
+
+describe(MODULE_NAME + ':getLineColumn', () => {
+  let testFnName = 'getLineColumn';
+  let testFn;
+  let testProps;
+  let testText;
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn          = testProps[ testFnName ];
+    testText        = 'ab\ncd\r\nef\rgh';
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+  });
+
+  it ( 'Start of text', () => {
+    expect( testFn( testText, 0 ) ).to.deep.equal( { line: 1, column: 1 } );
+  });
+
+  it ( 'Line endings', () => {
+    expect( testFn( testText, 4 ) ).to.deep.equal( { line: 2, column: 2 } );
+    expect( testFn( testText, 7 ) ).to.deep.equal( { line: 3, column: 1 } );
+    expect( testFn( testText, 12 ) ).to.deep.equal( { line: 4, column: 3 } );
+  });
+});
+
+describe(MODULE_NAME + ':findHtmlAttributes', () => {
+  let testFnName = 'findHtmlAttributes';
+  let testFn;
+  let testProps;
+  let testText;
+  let actualResult;
+  let expectedResult;
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn          = testProps[ testFnName ];
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+  });
+
+  it ( 'OK', () => {
+    testText       = '<A Name=top disabled><IMG src=\'x.png\' alt="">';
+    expectedResult = [
+      { tagName: 'a',   name: 'name', value: 'top',   start: 8,  end: 11 },
+      { tagName: 'img', name: 'src',  value: 'x.png', start: 31, end: 36 },
+      { tagName: 'img', name: 'alt',  value: '',      start: 43, end: 43 },
+    ];
+    actualResult = testFn( testText, { start: { offset: 0 }, end: { offset: testText.length } } );
+    expect( actualResult ).to.deep.equal( expectedResult );
+  });
+});
+
+describe(MODULE_NAME + ':findHeadings', () => {
+  let testFnName = 'findHeadings';
+  let testFn;
+  let testProps;
+  let testText;
+  let actualResult;
+  let expectedResult;
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn          = testProps[ testFnName ];
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+  });
+
+  it ( 'No headings', () => {
+    testText       = 'Text\n\n```\n# Not a heading\n```\n\n    # Not a heading';
+    expectedResult = [];
+    actualResult   = testFn( testText );
+    expect( actualResult ).to.deep.equal( expectedResult );
+  });
+
+  it ( 'ATX and setext headings', () => {
+    testText       = '# One #\n\nTwo *x*\n===\n\nThree\n---\n\n###### Six\n\n#\n\n> ## Quote';
+    expectedResult = [
+      { depth: 1, text: 'One',     start: 0,  end: 7 },
+      { depth: 1, text: 'Two *x*', start: 9,  end: 20 },
+      { depth: 2, text: 'Three',   start: 22, end: 31 },
+      { depth: 6, text: 'Six',     start: 33, end: 43 },
+      { depth: 1, text: '',        start: 45, end: 46 },
+      { depth: 2, text: 'Quote',   start: 50, end: 58 },
+    ];
+    actualResult = testFn( testText );
+    expect( actualResult ).to.deep.equal( expectedResult );
+  });
+});
+
+describe(MODULE_NAME + ':findHtmlAnchors', () => {
+  let testFnName = 'findHtmlAnchors';
+  let testFn;
+  let testProps;
+  let testText;
+  let actualResult;
+  let expectedResult;
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn          = testProps[ testFnName ];
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+  });
+
+  it ( 'OK', () => {
+    testText       = '<div id="nav">\n<a name=top></a>\n</div>\n\nText <span id=\'x\' name="y">\n\n`<a name="code">`';
+    expectedResult = [
+      { anchor: 'nav', start: 9,  end: 12 },
+      { anchor: 'top', start: 23, end: 26 },
+      { anchor: 'x',   start: 55, end: 56 },
+    ];
+    actualResult = testFn( testText );
+    expect( actualResult ).to.deep.equal( expectedResult );
+  });
+});
+
+describe(MODULE_NAME + ':findHtmlComments', () => {
+  let testFnName = 'findHtmlComments';
+  let testFn;
+  let testProps;
+  let testText;
+  let actualResult;
+  let expectedResult;
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn          = testProps[ testFnName ];
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+  });
+
+  it ( 'OK', () => {
+    testText       = '<!-- toc -->\n- [a](#a)\n\n<!-- tocstop -->\n\nx <!--y--> <!-- a --> b -->\n\n```\n<!-- toc -->\n```';
+    expectedResult = [
+      { comment: 'toc',     start: 0,  end: 12 },
+      { comment: 'tocstop', start: 24, end: 40 },
+      { comment: 'y',       start: 44, end: 52 },
+      { comment: 'a',       start: 53, end: 63 },
+    ];
+    actualResult = testFn( testText );
+    expect( actualResult ).to.deep.equal( expectedResult );
+  });
+});
@@ -0,0 +1,219 @@
+/**
+ * DESCRIPTION:
+ * Unit Tests for the package-files module.
+ */
+'use strict';
+
+const sinon      = require( 'sinon' );
+const { expect } = require( 'chai' );
+const rewire     = require( 'rewire' );
+const path       = require( 'path' );
+const fs         = require( 'fs' );
+const os         = require( 'os' );
+
+const REL_SRC_PATH  = '../../src/';
+const MODULE_NAME   = 'package-files';
+const TEST_MODULE   = REL_SRC_PATH + MODULE_NAME;
+
+let sandbox;
+
+/**
+ * Modules load other modules, so to force a module reload need to delete
+ * the test module and all child modules from the require cache.
+ */
+function unrequireModules() {
+  const arrKey = [ require.resolve(TEST_MODULE),
+                 ];
+  for (let i in arrKey) {
+    let key = arrKey[i];
+    delete require.cache[key];
+  }
+}
+
+function commonBeforeEach() {
+  unrequireModules();
+  sandbox = sinon.createSandbox();
+}
+
+function commonAfterEach() {
+  sandbox.restore();
+  unrequireModules();
+}
+
+function createTestModule() {
+  const testModule = rewire( TEST_MODULE );
+  return testModule;
+}
+
+function createTestModuleAndGetProps( arrProp = [] ) {
+  const testModule = createTestModule();
+  const testProps  = {};
+  arrProp.forEach( m => { 
+    testProps[ m ] = testModule.__get__( m );
+  } );
+  const result = { testModule, testProps };
+  return result;
+}
+
+
+describe(MODULE_NAME + ':module can be loaded', () => {
+
+  beforeEach( () => {
+    commonBeforeEach();
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+  });
+
+  it ('module initialises OK', () => {
+    createTestModule();
+  });
+});
+
+describe(MODULE_NAME + ':findNearestPackagePathname', () => {
+  let testFnName = 'findNearestPackagePathname';
+  let testFn;
+  let testProps;
+  let testDir;
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn          = testProps[ testFnName ];
+    testDir         = fs.mkdtempSync( path.join( os.tmpdir(), 'package-files-test-' ) );
+    fs.mkdirSync( path.join( testDir, 'pkg', 'docs' ), { recursive: true } );
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+    fs.rmSync( testDir, { recursive: true, force: true } );
+  });
+
+  it ( 'Package file in the directory or a parent directory', () => {
+    fs.writeFileSync( path.join( testDir, 'pkg', 'package.json' ), '{}' );
+    expect( testFn( path.join( testDir, 'pkg' ) ) ).to.equal( path.join( testDir, 'pkg', 'package.json' ) );
+    expect( testFn( path.join( testDir, 'pkg', 'docs' ) ) ).to.equal( path.join( testDir, 'pkg', 'package.json' ) );
+  });
+
+  it ( 'No package file', () => {
+    expect( testFn( path.join( testDir, 'pkg', 'docs' ) ) ).to.equal( null );
+  });
+});
+
+describe(MODULE_NAME + ':findPackagePathname', () => {
+  let testFnName = 'findPackagePathname';
+  let testFn;
+  let testProps;
+  let testDir;
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn          = testProps[ testFnName ];
+    testDir         = fs.mkdtempSync( path.join( os.tmpdir(), 'package-files-test-' ) );
+    fs.mkdirSync( path.join( testDir, 'pkg', 'docs', 'guide' ), { recursive: true } );
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+    fs.rmSync( testDir, { recursive: true, force: true } );
+  });
+
+  it ( 'Package file in the README directory', () => {
+    fs.writeFileSync( path.join( testDir, 'pkg', 'package.json' ), '{}' );
+    fs.writeFileSync( path.join( testDir, 'pkg', 'docs', 'package.json' ), '{}' );
+    expect( testFn( path.join( testDir, 'pkg', 'docs', 'README.md' ) ) ).to.equal( path.join( testDir, 'pkg', 'docs', 'package.json' ) );
+  });
+
+  it ( 'Nearest package file in a parent directory', () => {
+    fs.writeFileSync( path.join( testDir, 'package.json' ), '{}' );
+    fs.writeFileSync( path.join( testDir, 'pkg', 'package.json' ), '{}' );
+    expect( testFn( path.join( testDir, 'pkg', 'docs', 'guide', 'README.md' ) ) ).to.equal( path.join( testDir, 'pkg', 'package.json' ) );
+  });
+
+  it ( 'A directory named package.json is not a package file', () => {
+    fs.writeFileSync( path.join( testDir, 'package.json' ), '{}' );
+    fs.mkdirSync( path.join( testDir, 'pkg', 'package.json' ) );
+    expect( testFn( path.join( testDir, 'pkg', 'README.md' ) ) ).to.equal( path.join( testDir, 'package.json' ) );
+  });
+
+  it ( 'Relative pathname', () => {
+    expect( testFn( 'test/unit/data/README.md' ) ).to.equal( path.resolve( 'test/unit/data/package.json' ) );
+  });
+
+  it ( 'No package file', () => {
+    const testRootDir = path.parse( testDir ).root;
+    sandbox.stub( fs, 'statSync' ).returns( undefined );
+    expect( testFn( path.join( testRootDir, 'a', 'README.md' ) ) ).to.equal( path.join( testRootDir, 'a', 'package.json' ) );
+  });
+});
+
+describe(MODULE_NAME + ':findReadmePathname', () => {
+  let testFnName = 'findReadmePathname';
+  let testFn;
+  let testProps;
+  let testDir;
+
+  function writeTestFiles( arrFilename ) {
+    arrFilename.forEach( filename => fs.writeFileSync( path.join( testDir, filename ), 'test' ) );
+  }
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn          = testProps[ testFnName ];
+    testDir         = fs.mkdtempSync( path.join( os.tmpdir(), 'package-files-test-' ) );
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+    fs.rmSync( testDir, { recursive: true, force: true } );
+  });
+
+  it ( 'README.md', () => {
+    writeTestFiles( [ 'README.md', 'package.json', 'CHANGELOG.md' ] );
+    expect( testFn( testDir ) ).to.equal( path.join( testDir, 'README.md' ) );
+  });
+
+  it ( 'Any letter case', () => {
+    writeTestFiles( [ 'readme.md' ] );
+    expect( testFn( testDir ) ).to.equal( path.join( testDir, 'readme.md' ) );
+  });
+
+  it ( 'Markdown extensions are preferred', () => {
+    writeTestFiles( [ 'README', 'README.txt', 'Readme.markdown' ] );
+    expect( testFn( testDir ) ).to.equal( path.join( testDir, 'Readme.markdown' ) );
+  });
+
+  it ( 'Then README without an extension', () => {
+    writeTestFiles( [ 'README.txt', 'README', 'README.rst' ] );
+    expect( testFn( testDir ) ).to.equal( path.join( testDir, 'README' ) );
+  });
+
+  it ( 'Then the first', () => {
+    writeTestFiles( [ 'readme.txt', 'readme.rst' ] );
+    expect( testFn( testDir ) ).to.equal( path.join( testDir, 'readme.rst' ) );
+  });
+
+  it ( 'Backup files and directories are ignored', () => {
+    writeTestFiles( [ 'README.md~', 'README.md$', 'README.', 'READMEFIRST.md' ] );
+    fs.mkdirSync( path.join( testDir, 'readme.md' ) );
+    expect( testFn( testDir ) ).to.equal( null );
+  });
+
+  it ( 'readmeFilename property', () => {
+    writeTestFiles( [ 'README.md' ] );
+    fs.mkdirSync( path.join( testDir, 'docs' ) );
+    fs.writeFileSync( path.join( testDir, 'docs', 'guide.md' ), 'test' );
+    expect( testFn( testDir, 'docs/guide.md' ) ).to.equal( path.join( testDir, 'docs', 'guide.md' ) );
+    expect( testFn( testDir, 'MISSING.md' ) ).to.equal( path.join( testDir, 'README.md' ) );
+    expect( testFn( testDir, 'docs' ) ).to.equal( path.join( testDir, 'README.md' ) );
+    expect( testFn( testDir, '' ) ).to.equal( path.join( testDir, 'README.md' ) );
+  });
+
+  it ( 'No README file', () => {
+    expect( testFn( testDir ) ).to.equal( null );
+    expect( testFn( path.join( testDir, 'missing' ) ) ).to.equal( null );
+  });
+});
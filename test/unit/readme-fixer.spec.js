@@ -8,12 +8,17 @@ const sinon      = require( 'sinon' );
 const { expect } = require( 'chai' );
 const rewire     = require( 'rewire' );
 const path       = require( 'path' );
+const fs         = require( 'fs' );
+const fsp        = require( 'fs/promises' );
+const os         = require( 'os' );
 
 const REL_SRC_PATH  = '../../src/';
 const MODULE_NAME   = 'readme-fixer';
 const TEST_MODULE   = REL_SRC_PATH + MODULE_NAME;
 const REL_TEST_PATH = '../test/unit/'; // Relative path from the SRC dir to the unit test dir
 
+const genPackageKey = rewire( REL_SRC_PATH + 'backups' ).__get__( 'genPackageKey' ); // The key in the backup filenames
+
 // Backslash needs double escape
 const PATH_SEPARATOR = ( process.platform === 'win32' ? '\\\\' : '/' );
 
@@ -84,6 +89,13 @@ describe(MODULE_NAME + ':module can be loaded', () => {
     createTestModule();
   });
 
+  it ('module exports', () => {
+    const testModule = createTestModule();
+    expect( testModule.processReadme ).to.be.a( 'function' );
+    expect( testModule.processWorkspaces ).to.be.a( 'function' );
+    expect( testModule.genSlugger ).to.be.a( 'function' );
+  });
+
   it ('module initialises OK with win32 platform', () => {
     sandbox.stub( process, 'platform' ).value( 'win32' );
     createTestModule();
@@ -95,72 +107,79 @@ describe(MODULE_NAME + ':module can be loaded', () => {
   });
 });
 
-describe(MODULE_NAME + ':genBackupPathname', () => {
-  let testFnName = 'genBackupPathname';
-  let testModule;
+describe(MODULE_NAME + ':genPackagePathname', () => {
+  let testFnName = 'genPackagePathname';
   let testFn;
   let testProps;
   let testArgs;
-  let testBackupDir;
   let actualResult;
   let expectedResult;
 
   beforeEach( () => {
     commonBeforeEach();
-    ( { testModule, testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
-    testFn                      = testProps[ testFnName ];
-    testBackupDir               = 'TestBackupDir';
-    testModule.__set__( 'BACKUP_DIR', testBackupDir );
+    ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn          = testProps[ testFnName ];
   });
 
   afterEach( () => {
     commonAfterEach();
-    testModule = null;
   });
 
-  it ('Simple pathname', () => {
-    testArgs       = 'package.json';
-    expectedResult = new RegExp( `^${testBackupDir}${PATH_SEPARATOR}tmp-package-json\.[0-9]+$` );
+  it ('Full pathname', () => {
+    testArgs       = path.resolve( __dirname, './data/README.md' );
+    expectedResult = path.resolve( __dirname, './data/package.json' );
     actualResult   = testFn( testArgs );
-    expect( actualResult ).to.match( expectedResult );
+    expect( actualResult ).to.equal( expectedResult );
   });
 
-  it ('Pathname with slashes', () => {
-    testArgs       = 'dir1/subdir2/package.json';
-    expectedResult = new RegExp( `^${testBackupDir}${PATH_SEPARATOR}tmp-dir1-subdir2-package-json\.[0-9]+$` );
+  it ('Relative pathname, the nearest package file', () => {
+    testArgs       = './data/README.md';
+    expectedResult = path.resolve( __dirname, REL_SRC_PATH, '../', './package.json' );
     actualResult   = testFn( testArgs );
-    expect( actualResult ).to.match( expectedResult );
+    expect( actualResult ).to.equal( expectedResult );
   });
 
-  it ('Pathname with backslashes', () => {
-    testArgs       = 'dir1\\subdir2\\package.json';
-    expectedResult = new RegExp( `^${testBackupDir}${PATH_SEPARATOR}tmp-dir1-subdir2-package-json\.[0-9]+$` );
-    actualResult   = testFn( testArgs );
-    expect( actualResult ).to.match( expectedResult );
+  it ('No README pathname', () => {
+    expect( testFn( undefined ) ).to.equal( path.resolve( 'package.json' ) );
   });
+});
 
-  it ('Pathname with dots', () => {
-    testArgs       = 'dirdot.subdir/package.json';
-    expectedResult = new RegExp( `^${testBackupDir}${PATH_SEPARATOR}tmp-dirdot-subdir-package-json\.[0-9]+$` );
-    actualResult   = testFn( testArgs );
-    expect( actualResult ).to.match( expectedResult );
+describe(MODULE_NAME + ':findPackageReadme', () => {
+  let testFnName = 'findPackageReadme';
+  let testFn;
+  let testModule;
+  let testProps;
+  let testStubs;
+  let findReadmePathnameStub;
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testModule, testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn                 = testProps[ testFnName ];
+    testStubs              = getPrivateStubs( testModule, [ 'findReadmePathname' ] );
+    findReadmePathnameStub = sandbox.stub( testStubs, 'findReadmePathname' ).returns( '/pkg/readme.md' );
   });
 
-  it ('Pathname with colon', () => {
-    testArgs       = 'C:\\dir\\subdir/package.json';
-    expectedResult = new RegExp( `^${testBackupDir}${PATH_SEPARATOR}tmp-C--dir-subdir-package-json\.[0-9]+$` );
-    actualResult   = testFn( testArgs );
-    expect( actualResult ).to.match( expectedResult );
+  afterEach( () => {
+    commonAfterEach();
+    testModule = null;
+  });
+
+  it ('OK', () => {
+    expect( testFn( path.join( 'pkg', 'package.json' ), { readmeFilename: 'readme.md' } ) ).to.equal( '/pkg/readme.md' );
+    sinon.assert.calledOnceWithExactly( findReadmePathnameStub, 'pkg', 'readme.md' );
+  });
+
+  it ('No README file', () => {
+    findReadmePathnameStub.returns( null );
+    expect( () => testFn( path.join( 'pkg', 'package.json' ), {} ) ).to.throw( 'No README file found in pkg' ).with.property( 'code', 'EFILENOTFOUND' );
   });
 });
 
-describe(MODULE_NAME + ':genPackagePathname', () => {
-  let testFnName = 'genPackagePathname';
+describe(MODULE_NAME + ':genReadmeFilename', () => {
+  let testFnName = 'genReadmeFilename';
   let testFn;
   let testProps;
-  let testArgs;
-  let actualResult;
-  let expectedResult;
 
   beforeEach( () => {
     commonBeforeEach();
@@ -172,18 +191,10 @@ describe(MODULE_NAME + ':genPackagePathname', () => {
     commonAfterEach();
   });
 
-  it ('Full pathname', () => {
-    testArgs       = path.resolve( __dirname, './data/README.md' );
-    expectedResult = path.resolve( __dirname, './data/package.json' );
-    actualResult   = testFn( testArgs );
-    expect( actualResult ).to.equal( expectedResult );
-  });
-
-  it ('Relative pathname', () => {
-    testArgs       = './data/README.md';
-    expectedResult = path.resolve( __dirname, REL_SRC_PATH, '../', './data/package.json' );
-    actualResult   = testFn( testArgs );
-    expect( actualResult ).to.equal( expectedResult );
+  it ('OK', () => {
+    expect( testFn( path.resolve( 'package.json' ), 'README.md' ) ).to.equal( 'README.md' );
+    expect( testFn( 'package.json', path.join( 'docs', 'Readme.markdown' ) ) ).to.equal( 'docs/Readme.markdown' );
+    expect( testFn( path.join( 'pkg', 'package.json' ), path.resolve( 'pkg', 'README.md' ) ) ).to.equal( 'README.md' );
   });
 });
 
@@ -258,6 +269,7 @@ describe(MODULE_NAME + ':readFile', () => {
     sinon.assert.calledWithExactly.apply( null, existsSyncExpectedArgs );
     sinon.assert.notCalled( readFileSyncStub );
     expect( actualErr.message ).to.equal( expectedErrMessage );
+    expect( actualErr.code ).to.equal( 'EFILENOTFOUND' );
   });
 
   it ('OK', () => {
@@ -274,147 +286,103 @@ describe(MODULE_NAME + ':readFile', () => {
   });
 });
 
-describe(MODULE_NAME + ':deleteFile', () => {
-  let testFnName = 'deleteFile';
+describe(MODULE_NAME + ':genTempPathname', () => {
+  let testFnName = 'genTempPathname';
   let testFn;
-  let testModule;
   let testProps;
-  let testStubs;
-  let testFS;
-  let testFSP;
-  let testPathname;
-  let actualResult;
-  let expectedResult;
-  let genBackupPathnameStub;
-  let genBackupPathnameRet;
-  let genBackupPathnameExpectedArgs;
-  let copyFileSyncStub;
-  let copyFileSyncRet;
-  let copyFileSyncExpectedArgs;
-  let unlinkStub;
-  let unlinkRet;
-  let unlinkExpectedArgs;
 
   beforeEach( () => {
     commonBeforeEach();
-    ( { testModule, testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
-    testFn    = testProps[ testFnName ];
-    testStubs = getPrivateStubs( testModule, [ 'genBackupPathname' ] );
-    testFS = {
-      copyFileSync: () => {},
-    };
-    testFSP = {
-      unlink: () => {},
-    };
-    testModule.__set__( 'fs', testFS );
-    testModule.__set__( 'fsp', testFSP );
-    testPathname = 'test pathname';
-    genBackupPathnameStub = sandbox.stub( testStubs, 'genBackupPathname' ).callsFake( () => {
-      return genBackupPathnameRet;
-    } );
-    genBackupPathnameExpectedArgs = [ genBackupPathnameStub, testPathname ];
-    genBackupPathnameRet = 'test genBackupPathname ret';
-    copyFileSyncStub = sandbox.stub( testFS, 'copyFileSync' ).callsFake( () => {
-      return copyFileSyncRet;
-    } );
-    copyFileSyncRet = true;
-    copyFileSyncExpectedArgs = [ copyFileSyncStub, testPathname, genBackupPathnameRet ];
-    unlinkStub = sandbox.stub( testFSP, 'unlink' ).callsFake( async () => {
-      return unlinkRet;
-    } );
-    unlinkRet          = 'test unlink ret';
-    unlinkExpectedArgs = [ unlinkStub, testPathname ];
-    expectedResult     = { backupPathname: genBackupPathnameRet };
+    ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn          = testProps[ testFnName ];
   });
 
   afterEach( () => {
     commonAfterEach();
-    testModule = null;
   });
 
-  it ('OK', async () => {
-    actualResult = await testFn( testPathname );
-    sinon.assert.calledWithExactly.apply( null, genBackupPathnameExpectedArgs );
-    sinon.assert.calledWithExactly.apply( null, copyFileSyncExpectedArgs );
-    sinon.assert.calledWithExactly.apply( null, unlinkExpectedArgs );
-    expect( actualResult ).to.deep.equal( expectedResult );
+  it ('Same directory', () => {
+    expect( testFn( path.join( 'dir1', 'package.json' ) ) ).to.equal( path.join( 'dir1', `.package.json.${process.pid}.tmp` ) );
   });
 });
 
-describe(MODULE_NAME + ':writeFile', () => {
-  let testFnName = 'writeFile';
+describe(MODULE_NAME + ':writeFileAtomic', () => {
+  let testFnName = 'writeFileAtomic';
   let testFn;
   let testModule;
   let testProps;
-  let testArgsArr;
-  let testFS;
+  let testDir;
   let testPathname;
-  let testContent;
-  let writeFileSyncStub;
-  let writeFileSyncRet;
-  let writeFileSyncExpectedArgs;
 
   beforeEach( () => {
     commonBeforeEach();
     ( { testModule, testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
-    testFn = testProps[ testFnName ];
-    testFS = {
-      writeFileSync: () => {},
-    };
-    testModule.__set__( 'fs', testFS );
-    testPathname = 'test pathname';
-    testContent  = 'test content';
-    testArgsArr  = [ testPathname, testContent ];
-    writeFileSyncStub = sandbox.stub( testFS, 'writeFileSync' ).callsFake( () => {
-      return writeFileSyncRet;
-    } );
-    writeFileSyncRet = true;
-    writeFileSyncExpectedArgs = [ writeFileSyncStub, testPathname, testContent, { encoding: 'utf-8' } ];
+    testFn       = testProps[ testFnName ];
+    testDir      = fs.mkdtempSync( path.join( os.tmpdir(), 'readme-fixer-test-' ) );
+    testPathname = path.join( testDir, 'package.json' );
   });
 
   afterEach( () => {
     commonAfterEach();
     testModule = null;
+    fs.rmSync( testDir, { recursive: true, force: true } );
   });
 
-  it ('OK', () => {
-    testFn( ...testArgsArr );
-    sinon.assert.calledWithExactly.apply( null, writeFileSyncExpectedArgs );
-  });
-});
-
-describe(MODULE_NAME + ':writeFileJSON', () => {
-  let testFnName = 'writeFileJSON';
-  let testFn;
-  let testModule;
-  let testProps;
-  let testStubs;
-  let testArgsArr;
-  let testPathname;
-  let testRawContent;
-  let writeFileStub;
-  let writeFileExpectedArgs;
-
-  beforeEach( () => {
-    commonBeforeEach();
-    ( { testModule, testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
-    testFn = testProps[ testFnName ];
-    testStubs = getPrivateStubs( testModule, [ 'writeFile' ] );
-    testPathname   = 'test pathname';
-    testRawContent = { p1: 'raw content' };
-    testArgsArr  = [ testPathname, testRawContent ];
-    writeFileStub = sandbox.stub( testStubs, 'writeFile' ).callsFake( () => {} );
-    writeFileExpectedArgs = [ writeFileStub, testPathname, '{\n  \"p1\": \"raw content\"\n}' ];
+  it ('New file', async () => {
+    await testFn( testPathname, 'new content' );
+    expect( fs.readFileSync( testPathname, 'utf-8' ) ).to.equal( 'new content' );
+    expect( fs.readdirSync( testDir ) ).to.deep.equal( [ 'package.json' ] );
   });
 
-  afterEach( () => {
-    commonAfterEach();
-    testModule = null;
+  it ('Existing file, mode preserved', async function () {
+    if ( process.platform === 'win32' ) {
+      this.skip();
+    }
+    fs.writeFileSync( testPathname, 'old content' );
+    fs.chmodSync( testPathname, 0o640 );
+    await testFn( testPathname, 'new content' );
+    expect( fs.readFileSync( testPathname, 'utf-8' ) ).to.equal( 'new content' );
+    expect( fs.statSync( testPathname ).mode & 0o7777 ).to.equal( 0o640 );
+    expect( fs.readdirSync( testDir ) ).to.deep.equal( [ 'package.json' ] );
   });
 
-  it ('OK', () => {
-    testFn( ...testArgsArr );
-    sinon.assert.calledWithExactly.apply( null, writeFileExpectedArgs );
+  it ('Failed rename, original unchanged', async () => {
+    const testFSP = { ...fsp, rename: sandbox.stub().rejects( new Error( 'test rename error' ) ) };
+    testModule.__set__( 'fsp', testFSP );
+    fs.writeFileSync( testPathname, 'old content' );
+    let actualErr;
+    try {
+      await testFn( testPathname, 'new content' );
+    }
+    catch ( err ) {
+      actualErr = err;
+    }
+    expect( actualErr.message ).to.equal( 'test rename error' );
+    expect( fs.readFileSync( testPathname, 'utf-8' ) ).to.equal( 'old content' );
+    expect( fs.readdirSync( testDir ) ).to.deep.equal( [ 'package.json' ] );
+  });
+
+  it ('Failed write, original unchanged', async () => {
+    const testFSP = {
+      ...fsp,
+      open: async ( ...args ) => {
+        const fileHandle = await fsp.open( ...args );
+        fileHandle.sync = sandbox.stub().rejects( new Error( 'test sync error' ) );
+        return fileHandle;
+      },
+    };
+    testModule.__set__( 'fsp', testFSP );
+    fs.writeFileSync( testPathname, 'old content' );
+    let actualErr;
+    try {
+      await testFn( testPathname, 'new content' );
+    }
+    catch ( err ) {
+      actualErr = err;
+    }
+    expect( actualErr.message ).to.equal( 'test sync error' );
+    expect( fs.readFileSync( testPathname, 'utf-8' ) ).to.equal( 'old content' );
+    expect( fs.readdirSync( testDir ) ).to.deep.equal( [ 'package.json' ] );
   });
 });
 
@@ -430,7 +398,7 @@ describe(MODULE_NAME + ':loadPackage', () => {
     commonBeforeEach();
     ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
     testFn       = testProps[ testFnName ];
-    testPathname = path.join( REL_TEST_PATH, 'data/package.json' );
+    testPathname = path.join( __dirname, 'data/package.json' );
     expectedResult = {
       "readme": "Dummy README text"
     };
@@ -444,6 +412,59 @@ describe(MODULE_NAME + ':loadPackage', () => {
     actualResult = testFn( testPathname );
     expect( actualResult ).to.deep.equal( expectedResult );
   });
+
+  it ('Byte order mark', () => {
+    const testDir = fs.mkdtempSync( path.join( os.tmpdir(), 'readme-fixer-test-' ) );
+    testPathname  = path.join( testDir, 'package.json' );
+    fs.writeFileSync( testPathname, '\uFEFF{ "readme": "Dummy README text" }' );
+    actualResult = testFn( testPathname );
+    fs.rmSync( testDir, { recursive: true, force: true } );
+    expect( actualResult ).to.deep.equal( expectedResult );
+  });
+
+  it ('File does not exist', () => {
+    testPathname = path.join( __dirname, 'data/missing.json' );
+    expect( () => testFn( testPathname ) ).to.throw( `File not found: ${testPathname}` )
+      .with.property( 'code', 'EFILENOTFOUND' );
+  });
+});
+
+describe(MODULE_NAME + ':loadPackage invalid', () => {
+  let testFnName = 'loadPackage';
+  let testFn;
+  let testModule;
+  let testProps;
+  let testStubs;
+  let readFileRet;
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testModule, testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn    = testProps[ testFnName ];
+    testStubs = getPrivateStubs( testModule, [ 'readFile' ] );
+    sandbox.stub( testStubs, 'readFile' ).callsFake( () => {
+      return readFileRet;
+    } );
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+    testModule = null;
+  });
+
+  it ('Not JSON', () => {
+    readFileRet = '{ "name": "my-pkg", }';
+    expect( () => testFn( 'test pathname' ) ).to.throw( /^Invalid package file: test pathname: / )
+      .with.property( 'code', 'EINVALIDPACKAGE' );
+  });
+
+  it ('Not a JSON object', () => {
+    [ 'null', '[]', '"my-pkg"' ].forEach( text => {
+      readFileRet = text;
+      expect( () => testFn( 'test pathname' ) ).to.throw( 'Invalid package file: test pathname: not a JSON object' )
+        .with.property( 'code', 'EINVALIDPACKAGE' );
+    } );
+  });
 });
 
 describe(MODULE_NAME + ':updatePackage', () => {
@@ -456,15 +477,15 @@ describe(MODULE_NAME + ':updatePackage', () => {
   let testPathname;
   let testReadmeText;
   let testBackupPathname;
-  let loadPackageStub;
-  let loadPackageRet;
-  let loadPackageExpectedArgs;
-  let deleteFileStub;
-  let deleteFileRet;
-  let deleteFileExpectedArgs;
-  let writeFileJSONStub;
-  let writeFileJSONExpectedParams;
-  let writeFileJSONExpectedArgs;
+  let readFileStub;
+  let readFileRet;
+  let readFileExpectedArgs;
+  let createBackupStub;
+  let createBackupRet;
+  let createBackupExpectedArgs;
+  let writeFileAtomicStub;
+  let writeFileAtomicExpectedParams;
+  let writeFileAtomicExpectedArgs;
   let actualResult;
   let expectedResult;
 
@@ -472,25 +493,25 @@ describe(MODULE_NAME + ':updatePackage', () => {
     commonBeforeEach();
     ( { testModule, testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
     testFn          = testProps[ testFnName ];
-    testStubs       = getPrivateStubs( testModule, [ 'loadPackage', 'deleteFile', 'writeFileJSON' ] );
+    testStubs       = getPrivateStubs( testModule, [ 'readFile', 'createBackup', 'writeFileAtomic' ] );
     testPathname    = 'test pathname';
     testReadmeText  = 'test readme text';
-    testArgs        = { packagePathname: testPathname, readmeText: testReadmeText };
+    testArgs        = { packagePathname: testPathname, readmeText: testReadmeText, backups: { keep: 3 } };
     testBackupPathname = 'test backupPathname';
-    loadPackageStub = sandbox.stub( testStubs, 'loadPackage' ).callsFake( () => {
-      return loadPackageRet;
+    readFileStub    = sandbox.stub( testStubs, 'readFile' ).callsFake( () => {
+      return readFileRet;
     } );
-    loadPackageRet              = { p1: 'val1', readme: 'original readme text' };
-    loadPackageExpectedArgs     = [ loadPackageStub, testPathname ];
-    deleteFileStub              = sandbox.stub( testStubs, 'deleteFile' ).callsFake( () => {
-      return deleteFileRet;
+    readFileRet                   = '{\r\n\t"p1": "val1",\r\n\t"readme": "original readme text",\r\n\t"p2": [ 1, 2 ]\r\n}\r\n';
+    readFileExpectedArgs          = [ readFileStub, testPathname ];
+    createBackupStub              = sandbox.stub( testStubs, 'createBackup' ).callsFake( () => {
+      return createBackupRet;
     } );
-    deleteFileRet               = { backupPathname: testBackupPathname };
-    deleteFileExpectedArgs      = [ deleteFileStub, testPathname ];
-    writeFileJSONStub           = sandbox.stub( testStubs, 'writeFileJSON' ).callsFake( () => {} );
-    writeFileJSONExpectedParams = [ testPathname, { p1: 'val1', readme: testReadmeText } ];
-    writeFileJSONExpectedArgs   = [ writeFileJSONStub, ...writeFileJSONExpectedParams ];
-    expectedResult              = { backupPackagePathname: testBackupPathname };
+    createBackupRet               = { id: 'test id', backupPathname: testBackupPathname, removedBackups: [] };
+    createBackupExpectedArgs      = [ createBackupStub, testPathname, { keep: 3 } ];
+    writeFileAtomicStub           = sandbox.stub( testStubs, 'writeFileAtomic' ).callsFake( async () => {} );
+    writeFileAtomicExpectedParams = [ testPathname, '{\r\n\t"p1": "val1",\r\n\t"readme": "test readme text",\r\n\t"p2": [ 1, 2 ]\r\n}\r\n' ];
+    writeFileAtomicExpectedArgs   = [ writeFileAtomicStub, ...writeFileAtomicExpectedParams ];
+    expectedResult                = { backupPackagePathname: testBackupPathname };
   });
 
   afterEach( () => {
@@ -500,211 +521,284 @@ describe(MODULE_NAME + ':updatePackage', () => {
 
   it ('OK', async () => {
     actualResult = await testFn( testArgs );
-    sinon.assert.calledWithExactly.apply( null, loadPackageExpectedArgs );
-    sinon.assert.calledWithExactly.apply( null, deleteFileExpectedArgs );
-    sinon.assert.calledWithExactly.apply( null, writeFileJSONExpectedArgs );
+    sinon.assert.calledWithExactly.apply( null, readFileExpectedArgs );
+    sinon.assert.calledWithExactly.apply( null, createBackupExpectedArgs );
+    sinon.assert.calledWithExactly.apply( null, writeFileAtomicExpectedArgs );
+    sinon.assert.callOrder( createBackupStub, writeFileAtomicStub );
     expect( actualResult ).to.deep.equal( expectedResult );
   });
+
+  it ('No readme property', async () => {
+    readFileRet = '{\n    "p1": "val1"\n}';
+    writeFileAtomicExpectedArgs[ 2 ] = '{\n    "p1": "val1",\n    "readme": "test readme text"\n}';
+    actualResult = await testFn( testArgs );
+    sinon.assert.calledWithExactly.apply( null, writeFileAtomicExpectedArgs );
+    expect( actualResult ).to.deep.equal( expectedResult );
+  });
+
+  it ('Byte order mark kept', async () => {
+    readFileRet = '\uFEFF{\n  "p1": "val1"\n}\n';
+    writeFileAtomicExpectedArgs[ 2 ] = '\uFEFF{\n  "p1": "val1",\n  "readme": "test readme text"\n}\n';
+    actualResult = await testFn( testArgs );
+    sinon.assert.calledWithExactly.apply( null, writeFileAtomicExpectedArgs );
+  });
+
+  it ('readmeFilename property', async () => {
+    testArgs.readmeFilename = 'docs/README.md';
+    writeFileAtomicExpectedArgs[ 2 ] = '{\r\n\t"p1": "val1",\r\n\t"readme": "test readme text",\r\n\t"p2": [ 1, 2 ],\r\n\t"readmeFilename": "docs/README.md"\r\n}\r\n';
+    actualResult = await testFn( testArgs );
+    sinon.assert.calledWithExactly.apply( null, writeFileAtomicExpectedArgs );
+    readFileRet = '{\n  "readmeFilename": "readme.markdown",\n  "readme": "old"\n}';
+    writeFileAtomicExpectedArgs[ 2 ] = '{\n  "readmeFilename": "docs/README.md",\n  "readme": "test readme text"\n}';
+    actualResult = await testFn( testArgs );
+    sinon.assert.calledWithExactly.apply( null, writeFileAtomicExpectedArgs );
+  });
+
+  it ('Invalid package file', async () => {
+    let actualErr;
+    readFileRet = '[]';
+    try {
+      await testFn( testArgs );
+    }
+    catch ( err ) {
+      actualErr = err;
+    }
+    expect( actualErr.message ).to.equal( 'Invalid package file: test pathname: not a JSON object' );
+    expect( actualErr.code ).to.equal( 'EINVALIDPACKAGE' );
+    sinon.assert.notCalled( createBackupStub );
+    sinon.assert.notCalled( writeFileAtomicStub );
+  });
 });
 
-describe(MODULE_NAME + ':encodeTags', () => {
-  let testFnName = 'encodeTags';
+describe(MODULE_NAME + ':genUnifiedDiff', () => {
+  let testFnName = 'genUnifiedDiff';
   let testFn;
   let testProps;
-  let testArgsArr;
-  let testRawContent;
-  let testRegex;
-  let testTagPrefix;
-  let actualResult;
-  let expectedResult;
 
   beforeEach( () => {
     commonBeforeEach();
     ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
-    testFn = testProps[ testFnName ];
-    testRawContent = 'not much';
-    testRegex      = /BB./g;
-    testTagPrefix  = 'MyT';
-    testArgsArr = [ testRawContent, testRegex, testTagPrefix ];
+    testFn          = testProps[ testFnName ];
   });
 
   afterEach( () => {
     commonAfterEach();
   });
 
-  it ( 'No tags found', () => {
-    expectedResult = { tags: {}, cookedContent: testRawContent };
-    actualResult   = testFn( ...testArgsArr );
-    expect( actualResult ).to.deep.equal( expectedResult );
+  it ('Changed', () => {
+    expect( testFn( 'readme', 'a\nb\nc\n', 'a\nB\nc\n' ) ).to.equal( [
+      '--- a/readme',
+      '+++ b/readme',
+      '@@ -1,3 +1,3 @@',
+      ' a',
+      '-b',
+      '+B',
+      ' c',
+      '',
+    ].join( '\n' ) );
   });
 
-  it ( 'Lots of tags found', () => {
-    testRawContent = 'BBisBBwasBBhas BBdoesBBgillBB BBcanBBmayBBshall BBwonBBlostBBflew';
-    testArgsArr    = [ testRawContent, testRegex, testTagPrefix ];
-    expectedResult = {
-      tags: {
-        "!TAG!MyT00": 'BBi',
-        "!TAG!MyT01": 'BBw',
-        "!TAG!MyT02": 'BBh',
-        "!TAG!MyT03": 'BBd',
-        "!TAG!MyT04": 'BBg',
-        "!TAG!MyT05": 'BB ',
-        "!TAG!MyT06": 'BBc',
-        "!TAG!MyT07": 'BBm',
-        "!TAG!MyT08": 'BBs',
-        "!TAG!MyT09": 'BBw',
-        "!TAG!MyT10": 'BBl',
-        "!TAG!MyT11": 'BBf',
-      },
-      cookedContent: '!TAG!MyT00s!TAG!MyT01as!TAG!MyT02as !TAG!MyT03oes!TAG!MyT04ill!TAG!MyT05!TAG!MyT06an!TAG!MyT07ay!TAG!MyT08hall !TAG!MyT01on!TAG!MyT10ost!TAG!MyT11lew'
-    };
-    actualResult   = testFn( ...testArgsArr );
-    expect( actualResult ).to.deep.equal( expectedResult );
+  it ('Unchanged', () => {
+    expect( testFn( 'readme', 'a\n', 'a\n' ) ).to.equal( '' );
   });
 });
 
-describe(MODULE_NAME + ':encodeTagsPreformatted', () => {
-  let testFnName = 'encodeTagsPreformatted';
+describe(MODULE_NAME + ':genDryRunDiff', () => {
+  let testFnName = 'genDryRunDiff';
   let testFn;
   let testModule;
   let testProps;
   let testStubs;
+  let readFileStub;
+  let readFileRet;
   let testArgs;
-  let testRegex;
-  let testTagPrefix;
-  let actualResult;
-  let expectedResult;
-  let encodeTagsStub;
-  let encodeTagsExpectedArgs;
-  let encodeTagsRet;
 
   beforeEach( () => {
     commonBeforeEach();
     ( { testModule, testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
-    testFn         = testProps[ testFnName ];
-    testStubs      = getPrivateStubs( testModule, [ 'encodeTags' ] );
-    testArgs       = 'test text';
-    testRegex      = new RegExp( '<pre>.*?</pre>', 'ig' );
-    testTagPrefix  = 'PREF';
-    encodeTagsStub = sandbox.stub( testStubs, 'encodeTags' ).callsFake( () => {
-      return encodeTagsRet;
+    testFn       = testProps[ testFnName ];
+    testStubs    = getPrivateStubs( testModule, [ 'readFile' ] );
+    readFileStub = sandbox.stub( testStubs, 'readFile' ).callsFake( () => {
+      return readFileRet;
     } );
-    encodeTagsRet  = 'test encodeTags ret';
-    encodeTagsExpectedArgs = [ encodeTagsStub, testArgs, testRegex, testTagPrefix  ];
-    expectedResult = encodeTagsRet;
+    readFileRet = '{\n  "name": "x",\n  "readme": "old"\n}';
+    testArgs    = {
+      packagePathname: path.join( 'dir', 'package.json' ),
+      packageContent:  { name: 'x', readme: 'old' },
+      readmeText:      'new',
+    };
   });
 
   afterEach( () => {
     commonAfterEach();
+    testModule = null;
   });
 
-  it ( 'OK', () => {
-    actualResult = testFn( testArgs );
-    sinon.assert.calledWithExactly.apply( null, encodeTagsExpectedArgs );
-    expect( actualResult ).to.equal( expectedResult );
+  it ('OK', () => {
+    const actualResult = testFn( testArgs );
+    sinon.assert.calledOnceWithExactly( readFileStub, testArgs.packagePathname );
+    expect( actualResult.readme ).to.equal( '--- a/readme\n+++ b/readme\n@@ -1,1 +1,1 @@\n-old\n\\ No newline at end of file\n+new\n\\ No newline at end of file\n' );
+    expect( actualResult.package ).to.match( /^--- a\/package\.json\n\+\+\+ b\/package\.json\n/ );
+    expect( actualResult.package ).to.include( '-  "readme": "old"\n+  "readme": "new"\n' );
+  });
+
+  it ('Formatting preserved', () => {
+    readFileRet = '{\n\t"name": "x",\n\t"readme": "old"\n}\n';
+    const actualResult = testFn( testArgs );
+    expect( actualResult.package ).to.equal( [
+      '--- a/package.json',
+      '+++ b/package.json',
+      '@@ -1,4 +1,4 @@',
+      ' {',
+      ' \t"name": "x",',
+      '-\t"readme": "old"',
+      '+\t"readme": "new"',
+      ' }',
+      '',
+    ].join( '\n' ) );
+  });
+
+  it ('No readme property', () => {
+    delete testArgs.packageContent.readme;
+    readFileRet = '{\n  "name": "x"\n}';
+    const actualResult = testFn( testArgs );
+    expect( actualResult.readme ).to.include( '+new' );
+    expect( actualResult.package ).to.include( '+  "readme": "new"' );
+  });
+
+  it ('readmeFilename property', () => {
+    testArgs.readmeFilename = 'README.md';
+    const actualResult = testFn( testArgs );
+    expect( actualResult.package ).to.include( '-  "readme": "old"\n+  "readme": "new",\n+  "readmeFilename": "README.md"\n' );
+    readFileRet         = '{\n  "name": "x",\n  "readme": "old",\n  "readmeFilename": "README.md"\n}';
+    testArgs.readmeText = 'old';
+    expect( testFn( testArgs ) ).to.deep.equal( { readme: '', package: '' } );
+  });
+
+  it ('Unchanged', () => {
+    testArgs.readmeText = 'old';
+    expect( testFn( testArgs ) ).to.deep.equal( { readme: '', package: '' } );
   });
 });
 
-describe(MODULE_NAME + ':encodeTagsPreformatted not stubbed', () => {
-  let testFnName = 'encodeTagsPreformatted';
+describe(MODULE_NAME + ':isInternalLink', () => {
+  let testFnName = 'isInternalLink';
   let testFn;
   let testProps;
-  let testArgs;
-  let testRegex;
-  let testTagPrefix;
-  let actualResult;
-  let expectedResult;
 
   beforeEach( () => {
     commonBeforeEach();
     ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
-    testFn         = testProps[ testFnName ];
-    testArgs       = '<div><pRe>My preformatted text 1</Pre></div><pre>Preformatted 2</pre>';
-    testRegex      = new RegExp( '<pre>.*?</pre>', 'ig' );
-    testTagPrefix  = 'PREF';
-    expectedResult = {
-      tags: {
-        '!TAG!PREF00': '<pRe>My preformatted text 1</Pre>',
-        '!TAG!PREF01': '<pre>Preformatted 2</pre>',
-      },
-      cookedContent: '<div>!TAG!PREF00</div>!TAG!PREF01'
-    };
+    testFn          = testProps[ testFnName ];
   });
 
   afterEach( () => {
     commonAfterEach();
   });
 
-  it ( 'OK', () => {
-    actualResult = testFn( testArgs );
-    expect( actualResult ).to.deep.equal( expectedResult );
+  it ( 'Fragment', () => {
+    expect( testFn( '#pagelink' ) ).to.equal( true );
+  });
+
+  it ( 'Empty fragment', () => {
+    expect( testFn( '#' ) ).to.equal( false );
+  });
+
+  it ( 'Absolute URL', () => {
+    expect( testFn( 'https://mydomain/mypage#pagelink' ) ).to.equal( false );
+  });
+
+  it ( 'Relative file', () => {
+    expect( testFn( './docs/guide.md' ) ).to.equal( false );
   });
 });
 
-describe(MODULE_NAME + ':encodeTagsLinks', () => {
-  let testFnName = 'encodeTagsLinks';
+describe(MODULE_NAME + ':parseFixedLink', () => {
+  let testFnName = 'parseFixedLink';
   let testFn;
-  let testModule;
   let testProps;
-  let testStubs;
-  let testArgs;
-  let testRegex;
-  let testTagPrefix;
-  let actualResult;
-  let expectedResult;
-  let encodeTagsStub;
-  let encodeTagsExpectedArgs;
-  let encodeTagsRet;
 
   beforeEach( () => {
     commonBeforeEach();
-    ( { testModule, testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
-    testFn         = testProps[ testFnName ];
-    testStubs      = getPrivateStubs( testModule, [ 'encodeTags' ] );
-    testArgs       = 'test text';
-    testRegex      = new RegExp( '\\[[^\\]\n\r]+\\]\\(#[^)\n\r]+\\)', 'g' );
-    testTagPrefix  = 'LINK';
-    encodeTagsStub = sandbox.stub( testStubs, 'encodeTags' ).callsFake( () => {
-      return encodeTagsRet;
-    } );
-    encodeTagsRet  = 'test encodeTags ret';
-    encodeTagsExpectedArgs = [ encodeTagsStub, testArgs, testRegex, testTagPrefix  ];
-    expectedResult = encodeTagsRet;
+    ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn          = testProps[ testFnName ];
   });
 
   afterEach( () => {
     commonAfterEach();
   });
 
-  it ( 'OK', () => {
-    actualResult = testFn( testArgs );
-    sinon.assert.calledWithExactly.apply( null, encodeTagsExpectedArgs );
-    expect( actualResult ).to.equal( expectedResult );
+  it ( 'Fixed links for any registry, and the web path or default web path', () => {
+    expect( testFn( 'http://localhost:4873/-/web/detail/my-pkg?#usage', 'my-pkg' ) ).to.equal( '#usage' );
+    expect( testFn( 'https://registry.example.com/npm/-/web/detail/my-pkg?#usage', 'my-pkg' ) ).to.equal( '#usage' );
+    expect( testFn( 'HTTPS://registry.example.com/#/detail/my-pkg?#usage', 'my-pkg', { webPath: '/#/detail/' } ) ).to.equal( '#usage' );
+    expect( testFn( 'http://localhost:4873/-/web/detail/my-pkg?#usage', 'my-pkg', { webPath: '/#/detail/' } ) ).to.equal( '#usage' );
+  });
+
+  it ( 'Foreign links ending with the package name and an empty query', () => {
+    expect( testFn( 'https://example.com/docs?#intro', 'docs' ) ).to.equal( null );
+    expect( testFn( 'https://example.com/wiki/docs?#intro', 'docs', { webPath: '/#/detail/' } ) ).to.equal( null );
+    expect( testFn( 'HTTPS://registry.example.com/#/detail/my-pkg?#usage', 'my-pkg' ) ).to.equal( null );
+  });
+
+  it ( 'Scoped package name, plain or percent-encoded', () => {
+    expect( testFn( 'http://localhost:4873/-/web/detail/@scope/my-pkg?#usage', '@scope/my-pkg' ) ).to.equal( '#usage' );
+    expect( testFn( 'http://localhost:4873/-/web/detail/%40scope%2Fmy-pkg?#usage', '@scope/my-pkg' ) ).to.equal( '#usage' );
+  });
+
+  it ( 'Other links', () => {
+    expect( testFn( 'http://localhost:4873/-/web/detail/other-pkg?#usage', 'my-pkg' ) ).to.equal( null );
+    expect( testFn( 'http://localhost:4873/-/web/detail/not-my-pkg?#usage', 'my-pkg' ) ).to.equal( null );
+    expect( testFn( 'http://localhost:4873/other/path/my-pkg#usage', 'my-pkg' ) ).to.equal( null );
+    expect( testFn( 'http://localhost:4873/-/web/detail/my-pkg?#', 'my-pkg' ) ).to.equal( null );
+    expect( testFn( '/-/web/detail/my-pkg?#usage', 'my-pkg' ) ).to.equal( null );
+    expect( testFn( '#usage', 'my-pkg' ) ).to.equal( null );
+    expect( testFn( 'docs/my-pkg?#usage', 'my-pkg' ) ).to.equal( null );
+  });
+
+  it ( 'No package name', () => {
+    expect( testFn( 'http://localhost:4873/-/web/detail/my-pkg?#usage', undefined ) ).to.equal( null );
+  });
+
+  it ( 'Fixed links without a query, for any registry and the web path', () => {
+    expect( testFn( 'http://localhost:4873/-/web/detail/my-pkg#usage', 'my-pkg' ) ).to.equal( '#usage' );
+    expect( testFn( 'https://registry.example.com/npm/-/web/detail/%40scope%2Fmy-pkg#usage', '@scope/my-pkg' ) ).to.equal( '#usage' );
+    expect( testFn( 'https://registry.example.com/npm/ui/package/my-pkg#usage', 'my-pkg', { webPath: 'ui/package' } ) ).to.equal( '#usage' );
+    expect( testFn( 'https://registry.example.com/#/detail/my-pkg#usage', 'my-pkg', { webPath: '/#/detail/' } ) ).to.equal( '#usage' );
+    expect( testFn( 'https://registry.example.com/npm/ui/package/my-pkg#usage', 'my-pkg' ) ).to.equal( null );
+    expect( testFn( 'https://registry.example.com/-/web/detail/my-pkg#', 'my-pkg' ) ).to.equal( null );
+  });
+
+  it ( 'Fixed links made with a custom URL template, for any registry', () => {
+    const testOptions = { urlTemplate: '{registry}/ui/{name}/readme#{anchor}' };
+    expect( testFn( 'http://old/ui/my-pkg/readme#usage', 'my-pkg', testOptions ) ).to.equal( '#usage' );
+    expect( testFn( 'https://new.example.com/npm/ui/%40scope%2Fmy-pkg/readme#usage', '@scope/my-pkg', testOptions ) ).to.equal( '#usage' );
+    expect( testFn( 'https://ui.example.com/pkg/my-pkg#usage', 'my-pkg', { urlTemplate: 'https://ui.example.com/pkg/{rawName}#{anchor}' } ) ).to.equal( '#usage' );
+    expect( testFn( 'http://old/ui/my-pkg/readme#usage', 'my-pkg' ) ).to.equal( null );
+    expect( testFn( 'http://old/ui/my-pkg#usage', 'my-pkg', testOptions ) ).to.equal( null );
+    expect( testFn( 'http://old/ui/other/readme#usage', 'my-pkg', testOptions ) ).to.equal( null );
+  });
+
+  it ( 'Only the current registry when nothing but slashes precede the package name', () => {
+    const testOptions = { registry: 'http://new/npm/', webPath: '/', urlTemplate: 'verdaccio-6' };
+    expect( testFn( 'http://new/npm/my-pkg#install', 'my-pkg', testOptions ) ).to.equal( '#install' );
+    expect( testFn( 'https://github.com/me/my-pkg#install', 'my-pkg', testOptions ) ).to.equal( null );
+    expect( testFn( 'https://example.com/my-pkg?#install', 'my-pkg', { ...testOptions, urlTemplate: 'verdaccio-5' } ) ).to.equal( null );
+    expect( testFn( 'http://new/npm/my-pkg?#install', 'my-pkg', { ...testOptions, urlTemplate: 'verdaccio-5' } ) ).to.equal( '#install' );
+    expect( testFn( 'http://localhost:4873/my-pkg#install', 'my-pkg', { webPath: '/', urlTemplate: 'verdaccio-6' } ) ).to.equal( '#install' );
+    expect( testFn( 'http://old/-/web/detail/my-pkg?#install', 'my-pkg', testOptions ) ).to.equal( '#install' );
   });
 });
 
-describe(MODULE_NAME + ':encodeTagsLinks not stubbed', () => {
-  let testFnName = 'encodeTagsLinks';
+describe(MODULE_NAME + ':unescapeDestination', () => {
+  let testFnName = 'unescapeDestination';
   let testFn;
   let testProps;
-  let testArgs;
-  let testTagPrefix;
-  let actualResult;
-  let expectedResult;
 
   beforeEach( () => {
     commonBeforeEach();
     ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
-    testFn         = testProps[ testFnName ];
-    testArgs       = '<div>[My (#link) text 1](#internalLink1)</div><div>[My link text 99](#internalLink99)</div>';
-    testTagPrefix  = 'LINK';
-    expectedResult = {
-      tags: {
-        '!TAG!LINK00': '[My (#link) text 1](#internalLink1)',
-        '!TAG!LINK01': '[My link text 99](#internalLink99)',
-      },
-      cookedContent: '<div>!TAG!LINK00</div><div>!TAG!LINK01</div>'
-    };
+    testFn          = testProps[ testFnName ];
   });
 
   afterEach( () => {
@@ -712,42 +806,47 @@ describe(MODULE_NAME + ':encodeTagsLinks not stubbed', () => {
   });
 
   it ( 'OK', () => {
-    actualResult = testFn( testArgs );
-    expect( actualResult ).to.deep.equal( expectedResult );
+    expect( testFn( '#a\\(b\\)' ) ).to.equal( '#a(b)' );
+    expect( testFn( '#a\\\\b' ) ).to.equal( '#a\\b' );
+    expect( testFn( '#a\\b' ) ).to.equal( '#a\\b' );
   });
 });
 
-describe(MODULE_NAME + ':decodeTags', () => {
-  let testFnName = 'decodeTags';
+describe(MODULE_NAME + ':encodeFragment', () => {
+  let testFnName = 'encodeFragment';
   let testFn;
   let testProps;
-  let testArgsArr;
-  let testEncodedContent;
-  let testTags;
-  let actualResult;
-  let expectedResult;
 
   beforeEach( () => {
     commonBeforeEach();
-    ( { testProps }    = createTestModuleAndGetProps( [ testFnName ] ) );
-    testFn             = testProps[ testFnName ];
-    testEncodedContent = 'TAG01TAG02 is TAG03';
-    testTags = {
-      'TAG01': 'Fre',
-      'TAG02': 'd',
-      'TAG03': 'dead!',
-    };
-    testArgsArr = [ testEncodedContent, testTags ];
-    expectedResult = 'Fred is dead!';
+    ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn          = testProps[ testFnName ];
   });
 
   afterEach( () => {
     commonAfterEach();
   });
 
-  it ( 'OK', () => {
-    actualResult = testFn( ...testArgsArr );
-    expect( actualResult ).to.equal( expectedResult );
+  it ( 'Safe characters are unchanged', () => {
+    expect( testFn( 'usage-1' ) ).to.equal( 'usage-1' );
+    expect( testFn( "a.b_c~d!$&'*+,;=:@/?" ) ).to.equal( "a.b_c~d!$&'*+,;=:@/?" );
+  });
+
+  it ( 'Spaces, unicode and parentheses', () => {
+    expect( testFn( 'café (v2)' ) ).to.equal( 'caf%C3%A9%20%28v2%29' );
+    expect( testFn( '日本語' ) ).to.equal( '%E6%97%A5%E6%9C%AC%E8%AA%9E' );
+    expect( testFn( 'a😀b' ) ).to.equal( 'a%F0%9F%98%80b' );
+    expect( testFn( 'a<b>"c"#[d]\\' ) ).to.equal( 'a%3Cb%3E%22c%22%23%5Bd%5D%5C' );
+  });
+
+  it ( 'Encoded fragments are unchanged', () => {
+    expect( testFn( 'caf%C3%A9%20%28v2%29' ) ).to.equal( 'caf%C3%A9%20%28v2%29' );
+    expect( testFn( testFn( 'café (v2)' ) ) ).to.equal( 'caf%C3%A9%20%28v2%29' );
+  });
+
+  it ( 'Percent sign that is not an escape', () => {
+    expect( testFn( '100%' ) ).to.equal( '100%25' );
+    expect( testFn( '%zz' ) ).to.equal( '%25zz' );
   });
 });
 
@@ -765,10 +864,10 @@ describe(MODULE_NAME + ':genFixedLink', () => {
     commonBeforeEach();
     ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
     testFn          = testProps[ testFnName ];
-    testRawLink     = '[My Link](#pagelink)';
+    testRawLink     = '#pagelink';
     testBaseHref    = 'https://mydomain/mypage';
     testArgsArr     = [ testRawLink, testBaseHref ];
-    expectedResult  = `[My Link](${testBaseHref}#pagelink)`;
+    expectedResult  = `${testBaseHref}#pagelink`;
   });
 
   afterEach( () => {
@@ -779,6 +878,59 @@ describe(MODULE_NAME + ':genFixedLink', () => {
     actualResult = testFn( ...testArgsArr );
     expect( actualResult ).to.equal( expectedResult );
   });
+
+  it ( 'Fragment is encoded', () => {
+    expect( testFn( '#café (v2)', testBaseHref ) ).to.equal( `${testBaseHref}#caf%C3%A9%20%28v2%29` );
+  });
+});
+
+describe(MODULE_NAME + ':applyEdits', () => {
+  let testFnName = 'applyEdits';
+  let testFn;
+  let testProps;
+  let testRawContent;
+  let testEdits;
+  let actualResult;
+  let expectedResult;
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn         = testProps[ testFnName ];
+    testRawContent = 'Fred is dead!';
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+  });
+
+  it ( 'No edits', () => {
+    testEdits      = [];
+    expectedResult = testRawContent;
+    actualResult   = testFn( testRawContent, testEdits );
+    expect( actualResult ).to.equal( expectedResult );
+  });
+
+  it ( 'Unordered edits', () => {
+    testEdits = [
+      { start: 8, end: 12, text: 'alive' },
+      { start: 0, end: 4,  text: 'Bert' },
+      { start: 5, end: 5,  text: 'really ' },
+    ];
+    expectedResult = 'Bert really is alive!';
+    actualResult   = testFn( testRawContent, testEdits );
+    expect( actualResult ).to.equal( expectedResult );
+  });
+
+  it ( 'Edits at the start and end', () => {
+    testEdits = [
+      { start: 0,  end: 0,  text: '>' },
+      { start: 13, end: 13, text: '<' },
+    ];
+    expectedResult = '>Fred is dead!<';
+    actualResult   = testFn( testRawContent, testEdits );
+    expect( actualResult ).to.equal( expectedResult );
+  });
 });
 
 describe(MODULE_NAME + ':fixLinks', () => {
@@ -792,65 +944,68 @@ describe(MODULE_NAME + ':fixLinks', () => {
   let testBaseHref;
   let actualResult;
   let expectedResult;
-  let testPreformattedTags;
-  let testPreformattedText;
-  let testLinksTags;
-  let testLinksText;
-  let encodeTagsPreformattedStub;
-  let encodeTagsPreformattedRet;
-  let encodeTagsPreformattedExpectedArgs;
-  let encodeTagsLinksStub;
-  let encodeTagsLinksRet;
-  let encodeTagsLinksExpectedArgs;
+  let findLinkTargetsStub;
+  let findLinkTargetsRet;
+  let findLinkTargetsExpectedArgs;
   let genFixedLinkStub;
   let genFixedLinkRetArr;
   let genFixedLinkExpectedArgsArr;
-  let decodeTagsStub;
-  let decodeTagsRetArr;
-  let decodeTagsExpectedArgsArr;
+  let applyEditsStub;
+  let applyEditsRet;
+  let applyEditsExpectedArgs;
+  let resolveFileLinkStub;
+  let resolveFileLinkRetArr;
+  let findImageTargetsStub;
+  let findImageTargetsRet;
+  let resolveImageStub;
+  let resolveImageRetArr;
 
   beforeEach( () => {
     commonBeforeEach();
     ( { testModule, testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
     testFn          = testProps[ testFnName ];
-    testStubs       = getPrivateStubs( testModule, [ 'encodeTagsPreformatted', 'encodeTagsLinks', 'genFixedLink', 'decodeTags' ] );
-    testRawText     = 'Fred: [My Link](#pagelink) <pre>Unedited link[Unchanged Link](#unchangedlink)</pre>\n\rBert: [My Link](#pagelink)';
+    testStubs       = getPrivateStubs( testModule, [ 'findLinkTargets', 'findImageTargets', 'genFixedLink', 'applyEdits' ] );
+    testRawText     = 'test raw text';
     testBaseHref    = 'https://mydomain/mypage';
     testArgsArr     = [ testRawText, testBaseHref ];
-    testPreformattedTags = { tag1: 'pre1', tag2: 'pre2' };
-    testPreformattedText = 'test preformatted text';
-    testLinksTags        = { tag3: 'links3', tag4: 'links4' }; 
-    testLinksText        = 'test links text';
-    encodeTagsPreformattedStub = sandbox.stub( testStubs, 'encodeTagsPreformatted' ).callsFake( () => {
-      return encodeTagsPreformattedRet;
+    findLinkTargetsStub = sandbox.stub( testStubs, 'findLinkTargets' ).callsFake( () => {
+      return findLinkTargetsRet;
     } );
-    encodeTagsPreformattedRet          = { tags: testPreformattedTags, cookedContent: testPreformattedText };
-    encodeTagsPreformattedExpectedArgs = [ encodeTagsPreformattedStub, testRawText ];
-    encodeTagsLinksStub = sandbox.stub( testStubs, 'encodeTagsLinks' ).callsFake( () => {
-      return encodeTagsLinksRet;
-    } );
-    encodeTagsLinksRet = { tags: testLinksTags, cookedContent: testLinksText };
-    encodeTagsLinksExpectedArgs = [ encodeTagsLinksStub, testPreformattedText ];
+    findLinkTargetsRet = [
+      { type: 'link', start: 1,  end: 3,  destination: '#a' },
+      { type: 'link', start: 5,  end: 12, destination: 'http://x' },
+      { type: 'link', start: 14, end: 16, destination: '#b' },
+    ];
+    findLinkTargetsExpectedArgs = [ findLinkTargetsStub, testRawText ];
     genFixedLinkStub = sandbox.stub( testStubs, 'genFixedLink' ).callsFake( () => {
       return genFixedLinkRetArr.shift();
     } );
-    genFixedLinkRetArr = [ 'fixedLinks3', 'fixedLinks4' ];
+    genFixedLinkRetArr = [ 'fixedLink1', 'fixedLink2' ];
     genFixedLinkExpectedArgsArr = [
-      [ genFixedLinkStub, testLinksTags.tag3, testBaseHref ],
-      [ genFixedLinkStub, testLinksTags.tag4, testBaseHref ],
+      [ genFixedLinkStub, '#a', testBaseHref ],
+      [ genFixedLinkStub, '#b', testBaseHref ],
     ];
-    decodeTagsStub = sandbox.stub( testStubs, 'decodeTags' ).callsFake( () => {
-      return decodeTagsRetArr.shift();
+    applyEditsStub = sandbox.stub( testStubs, 'applyEdits' ).callsFake( () => {
+      return applyEditsRet;
     } );
-    decodeTagsRetArr = [
-      'test decodeTags ret 1',
-      'test decodeTags ret 2',
-    ];
-    decodeTagsExpectedArgsArr = [
-      [ decodeTagsStub, testLinksText, { tag3: 'fixedLinks3', tag4: 'fixedLinks4' } ],
-      [ decodeTagsStub, decodeTagsRetArr[0], testPreformattedTags ],
-    ];
-    expectedResult = decodeTagsRetArr[ 1 ];
+    applyEditsRet          = 'test applyEdits ret';
+    applyEditsExpectedArgs = [ applyEditsStub, testRawText, [
+      { start: 1,  end: 3,  text: 'fixedLink1' },
+      { start: 14, end: 16, text: 'fixedLink2' },
+    ] ];
+    resolveFileLinkStub = sandbox.stub().callsFake( () => {
+      return resolveFileLinkRetArr.shift();
+    } );
+    resolveFileLinkRetArr = [ null ];
+    findImageTargetsStub = sandbox.stub( testStubs, 'findImageTargets' ).callsFake( () => {
+      return findImageTargetsRet;
+    } );
+    findImageTargetsRet = [];
+    resolveImageStub = sandbox.stub().callsFake( () => {
+      return resolveImageRetArr.shift();
+    } );
+    resolveImageRetArr = [];
+    expectedResult = applyEditsRet;
   });
 
   afterEach( () => {
@@ -859,14 +1014,52 @@ describe(MODULE_NAME + ':fixLinks', () => {
 
   it ( 'OK', () => {
     actualResult = testFn( ...testArgsArr );
-    sinon.assert.calledWithExactly.apply( null, encodeTagsPreformattedExpectedArgs );
-    sinon.assert.calledWithExactly.apply( null, encodeTagsLinksExpectedArgs );
+    sinon.assert.calledWithExactly.apply( null, findLinkTargetsExpectedArgs );
     sinon.assert.callCount( genFixedLinkStub, 2 );
     sinon.assert.calledWithExactly.apply( null, genFixedLinkExpectedArgsArr.shift() );
     sinon.assert.calledWithExactly.apply( null, genFixedLinkExpectedArgsArr.shift() );
-    sinon.assert.callCount( decodeTagsStub, 2 );
-    sinon.assert.calledWithExactly.apply( null, decodeTagsExpectedArgsArr.shift() );
-    sinon.assert.calledWithExactly.apply( null, decodeTagsExpectedArgsArr.shift() );
+    sinon.assert.calledWithExactly.apply( null, applyEditsExpectedArgs );
+    expect( actualResult ).to.equal( expectedResult );
+  });
+
+  it ( 'OK, file links', () => {
+    testArgsArr.push( resolveFileLinkStub );
+    resolveFileLinkRetArr = [ 'fixedFileLink' ];
+    applyEditsExpectedArgs[ 2 ].splice( 1, 0, { start: 5, end: 12, text: 'fixedFileLink' } );
+    actualResult = testFn( ...testArgsArr );
+    sinon.assert.callCount( genFixedLinkStub, 2 );
+    sinon.assert.calledOnceWithExactly( resolveFileLinkStub, 'http://x' );
+    sinon.assert.calledWithExactly.apply( null, applyEditsExpectedArgs );
+    expect( actualResult ).to.equal( expectedResult );
+  });
+
+  it ( 'OK, images', () => {
+    testArgsArr.push( resolveFileLinkStub, resolveImageStub );
+    findImageTargetsRet = [
+      { type: 'image', start: 20, end: 25, destination: 'a.png' },
+      { type: 'html',  start: 30, end: 35, destination: 'https://x/b.png' },
+    ];
+    resolveImageRetArr = [ 'data:image/png;base64,AA', null ];
+    applyEditsExpectedArgs[ 2 ].unshift( { start: 20, end: 25, text: 'data:image/png;base64,AA' } );
+    actualResult = testFn( ...testArgsArr );
+    sinon.assert.calledWithExactly( findImageTargetsStub, testRawText );
+    sinon.assert.callCount( resolveImageStub, 2 );
+    sinon.assert.calledWithExactly( resolveImageStub, 'a.png' );
+    sinon.assert.calledWithExactly( resolveImageStub, 'https://x/b.png' );
+    sinon.assert.calledWithExactly.apply( null, applyEditsExpectedArgs );
+    expect( actualResult ).to.equal( expectedResult );
+  });
+
+  it ( 'OK, reference image definition rewritten as an image, not as a link', () => {
+    testArgsArr.push( resolveFileLinkStub, resolveImageStub );
+    findLinkTargetsRet[ 1 ] = { type: 'definition', start: 5, end: 12, destination: './a.png' };
+    findImageTargetsRet     = [ { type: 'definition', start: 5, end: 12, destination: './a.png' } ];
+    resolveImageRetArr      = [ 'https://cdn/a.png' ];
+    applyEditsExpectedArgs[ 2 ].unshift( { start: 5, end: 12, text: 'https://cdn/a.png' } );
+    actualResult = testFn( ...testArgsArr );
+    sinon.assert.calledOnceWithExactly( resolveImageStub, './a.png' );
+    sinon.assert.notCalled( resolveFileLinkStub );
+    sinon.assert.calledWithExactly.apply( null, applyEditsExpectedArgs );
     expect( actualResult ).to.equal( expectedResult );
   });
 });
@@ -899,6 +1092,326 @@ describe(MODULE_NAME + ':fixLinks no stubs', () => {
     actualResult = testFn( ...testArgsArr );
     expect( actualResult ).to.equal( expectedResult );
   });
+
+  it ( 'More than 100 links', () => {
+    const arrRaw   = [];
+    const arrFixed = [];
+    for ( let i = 0; i < 150; ++i ) {
+      arrRaw.push( `[Link ${i}](#link${i})` );
+      arrFixed.push( `[Link ${i}](${testBaseHref}#link${i})` );
+    }
+    testRawText    = arrRaw.join( '\n' );
+    expectedResult = arrFixed.join( '\n' );
+    actualResult   = testFn( testRawText, testBaseHref );
+    expect( actualResult ).to.equal( expectedResult );
+  });
+
+  it ( 'Links fixed by an earlier run are fixed again', () => {
+    testRawText    = '[A](#a) [B](http://localhost:4873/-/web/detail/my-pkg?#b) [C](http://localhost:4873/-/web/detail/other?#c)\n\n[d]: http://old/-/web/detail/my-pkg?#d';
+    expectedResult = `[A](${testBaseHref}#a) [B](${testBaseHref}#b) [C](http://localhost:4873/-/web/detail/other?#c)\n\n[d]: ${testBaseHref}#d`;
+    actualResult   = testFn( testRawText, testBaseHref, undefined, undefined, 'my-pkg' );
+    expect( actualResult ).to.equal( expectedResult );
+  });
+
+  it ( 'Idempotent', () => {
+    const testNewBaseHref = 'https://registry.example.com/-/web/detail/my-pkg?';
+    testRawText    = '[A](#a) <a href="#b">B</a>';
+    actualResult   = testFn( testFn( testRawText, 'http://localhost:4873/-/web/detail/my-pkg?', undefined, undefined, 'my-pkg' ), testNewBaseHref, undefined, undefined, 'my-pkg' );
+    expectedResult = testFn( testRawText, testNewBaseHref, undefined, undefined, 'my-pkg' );
+    expect( actualResult ).to.equal( `[A](${testNewBaseHref}#a) <a href="${testNewBaseHref}#b">B</a>` );
+    expect( testFn( actualResult, testNewBaseHref, undefined, undefined, 'my-pkg' ) ).to.equal( expectedResult );
+  });
+
+  it ( 'Links fixed by an earlier run are fixed again for another URL template', () => {
+    const testNewBaseHref = 'https://registry.example.com/npm/-/web/detail/my-pkg';
+    testRawText    = '[A](http://localhost:4873/-/web/detail/my-pkg?#a)';
+    actualResult   = testFn( testRawText, testNewBaseHref, undefined, undefined, 'my-pkg' );
+    expect( actualResult ).to.equal( `[A](${testNewBaseHref}#a)` );
+    expect( testFn( actualResult, 'http://localhost:4873/-/web/detail/my-pkg?', undefined, undefined, 'my-pkg' ) ).to.equal( testRawText );
+  });
+
+  it ( 'Links fixed with a custom URL template are fixed again for another registry', () => {
+    const testPageOptions = { registry: 'http://new', urlTemplate: '{registry}/ui/{name}/readme#{anchor}' };
+    testRawText    = '[A](http://old/ui/my-pkg/readme#a)';
+    actualResult   = testFn( testRawText, 'http://new/ui/my-pkg/readme', undefined, undefined, 'my-pkg', testPageOptions );
+    expect( actualResult ).to.equal( '[A](http://new/ui/my-pkg/readme#a)' );
+  });
+
+  it ( 'Link types not rewritten', () => {
+    const testResolveFileLink = destination => `https://example.com/${destination}`;
+    testRawText    = '[A](#a) [B][b] <a href="#c">C</a> [D](d.md)\n\n[b]: #b\n[e]: e.md';
+    actualResult   = testFn( testRawText, testBaseHref, testResolveFileLink, undefined, 'my-pkg', {}, { definitions: false, html: false } );
+    expect( actualResult ).to.equal( `[A](${testBaseHref}#a) [B][b] <a href="#c">C</a> [D](https://example.com/d.md)\n\n[b]: #b\n[e]: e.md` );
+    actualResult   = testFn( testRawText, testBaseHref, undefined, undefined, 'my-pkg', {}, { definitions: true } );
+    expect( actualResult ).to.equal( `[A](${testBaseHref}#a) [B][b] <a href="${testBaseHref}#c">C</a> [D](d.md)\n\n[b]: ${testBaseHref}#b\n[e]: e.md` );
+  });
+
+  it ( 'Links to the package name on other hosts are unchanged when only slashes precede the package name', () => {
+    const testPageOptions = { registry: 'http://new', webPath: '/', urlTemplate: 'verdaccio-6' };
+    testRawText    = '[A](https://github.com/me/my-pkg#install) [B](http://old/my-pkg#b) [C](#c)';
+    actualResult   = testFn( testRawText, 'http://new/my-pkg', undefined, undefined, 'my-pkg', testPageOptions );
+    expect( actualResult ).to.equal( '[A](https://github.com/me/my-pkg#install) [B](http://old/my-pkg#b) [C](http://new/my-pkg#c)' );
+  });
+
+  it ( 'Text containing tag-like placeholders is unchanged', () => {
+    testRawText    = '!TAG!LINK00 [My Link](#pagelink) !TAG!PREF00';
+    expectedResult = `!TAG!LINK00 [My Link](${testBaseHref}#pagelink) !TAG!PREF00`;
+    actualResult   = testFn( testRawText, testBaseHref );
+    expect( actualResult ).to.equal( expectedResult );
+  });
+
+  it ( 'Code is unchanged', () => {
+    testRawText    = '```\n[A](#a)\n```\n\n    [B](#b)\n\n`[C](#c)` <code>[D](#d)</code> [E](#e)';
+    expectedResult = `\`\`\`\n[A](#a)\n\`\`\`\n\n    [B](#b)\n\n\`[C](#c)\` <code>[D](#d)</code> [E](${testBaseHref}#e)`;
+    actualResult   = testFn( testRawText, testBaseHref );
+    expect( actualResult ).to.equal( expectedResult );
+  });
+
+  it ( 'Reference links are fixed by rewriting each definition once', () => {
+    testRawText    = '[Text][ref] [ref][] [ref]\n\n[ref]: #anchor "Title"\n[ext]: https://example.com';
+    expectedResult = `[Text][ref] [ref][] [ref]\n\n[ref]: ${testBaseHref}#anchor "Title"\n[ext]: https://example.com`;
+    actualResult   = testFn( testRawText, testBaseHref );
+    expect( actualResult ).to.equal( expectedResult );
+  });
+
+  it ( 'Raw HTML links keep their quoting and other attributes', () => {
+    testRawText    = '<p align="center">\n  <a class=toc href=\'#install\'>Install</a> <a href=#usage title="Use">Use</a>\n</p>\n\nSee <a href="#api" >API</a> <a href="https://example.com">';
+    expectedResult = `<p align="center">\n  <a class=toc href='${testBaseHref}#install'>Install</a> <a href=${testBaseHref}#usage title="Use">Use</a>\n</p>\n\nSee <a href="${testBaseHref}#api" >API</a> <a href="https://example.com">`;
+    actualResult   = testFn( testRawText, testBaseHref );
+    expect( actualResult ).to.equal( expectedResult );
+  });
+
+  it ( 'Unusual anchors are encoded', () => {
+    testRawText    = '[A](<#café (v2)>) [B](#a\\)b) [C](#a(b)) [D](<#x y> "T (1)")\n\n[e]: <#e f> \'Title\'\n\n<a href="#g h">G</a>';
+    expectedResult = `[A](<${testBaseHref}#caf%C3%A9%20%28v2%29>) [B](${testBaseHref}#a%29b) [C](${testBaseHref}#a%28b%29) ` +
+      `[D](<${testBaseHref}#x%20y> "T (1)")\n\n[e]: <${testBaseHref}#e%20f> 'Title'\n\n<a href="${testBaseHref}#g%20h">G</a>`;
+    actualResult   = testFn( testRawText, testBaseHref );
+    expect( actualResult ).to.equal( expectedResult );
+  });
+
+  it ( 'Encoded anchors are fixed again unchanged', () => {
+    const testPkgBaseHref = 'http://localhost:4873/-/web/detail/my-pkg?';
+    testRawText    = '[A](<#café (v2)>) [B](#a\\)b) <a href="#g h">G</a>';
+    expectedResult = testFn( testRawText, testPkgBaseHref );
+    expect( expectedResult ).to.equal( `[A](<${testPkgBaseHref}#caf%C3%A9%20%28v2%29>) [B](${testPkgBaseHref}#a%29b) <a href="${testPkgBaseHref}#g%20h">G</a>` );
+    expect( testFn( expectedResult, testPkgBaseHref, undefined, undefined, 'my-pkg' ) ).to.equal( expectedResult );
+  });
+
+  it ( 'Scoped package links are fixed again', () => {
+    const testScopedBaseHref = 'http://localhost:4873/-/web/detail/@scope%2Fmy-pkg?';
+    testRawText    = '[A](http://localhost:4873/-/web/detail/@scope/my-pkg?#a) [B](http://old/-/web/detail/@scope%2Fmy-pkg?#b)';
+    expectedResult = `[A](${testScopedBaseHref}#a) [B](${testScopedBaseHref}#b)`;
+    actualResult   = testFn( testRawText, testScopedBaseHref, undefined, undefined, '@scope/my-pkg' );
+    expect( actualResult ).to.equal( expectedResult );
+  });
+
+  it ( 'Only the link destination is changed', () => {
+    testRawText    = 'A  [My *Link*](#pagelink   "Title")\ttab\r\n[Other](<#other>) [External](https://example.com#x)\n';
+    expectedResult = `A  [My *Link*](${testBaseHref}#pagelink   "Title")\ttab\r\n[Other](<${testBaseHref}#other>) [External](https://example.com#x)\n`;
+    actualResult   = testFn( testRawText, testBaseHref );
+    expect( actualResult ).to.equal( expectedResult );
+  });
+});
+
+describe(MODULE_NAME + ':unfixLinks', () => {
+  let testFnName = 'unfixLinks';
+  let testFn;
+  let testProps;
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn          = testProps[ testFnName ];
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+  });
+
+  it ( 'OK', () => {
+    const testRawText = [
+      '[A](http://localhost:4873/-/web/detail/my-pkg?#a) [B](https://registry.example.com/npm/-/web/detail/my-pkg?#b)',
+      '<a href="http://localhost:4873/-/web/detail/my-pkg?#c">C</a> [D](#d) [E](https://example.com/other?#e)',
+      '`[F](http://localhost:4873/-/web/detail/my-pkg?#f)`',
+      '',
+      '[g]: http://localhost:4873/-/web/detail/my-pkg?#g',
+    ].join( '\n' );
+    expect( testFn( testRawText, 'my-pkg' ) ).to.equal( [
+      '[A](#a) [B](#b)',
+      '<a href="#c">C</a> [D](#d) [E](https://example.com/other?#e)',
+      '`[F](http://localhost:4873/-/web/detail/my-pkg?#f)`',
+      '',
+      '[g]: #g',
+    ].join( '\n' ) );
+  });
+
+  it ( 'Reverses fixLinks', () => {
+    const testRawText  = '# Usage\n\n[Usage](#usage) [Guide](docs/guide.md) <a href="#usage">U</a>\n';
+    const testBaseHref = 'http://localhost:4873/-/web/detail/@scope/my-pkg?';
+    const fixLinks     = createTestModuleAndGetProps( [ 'fixLinks' ] ).testProps.fixLinks;
+    expect( testFn( fixLinks( testRawText, testBaseHref ), '@scope/my-pkg' ) ).to.equal( testRawText );
+  });
+
+  it ( 'Custom URL template, any registry', () => {
+    const testRawText = '[A](http://old/ui/my-pkg/readme#a) [B](http://old/ui/other/readme#b)';
+    expect( testFn( testRawText, 'my-pkg', { urlTemplate: '{registry}/ui/{name}/readme#{anchor}' } ) ).to.equal( '[A](#a) [B](http://old/ui/other/readme#b)' );
+  });
+
+  it ( 'Reverses fixLinks, non-ASCII and parenthesised anchors', () => {
+    const testRawText  = '[a](#café) [x](#x(1)) [y](#y\\() <a href="#café">C</a>\n\n[d]: #déf(1)\n';
+    const testBaseHref = 'http://localhost:4873/-/web/detail/my-pkg?';
+    const fixLinks     = createTestModuleAndGetProps( [ 'fixLinks' ] ).testProps.fixLinks;
+    const testFixed    = fixLinks( testRawText, testBaseHref );
+    expect( testFixed ).to.include( '#caf%C3%A9)' ).and.include( '#x%281%29)' );
+    expect( testFn( testFixed, 'my-pkg' ) ).to.equal( testRawText );
+  });
+
+  it ( 'Decoded fragments escaped for the context', () => {
+    const testRawText = [
+      '[a](http://localhost:4873/-/web/detail/my-pkg?#a%20b%25c)',
+      '[b](http://localhost:4873/-/web/detail/my-pkg?#b%5C%3C%29)',
+      '<a href="http://localhost:4873/-/web/detail/my-pkg?#c%22%3C%26%28">C</a>',
+      '[d](http://localhost:4873/-/web/detail/my-pkg?#d%E2)',
+    ].join( '\n' );
+    expect( testFn( testRawText, 'my-pkg' ) ).to.equal( [
+      '[a](#a%20b%25c)',
+      '[b](#b\\\\\\<\\))',
+      '<a href="#c%22%3C%26(">C</a>',
+      '[d](#d%E2)',
+    ].join( '\n' ) );
+  });
+});
+
+describe(MODULE_NAME + ':unfixReadmeText', () => {
+  let testFnName = 'unfixReadmeText';
+  let testFn;
+  let testModule;
+  let testProps;
+  let testStubs;
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testModule, testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn    = testProps[ testFnName ];
+    testStubs = getPrivateStubs( testModule, [ 'unfixLinks' ] );
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+    testModule = null;
+  });
+
+  it ( 'OK', () => {
+    const unfixLinksStub = sandbox.stub( testStubs, 'unfixLinks' ).returns( 'test unfixLinks ret' );
+    expect( testFn( { packageContent: { name: 'my-pkg' }, rawReadmeText: 'test raw text' } ) ).to.equal( 'test unfixLinks ret' );
+    sinon.assert.calledOnceWithExactly( unfixLinksStub, 'test raw text', 'my-pkg', { registry: 'http://localhost:4873', webPath: undefined, urlTemplate: undefined } );
+  });
+
+  it ( 'Web path', () => {
+    const unfixLinksStub = sandbox.stub( testStubs, 'unfixLinks' ).returns( 'test unfixLinks ret' );
+    testFn( { packageContent: { name: 'my-pkg' }, rawReadmeText: 'test raw text', webPath: '/npm/-/web/detail/' } );
+    sinon.assert.calledOnceWithExactly( unfixLinksStub, 'test raw text', 'my-pkg', { registry: 'http://localhost:4873', webPath: '/npm/-/web/detail/', urlTemplate: undefined } );
+  });
+
+  it ( 'Registry and URL template', () => {
+    const unfixLinksStub = sandbox.stub( testStubs, 'unfixLinks' ).returns( 'test unfixLinks ret' );
+    testFn( { packageContent: { name: 'my-pkg', publishConfig: { registry: 'http://package' } }, rawReadmeText: 'test raw text', urlTemplate: 'verdaccio-6' } );
+    testFn( { packageContent: { name: 'my-pkg' }, rawReadmeText: 'test raw text', registry: 'http://option' } );
+    sinon.assert.calledWithExactly( unfixLinksStub.firstCall, 'test raw text', 'my-pkg', { registry: 'http://package', webPath: undefined, urlTemplate: 'verdaccio-6' } );
+    sinon.assert.calledWithExactly( unfixLinksStub.secondCall, 'test raw text', 'my-pkg', { registry: 'http://option', webPath: undefined, urlTemplate: undefined } );
+  });
+});
+
+describe(MODULE_NAME + ':genAnchors', () => {
+  let testFnName = 'genAnchors';
+  let testFn;
+  let testProps;
+  let testRawText;
+  let actualResult;
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn          = testProps[ testFnName ];
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+  });
+
+  it ( 'Headings and HTML anchors', () => {
+    testRawText  = '# Overview\n\n## Usage\n\n*Usage*\n-----\n\n## `README.md` file\n\n<a name="top"></a><div id="nav"></div>\n\n```\n# Not a heading\n```';
+    actualResult = testFn( testRawText );
+    expect( [ ...actualResult ] ).to.deep.equal( [ 'overview', 'usage', 'usage-1', 'readmemd-file', 'top', 'nav' ] );
+  });
+});
+
+describe(MODULE_NAME + ':decodeFragment', () => {
+  let testFnName = 'decodeFragment';
+  let testFn;
+  let testProps;
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn          = testProps[ testFnName ];
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+  });
+
+  it ( 'Encoded', () => {
+    expect( testFn( 'caf%C3%A9' ) ).to.equal( 'café' );
+  });
+
+  it ( 'Malformed', () => {
+    expect( testFn( '100%' ) ).to.equal( '100%' );
+  });
+});
+
+describe(MODULE_NAME + ':validateLinks', () => {
+  let testFnName = 'validateLinks';
+  let testFn;
+  let testProps;
+  let testRawText;
+  let actualResult;
+  let expectedResult;
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn          = testProps[ testFnName ];
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+  });
+
+  it ( 'All links resolved', () => {
+    testRawText    = '# Install\n\n## Install\n\n[a](#install) [b](#install-1) <a href="#top">Top</a> [c](https://example.com#x)\n\n<a name="top"></a>';
+    expectedResult = [];
+    actualResult   = testFn( testRawText );
+    expect( actualResult ).to.deep.equal( expectedResult );
+  });
+
+  it ( 'Unresolved links', () => {
+    testRawText    = '# Install\n\n[a](#instal)\r\n\r\n  [b]: #install-1\n\n<a href="#nav">Nav</a>';
+    expectedResult = [
+      { destination: '#instal',    line: 3, column: 5 },
+      { destination: '#install-1', line: 5, column: 8 },
+      { destination: '#nav',       line: 7, column: 10 },
+    ];
+    actualResult   = testFn( testRawText );
+    expect( actualResult ).to.deep.equal( expectedResult );
+  });
+
+  it ( 'Encoded fragment', () => {
+    testRawText    = '# Café\n\n[a](#caf%C3%A9) [b](#café)';
+    expectedResult = [];
+    actualResult   = testFn( testRawText );
+    expect( actualResult ).to.deep.equal( expectedResult );
+  });
 });
 
 describe(MODULE_NAME + ':genBaseHref', () => {
@@ -958,49 +1471,193 @@ describe(MODULE_NAME + ':genBaseHref', () => {
     actualResult   = testFn( testArgs );
     expect( actualResult ).to.deep.equal( expectedResult );
   });
+
+  it ( 'Registry option overrides the package', () => {
+    expectedResult = genExpectedResult( 'OtherRegistry' );
+    actualResult   = testFn( testArgs, { registry: 'OtherRegistry' } );
+    expect( actualResult ).to.deep.equal( expectedResult );
+  });
+
+  it ( 'Web path option', () => {
+    actualResult = testFn( testArgs, { webPath: '/#/detail/' } );
+    expect( actualResult.baseHref ).to.equal( `${testRegistry}/#/detail/${testPackageName}?` );
+  });
+
+  it ( 'URL template presets', () => {
+    expect( testFn( testArgs, { urlTemplate: 'verdaccio-5' } ).baseHref ).to.equal( `${testRegistry}/-/web/detail/${testPackageName}?` );
+    expect( testFn( testArgs, { urlTemplate: 'verdaccio-6' } ).baseHref ).to.equal( `${testRegistry}/-/web/detail/${testPackageName}` );
+  });
+
+  it ( 'URL template', () => {
+    actualResult = testFn( testArgs, { urlTemplate: '{registry}/ui/{name}/readme?tab=1#{anchor}' } );
+    expect( actualResult.baseHref ).to.equal( `${testRegistry}/ui/${testPackageName}/readme?tab=1` );
+    expect( actualResult.baseHrefText ).to.equal( `<base href="${testRegistry}/ui/${testPackageName}/readme?tab=1">` );
+  });
+
+  it ( 'Registry sub-path and web path with or without slashes', () => {
+    const expectedBaseHref = `https://npm.example.com/npm/-/web/detail/${testPackageName}`;
+    expect( testFn( testArgs, { registry: 'https://npm.example.com/npm/', urlTemplate: 'verdaccio-6' } ).baseHref ).to.equal( expectedBaseHref );
+    expect( testFn( testArgs, { registry: 'https://npm.example.com/npm', webPath: '-/web/detail', urlTemplate: 'verdaccio-6' } ).baseHref ).to.equal( expectedBaseHref );
+  });
+
+  it ( 'Scoped package name', () => {
+    testArgs.name = '@scope/my-pkg';
+    expect( testFn( testArgs ).baseHref ).to.equal( `${testRegistry}/-/web/detail/@scope%2Fmy-pkg?` );
+    expect( testFn( testArgs, { urlTemplate: '{registry}/{webPath}/{rawName}#{anchor}' } ).baseHref ).to.equal( `${testRegistry}/-/web/detail/@scope/my-pkg` );
+  });
+
+  it ( 'Invalid URL template', () => {
+    expect( () => testFn( testArgs, { urlTemplate: 'verdaccio-4' } ) ).to.throw( 'Invalid URL template: verdaccio-4, must contain {name}' );
+  });
 });
 
-describe(MODULE_NAME + ':fixReadmeText', () => {
-  let testFnName = 'fixReadmeText';
+describe(MODULE_NAME + ':encodePackageName', () => {
+  let testFnName = 'encodePackageName';
   let testFn;
-  let testModule;
   let testProps;
-  let testStubs;
-  let testPackageContent;
-  let testRawReadmeText;
-  let testArgs;
-  let testBaseHref;
-  let genBaseHrefStub;
-  let genBaseHrefRet;
-  let genBaseHrefExpectedArgs;
-  let fixLinksStub;
-  let fixLinksRet;
-  let fixLinksExpectedArgs;
-  let actualResult;
-  let expectedResult;
 
   beforeEach( () => {
     commonBeforeEach();
-    ( { testModule, testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
-    testFn             = testProps[ testFnName ];
-    testStubs          = getPrivateStubs( testModule, [ 'genBaseHref', 'fixLinks' ] );
-    testPackageContent = 'test packageContent';
-    testRawReadmeText  = 'test rawReadmeText';
-    testArgs = {
-      packageContent: testPackageContent,
-      rawReadmeText:  testRawReadmeText,
-    };
-    testBaseHref    = 'test baseHref ret';
-    genBaseHrefStub = sandbox.stub( testStubs, 'genBaseHref' ).callsFake( () => {
-      return genBaseHrefRet;
-    } );
-    genBaseHrefRet = { baseHref: testBaseHref };
-    genBaseHrefExpectedArgs = [ genBaseHrefStub, testPackageContent ];
-    fixLinksStub = sandbox.stub( testStubs, 'fixLinks' ).callsFake( () => {
-      return fixLinksRet;
+    ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn          = testProps[ testFnName ];
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+  });
+
+  it ( 'OK', () => {
+    expect( testFn( 'my-pkg' ) ).to.equal( 'my-pkg' );
+    expect( testFn( '@scope/my-pkg' ) ).to.equal( '@scope%2Fmy-pkg' );
+    expect( testFn( '@rhoweb.js/verdaccio-readme-fixer' ) ).to.equal( '@rhoweb.js%2Fverdaccio-readme-fixer' );
+  });
+});
+
+describe(MODULE_NAME + ':genUrlTemplate', () => {
+  let testFnName = 'genUrlTemplate';
+  let testFn;
+  let testProps;
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn          = testProps[ testFnName ];
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+  });
+
+  it ( 'Default', () => {
+    expect( testFn() ).to.equal( '{registry}/{webPath}/{name}?#{anchor}' );
+  });
+
+  it ( 'Presets', () => {
+    expect( testFn( 'verdaccio-5' ) ).to.equal( '{registry}/{webPath}/{name}?#{anchor}' );
+    expect( testFn( 'verdaccio-6' ) ).to.equal( '{registry}/{webPath}/{name}#{anchor}' );
+  });
+
+  it ( 'Template', () => {
+    expect( testFn( 'https://npm.example.com/ui/{name}#{anchor}' ) ).to.equal( 'https://npm.example.com/ui/{name}#{anchor}' );
+    expect( testFn( '{registry}/{webPath}/{rawName}#{anchor}' ) ).to.equal( '{registry}/{webPath}/{rawName}#{anchor}' );
+  });
+
+  it ( 'Invalid templates', () => {
+    expect( () => testFn( '{registry}/{webPath}/{nmae}#{anchor}' ) ).to.throw( 'unknown tokens: nmae' );
+    expect( () => testFn( '{registry}/{webPath}/#{anchor}' ) ).to.throw( 'must contain {name} or {rawName} and end with #{anchor}, or be one of: verdaccio-5, verdaccio-6' );
+    expect( () => testFn( '{registry}/{webPath}/{name}#{anchor}/x' ) ).to.throw( 'must contain {name}' );
+    expect( () => testFn( '{registry}/{anchor}/{name}#{anchor}' ) ).to.throw( 'must contain {name}' );
+    expect( () => testFn( 'constructor' ) ).to.throw( 'Invalid URL template: constructor' );
+  });
+});
+
+describe(MODULE_NAME + ':collapseSlashes', () => {
+  let testFnName = 'collapseSlashes';
+  let testFn;
+  let testProps;
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn          = testProps[ testFnName ];
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+  });
+
+  it ( 'OK', () => {
+    expect( testFn( 'https://host/npm//-/web/detail//my-pkg' ) ).to.equal( 'https://host/npm/-/web/detail/my-pkg' );
+    expect( testFn( '//-/web/detail//my-pkg' ) ).to.equal( '/-/web/detail/my-pkg' );
+    expect( testFn( 'http://localhost:4873/my-pkg' ) ).to.equal( 'http://localhost:4873/my-pkg' );
+  });
+});
+
+describe(MODULE_NAME + ':fixReadmeText', () => {
+  let testFnName = 'fixReadmeText';
+  let testFn;
+  let testModule;
+  let testProps;
+  let testStubs;
+  let testPackageContent;
+  let testRawReadmeText;
+  let testArgs;
+  let testBaseHref;
+  let genBaseHrefStub;
+  let genBaseHrefRet;
+  let genBaseHrefExpectedArgs;
+  let fixLinksStub;
+  let fixLinksRet;
+  let fixLinksExpectedArgs;
+  let genRegistryStub;
+  let genRegistryRet;
+  let genRegistryExpectedArgs;
+  let genFileLinkResolverStub;
+  let genFileLinkResolverRet;
+  let genFileLinkResolverExpectedArgs;
+  let genImageResolverStub;
+  let genImageResolverRet;
+  let genImageResolverExpectedArgs;
+  let actualResult;
+  let expectedResult;
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testModule, testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn             = testProps[ testFnName ];
+    testStubs          = getPrivateStubs( testModule, [ 'genBaseHref', 'fixLinks', 'genRegistry', 'genFileLinkResolver', 'genImageResolver' ] );
+    testPackageContent = { name: 'test-package' };
+    testRawReadmeText  = 'test rawReadmeText';
+    testArgs = {
+      packageContent: testPackageContent,
+      rawReadmeText:  testRawReadmeText,
+    };
+    testBaseHref    = 'test baseHref ret';
+    genBaseHrefStub = sandbox.stub( testStubs, 'genBaseHref' ).callsFake( () => {
+      return genBaseHrefRet;
+    } );
+    genBaseHrefRet = { baseHref: testBaseHref };
+    genBaseHrefExpectedArgs = [ genBaseHrefStub, testPackageContent, { registry: undefined, webPath: undefined, urlTemplate: undefined } ];
+    fixLinksStub = sandbox.stub( testStubs, 'fixLinks' ).callsFake( () => {
+      return fixLinksRet;
     } );
     fixLinksRet = 'test fixLinksRet';
-    fixLinksExpectedArgs = [ fixLinksStub, testRawReadmeText, testBaseHref ];
+    genRegistryStub = sandbox.stub( testStubs, 'genRegistry' ).callsFake( () => {
+      return genRegistryRet;
+    } );
+    genRegistryRet = 'test genRegistry ret';
+    genRegistryExpectedArgs = [ genRegistryStub, testPackageContent, undefined ];
+    genFileLinkResolverStub = sandbox.stub( testStubs, 'genFileLinkResolver' ).callsFake( () => {
+      return genFileLinkResolverRet;
+    } );
+    genFileLinkResolverRet          = () => null;
+    genFileLinkResolverExpectedArgs = [ genFileLinkResolverStub, testPackageContent, { tarballUrl: genRegistryRet } ];
+    genImageResolverStub = sandbox.stub( testStubs, 'genImageResolver' ).callsFake( () => {
+      return genImageResolverRet;
+    } );
+    genImageResolverRet          = () => null;
+    genImageResolverExpectedArgs = [ genImageResolverStub, '.', {}, genFileLinkResolverRet ];
+    fixLinksExpectedArgs = [ fixLinksStub, testRawReadmeText, testBaseHref, genFileLinkResolverRet, genImageResolverRet, 'test-package', { registry: genRegistryRet, webPath: undefined, urlTemplate: undefined }, {} ];
     expectedResult = fixLinksRet;
   });
 
@@ -1011,11 +1668,78 @@ describe(MODULE_NAME + ':fixReadmeText', () => {
   it ( 'OK', () => {
     actualResult = testFn( testArgs );
     sinon.assert.calledWithExactly.apply( null, genBaseHrefExpectedArgs );
+    sinon.assert.calledWithExactly.apply( null, genFileLinkResolverExpectedArgs );
+    sinon.assert.calledWithExactly.apply( null, fixLinksExpectedArgs );
+    expect( actualResult ).to.equal( expectedResult );
+  });
+
+  it ( 'OK, file link options', () => {
+    testArgs.fileLinks                    = { strategy: 'tarball', tarballUrl: 'https://unpkg.com' };
+    genFileLinkResolverExpectedArgs[ 2 ] = { tarballUrl: 'https://unpkg.com', strategy: 'tarball' };
+    actualResult = testFn( testArgs );
+    sinon.assert.calledWithExactly.apply( null, genFileLinkResolverExpectedArgs );
+    sinon.assert.calledWithExactly.apply( null, fixLinksExpectedArgs );
+    expect( actualResult ).to.equal( expectedResult );
+  });
+
+  it ( 'OK, registry, web path and URL template', () => {
+    testArgs.registry             = 'https://registry.example.com';
+    testArgs.webPath              = '/#/detail/';
+    testArgs.urlTemplate          = 'verdaccio-6';
+    genBaseHrefExpectedArgs[ 2 ] = { registry: testArgs.registry, webPath: testArgs.webPath, urlTemplate: testArgs.urlTemplate };
+    genRegistryExpectedArgs[ 2 ] = testArgs.registry;
+    fixLinksExpectedArgs[ 6 ]    = { registry: genRegistryRet, webPath: testArgs.webPath, urlTemplate: testArgs.urlTemplate };
+    actualResult = testFn( testArgs );
+    sinon.assert.calledWithExactly.apply( null, genBaseHrefExpectedArgs );
+    sinon.assert.calledWithExactly.apply( null, genRegistryExpectedArgs );
+    sinon.assert.calledWithExactly.apply( null, fixLinksExpectedArgs );
+    expect( actualResult ).to.equal( expectedResult );
+  });
+
+  it ( 'OK, image options', () => {
+    testArgs.images                    = { inlineMaxSize: 2048 };
+    testArgs.packageDir                = 'test packageDir';
+    genImageResolverExpectedArgs[ 1 ] = testArgs.packageDir;
+    genImageResolverExpectedArgs[ 2 ] = testArgs.images;
+    actualResult = testFn( testArgs );
+    sinon.assert.calledWithExactly.apply( null, genImageResolverExpectedArgs );
+    sinon.assert.calledWithExactly.apply( null, fixLinksExpectedArgs );
+    expect( actualResult ).to.equal( expectedResult );
+  });
+
+  it ( 'OK, link options', () => {
+    testArgs.links            = { definitions: false };
+    fixLinksExpectedArgs[ 7 ] = testArgs.links;
+    actualResult = testFn( testArgs );
     sinon.assert.calledWithExactly.apply( null, fixLinksExpectedArgs );
     expect( actualResult ).to.equal( expectedResult );
   });
 });
 
+describe(MODULE_NAME + ':checkReadmeSize', () => {
+  let testFnName = 'checkReadmeSize';
+  let testFn;
+  let testProps;
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn          = testProps[ testFnName ];
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+  });
+
+  it ( 'Within the limit', () => {
+    expect( testFn( 'abc', 3 ) ).to.equal( null );
+  });
+
+  it ( 'Larger than the limit, measured as UTF-8', () => {
+    expect( testFn( 'ab\u00e9', 3 ) ).to.deep.equal( { size: 4, maxSize: 3 } );
+  });
+});
+
 describe(MODULE_NAME + ':processReadme', () => {
   let testModule;
   let testProps;
@@ -1026,34 +1750,60 @@ describe(MODULE_NAME + ':processReadme', () => {
   let readFileStub;
   let readFileRet;
   let readFileExpectedArgs;
+  let updateTocStub;
+  let updateTocRet;
+  let updateTocExpectedArgs;
+  let validateLinksStub;
+  let validateLinksRet;
+  let validateLinksExpectedArgs;
   let genPackagePathnameStub;
   let genPackagePathnameRet;
   let genPackagePathnameExpectedArgs;
   let loadPackageStub;
   let loadPackageRet;
   let loadPackageExpectedArgs;
+  let findPackageReadmeStub;
   let fixReadmeTextStub;
   let fixReadmeTextRet;
   let fixReadmeTextExpectedParams;
+  let resolveRegistryStub;
+  let resolveRegistryRet;
+  let resolveRegistryExpectedArgs;
   let fixReadmeTextExpectedArgs;
+  let findUnpublishedFileLinksStub;
+  let findUnpublishedFileLinksRet;
+  let findUnpublishedFileLinksExpectedArgs;
+  let checkReadmeSizeStub;
+  let checkReadmeSizeRet;
+  let checkReadmeSizeExpectedArgs;
   let updatePackageStub;
   let updatePackageRet;
   let updatePackageExpectedParams;
   let updatePackageExpectedArgs;
   let actualResult;
   let expectedResult;
-  const testDefaultPathname = './README.md';
+  const testDefaultPathname = path.resolve( 'README.md' );
 
   beforeEach( () => {
     commonBeforeEach();
     ( { testModule } = createTestModuleAndGetProps() );
-    testStubs        = getPrivateStubs( testModule, [ 'readFile', 'genPackagePathname', 'loadPackage', 'fixReadmeText', 'updatePackage' ] );
+    testStubs        = getPrivateStubs( testModule, [ 'readFile', 'updateToc', 'validateLinks', 'genPackagePathname', 'loadPackage', 'findPackageReadme', 'resolveRegistry', 'fixReadmeText', 'findUnpublishedFileLinks', 'checkReadmeSize', 'genDryRunDiff', 'updatePackage' ] );
     testArgs         = 'test pathname';
     readFileStub     = sandbox.stub( testStubs, 'readFile' ).callsFake( () => {
       return readFileRet;
     } );
     readFileRet          = 'test readFile ret';
     readFileExpectedArgs = [ readFileStub, testArgs ];
+    updateTocStub = sandbox.stub( testStubs, 'updateToc' ).callsFake( () => {
+      return updateTocRet;
+    } );
+    updateTocRet          = 'test updateToc ret';
+    updateTocExpectedArgs = [ updateTocStub, readFileRet, {} ];
+    validateLinksStub = sandbox.stub( testStubs, 'validateLinks' ).callsFake( () => {
+      return validateLinksRet;
+    } );
+    validateLinksRet          = [];
+    validateLinksExpectedArgs = [ validateLinksStub, readFileRet ];
     genPackagePathnameStub = sandbox.stub( testStubs, 'genPackagePathname' ).callsFake( () => {
       return genPackagePathnameRet;
     } );
@@ -1064,11 +1814,37 @@ describe(MODULE_NAME + ':processReadme', () => {
     } );
     loadPackageRet = 'test loadPackage ret';
     loadPackageExpectedArgs = [ loadPackageStub, genPackagePathnameRet ];
+    findPackageReadmeStub = sandbox.stub( testStubs, 'findPackageReadme' ).returns( testDefaultPathname );
+    resolveRegistryStub = sandbox.stub( testStubs, 'resolveRegistry' ).callsFake( () => {
+      return resolveRegistryRet;
+    } );
+    resolveRegistryRet          = { url: 'test registry url', source: 'default' };
+    resolveRegistryExpectedArgs = [ resolveRegistryStub, loadPackageRet, { registry: undefined, packageDir: '.', rootDir: undefined } ];
     fixReadmeTextStub = sandbox.stub( testStubs, 'fixReadmeText' ).callsFake( () => {
       return fixReadmeTextRet;
     } );
-    fixReadmeTextExpectedParams = { rawReadmeText: readFileRet, packageContent: loadPackageRet };
+    fixReadmeTextExpectedParams = {
+      rawReadmeText:  updateTocRet,
+      packageContent: loadPackageRet,
+      fileLinks:      { readmeDir: '.' },
+      images:         { readmeDir: '.' },
+      links:          {},
+      packageDir:     '.',
+      registry:       'test registry url',
+      webPath:        undefined,
+      urlTemplate:    undefined,
+    };
     fixReadmeTextExpectedArgs   = [ fixReadmeTextStub, fixReadmeTextExpectedParams ];
+    findUnpublishedFileLinksStub = sandbox.stub( testStubs, 'findUnpublishedFileLinks' ).callsFake( () => {
+      return findUnpublishedFileLinksRet;
+    } );
+    findUnpublishedFileLinksRet          = [ { destination: 'docs/guide.md', file: 'docs/guide.md', line: 1, column: 2 } ];
+    findUnpublishedFileLinksExpectedArgs = [ findUnpublishedFileLinksStub, readFileRet, loadPackageRet, '.' ];
+    checkReadmeSizeStub = sandbox.stub( testStubs, 'checkReadmeSize' ).callsFake( () => {
+      return checkReadmeSizeRet;
+    } );
+    checkReadmeSizeRet          = null;
+    checkReadmeSizeExpectedArgs = [ checkReadmeSizeStub, fixReadmeTextRet, 64 * 1024 ];
     updatePackageStub = sandbox.stub( testStubs, 'updatePackage' ).callsFake( async () => {
       return updatePackageRet;
     } );
@@ -1076,10 +1852,18 @@ describe(MODULE_NAME + ':processReadme', () => {
     updatePackageExpectedParams = {
       packagePathname: genPackagePathnameRet,
       readmeText:      fixReadmeTextRet,
+      readmeFilename:  testArgs,
+      backups:         {},
     };
     updatePackageExpectedArgs   = [ updatePackageStub, updatePackageExpectedParams ];
     expectedResult = JSON.parse( JSON.stringify( updatePackageRet ) );
     expectedResult.packagePathname = genPackagePathnameRet;
+    expectedResult.readmePathname  = path.resolve( testArgs );
+    expectedResult.registry        = resolveRegistryRet;
+    expectedResult.unresolvedLinks = validateLinksRet;
+    expectedResult.readmeText           = fixReadmeTextRet;
+    expectedResult.unpublishedFileLinks = [];
+    expectedResult.oversizedReadme      = null;
   });
 
   afterEach( () => {
@@ -1089,22 +1873,806 @@ describe(MODULE_NAME + ':processReadme', () => {
   it ( 'OK, pathname', async () => {
     actualResult = await testModule.processReadme( testArgs );
     sinon.assert.calledWithExactly.apply( null, readFileExpectedArgs );
+    sinon.assert.calledWithExactly.apply( null, updateTocExpectedArgs );
+    sinon.assert.calledWithExactly.apply( null, validateLinksExpectedArgs );
     sinon.assert.calledWithExactly.apply( null, genPackagePathnameExpectedArgs );
     sinon.assert.calledWithExactly.apply( null, loadPackageExpectedArgs );
+    sinon.assert.calledWithExactly.apply( null, resolveRegistryExpectedArgs );
     sinon.assert.calledWithExactly.apply( null, fixReadmeTextExpectedArgs );
     sinon.assert.calledWithExactly.apply( null, updatePackageExpectedArgs );
     expect( actualResult ).to.deep.equal( expectedResult );
   });
 
   it ( 'OK, default pathname', async () => {
-    readFileExpectedArgs[ 1 ]           = testDefaultPathname;
-    genPackagePathnameExpectedArgs[ 1 ] = testDefaultPathname;
+    readFileExpectedArgs[ 1 ]                  = testDefaultPathname;
+    genPackagePathnameExpectedArgs[ 1 ]        = undefined;
+    updatePackageExpectedParams.readmeFilename = 'README.md';
+    expectedResult.readmePathname              = testDefaultPathname;
     actualResult = await testModule.processReadme();
-    sinon.assert.calledWithExactly.apply( null, readFileExpectedArgs );
     sinon.assert.calledWithExactly.apply( null, genPackagePathnameExpectedArgs );
+    sinon.assert.calledOnceWithExactly( findPackageReadmeStub, genPackagePathnameRet, loadPackageRet );
+    sinon.assert.calledWithExactly.apply( null, readFileExpectedArgs );
+    sinon.assert.calledWithExactly.apply( null, loadPackageExpectedArgs );
+    sinon.assert.calledWithExactly.apply( null, fixReadmeTextExpectedArgs );
+    sinon.assert.calledWithExactly.apply( null, updatePackageExpectedArgs );
+    expect( actualResult ).to.deep.equal( expectedResult );
+  });
+
+  it ( 'OK, package pathname option', async () => {
+    const testPackagePathname = path.join( 'sub', 'package.json' );
+    loadPackageExpectedArgs[ 1 ]            = path.resolve( testPackagePathname );
+    fixReadmeTextExpectedParams.packageDir  = path.resolve( 'sub' );
+    fixReadmeTextExpectedParams.fileLinks   = { readmeDir: '..' };
+    fixReadmeTextExpectedParams.images      = { readmeDir: '..' };
+    updatePackageExpectedParams.packagePathname = path.resolve( testPackagePathname );
+    expectedResult.packagePathname          = path.resolve( testPackagePathname );
+    updatePackageExpectedParams.readmeFilename  = path.relative( 'sub', testArgs ).split( path.sep ).join( '/' );
+    actualResult = await testModule.processReadme( testArgs, { packagePathname: testPackagePathname } );
+    sinon.assert.notCalled( genPackagePathnameStub );
+    sinon.assert.notCalled( findPackageReadmeStub );
     sinon.assert.calledWithExactly.apply( null, loadPackageExpectedArgs );
     sinon.assert.calledWithExactly.apply( null, fixReadmeTextExpectedArgs );
     sinon.assert.calledWithExactly.apply( null, updatePackageExpectedArgs );
     expect( actualResult ).to.deep.equal( expectedResult );
   });
+
+  it ( 'OK, registry, web path and URL template options', async () => {
+    resolveRegistryExpectedArgs[ 2 ].registry = 'https://registry.example.com';
+    fixReadmeTextExpectedParams.webPath       = '/#/detail/';
+    fixReadmeTextExpectedParams.urlTemplate   = 'verdaccio-6';
+    actualResult = await testModule.processReadme( testArgs, { registry: 'https://registry.example.com', webPath: '/#/detail/', urlTemplate: 'verdaccio-6' } );
+    sinon.assert.calledWithExactly.apply( null, resolveRegistryExpectedArgs );
+    sinon.assert.calledWithExactly.apply( null, fixReadmeTextExpectedArgs );
+    expect( actualResult ).to.deep.equal( expectedResult );
+  });
+
+  it ( 'OK, workspace root directory', async () => {
+    resolveRegistryExpectedArgs[ 2 ].rootDir = '/repo';
+    actualResult = await testModule.processReadme( testArgs, { rootDir: '/repo' } );
+    sinon.assert.calledWithExactly.apply( null, resolveRegistryExpectedArgs );
+    expect( actualResult ).to.deep.equal( expectedResult );
+  });
+
+  it ( 'OK, dry run', async () => {
+    const testDiff         = { readme: 'test readme diff', package: 'test package diff' };
+    const genDryRunDiffStub = sandbox.stub( testStubs, 'genDryRunDiff' ).returns( testDiff );
+    expectedResult = {
+      diff:                 testDiff,
+      packagePathname:      genPackagePathnameRet,
+      readmePathname:       path.resolve( testArgs ),
+      registry:             resolveRegistryRet,
+      readmeText:           fixReadmeTextRet,
+      unresolvedLinks:      validateLinksRet,
+      unpublishedFileLinks: [],
+      oversizedReadme:      null,
+    };
+    actualResult = await testModule.processReadme( testArgs, { dryRun: true } );
+    sinon.assert.calledWithExactly.apply( null, fixReadmeTextExpectedArgs );
+    sinon.assert.calledOnceWithExactly( genDryRunDiffStub, {
+      packagePathname: genPackagePathnameRet,
+      packageContent:  loadPackageRet,
+      readmeText:      fixReadmeTextRet,
+      readmeFilename:  testArgs,
+    } );
+    sinon.assert.notCalled( updatePackageStub );
+    expect( actualResult ).to.deep.equal( expectedResult );
+  });
+
+  it ( 'OK, TOC options', async () => {
+    const testTocOptions = { minDepth: 2, maxDepth: 3, bullet: '*' };
+    updateTocExpectedArgs[ 2 ] = testTocOptions;
+    actualResult = await testModule.processReadme( testArgs, { toc: testTocOptions } );
+    sinon.assert.calledWithExactly.apply( null, updateTocExpectedArgs );
+    sinon.assert.calledWithExactly.apply( null, validateLinksExpectedArgs );
+    sinon.assert.calledWithExactly.apply( null, fixReadmeTextExpectedArgs );
+    expect( actualResult ).to.deep.equal( expectedResult );
+  });
+
+  it ( 'OK, file link options', async () => {
+    const testFileLinks = { strategy: 'repository' };
+    fixReadmeTextExpectedParams.fileLinks = { readmeDir: '.', ...testFileLinks };
+    expectedResult.unpublishedFileLinks   = findUnpublishedFileLinksRet;
+    actualResult = await testModule.processReadme( testArgs, { fileLinks: testFileLinks } );
+    sinon.assert.calledWithExactly.apply( null, fixReadmeTextExpectedArgs );
+    sinon.assert.calledWithExactly.apply( null, findUnpublishedFileLinksExpectedArgs );
+    expect( actualResult ).to.deep.equal( expectedResult );
+  });
+
+  it ( 'OK, file link strategy none', async () => {
+    const testFileLinks = { strategy: 'none' };
+    fixReadmeTextExpectedParams.fileLinks = { readmeDir: '.', ...testFileLinks };
+    actualResult = await testModule.processReadme( testArgs, { fileLinks: testFileLinks } );
+    sinon.assert.calledWithExactly.apply( null, fixReadmeTextExpectedArgs );
+    sinon.assert.notCalled( findUnpublishedFileLinksStub );
+    expect( actualResult ).to.deep.equal( expectedResult );
+  });
+
+  it ( 'OK, image options', async () => {
+    const testImages = { inlineMaxSize: 4096 };
+    fixReadmeTextExpectedParams.images = { readmeDir: '.', ...testImages };
+    actualResult = await testModule.processReadme( testArgs, { images: testImages } );
+    sinon.assert.calledWithExactly.apply( null, fixReadmeTextExpectedArgs );
+    expect( actualResult ).to.deep.equal( expectedResult );
+  });
+
+  it ( 'OK, link options', async () => {
+    const testLinks = { html: false };
+    fixReadmeTextExpectedParams.links = testLinks;
+    actualResult = await testModule.processReadme( testArgs, { links: testLinks } );
+    sinon.assert.calledWithExactly.apply( null, fixReadmeTextExpectedArgs );
+    expect( actualResult ).to.deep.equal( expectedResult );
+  });
+
+  it ( 'OK, README below the package root', async () => {
+    const testFileLinks = { strategy: 'repository' };
+    const testReadme    = path.join( 'docs', 'README.md' );
+    readFileExpectedArgs[ 1 ]                  = testReadme;
+    fixReadmeTextExpectedParams.fileLinks      = { readmeDir: 'docs', ...testFileLinks };
+    fixReadmeTextExpectedParams.images         = { readmeDir: 'docs' };
+    fixReadmeTextExpectedParams.packageDir     = path.resolve( '.' );
+    updatePackageExpectedParams.packagePathname = path.resolve( 'package.json' );
+    findUnpublishedFileLinksExpectedArgs[ 3 ]  = 'docs';
+    updatePackageExpectedParams.readmeFilename = 'docs/README.md';
+    actualResult = await testModule.processReadme( testReadme, { packagePathname: 'package.json', fileLinks: testFileLinks } );
+    sinon.assert.calledWithExactly.apply( null, readFileExpectedArgs );
+    sinon.assert.calledWithExactly.apply( null, fixReadmeTextExpectedArgs );
+    sinon.assert.calledWithExactly.apply( null, findUnpublishedFileLinksExpectedArgs );
+    sinon.assert.calledWithExactly.apply( null, updatePackageExpectedArgs );
+  });
+
+  it ( 'OK, readmeDir options', async () => {
+    const testFileLinks = { strategy: 'repository', readmeDir: 'guide' };
+    const testImages    = { readmeDir: 'img' };
+    fixReadmeTextExpectedParams.fileLinks     = testFileLinks;
+    fixReadmeTextExpectedParams.images        = testImages;
+    findUnpublishedFileLinksExpectedArgs[ 3 ] = 'guide';
+    actualResult = await testModule.processReadme( testArgs, { fileLinks: testFileLinks, images: testImages } );
+    sinon.assert.calledWithExactly.apply( null, fixReadmeTextExpectedArgs );
+    sinon.assert.calledWithExactly.apply( null, findUnpublishedFileLinksExpectedArgs );
+  });
+
+  it ( 'OK, backup options', async () => {
+    const testBackups = { dir: 'backups', keep: 3 };
+    updatePackageExpectedParams.backups = testBackups;
+    actualResult = await testModule.processReadme( testArgs, { backups: testBackups } );
+    sinon.assert.calledWithExactly.apply( null, updatePackageExpectedArgs );
+    expect( actualResult ).to.deep.equal( expectedResult );
+  });
+
+  it ( 'OK, oversized readme', async () => {
+    checkReadmeSizeRet               = { size: 2000, maxSize: 1000 };
+    checkReadmeSizeExpectedArgs[ 2 ] = 1000;
+    expectedResult.oversizedReadme   = checkReadmeSizeRet;
+    actualResult = await testModule.processReadme( testArgs, { maxReadmeSize: 1000 } );
+    sinon.assert.calledWithExactly.apply( null, checkReadmeSizeExpectedArgs );
+    sinon.assert.calledWithExactly.apply( null, updatePackageExpectedArgs );
+    expect( actualResult ).to.deep.equal( expectedResult );
+  });
+
+  it ( 'OK, unresolved links', async () => {
+    validateLinksRet               = [ { destination: '#instal', line: 3, column: 5 } ];
+    expectedResult.unresolvedLinks = validateLinksRet;
+    actualResult = await testModule.processReadme( testArgs );
+    sinon.assert.calledWithExactly.apply( null, validateLinksExpectedArgs );
+    sinon.assert.calledWithExactly.apply( null, updatePackageExpectedArgs );
+    expect( actualResult ).to.deep.equal( expectedResult );
+  });
+
+  it ( 'OK, strict with no unresolved links', async () => {
+    actualResult = await testModule.processReadme( testArgs, { strict: true } );
+    sinon.assert.calledWithExactly.apply( null, validateLinksExpectedArgs );
+    sinon.assert.calledWithExactly.apply( null, updatePackageExpectedArgs );
+    expect( actualResult ).to.deep.equal( expectedResult );
+  });
+
+  it ( 'No README file', async () => {
+    let actualErr;
+    const testErr = new Error( 'No README file found in /pkg' );
+    findPackageReadmeStub.throws( testErr );
+    try {
+      await testModule.processReadme();
+    }
+    catch ( err ) {
+      actualErr = err;
+    }
+    sinon.assert.notCalled( readFileStub );
+    sinon.assert.notCalled( updatePackageStub );
+    expect( actualErr ).to.equal( testErr );
+  });
+
+  it ( 'Strict with unresolved links', async () => {
+    let actualErr;
+    validateLinksRet = [
+      { destination: '#instal', line: 3, column: 5 },
+      { destination: '#usge',   line: 9, column: 12 },
+    ];
+    try {
+      await testModule.processReadme( testArgs, { strict: true } );
+    }
+    catch ( err ) {
+      actualErr = err;
+    }
+    sinon.assert.calledWithExactly.apply( null, validateLinksExpectedArgs );
+    sinon.assert.notCalled( resolveRegistryStub );
+    sinon.assert.notCalled( updatePackageStub );
+    expect( actualErr.message ).to.equal( 'Unresolved internal links: #instal (line 3, column 5), #usge (line 9, column 12)' );
+    expect( actualErr.code ).to.equal( 'EUNRESOLVEDLINKS' );
+    expect( actualErr.unresolvedLinks ).to.deep.equal( validateLinksRet );
+  });
+});
+
+describe(MODULE_NAME + ':processReadme no stubs', () => {
+  let testModule;
+  let testDir;
+  let testPathname;
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testModule } = createTestModuleAndGetProps() );
+    testDir      = fs.mkdtempSync( path.join( os.tmpdir(), 'readme-fixer-test-' ) );
+    testPathname = path.join( testDir, 'package.json' );
+    fs.mkdirSync( path.join( testDir, 'docs' ) );
+    fs.writeFileSync( testPathname, JSON.stringify( {
+      name:       'my-pkg',
+      version:    '1.0.0',
+      repository: 'github:me/my-pkg',
+      files:      [ 'index.js', 'docs/README.md' ],
+    } ) );
+    fs.writeFileSync( path.join( testDir, 'docs', 'README.md' ), '# Docs\n\n[sib](./other.md)\n' );
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+    fs.rmSync( testDir, { recursive: true, force: true } );
+  });
+
+  it ( 'README below the package root, relative links from its directory', async () => {
+    const actualResult = await testModule.processReadme( path.join( testDir, 'docs', 'README.md' ), { dryRun: true, fileLinks: { strategy: 'repository' } } );
+    expect( actualResult.readmeText ).to.equal( '# Docs\n\n[sib](https://github.com/me/my-pkg/tree/HEAD/docs/other.md)\n' );
+    expect( actualResult.unpublishedFileLinks.map( ( { file } ) => file ) ).to.deep.equal( [ 'docs/other.md' ] );
+  });
+
+  it ( 'Reference image definitions rewritten as images', async () => {
+    const testReadmePathname = path.join( testDir, 'docs', 'README.md' );
+    fs.mkdirSync( path.join( testDir, 'docs', 'img' ) );
+    fs.writeFileSync( path.join( testDir, 'docs', 'img', 'a.png' ), Buffer.from( [ 1, 2, 3 ] ) );
+    fs.writeFileSync( testReadmePathname, '![ref][logo] ![inline](./img/a.png)\n\n[logo]: ./img/a.png\n' );
+    let actualResult = await testModule.processReadme( testReadmePathname, { dryRun: true, images: { baseUrl: 'https://cdn.example.com/' } } );
+    expect( actualResult.readmeText ).to.equal( '![ref][logo] ![inline](https://cdn.example.com/docs/img/a.png)\n\n[logo]: https://cdn.example.com/docs/img/a.png\n' );
+    actualResult = await testModule.processReadme( testReadmePathname, { dryRun: true, images: { inlineMaxSize: 1024 } } );
+    expect( actualResult.readmeText ).to.equal( '![ref][logo] ![inline](data:image/png;base64,AQID)\n\n[logo]: data:image/png;base64,AQID\n' );
+  });
+
+  it ( 'TOC above the links, positions in the README file', async () => {
+    fs.writeFileSync( path.join( testDir, 'docs', 'README.md' ), '# Docs\n\n<!-- toc -->\n- [Old](#old)\n<!-- tocstop -->\n\n## Usage\n\n[sib](./other.md) [Install](#instal)\n' );
+    const actualResult = await testModule.processReadme( path.join( testDir, 'docs', 'README.md' ), { dryRun: true, fileLinks: { strategy: 'repository' } } );
+    expect( actualResult.readmeText ).to.include( '<!-- toc -->\n\n- [Docs](' ).and.not.include( '#old' );
+    expect( actualResult.unresolvedLinks ).to.deep.equal( [ { destination: '#instal', line: 9, column: 29 } ] );
+    expect( actualResult.unpublishedFileLinks ).to.deep.equal( [ { destination: './other.md', file: 'docs/other.md', line: 9, column: 7 } ] );
+  });
+});
+
+describe(MODULE_NAME + ':listBackups', () => {
+  let testFnName = 'listBackups';
+  let testFn;
+  let testProps;
+  let testDir;
+  let testPathname;
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn       = testProps[ testFnName ];
+    testDir      = fs.mkdtempSync( path.join( os.tmpdir(), 'readme-fixer-test-' ) );
+    testPathname = path.join( testDir, 'package.json' );
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+    fs.rmSync( testDir, { recursive: true, force: true } );
+  });
+
+  it ('No backups', () => {
+    expect( testFn( { packagePathname: testPathname } ) ).to.deep.equal( {
+      packagePathname: testPathname,
+      backupDir:       path.join( testDir, '.readme-fixer', 'backups' ),
+      backups:         [],
+    } );
+  });
+
+  it ('Backup directory option', () => {
+    const testBackupDir   = path.join( testDir, 'backups' );
+    const testBackupName  = `package-${genPackageKey( testPathname )}-20261018T101500123Z.json`;
+    fs.mkdirSync( testBackupDir );
+    fs.writeFileSync( path.join( testBackupDir, testBackupName ), '{}' );
+    fs.writeFileSync( path.join( testBackupDir, `package-${genPackageKey( path.join( testDir, 'b', 'package.json' ) )}-20261018T101600123Z.json` ), '{}' );
+    expect( testFn( { packagePathname: testPathname, backups: { dir: 'backups' } } ) ).to.deep.equal( {
+      packagePathname: testPathname,
+      backupDir:       testBackupDir,
+      backups:         [ {
+        id:       '20261018T101500123Z',
+        created:  '2026-10-18T10:15:00.123Z',
+        pathname: path.join( testBackupDir, testBackupName ),
+      } ],
+    } );
+  });
+
+  it ('Default package pathname', () => {
+    expect( testFn().packagePathname ).to.equal( path.resolve( 'package.json' ) );
+  });
+});
+
+describe(MODULE_NAME + ':restoreBackup', () => {
+  let testFnName = 'restoreBackup';
+  let testFn;
+  let testProps;
+  let testDir;
+  let testBackupDir;
+  let testPathname;
+  let testOptions;
+
+  /**
+   * @param {string} id      : the backup ID;
+   * @param {string} content : the backup file content.
+   */
+  function writeBackup( id, content ) {
+    fs.writeFileSync( path.join( testBackupDir, `package-${genPackageKey( testPathname )}-${id}.json` ), content );
+  }
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn        = testProps[ testFnName ];
+    testDir       = fs.mkdtempSync( path.join( os.tmpdir(), 'readme-fixer-test-' ) );
+    testBackupDir = path.join( testDir, 'backups' );
+    testPathname  = path.join( testDir, 'package.json' );
+    testOptions   = { packagePathname: testPathname, backups: { dir: 'backups' } };
+    fs.mkdirSync( testBackupDir );
+    writeBackup( '20261018T101500123Z', '{ "version": "1" }' );
+    writeBackup( '20261018T101600123Z', '{ "version": "2" }' );
+    fs.writeFileSync( testPathname, '{ "version": "3" }' );
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+    fs.rmSync( testDir, { recursive: true, force: true } );
+  });
+
+  it ('Most recent backup', async () => {
+    const actualResult = await testFn( undefined, testOptions );
+    expect( actualResult.packagePathname ).to.equal( testPathname );
+    expect( actualResult.restoredBackupId ).to.equal( '20261018T101600123Z' );
+    expect( fs.readFileSync( testPathname, 'utf-8' ) ).to.equal( '{ "version": "2" }' );
+    expect( fs.readFileSync( actualResult.backupPackagePathname, 'utf-8' ) ).to.equal( '{ "version": "3" }' );
+    expect( path.dirname( actualResult.backupPackagePathname ) ).to.equal( testBackupDir );
+  });
+
+  it ('Backups of another package in the same directory ignored', async () => {
+    const testOtherPathname = path.join( testDir, 'b', 'package.json' );
+    fs.mkdirSync( path.dirname( testOtherPathname ) );
+    fs.writeFileSync( testOtherPathname, '{ "name": "b" }' );
+    fs.writeFileSync( path.join( testBackupDir, `package-${genPackageKey( testOtherPathname )}-20261018T101700123Z.json` ), '{ "name": "b", "version": "1" }' );
+    const actualResult = await testFn( undefined, { ...testOptions, backups: { dir: testBackupDir, keep: 1 } } );
+    expect( actualResult.restoredBackupId ).to.equal( '20261018T101600123Z' );
+    expect( fs.readFileSync( testPathname, 'utf-8' ) ).to.equal( '{ "version": "2" }' );
+    expect( fs.readdirSync( testBackupDir ) ).to.include( `package-${genPackageKey( testOtherPathname )}-20261018T101700123Z.json` );
+  });
+
+  it ('Backup ID', async () => {
+    const actualResult = await testFn( '20261018T101500123Z', testOptions );
+    expect( actualResult.restoredBackupId ).to.equal( '20261018T101500123Z' );
+    expect( fs.readFileSync( testPathname, 'utf-8' ) ).to.equal( '{ "version": "1" }' );
+  });
+
+  it ('Package file does not exist', async () => {
+    fs.rmSync( testPathname );
+    const actualResult = await testFn( undefined, testOptions );
+    expect( actualResult.backupPackagePathname ).to.equal( null );
+    expect( fs.readFileSync( testPathname, 'utf-8' ) ).to.equal( '{ "version": "2" }' );
+  });
+
+  it ('Backup not found', async () => {
+    let actualErr;
+    try {
+      await testFn( '20261018T101700123Z', testOptions );
+    }
+    catch ( err ) {
+      actualErr = err;
+    }
+    expect( actualErr.message ).to.equal( 'Backup not found: 20261018T101700123Z' );
+    expect( actualErr.code ).to.equal( 'EFILENOTFOUND' );
+    expect( fs.readFileSync( testPathname, 'utf-8' ) ).to.equal( '{ "version": "3" }' );
+  });
+
+  it ('No backups', async () => {
+    let actualErr;
+    try {
+      await testFn( undefined, { packagePathname: testPathname } );
+    }
+    catch ( err ) {
+      actualErr = err;
+    }
+    expect( actualErr.message ).to.equal( `No backups found: ${path.join( testDir, '.readme-fixer', 'backups' )}` );
+    expect( actualErr.code ).to.equal( 'EFILENOTFOUND' );
+  });
+
+  it ('Invalid backup', async () => {
+    let actualErr;
+    writeBackup( '20261018T101700123Z', '[]' );
+    try {
+      await testFn( undefined, testOptions );
+    }
+    catch ( err ) {
+      actualErr = err;
+    }
+    expect( actualErr.code ).to.equal( 'EINVALIDPACKAGE' );
+    expect( fs.readFileSync( testPathname, 'utf-8' ) ).to.equal( '{ "version": "3" }' );
+    expect( fs.readdirSync( testBackupDir ) ).to.have.lengthOf( 3 );
+  });
+});
+
+describe(MODULE_NAME + ':installHooks', () => {
+  let testFnName = 'installHooks';
+  let testFn;
+  let testProps;
+  let testDir;
+  let testPathname;
+  let testOptions;
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn       = testProps[ testFnName ];
+    testDir      = fs.mkdtempSync( path.join( os.tmpdir(), 'readme-fixer-test-' ) );
+    testPathname = path.join( testDir, 'package.json' );
+    testOptions  = { packagePathname: testPathname, backups: { dir: 'backups' } };
+    fs.writeFileSync( testPathname, '{\n  "name": "x",\n  "scripts": {\n    "prepack": "npm run build"\n  }\n}\n' );
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+    fs.rmSync( testDir, { recursive: true, force: true } );
+  });
+
+  it ('Scripts added and updated', async () => {
+    const actualResult = await testFn( testOptions );
+    expect( actualResult.packagePathname ).to.equal( testPathname );
+    expect( actualResult.hooks.map( ( { status } ) => status ) ).to.deep.equal( [ 'updated', 'added', 'added' ] );
+    expect( fs.readFileSync( testPathname, 'utf-8' ) ).to.equal( '{\n  "name": "x",\n  "scripts": {\n    "prepack": "npm run build && verdaccio-readme-fixer",\n' +
+      '    "postpack": "verdaccio-readme-fixer restore",\n    "postpublish": "verdaccio-readme-fixer restore"\n  }\n}\n' );
+    expect( path.dirname( actualResult.backupPackagePathname ) ).to.equal( path.join( testDir, 'backups' ) );
+    expect( fs.readFileSync( actualResult.backupPackagePathname, 'utf-8' ) ).to.include( '"prepack": "npm run build"\n' );
+    expect( fs.readFileSync( path.join( testDir, 'backups', '.npmignore' ), 'utf-8' ) ).to.equal( '*\n' );
+  });
+
+  it ('Scripts already installed', async () => {
+    const testBackupPathname = ( await testFn( testOptions ) ).backupPackagePathname;
+    const testPackageText = fs.readFileSync( testPathname, 'utf-8' );
+    const actualResult    = await testFn( testOptions );
+    expect( actualResult.hooks.map( ( { status } ) => status ) ).to.deep.equal( [ 'unchanged', 'unchanged', 'unchanged' ] );
+    expect( actualResult.backupPackagePathname ).to.equal( null );
+    expect( fs.readFileSync( testPathname, 'utf-8' ) ).to.equal( testPackageText );
+    expect( fs.readdirSync( path.join( testDir, 'backups' ) ).sort() ).to.deep.equal( [ '.npmignore', path.basename( testBackupPathname ) ] );
+  });
+
+  it ('Scripts already installed, backup directory excluded from the package', async () => {
+    fs.writeFileSync( testPathname, '{\n  "name": "x",\n  "scripts": {\n    "prepack": "verdaccio-readme-fixer",\n' +
+      '    "postpack": "verdaccio-readme-fixer restore",\n    "postpublish": "verdaccio-readme-fixer restore"\n  }\n}\n' );
+    const actualResult = await testFn( testOptions );
+    expect( actualResult.backupPackagePathname ).to.equal( null );
+    expect( fs.readdirSync( path.join( testDir, 'backups' ) ) ).to.deep.equal( [ '.npmignore' ] );
+  });
+
+  it ('Scripts installed without postpublish, postpublish added', async () => {
+    fs.writeFileSync( testPathname, '{\n  "name": "x",\n  "scripts": {\n    "prepack": "verdaccio-readme-fixer",\n    "postpack": "verdaccio-readme-fixer restore"\n  }\n}\n' );
+    const actualResult = await testFn( testOptions );
+    expect( actualResult.hooks.map( ( { status } ) => status ) ).to.deep.equal( [ 'unchanged', 'unchanged', 'added' ] );
+    expect( JSON.parse( fs.readFileSync( testPathname, 'utf-8' ) ).scripts.postpublish ).to.equal( 'verdaccio-readme-fixer restore' );
+  });
+
+  it ('Invalid package file', async () => {
+    let actualErr;
+    fs.writeFileSync( testPathname, '[]' );
+    try {
+      await testFn( testOptions );
+    }
+    catch ( err ) {
+      actualErr = err;
+    }
+    expect( actualErr.code ).to.equal( 'EINVALIDPACKAGE' );
+  });
+});
+
+describe(MODULE_NAME + ':unfixReadme', () => {
+  let testFnName = 'unfixReadme';
+  let testFn;
+  let testProps;
+  let testDir;
+  let testPathname;
+  let testReadmePathname;
+  let testFixedText;
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn             = testProps[ testFnName ];
+    testDir            = fs.mkdtempSync( path.join( os.tmpdir(), 'readme-fixer-test-' ) );
+    testPathname       = path.join( testDir, 'package.json' );
+    testReadmePathname = path.join( testDir, 'README.md' );
+    testFixedText      = '[Usage](http://localhost:4873/-/web/detail/my-pkg?#usage)\n';
+    fs.writeFileSync( testPathname, JSON.stringify( { name: 'my-pkg', readme: testFixedText } ) );
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+    fs.rmSync( testDir, { recursive: true, force: true } );
+  });
+
+  it ( 'Package readme property', async () => {
+    const actualResult = await testFn( undefined, { packagePathname: testPathname } );
+    expect( actualResult ).to.deep.equal( { packagePathname: testPathname, outputPathname: null, readmeText: '[Usage](#usage)\n' } );
+    expect( fs.existsSync( testReadmePathname ) ).to.equal( false );
+  });
+
+  it ( 'Markdown file, package in the same directory, written to a file', async () => {
+    const testOutputPathname = path.join( testDir, 'OUT.md' );
+    fs.writeFileSync( testReadmePathname, `# Usage\n\n${testFixedText}` );
+    const actualResult = await testFn( testReadmePathname, { outputPathname: testOutputPathname } );
+    expect( actualResult ).to.deep.equal( { packagePathname: testPathname, outputPathname: testOutputPathname, readmeText: '# Usage\n\n[Usage](#usage)\n' } );
+    expect( fs.readFileSync( testOutputPathname, 'utf-8' ) ).to.equal( '# Usage\n\n[Usage](#usage)\n' );
+  });
+
+  it ( 'No readme property', async () => {
+    let actualErr;
+    fs.writeFileSync( testPathname, JSON.stringify( { name: 'my-pkg' } ) );
+    try {
+      await testFn( undefined, { packagePathname: testPathname } );
+    }
+    catch ( err ) {
+      actualErr = err;
+    }
+    expect( actualErr.message ).to.equal( `No readme property in package file: ${testPathname}` );
+  });
+});
+
+describe(MODULE_NAME + ':loadFilterPackage', () => {
+  let testFnName = 'loadFilterPackage';
+  let testFn;
+  let testProps;
+  let testDir;
+  let testPathname;
+  let testReadmePathname;
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn             = testProps[ testFnName ];
+    testDir            = fs.mkdtempSync( path.join( os.tmpdir(), 'readme-fixer-test-' ) );
+    testPathname       = path.join( testDir, 'package.json' );
+    testReadmePathname = path.join( testDir, 'docs', 'README.md' );
+    fs.mkdirSync( path.join( testDir, 'docs' ) );
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+    fs.rmSync( testDir, { recursive: true, force: true } );
+  });
+
+  it ( 'Nearest package file, name overridden', () => {
+    fs.writeFileSync( testPathname, JSON.stringify( { name: 'my-pkg', version: '1.0.0' } ) );
+    expect( testFn( testReadmePathname, undefined, undefined ) ).to.deep.equal( {
+      packagePathname: testPathname, packageContent: { name: 'my-pkg', version: '1.0.0' }, packageDir: testDir,
+    } );
+    expect( testFn( testReadmePathname, undefined, 'other' ).packageContent ).to.deep.equal( { name: 'other', version: '1.0.0' } );
+  });
+
+  it ( 'No package file, with a name', () => {
+    expect( testFn( testReadmePathname, undefined, 'other' ) ).to.deep.equal( {
+      packagePathname: null, packageContent: { name: 'other' }, packageDir: path.join( testDir, 'docs' ),
+    } );
+  });
+
+  it ( 'No package file, without a name', () => {
+    expect( () => testFn( testReadmePathname, undefined, undefined ) ).to.throw( 'No package file found in' )
+      .with.property( 'code', 'EFILENOTFOUND' );
+  });
+
+  it ( 'Package file option does not exist', () => {
+    expect( () => testFn( undefined, testPathname, 'other' ) ).to.throw().with.property( 'code', 'EFILENOTFOUND' );
+  });
+});
+
+describe(MODULE_NAME + ':filterReadme', () => {
+  let testFnName = 'filterReadme';
+  let testFn;
+  let testProps;
+  let testDir;
+  let testPathname;
+  let testReadmePathname;
+  let testRegistry;
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn             = testProps[ testFnName ];
+    testDir            = fs.mkdtempSync( path.join( os.tmpdir(), 'readme-fixer-test-' ) );
+    testPathname       = path.join( testDir, 'package.json' );
+    testReadmePathname = path.join( testDir, 'README.md' );
+    testRegistry       = 'http://localhost:4873';
+    fs.writeFileSync( testReadmePathname, '# Usage\n\n[Usage](#usage)\n' );
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+    fs.rmSync( testDir, { recursive: true, force: true } );
+  });
+
+  it ( 'Markdown text with a name', async () => {
+    const actualResult = await testFn( undefined, { readmeText: '[Usage](#usage)\n', name: 'my-pkg', registry: testRegistry } );
+    expect( actualResult.readmeText ).to.equal( '[Usage](http://localhost:4873/-/web/detail/my-pkg?#usage)\n' );
+    expect( actualResult.outputPathname ).to.equal( null );
+    expect( actualResult.unresolvedLinks ).to.deep.equal( [ { destination: '#usage', line: 1, column: 9 } ] );
+    expect( actualResult.registry ).to.deep.equal( { url: testRegistry, source: 'option' } );
+  });
+
+  it ( 'Markdown file, nearest package file, written to a file', async () => {
+    const testOutputPathname = path.join( testDir, 'OUT.md' );
+    const testPackageText    = JSON.stringify( { name: '@team/my-pkg' } );
+    fs.writeFileSync( testPathname, testPackageText );
+    const actualResult = await testFn( testReadmePathname, { registry: testRegistry, outputPathname: testOutputPathname } );
+    expect( actualResult ).to.deep.equal( {
+      packagePathname: testPathname,
+      outputPathname:  testOutputPathname,
+      registry:        { url: testRegistry, source: 'option' },
+      readmeText:      '# Usage\n\n[Usage](http://localhost:4873/-/web/detail/@team%2Fmy-pkg?#usage)\n',
+      unresolvedLinks: [],
+    } );
+    expect( fs.readFileSync( testOutputPathname, 'utf-8' ) ).to.equal( actualResult.readmeText );
+    expect( fs.readFileSync( testPathname, 'utf-8' ) ).to.equal( testPackageText );
+  });
+
+  it ( 'Strict with unresolved links', async () => {
+    let actualErr;
+    try {
+      await testFn( undefined, { readmeText: '[Usage](#usage)\n', name: 'my-pkg', registry: testRegistry, strict: true } );
+    }
+    catch ( err ) {
+      actualErr = err;
+    }
+    expect( actualErr.code ).to.equal( 'EUNRESOLVEDLINKS' );
+  });
+
+  it ( 'TOC above an unresolved link, position in the input markdown', async () => {
+    const testText     = '# Title\n\n<!-- toc -->\n<!-- tocstop -->\n\n## Usage\n\n[Install](#instal)\n';
+    const actualResult = await testFn( undefined, { readmeText: testText, name: 'my-pkg', registry: testRegistry } );
+    expect( actualResult.readmeText ).to.include( '- [Title](http://localhost:4873/-/web/detail/my-pkg?#title)\n' );
+    expect( actualResult.unresolvedLinks ).to.deep.equal( [ { destination: '#instal', line: 8, column: 11 } ] );
+  });
+});
+
+describe(MODULE_NAME + ':processWorkspaces', () => {
+  let testModule;
+  let testStubs;
+  let testDir;
+  let testPackageDirs;
+  let findWorkspacePackagesStub;
+  let processReadmeStub;
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testModule } = createTestModuleAndGetProps() );
+    testStubs       = getPrivateStubs( testModule, [ 'findWorkspacePackages', 'processReadme' ] );
+    testDir         = fs.mkdtempSync( path.join( os.tmpdir(), 'readme-fixer-test-' ) );
+    testPackageDirs = [ 'a', 'b', 'c' ].map( name => path.join( testDir, 'packages', name ) );
+    testPackageDirs.forEach( ( packageDir, i ) => {
+      fs.mkdirSync( packageDir, { recursive: true } );
+      fs.writeFileSync( path.join( packageDir, 'package.json' ), ( i === 2 ? '{' : JSON.stringify( { name: `@team/${path.basename( packageDir )}` } ) ) );
+    } );
+    fs.writeFileSync( path.join( testPackageDirs[ 0 ], 'README.md' ), '# A\n' );
+    fs.writeFileSync( path.join( testPackageDirs[ 2 ], 'readme.md' ), '# C\n' );
+    findWorkspacePackagesStub = sandbox.stub( testStubs, 'findWorkspacePackages' ).returns( testPackageDirs );
+    processReadmeStub         = sandbox.stub( testStubs, 'processReadme' ).callsFake( async ( readmePathname, { packagePathname } ) => {
+      if ( packagePathname.startsWith( testPackageDirs[ 2 ] ) ) {
+        throw new Error( 'test error' );
+      }
+      return { readmeText: 'test readme text' };
+    } );
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+    fs.rmSync( testDir, { recursive: true, force: true } );
+  });
+
+  it ( 'OK, failed and skipped packages', async () => {
+    const actualResult = await testModule.processWorkspaces( testDir, { concurrency: 2, dryRun: true } );
+    sinon.assert.calledOnceWithExactly( findWorkspacePackagesStub, testDir );
+    sinon.assert.calledTwice( processReadmeStub );
+    sinon.assert.calledWithExactly( processReadmeStub, undefined, {
+      dryRun:          true,
+      packagePathname: path.join( testPackageDirs[ 0 ], 'package.json' ),
+      rootDir:         testDir,
+    } );
+    sinon.assert.calledWithExactly( processReadmeStub, undefined, { dryRun: true, packagePathname: path.join( testPackageDirs[ 2 ], 'package.json' ), rootDir: testDir } );
+    expect( actualResult.rootDir ).to.equal( testDir );
+    expect( actualResult.packages ).to.have.lengthOf( 3 );
+    expect( actualResult.packages[ 0 ] ).to.deep.equal( {
+      packageDir: testPackageDirs[ 0 ],
+      name:       '@team/a',
+      status:     'ok',
+      result:     { readmeText: 'test readme text' },
+    } );
+    expect( actualResult.packages[ 1 ] ).to.deep.equal( { packageDir: testPackageDirs[ 1 ], name: '@team/b', status: 'skipped', reason: 'No README file' } );
+    expect( actualResult.packages[ 2 ] ).to.include( { packageDir: testPackageDirs[ 2 ], name: null, status: 'failed' } );
+    expect( actualResult.packages[ 2 ].error.message ).to.equal( 'test error' );
+  });
+
+  it ( 'README file named by the readmeFilename property', async () => {
+    fs.mkdirSync( path.join( testPackageDirs[ 1 ], 'docs' ) );
+    fs.writeFileSync( path.join( testPackageDirs[ 1 ], 'docs', 'guide.md' ), '# B\n' );
+    fs.writeFileSync( path.join( testPackageDirs[ 1 ], 'package.json' ), JSON.stringify( { name: 'b', readmeFilename: 'docs/guide.md' } ) );
+    findWorkspacePackagesStub.returns( [ testPackageDirs[ 1 ] ] );
+    const actualResult = await testModule.processWorkspaces( testDir );
+    sinon.assert.calledOnceWithExactly( processReadmeStub, undefined, { packagePathname: path.join( testPackageDirs[ 1 ], 'package.json' ), rootDir: testDir } );
+    expect( actualResult.packages[ 0 ].status ).to.equal( 'ok' );
+  });
+
+  it ( 'Package configuration over the root configuration, under the options', async () => {
+    const testRootConfig = { config: { webPath: '/root/', urlTemplate: 'verdaccio-6', toc: { minDepth: 2, maxDepth: 3 } }, pathname: '/repo/.readmefixerrc' };
+    fs.writeFileSync( path.join( testPackageDirs[ 0 ], '.readmefixerrc' ), JSON.stringify( { webPath: '/pkg/', strict: true, toc: { maxDepth: 4 } } ) );
+    findWorkspacePackagesStub.returns( [ testPackageDirs[ 0 ] ] );
+    await testModule.processWorkspaces( testDir, { rootConfig: testRootConfig, strict: false, registry: undefined } );
+    sinon.assert.calledOnceWithExactly( processReadmeStub, undefined, {
+      webPath:         '/pkg/',
+      urlTemplate:     'verdaccio-6',
+      toc:             { minDepth: 2, maxDepth: 4 },
+      strict:          false,
+      packagePathname: path.join( testPackageDirs[ 0 ], 'package.json' ),
+      rootDir:         testDir,
+    } );
+  });
+
+  it ( 'Registry source, the configuration file that sets it', async () => {
+    const testRootConfig = { config: { registry: 'https://root.example.com' }, pathname: '/repo/.readmefixerrc' };
+    processReadmeStub.callsFake( async ( readmePathname, { registry } ) => ( { registry: { url: registry, source: 'option' } } ) );
+    fs.writeFileSync( path.join( testPackageDirs[ 2 ], 'package.json' ), JSON.stringify( { name: 'c', readmeFixer: { registry: 'https://c.example.com' } } ) );
+    let actualResult = await testModule.processWorkspaces( testDir, { rootConfig: testRootConfig } );
+    expect( actualResult.packages[ 0 ].result.registry ).to.deep.equal( { url: 'https://root.example.com', source: 'config', pathname: '/repo/.readmefixerrc' } );
+    expect( actualResult.packages[ 2 ].result.registry ).to.deep.equal( {
+      url:      'https://c.example.com',
+      source:   'config',
+      pathname: path.join( testPackageDirs[ 2 ], 'package.json' ),
+    } );
+    actualResult = await testModule.processWorkspaces( testDir, { rootConfig: testRootConfig, registry: 'https://cli.example.com' } );
+    expect( actualResult.packages[ 2 ].result.registry ).to.deep.equal( { url: 'https://cli.example.com', source: 'option' } );
+  });
+
+  it ( 'Invalid package configuration fails the package', async () => {
+    fs.writeFileSync( path.join( testPackageDirs[ 0 ], '.readmefixerrc' ), JSON.stringify( { strict: 'yes' } ) );
+    const actualResult = await testModule.processWorkspaces( testDir );
+    sinon.assert.calledOnce( processReadmeStub );
+    expect( actualResult.packages[ 0 ] ).to.include( { status: 'failed' } );
+    expect( actualResult.packages[ 0 ].error ).to.include( { code: 'EINVALIDCONFIG' } );
+  });
+
+  it ( 'Fail fast', async () => {
+    findWorkspacePackagesStub.returns( [ testPackageDirs[ 2 ], testPackageDirs[ 0 ] ] );
+    const actualResult = await testModule.processWorkspaces( testDir, { concurrency: 1, failFast: true } );
+    sinon.assert.calledOnce( processReadmeStub );
+    expect( actualResult.packages.map( ( { status } ) => status ) ).to.deep.equal( [ 'failed', 'skipped' ] );
+    expect( actualResult.packages[ 1 ].reason ).to.equal( 'Not started after a failure' );
+  });
+
+  it ( 'No workspaces', async () => {
+    let actualErr;
+    findWorkspacePackagesStub.throws( new Error( 'No workspaces defined' ) );
+    try {
+      await testModule.processWorkspaces( testDir );
+    }
+    catch ( err ) {
+      actualErr = err;
+    }
+    sinon.assert.notCalled( processReadmeStub );
+    expect( actualErr.message ).to.equal( 'No workspaces defined' );
+  });
 });
@@ -0,0 +1,251 @@
+/**
+ * DESCRIPTION:
+ * Unit Tests for the registry module.
+ */
+'use strict';
+
+const sinon      = require( 'sinon' );
+const { expect } = require( 'chai' );
+const rewire     = require( 'rewire' );
+const path       = require( 'path' );
+const fs         = require( 'fs' );
+const os         = require( 'os' );
+
+const REL_SRC_PATH  = '../../src/';
+const MODULE_NAME   = 'registry';
+const TEST_MODULE   = REL_SRC_PATH + MODULE_NAME;
+
+let sandbox;
+
+/**
+ * Modules load other modules, so to force a module reload need to delete
+ * the test module and all child modules from the require cache.
+ */
+function unrequireModules() {
+  const arrKey = [ require.resolve(TEST_MODULE),
+                 ];
+  for (let i in arrKey) {
+    let key = arrKey[i];
+    delete require.cache[key];
+  }
+}
+
+function commonBeforeEach() {
+  unrequireModules();
+  sandbox = sinon.createSandbox();
+}
+
+function commonAfterEach() {
+  sandbox.restore();
+  unrequireModules();
+}
+
+function createTestModule() {
+  const testModule = rewire( TEST_MODULE );
+  return testModule;
+}
+
+function createTestModuleAndGetProps( arrProp = [] ) {
+  const testModule = createTestModule();
+  const testProps  = {};
+  arrProp.forEach( m => { 
+    testProps[ m ] = testModule.__get__( m );
+  } );
+  const result = { testModule, testProps };
+  return result;
+}
+
+
+describe(MODULE_NAME + ':module can be loaded', () => {
+
+  beforeEach( () => {
+    commonBeforeEach();
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+  });
+
+  it ('module initialises OK', () => {
+    createTestModule();
+  });
+});
+
+describe(MODULE_NAME + ':parseNpmrc', () => {
+  let testFnName = 'parseNpmrc';
+  let testFn;
+  let testProps;
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn          = testProps[ testFnName ];
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+  });
+
+  it ('OK', () => {
+    const testText = [
+      '; comment',
+      '# comment',
+      '[section]',
+      'registry = https://a.example.com/ ',
+      '@team:registry=https://${HOST}/npm/',
+      '//a.example.com/:_authToken=${TOKEN}',
+      'quoted="https://q.example.com"',
+      "single='s'",
+      'no value',
+      '',
+      'registry=https://b.example.com',
+    ].join( '\r\n' );
+    expect( testFn( testText, { HOST: 'team.example.com' } ) ).to.deep.equal( {
+      'registry':                    'https://b.example.com',
+      '@team:registry':              'https://team.example.com/npm/',
+      '//a.example.com/:_authToken': '${TOKEN}',
+      'quoted':                      'https://q.example.com',
+      'single':                      's',
+    } );
+  });
+});
+
+describe(MODULE_NAME + ':genNpmrcPathnames', () => {
+  let testFnName = 'genNpmrcPathnames';
+  let testFn;
+  let testProps;
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn          = testProps[ testFnName ];
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+  });
+
+  it ('Default user config', () => {
+    expect( testFn( 'pkg', undefined, {} ) ).to.deep.equal( [ path.resolve( 'pkg', '.npmrc' ), path.join( os.homedir(), '.npmrc' ) ] );
+  });
+
+  it ('User config environment variable', () => {
+    expect( testFn( 'pkg', undefined, { npm_config_userconfig: '/etc/me/npmrc' } )[ 1 ] ).to.equal( path.resolve( '/etc/me/npmrc' ) );
+    expect( testFn( 'pkg', undefined, { NPM_CONFIG_USERCONFIG: '/etc/me/npmrc' } )[ 1 ] ).to.equal( path.resolve( '/etc/me/npmrc' ) );
+  });
+
+  it ('Workspace root after the package directory', () => {
+    expect( testFn( 'repo/pkg', 'repo', { npm_config_userconfig: '/etc/me/npmrc' } ) )
+      .to.deep.equal( [ path.resolve( 'repo/pkg', '.npmrc' ), path.resolve( 'repo', '.npmrc' ), path.resolve( '/etc/me/npmrc' ) ] );
+    expect( testFn( 'repo', 'repo', { npm_config_userconfig: '/etc/me/npmrc' } ) )
+      .to.deep.equal( [ path.resolve( 'repo', '.npmrc' ), path.resolve( '/etc/me/npmrc' ) ] );
+  });
+});
+
+describe(MODULE_NAME + ':resolveRegistry', () => {
+  let testFnName = 'resolveRegistry';
+  let testFn;
+  let testProps;
+  let testDir;
+  let testPackageDir;
+  let testUserConfig;
+  let testEnv;
+  let testPackageContent;
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn             = testProps[ testFnName ];
+    testDir            = fs.mkdtempSync( path.join( os.tmpdir(), 'registry-test-' ) );
+    testPackageDir     = path.join( testDir, 'pkg' );
+    testUserConfig     = path.join( testDir, 'user.npmrc' );
+    testEnv            = { npm_config_userconfig: testUserConfig };
+    testPackageContent = { name: '@team/my-pkg' };
+    fs.mkdirSync( testPackageDir );
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+    fs.rmSync( testDir, { recursive: true, force: true } );
+  });
+
+  it ('Option', () => {
+    testPackageContent.publishConfig = { registry: 'https://publish.example.com' };
+    expect( testFn( testPackageContent, { registry: 'https://option.example.com/', packageDir: testPackageDir, env: testEnv } ) )
+      .to.deep.equal( { url: 'https://option.example.com', source: 'option' } );
+  });
+
+  it ('publishConfig', () => {
+    testPackageContent.publishConfig = { registry: 'https://publish.example.com' };
+    fs.writeFileSync( path.join( testPackageDir, '.npmrc' ), '@team:registry=https://scope.example.com' );
+    expect( testFn( testPackageContent, { packageDir: testPackageDir, env: testEnv } ) )
+      .to.deep.equal( { url: 'https://publish.example.com', source: 'publishConfig' } );
+  });
+
+  it ('Scoped entry, project .npmrc first', () => {
+    fs.writeFileSync( path.join( testPackageDir, '.npmrc' ), 'registry=https://project.example.com\n@team:registry=https://project-scope.example.com/\n' );
+    fs.writeFileSync( testUserConfig, '@team:registry=https://user-scope.example.com\n' );
+    expect( testFn( testPackageContent, { packageDir: testPackageDir, env: testEnv } ) ).to.deep.equal( {
+      url:      'https://project-scope.example.com',
+      source:   'npmrc-scope',
+      pathname: path.join( testPackageDir, '.npmrc' ),
+      key:      '@team:registry',
+    } );
+  });
+
+  it ('Workspace root .npmrc after the project .npmrc, before the user .npmrc', () => {
+    fs.writeFileSync( path.join( testDir, '.npmrc' ), 'registry=https://root.example.com\n@team:registry=https://root-scope.example.com\n' );
+    fs.writeFileSync( testUserConfig, 'registry=https://user.example.com\n' );
+    expect( testFn( testPackageContent, { packageDir: testPackageDir, rootDir: testDir, env: testEnv } ) ).to.deep.equal( {
+      url:      'https://root-scope.example.com',
+      source:   'npmrc-scope',
+      pathname: path.join( testDir, '.npmrc' ),
+      key:      '@team:registry',
+    } );
+    fs.writeFileSync( path.join( testPackageDir, '.npmrc' ), '@team:registry=https://project-scope.example.com\n' );
+    expect( testFn( testPackageContent, { packageDir: testPackageDir, rootDir: testDir, env: testEnv } ).url ).to.equal( 'https://project-scope.example.com' );
+    expect( testFn( testPackageContent, { packageDir: testPackageDir, env: testEnv } ).url ).to.equal( 'https://project-scope.example.com' );
+    fs.rmSync( path.join( testPackageDir, '.npmrc' ) );
+    expect( testFn( testPackageContent, { packageDir: testPackageDir, env: testEnv } ).url ).to.equal( 'https://user.example.com' );
+  });
+
+  it ('Scoped entry in the user .npmrc before a plain entry in the project .npmrc', () => {
+    fs.writeFileSync( path.join( testPackageDir, '.npmrc' ), 'registry=https://project.example.com\n' );
+    fs.writeFileSync( testUserConfig, '@team:registry=https://user-scope.example.com\n' );
+    expect( testFn( testPackageContent, { packageDir: testPackageDir, env: testEnv } ) ).to.deep.equal( {
+      url:      'https://user-scope.example.com',
+      source:   'npmrc-scope',
+      pathname: testUserConfig,
+      key:      '@team:registry',
+    } );
+  });
+
+  it ('Plain entry, other scopes ignored', () => {
+    fs.writeFileSync( testUserConfig, '@other:registry=https://other.example.com\nregistry=https://user.example.com\n' );
+    expect( testFn( testPackageContent, { packageDir: testPackageDir, env: { ...testEnv, npm_config_registry: 'https://env.example.com' } } ) ).to.deep.equal( {
+      url:      'https://user.example.com',
+      source:   'npmrc',
+      pathname: testUserConfig,
+      key:      'registry',
+    } );
+  });
+
+  it ('Unscoped package ignores scoped entries', () => {
+    testPackageContent = { name: 'my-pkg' };
+    fs.writeFileSync( path.join( testPackageDir, '.npmrc' ), '@team:registry=https://scope.example.com\n' );
+    expect( testFn( testPackageContent, { packageDir: testPackageDir, env: testEnv } ) )
+      .to.deep.equal( { url: 'http://localhost:4873', source: 'default' } );
+  });
+
+  it ('Environment variable', () => {
+    expect( testFn( testPackageContent, { packageDir: testPackageDir, env: { ...testEnv, npm_config_registry: 'https://env.example.com/' } } ) )
+      .to.deep.equal( { url: 'https://env.example.com', source: 'env', key: 'npm_config_registry' } );
+    expect( testFn( testPackageContent, { packageDir: testPackageDir, env: { ...testEnv, NPM_CONFIG_REGISTRY: 'https://env.example.com' } } ) )
+      .to.deep.equal( { url: 'https://env.example.com', source: 'env', key: 'NPM_CONFIG_REGISTRY' } );
+  });
+
+  it ('Default', () => {
+    expect( testFn( testPackageContent, { packageDir: testPackageDir, env: testEnv } ) )
+      .to.deep.equal( { url: 'http://localhost:4873', source: 'default' } );
+  });
+});
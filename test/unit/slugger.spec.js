@@ -0,0 +1,196 @@
+/**
+ * DESCRIPTION:
+ * Unit Tests for the slugger module.
+ */
+'use strict';
+
+const sinon      = require( 'sinon' );
+const { expect } = require( 'chai' );
+const rewire     = require( 'rewire' );
+
+const REL_SRC_PATH  = '../../src/';
+const MODULE_NAME   = 'slugger';
+const TEST_MODULE   = REL_SRC_PATH + MODULE_NAME;
+
+let sandbox;
+
+/**
+ * Modules load other modules, so to force a module reload need to delete
+ * the test module and all child modules from the require cache.
+ */
+function unrequireModules() {
+  const arrKey = [ require.resolve(TEST_MODULE),
+                 ];
+  for (let i in arrKey) {
+    let key = arrKey[i];
+    delete require.cache[key];
+  }
+}
+
+function commonBeforeEach() {
+  unrequireModules();
+  sandbox = sinon.createSandbox();
+}
+
+function commonAfterEach() {
+  sandbox.restore();
+  unrequireModules();
+}
+
+function createTestModule() {
+  const testModule = rewire( TEST_MODULE );
+  return testModule;
+}
+
+function createTestModuleAndGetProps( arrProp = [] ) {
+  const testModule = createTestModule();
+  const testProps  = {};
+  arrProp.forEach( m => { 
+    testProps[ m ] = testModule.__get__( m );
+  } );
+  const result = { testModule, testProps };
+  return result;
+}
+
+describe(MODULE_NAME + ':module can be loaded', () => {
+
+  beforeEach( () => {
+    commonBeforeEach();
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+  });
+
+  it ('module initialises OK', () => {
+    createTestModule();
+  });
+});
+
+describe(MODULE_NAME + ':genPlainText', () => {
+  let testFnName = 'genPlainText';
+  let testFn;
+  let testProps;
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn          = testProps[ testFnName ];
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+  });
+
+  it ( 'Plain text', () => {
+    expect( testFn( 'README.md file' ) ).to.equal( 'README.md file' );
+  });
+
+  it ( 'Emphasis and code spans', () => {
+    expect( testFn( '*Using* __the__ `` `fixLinks` `` function' ) ).to.equal( 'Using the `fixLinks` function' );
+  });
+
+  it ( 'Links and images', () => {
+    expect( testFn( '[Link *text*](#dest "Title") ![Alt](img.png) <https://example.com>' ) ).to.equal( 'Link text Alt https://example.com' );
+  });
+
+  it ( 'Escapes and character references', () => {
+    expect( testFn( '\\*Not emphasis\\* &amp; &copy; &#x1F680;' ) ).to.equal( '*Not emphasis* & © 🚀' );
+  });
+
+  it ( 'Raw HTML', () => {
+    expect( testFn( 'Some <b class="x">bold</b> text' ) ).to.equal( 'Some bold text' );
+  });
+
+  it ( 'Multi-line setext heading', () => {
+    expect( testFn( 'Line one\nLine two' ) ).to.equal( 'Line one\nLine two' );
+  });
+});
+
+describe(MODULE_NAME + ':serializeSlug', () => {
+  let testFnName = 'serializeSlug';
+  let testFn;
+  let testProps;
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn          = testProps[ testFnName ];
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+  });
+
+  it ( 'Punctuation is removed', () => {
+    expect( testFn( 'README.md file' ) ).to.equal( 'readmemd-file' );
+    expect( testFn( 'What\'s new? (v2.0) [beta]' ) ).to.equal( 'whats-new-v20-beta' );
+  });
+
+  it ( 'Dashes and underscores are kept', () => {
+    expect( testFn( 'pre-publish_only' ) ).to.equal( 'pre-publish_only' );
+  });
+
+  it ( 'Whitespace is trimmed and each whitespace character replaced', () => {
+    expect( testFn( '  A  b\tc\nd  ' ) ).to.equal( 'a--b-c-d' );
+  });
+
+  it ( 'Unicode punctuation is removed', () => {
+    expect( testFn( 'A — B “quoted” ⸮' ) ).to.equal( 'a--b-quoted-' );
+  });
+
+  it ( 'Unicode letters are kept and lowercased', () => {
+    expect( testFn( 'Über Café' ) ).to.equal( 'über-café' );
+    expect( testFn( 'Установка' ) ).to.equal( 'установка' );
+    expect( testFn( '安装指南' ) ).to.equal( '安装指南' );
+  });
+
+  it ( 'Emoji are kept, zero width joiners are removed', () => {
+    expect( testFn( '🚀 Getting Started' ) ).to.equal( '🚀-getting-started' );
+    expect( testFn( '👩‍💻 Dev' ) ).to.equal( '👩💻-dev' );
+  });
+
+  it ( 'HTML tags are removed', () => {
+    expect( testFn( 'a <b>bold</b> move' ) ).to.equal( 'a-bold-move' );
+  });
+});
+
+describe(MODULE_NAME + ':genSlugger', () => {
+  let testFnName = 'genSlugger';
+  let testFn;
+  let testProps;
+  let testSlug;
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn          = testProps[ testFnName ];
+    testSlug        = testFn();
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+  });
+
+  it ( 'Markdown heading', () => {
+    expect( testSlug( '`README.md` *file*' ) ).to.equal( 'readmemd-file' );
+  });
+
+  it ( 'Duplicates are numbered', () => {
+    expect( testSlug( 'Install' ) ).to.equal( 'install' );
+    expect( testSlug( '*Install*' ) ).to.equal( 'install-1' );
+    expect( testSlug( 'Install 1' ) ).to.equal( 'install-1-1' );
+    expect( testSlug( 'Install' ) ).to.equal( 'install-2' );
+  });
+
+  it ( 'Each slugger is independent', () => {
+    expect( testSlug( 'Install' ) ).to.equal( 'install' );
+    expect( testFn()( 'Install' ) ).to.equal( 'install' );
+  });
+
+  it ( 'Slugs that match object properties', () => {
+    expect( testSlug( 'constructor' ) ).to.equal( 'constructor' );
+    expect( testSlug( 'hasOwnProperty' ) ).to.equal( 'hasownproperty' );
+    expect( testSlug( 'constructor' ) ).to.equal( 'constructor-1' );
+  });
+});
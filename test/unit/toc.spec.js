@@ -0,0 +1,306 @@
+/**
+ * DESCRIPTION:
+ * Unit Tests for the toc module.
+ */
+'use strict';
+
+const sinon      = require( 'sinon' );
+const { expect } = require( 'chai' );
+const rewire     = require( 'rewire' );
+
+const REL_SRC_PATH  = '../../src/';
+const MODULE_NAME   = 'toc';
+const TEST_MODULE   = REL_SRC_PATH + MODULE_NAME;
+
+let sandbox;
+
+/**
+ * Modules load other modules, so to force a module reload need to delete
+ * the test module and all child modules from the require cache.
+ */
+function unrequireModules() {
+  const arrKey = [ require.resolve(TEST_MODULE),
+                 ];
+  for (let i in arrKey) {
+    let key = arrKey[i];
+    delete require.cache[key];
+  }
+}
+
+function commonBeforeEach() {
+  unrequireModules();
+  sandbox = sinon.createSandbox();
+}
+
+function commonAfterEach() {
+  sandbox.restore();
+  unrequireModules();
+}
+
+function createTestModule() {
+  const testModule = rewire( TEST_MODULE );
+  return testModule;
+}
+
+function createTestModuleAndGetProps( arrProp = [] ) {
+  const testModule = createTestModule();
+  const testProps  = {};
+  arrProp.forEach( m => { 
+    testProps[ m ] = testModule.__get__( m );
+  } );
+  const result = { testModule, testProps };
+  return result;
+}
+
+describe(MODULE_NAME + ':module can be loaded', () => {
+
+  beforeEach( () => {
+    commonBeforeEach();
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+  });
+
+  it ('module initialises OK', () => {
+    createTestModule();
+  });
+});
+
+describe(MODULE_NAME + ':genTocOptions', () => {
+  let testFnName = 'genTocOptions';
+  let testFn;
+  let testProps;
+  let actualErr;
+
+  function callTestFn( options ) {
+    actualErr = undefined;
+    try {
+      testFn( options );
+    }
+    catch ( err ) {
+      actualErr = err;
+    }
+  }
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn          = testProps[ testFnName ];
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+  });
+
+  it ( 'Defaults', () => {
+    expect( testFn() ).to.deep.equal( { minDepth: 1, maxDepth: 6, arrBullet: [ '-' ] } );
+  });
+
+  it ( 'Options specified', () => {
+    expect( testFn( { minDepth: 2, maxDepth: 3, bullet: [ '*', '+' ] } ) ).to.deep.equal( { minDepth: 2, maxDepth: 3, arrBullet: [ '*', '+' ] } );
+  });
+
+  it ( 'Invalid depth', () => {
+    callTestFn( { maxDepth: 7 } );
+    expect( actualErr.message ).to.equal( 'Invalid TOC heading depth: 7' );
+    callTestFn( { minDepth: '2' } );
+    expect( actualErr.message ).to.equal( 'Invalid TOC heading depth: 2' );
+  });
+
+  it ( 'Invalid depth range', () => {
+    callTestFn( { minDepth: 3, maxDepth: 2 } );
+    expect( actualErr.message ).to.equal( 'Invalid TOC heading depth range: 3 to 2' );
+  });
+
+  it ( 'Invalid bullet', () => {
+    callTestFn( { bullet: '1.' } );
+    expect( actualErr.message ).to.equal( 'Invalid TOC bullet: "1."' );
+    callTestFn( { bullet: [] } );
+    expect( actualErr.message ).to.equal( 'Invalid TOC bullet: []' );
+  });
+});
+
+describe(MODULE_NAME + ':escapeLinkText', () => {
+  let testFnName = 'escapeLinkText';
+  let testFn;
+  let testProps;
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn          = testProps[ testFnName ];
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+  });
+
+  it ( 'OK', () => {
+    expect( testFn( 'The [*fixLinks*]\n_function_ <a> & `x` \\' ) ).to.equal( 'The \\[\\*fixLinks\\*\\] \\_function\\_ \\<a\\> \\& \\`x\\` \\\\' );
+  });
+});
+
+describe(MODULE_NAME + ':genToc', () => {
+  let testFnName = 'genToc';
+  let testFn;
+  let testProps;
+  let testHeadings;
+  let actualResult;
+  let expectedResult;
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn          = testProps[ testFnName ];
+    testHeadings    = [
+      { depth: 1, text: 'Overview' },
+      { depth: 2, text: 'Usage' },
+      { depth: 4, text: 'The `fixLinks` *function*' },
+      { depth: 3, text: 'Options' },
+      { depth: 2, text: 'Usage' },
+      { depth: 1, text: 'Testing' },
+    ];
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+  });
+
+  it ( 'No headings', () => {
+    expect( testFn( [], {} ) ).to.equal( '' );
+  });
+
+  it ( 'Defaults', () => {
+    expectedResult = [
+      '- [Overview](#overview)',
+      '  - [Usage](#usage)',
+      '    - [The fixLinks function](#the-fixlinks-function)',
+      '    - [Options](#options)',
+      '  - [Usage](#usage-1)',
+      '- [Testing](#testing)',
+    ].join( '\n' );
+    actualResult = testFn( testHeadings, {} );
+    expect( actualResult ).to.equal( expectedResult );
+  });
+
+  it ( 'Depth range keeps duplicate numbering', () => {
+    testHeadings.unshift( { depth: 3, text: 'Options' } );
+    expectedResult = [
+      '* [Options](#options)',
+      '* [Usage](#usage)',
+      '  * [Options](#options-1)',
+      '* [Usage](#usage-1)',
+    ].join( '\n' );
+    actualResult = testFn( testHeadings, { minDepth: 2, maxDepth: 3, bullet: '*' } );
+    expect( actualResult ).to.equal( expectedResult );
+  });
+
+  it ( 'Bullet per level', () => {
+    expectedResult = [
+      '- [Overview](#overview)',
+      '  + [Usage](#usage)',
+      '    + [The fixLinks function](#the-fixlinks-function)',
+      '    + [Options](#options)',
+      '  + [Usage](#usage-1)',
+      '- [Testing](#testing)',
+    ].join( '\n' );
+    actualResult = testFn( testHeadings, { bullet: [ '-', '+' ] } );
+    expect( actualResult ).to.equal( expectedResult );
+  });
+});
+
+describe(MODULE_NAME + ':updateToc', () => {
+  let testFnName = 'updateToc';
+  let testFn;
+  let testProps;
+  let testText;
+  let actualResult;
+  let expectedResult;
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn          = testProps[ testFnName ];
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+  });
+
+  it ( 'No markers', () => {
+    testText     = '# Title\n\n## Usage\n';
+    actualResult = testFn( testText );
+    expect( actualResult ).to.equal( testText );
+  });
+
+  it ( 'Stale TOC is replaced', () => {
+    testText       = '# Title\n\n<!-- toc -->\n- [Old](#old)\n<!-- tocstop -->\n\n## Usage\n\n```\n# Not a heading\n```\n';
+    expectedResult = '# Title\n\n<!-- toc -->\n\n- [Title](#title)\n  - [Usage](#usage)\n\n<!-- tocstop -->\n\n## Usage\n\n```\n# Not a heading\n```\n';
+    actualResult   = testFn( testText );
+    expect( actualResult ).to.equal( expectedResult );
+  });
+
+  it ( 'Empty TOC is filled, with options', () => {
+    testText       = '# Title\n<!-- toc -->\n<!-- tocstop -->\n## Usage\n### Options\n';
+    expectedResult = '# Title\n<!-- toc -->\n\n* [Usage](#usage)\n\n<!-- tocstop -->\n## Usage\n### Options\n';
+    actualResult   = testFn( testText, { minDepth: 2, maxDepth: 2, bullet: '*' } );
+    expect( actualResult ).to.equal( expectedResult );
+  });
+
+  it ( 'CRLF line endings', () => {
+    testText       = '# Title\r\n\r\n<!-- toc -->\r\n<!-- tocstop -->\r\n\r\n## Usage\r\n';
+    expectedResult = '# Title\r\n\r\n<!-- toc -->\r\n\r\n- [Title](#title)\r\n  - [Usage](#usage)\r\n\r\n<!-- tocstop -->\r\n\r\n## Usage\r\n';
+    actualResult   = testFn( testText );
+    expect( actualResult ).to.equal( expectedResult );
+  });
+
+  it ( 'No headings', () => {
+    testText       = '<!-- toc -->\n- [Old](#old)\n<!-- tocstop -->\n';
+    expectedResult = '<!-- toc -->\n\n<!-- tocstop -->\n';
+    actualResult   = testFn( testText );
+    expect( actualResult ).to.equal( expectedResult );
+  });
+
+  it ( 'Markers without a stop, or inside code, are ignored', () => {
+    testText     = '# Title\n\n```\n<!-- toc -->\n<!-- tocstop -->\n```\n\n<!-- toc -->\n- [Old](#old)\n';
+    actualResult = testFn( testText );
+    expect( actualResult ).to.equal( testText );
+  });
+
+  it ( 'Multiple TOCs', () => {
+    testText       = '<!-- toc -->\nx\n<!-- tocstop -->\n\n# Title\n\n<!-- toc -->\ny\n<!-- tocstop -->\n';
+    expectedResult = '<!-- toc -->\n\n- [Title](#title)\n\n<!-- tocstop -->\n\n# Title\n\n<!-- toc -->\n\n- [Title](#title)\n\n<!-- tocstop -->\n';
+    actualResult   = testFn( testText );
+    expect( actualResult ).to.equal( expectedResult );
+  });
+});
+
+describe(MODULE_NAME + ':maskToc', () => {
+  let testFnName = 'maskToc';
+  let testFn;
+  let testProps;
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn          = testProps[ testFnName ];
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+  });
+
+  it ( 'No markers', () => {
+    expect( testFn( '# Title\n\n[Old](#old)\n' ) ).to.equal( '# Title\n\n[Old](#old)\n' );
+  });
+
+  it ( 'TOC content blanked out, line endings kept', () => {
+    expect( testFn( '# Title\r\n<!-- toc -->\r\n- [Old](#old)\r\n<!-- tocstop -->\r\n[Old](#old)\r\n' ) )
+      .to.equal( '# Title\r\n<!-- toc -->\r\n             \r\n<!-- tocstop -->\r\n[Old](#old)\r\n' );
+  });
+
+  it ( 'Markers without a stop are ignored', () => {
+    expect( testFn( '<!-- toc -->\n- [Old](#old)\n' ) ).to.equal( '<!-- toc -->\n- [Old](#old)\n' );
+  });
+});
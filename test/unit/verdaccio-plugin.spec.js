@@ -0,0 +1,209 @@
+/**
+ * DESCRIPTION:
+ * Unit Tests for the verdaccio-plugin module.
+ */
+'use strict';
+
+const sinon      = require( 'sinon' );
+const { expect } = require( 'chai' );
+const rewire     = require( 'rewire' );
+
+const REL_SRC_PATH  = '../../src/';
+const MODULE_NAME   = 'verdaccio-plugin';
+const TEST_MODULE   = REL_SRC_PATH + MODULE_NAME;
+
+let sandbox;
+
+/**
+ * Modules load other modules, so to force a module reload need to delete
+ * the test module and all child modules from the require cache.
+ */
+function unrequireModules() {
+  const arrKey = [ require.resolve(TEST_MODULE),
+                 ];
+  for (let i in arrKey) {
+    let key = arrKey[i];
+    delete require.cache[key];
+  }
+}
+
+function commonBeforeEach() {
+  unrequireModules();
+  sandbox = sinon.createSandbox();
+}
+
+function commonAfterEach() {
+  sandbox.restore();
+  unrequireModules();
+}
+
+function createTestModule() {
+  const testModule = rewire( TEST_MODULE );
+  return testModule;
+}
+
+function createTestModuleAndGetProps( arrProp = [] ) {
+  const testModule = createTestModule();
+  const testProps  = {};
+  arrProp.forEach( m => { 
+    testProps[ m ] = testModule.__get__( m );
+  } );
+  const result = { testModule, testProps };
+  return result;
+}
+
+
+describe(MODULE_NAME + ':module can be loaded', () => {
+
+  beforeEach( () => {
+    commonBeforeEach();
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+  });
+
+  it ('module initialises OK', () => {
+    createTestModule();
+  });
+});
+
+describe(MODULE_NAME + ':genVerdaccioRegistry', () => {
+  let testFnName = 'genVerdaccioRegistry';
+  let testFn;
+  let testProps;
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn          = testProps[ testFnName ];
+    sandbox.stub( process, 'env' ).value( {} );
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+  });
+
+  it ( 'Default', () => {
+    expect( testFn( undefined ) ).to.equal( 'http://localhost:4873' );
+    expect( testFn( { url_prefix: '/npm/' } ) ).to.equal( 'http://localhost:4873/npm' );
+  });
+
+  it ( 'Public URL environment variable', () => {
+    process.env.VERDACCIO_PUBLIC_URL = 'https://registry.example.com/';
+    expect( testFn( {} ) ).to.equal( 'https://registry.example.com' );
+    expect( testFn( { url_prefix: 'npm' } ) ).to.equal( 'https://registry.example.com/npm' );
+  });
+
+  it ( 'URL prefix is a URL', () => {
+    process.env.VERDACCIO_PUBLIC_URL = 'https://registry.example.com/';
+    expect( testFn( { url_prefix: 'https://other.example.com/npm/' } ) ).to.equal( 'https://other.example.com/npm' );
+  });
+});
+
+describe(MODULE_NAME + ':genReadmeFilter', () => {
+  let testFn;
+  let testLogger;
+  let testParams;
+  let testPackument;
+
+  beforeEach( () => {
+    commonBeforeEach();
+    testFn        = createTestModule();
+    testLogger    = { warn: sandbox.stub() };
+    testParams    = { config: { url_prefix: '/' }, logger: testLogger };
+    testPackument = {
+      name:        '@team/my-pkg',
+      'dist-tags': { latest: '1.1.0' },
+      readme:      '# Usage\n\n[Usage](#usage)\n',
+      versions:    {
+        '1.0.0': { name: '@team/my-pkg', version: '1.0.0' },
+        '1.1.0': { name: '@team/my-pkg', version: '1.1.0', readme: '[Usage](#usage)\n' },
+      },
+    };
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+  });
+
+  it ( 'Readme of the packument fixed, not of the versions', async () => {
+    const testPlugin   = testFn( { registry: 'https://registry.example.com' }, testParams );
+    const actualResult = await testPlugin.filter_metadata( testPackument );
+    expect( actualResult.readme ).to.equal( '# Usage\n\n[Usage](https://registry.example.com/-/web/detail/@team%2Fmy-pkg?#usage)\n' );
+    expect( actualResult.versions ).to.equal( testPackument.versions );
+    expect( actualResult.versions[ '1.1.0' ].readme ).to.equal( '[Usage](#usage)\n' );
+    expect( testPackument.readme ).to.equal( '# Usage\n\n[Usage](#usage)\n' );
+    sinon.assert.notCalled( testLogger.warn );
+  });
+
+  it ( 'Unchanged packument not parsed again', async () => {
+    const fixReadmeTextSpy = sandbox.spy( testFn.__get__( 'fixReadmeText' ) );
+    testFn.__set__( 'fixReadmeText', fixReadmeTextSpy );
+    const testPlugin   = testFn( { registry: 'https://registry.example.com' }, testParams );
+    fixReadmeTextSpy.resetHistory(); // The options are checked when the plugin is loaded
+    const fixedResult  = await testPlugin.filter_metadata( JSON.parse( JSON.stringify( testPackument ) ) );
+    const actualResult = await testPlugin.filter_metadata( JSON.parse( JSON.stringify( testPackument ) ) );
+    expect( actualResult ).to.deep.equal( fixedResult );
+    sinon.assert.calledOnce( fixReadmeTextSpy );
+  });
+
+  it ( 'Changed readme or latest version parsed again', async () => {
+    const fixReadmeTextSpy = sandbox.spy( testFn.__get__( 'fixReadmeText' ) );
+    testFn.__set__( 'fixReadmeText', fixReadmeTextSpy );
+    const testPlugin = testFn( { registry: 'https://registry.example.com' }, testParams );
+    fixReadmeTextSpy.resetHistory();
+    await testPlugin.filter_metadata( testPackument );
+    const actualResult = await testPlugin.filter_metadata( { ...testPackument, readme: '[Install](#install)\n' } );
+    expect( actualResult.readme ).to.equal( '[Install](https://registry.example.com/-/web/detail/@team%2Fmy-pkg?#install)\n' );
+    await testPlugin.filter_metadata( { ...testPackument, 'dist-tags': { latest: '1.0.0' } } );
+    sinon.assert.calledThrice( fixReadmeTextSpy );
+  });
+
+  it ( 'Least recently served readme removed from the cache', async () => {
+    const fixReadmeTextSpy = sandbox.spy( testFn.__get__( 'fixReadmeText' ) );
+    testFn.__set__( 'fixReadmeText', fixReadmeTextSpy );
+    testFn.__set__( 'CACHE_SIZE', 2 );
+    const testPlugin = testFn( {}, testParams );
+    fixReadmeTextSpy.resetHistory();
+    for ( const name of [ 'a', 'b', 'a', 'c', 'a', 'b' ] ) {
+      await testPlugin.filter_metadata( { ...testPackument, name } );
+    }
+    expect( fixReadmeTextSpy.args.map( ( [ { packageContent } ] ) => packageContent.name ) ).to.deep.equal( [ 'a', 'b', 'c', 'b' ] );
+  });
+
+  it ( 'Already fixed readme unchanged', async () => {
+    const testPlugin  = testFn( { registry: 'https://registry.example.com' }, testParams );
+    const fixedResult = await testPlugin.filter_metadata( testPackument );
+    expect( await testPlugin.filter_metadata( fixedResult ) ).to.deep.equal( fixedResult );
+  });
+
+  it ( 'Options from the plugin and Verdaccio configuration', async () => {
+    sandbox.stub( process, 'env' ).value( {} );
+    const testPlugin   = testFn( { urlTemplate: 'verdaccio-6' }, { config: { url_prefix: '/npm/' }, logger: testLogger } );
+    const actualResult = await testPlugin.filter_metadata( { name: 'my-pkg', readme: '[Usage](#usage)' } );
+    expect( actualResult ).to.deep.equal( { name: 'my-pkg', readme: '[Usage](http://localhost:4873/npm/-/web/detail/my-pkg#usage)' } );
+  });
+
+  it ( 'Link type options', async () => {
+    const testPlugin   = testFn( { links: { html: false } }, testParams );
+    const actualResult = await testPlugin.filter_metadata( { name: 'my-pkg', readme: '[Usage](#usage) <a href="#api">API</a>' } );
+    expect( actualResult.readme ).to.equal( '[Usage](http://localhost:4873/-/web/detail/my-pkg?#usage) <a href="#api">API</a>' );
+  });
+
+  it ( 'No readme', async () => {
+    const testPlugin = testFn( {}, testParams );
+    expect( await testPlugin.filter_metadata( { name: 'my-pkg', versions: {} } ) ).to.deep.equal( { name: 'my-pkg', versions: {} } );
+  });
+
+  it ( 'Invalid option', () => {
+    expect( () => testFn( { urlTemplate: 'bogus' }, testParams ) ).to.throw( 'Invalid URL template: bogus' );
+  });
+
+  it ( 'Readme not fixed, warning logged', async () => {
+    const testPlugin = testFn( { fileLinks: { strategy: 'repository' } }, testParams );
+    expect( await testPlugin.filter_metadata( testPackument ) ).to.equal( testPackument );
+    expect( await testPlugin.filter_metadata( testPackument ) ).to.equal( testPackument );
+    sinon.assert.calledOnceWithExactly( testLogger.warn, sinon.match( { name: '@team/my-pkg' } ), sinon.match( 'README of @{name} not fixed' ) );
+  });
+});
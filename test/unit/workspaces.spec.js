@@ -0,0 +1,254 @@
+/**
+ * DESCRIPTION:
+ * Unit Tests for the workspaces module.
+ */
+'use strict';
+
+const sinon      = require( 'sinon' );
+const { expect } = require( 'chai' );
+const rewire     = require( 'rewire' );
+const path       = require( 'path' );
+const fs         = require( 'fs' );
+const os         = require( 'os' );
+
+const REL_SRC_PATH  = '../../src/';
+const MODULE_NAME   = 'workspaces';
+const TEST_MODULE   = REL_SRC_PATH + MODULE_NAME;
+
+let sandbox;
+
+/**
+ * Modules load other modules, so to force a module reload need to delete
+ * the test module and all child modules from the require cache.
+ */
+function unrequireModules() {
+  const arrKey = [ require.resolve(TEST_MODULE),
+                 ];
+  for (let i in arrKey) {
+    let key = arrKey[i];
+    delete require.cache[key];
+  }
+}
+
+function commonBeforeEach() {
+  unrequireModules();
+  sandbox = sinon.createSandbox();
+}
+
+function commonAfterEach() {
+  sandbox.restore();
+  unrequireModules();
+}
+
+function createTestModule() {
+  const testModule = rewire( TEST_MODULE );
+  return testModule;
+}
+
+function createTestModuleAndGetProps( arrProp = [] ) {
+  const testModule = createTestModule();
+  const testProps  = {};
+  arrProp.forEach( m => { 
+    testProps[ m ] = testModule.__get__( m );
+  } );
+  const result = { testModule, testProps };
+  return result;
+}
+
+
+describe(MODULE_NAME + ':module can be loaded', () => {
+
+  beforeEach( () => {
+    commonBeforeEach();
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+  });
+
+  it ('module initialises OK', () => {
+    createTestModule();
+  });
+});
+
+describe(MODULE_NAME + ':parsePnpmWorkspace', () => {
+  let testFnName = 'parsePnpmWorkspace';
+  let testFn;
+  let testProps;
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn          = testProps[ testFnName ];
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+  });
+
+  it ( 'Block list', () => {
+    expect( testFn( [
+      '# The packages',
+      'packages:',
+      "  - 'packages/*'",
+      '',
+      '  # The tools',
+      '  - "tools/**"   # All levels',
+      '  - apps/web',
+      "  - '!**/test/**'",
+      'catalog:',
+      '  - not/a/package',
+    ].join( '\n' ) ) ).to.deep.equal( [ 'packages/*', 'tools/**', 'apps/web', '!**/test/**' ] );
+  });
+
+  it ( 'Flow list', () => {
+    expect( testFn( "packages: [ 'packages/*', \"tools/*\" ]\r\n" ) ).to.deep.equal( [ 'packages/*', 'tools/*' ] );
+    expect( testFn( 'packages: []\n' ) ).to.deep.equal( [] );
+  });
+
+  it ( 'No packages', () => {
+    expect( testFn( 'catalog:\n  react: ^18\n' ) ).to.deep.equal( [] );
+  });
+});
+
+describe(MODULE_NAME + ':findWorkspacePackages', () => {
+  let testFnName = 'findWorkspacePackages';
+  let testFn;
+  let testProps;
+  let testDir;
+
+  function writeTestFile( relPathname, content ) {
+    const pathname = path.join( testDir, relPathname );
+    fs.mkdirSync( path.dirname( pathname ), { recursive: true } );
+    fs.writeFileSync( pathname, content );
+  }
+
+  function writeTestPackages( arrRelDir ) {
+    arrRelDir.forEach( relDir => writeTestFile( path.join( relDir, 'package.json' ), `{ "name": "${path.basename( relDir )}" }` ) );
+  }
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn          = testProps[ testFnName ];
+    testDir         = fs.mkdtempSync( path.join( os.tmpdir(), 'workspaces-test-' ) );
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+    fs.rmSync( testDir, { recursive: true, force: true } );
+  });
+
+  it ( 'package.json workspaces array', () => {
+    writeTestFile( 'package.json', '{ "private": true, "workspaces": [ "packages/*", "./tools/cli/" ] }' );
+    writeTestPackages( [ 'packages/b', 'packages/a', 'tools/cli', 'other/c' ] );
+    fs.mkdirSync( path.join( testDir, 'packages', 'no-package' ) );
+    expect( testFn( testDir ) ).to.deep.equal( [ 'packages/a', 'packages/b', 'tools/cli' ].map( relDir => path.join( testDir, relDir ) ) );
+  });
+
+  it ( 'package.json workspaces packages property', () => {
+    writeTestFile( 'package.json', '{ "workspaces": { "packages": [ "packages/*" ], "nohoist": [ "**" ] } }' );
+    writeTestPackages( [ 'packages/a' ] );
+    expect( testFn( testDir ) ).to.deep.equal( [ path.join( testDir, 'packages/a' ) ] );
+  });
+
+  it ( 'pnpm-workspace.yaml', () => {
+    writeTestFile( 'package.json', '{ "name": "root" }' );
+    writeTestFile( 'pnpm-workspace.yaml', "packages:\n  - 'packages/**'\n  - '!packages/internal/**'\n" );
+    writeTestPackages( [ 'packages/a', 'packages/group/b', 'packages/internal/c', 'packages/a/node_modules/d', 'packages/.hidden' ] );
+    expect( testFn( testDir ) ).to.deep.equal( [ 'packages/a', 'packages/group/b' ].map( relDir => path.join( testDir, relDir ) ) );
+  });
+
+  it ( 'Exclusion and duplicate patterns', () => {
+    writeTestFile( 'package.json', '{ "workspaces": [ "packages/*", "packages/a", "!packages/b" ] }' );
+    writeTestPackages( [ 'packages/a', 'packages/b' ] );
+    expect( testFn( testDir ) ).to.deep.equal( [ path.join( testDir, 'packages/a' ) ] );
+  });
+
+  it ( 'Missing directory', () => {
+    writeTestFile( 'package.json', '{ "workspaces": [ "packages/*" ] }' );
+    expect( testFn( testDir ) ).to.deep.equal( [] );
+  });
+
+  it ( 'No workspaces', () => {
+    expect( () => testFn( testDir ) ).to.throw( `No workspaces defined in ${path.join( testDir, 'package.json' )} or ` );
+    writeTestFile( 'package.json', '{ "name": "root" }' );
+    expect( () => testFn( testDir ) ).to.throw( 'No workspaces defined in ' );
+  });
+});
+
+describe(MODULE_NAME + ':runConcurrently', () => {
+  let testFnName = 'runConcurrently';
+  let testFn;
+  let testProps;
+  let running;
+  let maxRunning;
+
+  async function testTask( item ) {
+    maxRunning = Math.max( maxRunning, ++running );
+    await new Promise( resolve => setImmediate( resolve ) );
+    --running;
+    if ( item < 0 ) {
+      throw new Error( `test error ${item}` );
+    }
+    return item * 2;
+  }
+
+  beforeEach( () => {
+    commonBeforeEach();
+    ( { testProps } = createTestModuleAndGetProps( [ testFnName ] ) );
+    testFn          = testProps[ testFnName ];
+    running         = 0;
+    maxRunning      = 0;
+  });
+
+  afterEach( () => {
+    commonAfterEach();
+  });
+
+  it ( 'OK, in order', async () => {
+    expect( await testFn( [ 1, 2, 3, 4, 5, 6 ], testTask ) ).to.deep.equal( [ 2, 4, 6, 8, 10, 12 ].map( value => ( { status: 'ok', value } ) ) );
+    expect( maxRunning ).to.equal( 4 );
+  });
+
+  it ( 'Concurrency', async () => {
+    await testFn( [ 1, 2, 3, 4, 5 ], testTask, { concurrency: 2 } );
+    expect( maxRunning ).to.equal( 2 );
+    maxRunning = 0;
+    await testFn( [ 1, 2, 3 ], testTask, { concurrency: 1 } );
+    expect( maxRunning ).to.equal( 1 );
+  });
+
+  it ( 'No items', async () => {
+    expect( await testFn( [], testTask ) ).to.deep.equal( [] );
+  });
+
+  it ( 'A failure does not stop the others', async () => {
+    const outcomes = await testFn( [ 1, -2, 3, 4 ], testTask, { concurrency: 1 } );
+    expect( outcomes.map( ( { status } ) => status ) ).to.deep.equal( [ 'ok', 'failed', 'ok', 'ok' ] );
+    expect( outcomes[ 1 ].error.message ).to.equal( 'test error -2' );
+  });
+
+  it ( 'Fail fast', async () => {
+    const outcomes = await testFn( [ 1, -2, 3, 4 ], testTask, { concurrency: 1, failFast: true } );
+    expect( outcomes.map( ( { status } ) => status ) ).to.deep.equal( [ 'ok', 'failed', 'skipped', 'skipped' ] );
+  });
+
+  it ( 'Fail fast, running tasks complete', async () => {
+    const outcomes = await testFn( [ -1, 2, 3, 4 ], testTask, { concurrency: 2, failFast: true } );
+    expect( outcomes.map( ( { status } ) => status ) ).to.deep.equal( [ 'failed', 'ok', 'skipped', 'skipped' ] );
+  });
+
+  it ( 'Invalid concurrency', async () => {
+    for ( const concurrency of [ 0, 1.5, '2' ] ) {
+      let actualErr = null;
+      try {
+        await testFn( [ 1 ], testTask, { concurrency } );
+      }
+      catch ( err ) {
+        actualErr = err;
+      }
+      expect( actualErr ).to.be.an( 'error' ).with.property( 'message', `Invalid concurrency: ${concurrency}` );
+    }
+  });
+});